@@ -0,0 +1,259 @@
+// Login codes, shared by the server (require('./codes')) and the portals
+// (<script src="codes.js">, then window.SchoolCodes), so every page accepts
+// exactly the codes the server issues.
+//
+//   student, nursery/LKG/UKG   <prefix>N001 ... <prefix>U999    roll padded to three digits
+//   student, classes 1-10      <prefix>-01-1 ... <prefix>-10-999
+//   faculty                    <prefix>N, <prefix>L, <prefix>U, <prefix>01 ... <prefix>10
+//   admin, receptionist        <prefix>-A, <prefix>-R
+//   parent                     PAR0001, PAR0002, ... (at least four digits)
+//
+// <prefix> is one to four letters and the two-digit batch year, e.g. CB25.
+// Student codes carry the prefix of the academic year they were issued in, so
+// any well-formed prefix parses; new ones use currentPrefix(). Staff codes
+// keep CB25. Input is trimmed and case-insensitive, but a class code's roll
+// may not have leading zeros, so every student has exactly one code.
+//
+// Expected results, checked row by row by test/codes.test.js. Keep the table
+// and the test in step with any change below.
+//
+//   parseCode(input)          role           classCode  rollNumber  codePrefix  fullCode
+//   'CB25N001'                student        nursery    '1'         CB25        CB25N001
+//   'CB25N999'                student        nursery    '999'       CB25        CB25N999
+//   'cb25l042'                student        lkg        '42'        CB25        CB25L042
+//   ' CB25U100 '              student        ukg        '100'       CB25        CB25U100
+//   'CB25-01-1'               student        '1'        '1'         CB25        CB25-01-1
+//   'CB25-05-60'              student        '5'        '60'        CB25        CB25-05-60
+//   'CB25-05-61'              student        '5'        '61'        CB25        CB25-05-61
+//   'CB25-10-999'             student        '10'       '999'       CB25        CB25-10-999
+//   'VB27-03-7'               student        '3'        '7'         VB27        VB27-03-7
+//   'ABCD26U005'              student        ukg        '5'         ABCD26      ABCD26U005
+//   'CB25N'                   faculty        nursery    -           CB25        CB25N
+//   'CB25L', 'CB25U'          faculty        lkg, ukg   -           CB25        same
+//   'CB2501' ... 'CB2510'     faculty        '1'-'10'   -           CB25        same
+//   'cb25-a'                  admin          -          -           CB25        CB25-A
+//   'CB25-R'                  receptionist   -          -           CB25        CB25-R
+//   'PAR0001', 'PAR12345'     parent         -          -           -           same
+//
+//   parseCode(input) === null for
+//   'CB25N000', 'CB25N01', 'CB25N1000'      pre-primary roll not 001-999 in three digits
+//   'CB25-01-0', 'CB25-01-01', 'CB25-01-1000'  class roll zero, zero-padded or above 999
+//   'CB25-00-1', 'CB25-11-1', 'CB25-1-1'    class not 01-10 in two digits
+//   'CB25X001', 'CB25-A1', 'CB25-B'         unknown class or staff marker
+//   'CB2500', 'CB2511', 'CB25'              faculty class out of range, bare prefix
+//   'CB255-01-1', 'CB5-01-1', 'ABCDE25-01-1'  prefix not 1-4 letters and two digits
+//   '25-01-1', 'PAR001', 'PARENT1', '', null  no prefix, short parent number, empty
+//
+//   formatStudentCode(class, roll, prefix)  result
+//   ('nursery', 1)                          'CB25N001' (with the default current prefix)
+//   ('LKG', '42', 'VB27')                   'VB27L042'
+//   ('ukg', 999)                            'CB25U999'
+//   ('1', 1) / (1, '001')                   'CB25-01-1'
+//   ('10', 999)                             'CB25-10-999'
+//   ('05', 61)                              'CB25-05-61'
+//   ('0', 1), ('11', 1), ('pre', 1)         null (no such class)
+//   ('5', 0), ('5', 1000), ('5', 2.5)       null (roll not 1-999)
+//   ('5', ''), ('5', '7a')                  null
+//   ('5', 1, 'CB5')                         null (bad prefix)
+//
+//   formatFacultyCode('nursery') 'CB25N', formatFacultyCode('7') 'CB2507',
+//   formatStaffCode('admin') 'CB25-A', formatParentCode(12) 'PAR0012'.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.SchoolCodes = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    const DEFAULT_PREFIX = 'CB25';
+    const CLASS_CODES = ['nursery', 'lkg', 'ukg', '1', '2', '3', '4', '5', '6', '7', '8', '9', '10'];
+    const PRE_PRIMARY_MARKERS = { nursery: 'N', lkg: 'L', ukg: 'U' };
+    const STAFF_MARKERS = { admin: 'A', receptionist: 'R' };
+    const MAX_ROLL = 999;
+    const PREFIX = '([A-Z]{1,4}\\d{2})';
+    const PREFIX_PATTERN = new RegExp(`^${PREFIX}$`);
+    const PRE_PRIMARY_PATTERN = new RegExp(`^${PREFIX}([NLU])(\\d{3})$`);
+    const CLASS_PATTERN = new RegExp(`^${PREFIX}-(0[1-9]|10)-([1-9]\\d{0,2})$`);
+    const FACULTY_PATTERN = new RegExp(`^${PREFIX}([NLU]|0[1-9]|10)$`);
+    const STAFF_PATTERN = new RegExp(`^${PREFIX}-([AR])$`);
+    const PARENT_PATTERN = /^PAR(\d{4,})$/;
+    // Longest student code: four letters, two digits, -10-999
+    const MAX_CODE_LENGTH = 13;
+
+    let current = DEFAULT_PREFIX;
+
+    function isValidPrefix(prefix) {
+        return typeof prefix === 'string' && PREFIX_PATTERN.test(prefix);
+    }
+
+    // The prefix new student codes are issued with: the server sets it from
+    // the current academic year, the portals from /api/auth/me.
+    function setCurrentPrefix(prefix) {
+        if (!isValidPrefix(prefix)) {
+            throw new Error(`Invalid code prefix "${prefix}"`);
+        }
+        current = prefix;
+    }
+
+    function currentPrefix() {
+        return current;
+    }
+
+    // 'Nursery', 'LKG', '05', 5 -> 'nursery', 'lkg', '5', '5'; anything else -> null
+    function normalizeClassCode(classCode) {
+        if (classCode === null || classCode === undefined) return null;
+        const value = String(classCode).trim().toLowerCase();
+        if (PRE_PRIMARY_MARKERS[value]) return value;
+        if (!/^\d{1,2}$/.test(value)) return null;
+        const classNumber = parseInt(value, 10);
+        return classNumber >= 1 && classNumber <= 10 ? String(classNumber) : null;
+    }
+
+    // 7, '7', '007' -> '7'; 0, 1000, 2.5, '7a' -> null
+    function normalizeRollNumber(rollNumber) {
+        if (rollNumber === null || rollNumber === undefined) return null;
+        const value = String(rollNumber).trim();
+        if (!/^\d{1,3}$/.test(value)) return null;
+        const roll = parseInt(value, 10);
+        return roll >= 1 && roll <= MAX_ROLL ? String(roll) : null;
+    }
+
+    function formatStudentCode(classCode, rollNumber, prefix) {
+        const codePrefix = prefix === undefined ? current : prefix;
+        const normalizedClass = normalizeClassCode(classCode);
+        const roll = normalizeRollNumber(rollNumber);
+        if (!normalizedClass || !roll || !isValidPrefix(codePrefix)) return null;
+        if (PRE_PRIMARY_MARKERS[normalizedClass]) {
+            return `${codePrefix}${PRE_PRIMARY_MARKERS[normalizedClass]}${roll.padStart(3, '0')}`;
+        }
+        return `${codePrefix}-${normalizedClass.padStart(2, '0')}-${roll}`;
+    }
+
+    function classForMarker(marker) {
+        return Object.keys(PRE_PRIMARY_MARKERS).find(classCode => PRE_PRIMARY_MARKERS[classCode] === marker);
+    }
+
+    function clean(code) {
+        return typeof code === 'string' ? code.trim().toUpperCase() : '';
+    }
+
+    function parseStudentCode(code) {
+        const value = clean(code);
+        const prePrimaryMatch = value.match(PRE_PRIMARY_PATTERN);
+        if (prePrimaryMatch) {
+            const rollNumber = normalizeRollNumber(prePrimaryMatch[3]);
+            if (!rollNumber) return null;
+            const classCode = classForMarker(prePrimaryMatch[2]);
+            return { role: 'student', classCode, rollNumber, codePrefix: prePrimaryMatch[1], fullCode: value, type: classCode };
+        }
+        const classMatch = value.match(CLASS_PATTERN);
+        if (classMatch) {
+            return {
+                role: 'student',
+                classCode: String(parseInt(classMatch[2], 10)),
+                rollNumber: classMatch[3],
+                codePrefix: classMatch[1],
+                fullCode: value,
+                type: 'class'
+            };
+        }
+        return null;
+    }
+
+    function formatFacultyCode(classCode, prefix) {
+        const codePrefix = prefix === undefined ? DEFAULT_PREFIX : prefix;
+        const normalizedClass = normalizeClassCode(classCode);
+        if (!normalizedClass || !isValidPrefix(codePrefix)) return null;
+        return codePrefix + (PRE_PRIMARY_MARKERS[normalizedClass] || normalizedClass.padStart(2, '0'));
+    }
+
+    function parseFacultyCode(code) {
+        const value = clean(code);
+        const match = value.match(FACULTY_PATTERN);
+        if (!match) return null;
+        const classCode = classForMarker(match[2]) || String(parseInt(match[2], 10));
+        return { role: 'faculty', classCode, codePrefix: match[1], fullCode: value };
+    }
+
+    function formatStaffCode(role, prefix) {
+        const codePrefix = prefix === undefined ? DEFAULT_PREFIX : prefix;
+        if (!STAFF_MARKERS[role] || !isValidPrefix(codePrefix)) return null;
+        return `${codePrefix}-${STAFF_MARKERS[role]}`;
+    }
+
+    function parseStaffCode(code) {
+        const value = clean(code);
+        const match = value.match(STAFF_PATTERN);
+        if (!match) return null;
+        const role = Object.keys(STAFF_MARKERS).find(staffRole => STAFF_MARKERS[staffRole] === match[2]);
+        return { role, codePrefix: match[1], fullCode: value };
+    }
+
+    function formatParentCode(sequence) {
+        return 'PAR' + String(sequence).padStart(4, '0');
+    }
+
+    function parseParentCode(code) {
+        const value = clean(code);
+        const match = value.match(PARENT_PATTERN);
+        return match ? { role: 'parent', sequence: parseInt(match[1], 10), fullCode: value } : null;
+    }
+
+    // Whatever kind of code this is, or null. Parent codes go first: PAR0001
+    // would otherwise read as faculty code 01 with the prefix PAR00.
+    function parseCode(code) {
+        return parseParentCode(code) || parseStudentCode(code) || parseFacultyCode(code) || parseStaffCode(code);
+    }
+
+    function isValidCode(role, code) {
+        const parsed = parseCode(code);
+        return !!parsed && parsed.role === role;
+    }
+
+    // What a login box holds while the user types: upper case, no stray
+    // characters, no longer than the longest code.
+    function cleanCodeInput(value) {
+        return String(value || '').toUpperCase().replace(/[^A-Z0-9-]/g, '').slice(0, MAX_CODE_LENGTH);
+    }
+
+    function describeCodeFormat(role) {
+        const prefix = role === 'student' ? current : DEFAULT_PREFIX;
+        switch (role) {
+            case 'student':
+                return `${prefix}-[CLASS]-[ROLL] for classes 1-10 (e.g. ${prefix}-01-1), ` +
+                    `${prefix}N/L/U + three-digit roll for Nursery, LKG and UKG (e.g. ${prefix}N001)`;
+            case 'faculty':
+                return `${prefix}N/${prefix}L/${prefix}U for pre-primary or ${prefix}01-${prefix}10 for classes`;
+            case 'admin':
+                return formatStaffCode('admin');
+            case 'receptionist':
+                return formatStaffCode('receptionist');
+            case 'parent':
+                return 'PAR followed by at least four digits (e.g. PAR0001)';
+        }
+        return '';
+    }
+
+    return {
+        DEFAULT_PREFIX,
+        CLASS_CODES,
+        MAX_ROLL,
+        isValidPrefix,
+        setCurrentPrefix,
+        currentPrefix,
+        normalizeClassCode,
+        normalizeRollNumber,
+        formatStudentCode,
+        parseStudentCode,
+        formatFacultyCode,
+        parseFacultyCode,
+        formatStaffCode,
+        parseStaffCode,
+        formatParentCode,
+        parseParentCode,
+        parseCode,
+        isValidCode,
+        cleanCodeInput,
+        describeCodeFormat
+    };
+});
@@ -0,0 +1,242 @@
+const auth = require('./auth');
+const codes = require('../codes');
+const fees = require('./fees');
+const ledger = require('./ledger');
+const { isFine } = require('./feeAdjustments');
+const { localDate } = require('./dayBook');
+
+// Academic years and the student code prefix each one issues codes with.
+// Stored in data.academicYears:
+//
+//   {
+//     current: '2025-26',
+//     years: {
+//       '2024-25': { codePrefix: 'CB24', status: 'archived', startedAt, closedAt },
+//       '2025-26': { codePrefix: 'CB25', status: 'active', startedAt },
+//       '2026-27': { codePrefix: 'CB26', status: 'planned' }
+//     }
+//   }
+//
+// Codes from every year stay parseable; new codes always use the current
+// year's prefix (see codes.js).
+
+const CLASS_ORDER = codes.CLASS_CODES;
+const ACADEMIC_YEAR_PATTERN = /^(\d{4})-(\d{2}|\d{4})$/;
+// Collections that belong to one year's classes and move to the archive on rollover
+const ARCHIVED_COLLECTIONS = ['facultyPosts', 'homeworkSubmissions', 'assignments', 'assignmentResults', 'assignmentAttempts', 'progressCards', 'monthlyAttendance', 'attendanceRegister', 'concessions'];
+
+// Accepts 2025-26 or 2025-2026 and returns 2025-26, or null
+function normalizeAcademicYear(value) {
+    const match = ACADEMIC_YEAR_PATTERN.exec(String(value || '').trim());
+    if (!match) return null;
+    const start = parseInt(match[1]);
+    const end = parseInt(match[2].length === 2 ? match[1].slice(0, 2) + match[2] : match[2]);
+    if (end !== start + 1) return null;
+    return `${start}-${String(end).slice(-2)}`;
+}
+
+function nextAcademicYear(academicYear) {
+    const start = parseInt(academicYear.slice(0, 4)) + 1;
+    return `${start}-${String(start + 1).slice(-2)}`;
+}
+
+// The school year starts in June
+function academicYearFor(date) {
+    const start = date.getMonth() >= 5 ? date.getFullYear() : date.getFullYear() - 1;
+    return `${start}-${String(start + 1).slice(-2)}`;
+}
+
+// CB25 for 2025-26 -> CB26 for 2026-27; other shapes need an explicit prefix
+function suggestCodePrefix(currentPrefix, nextYear) {
+    if (!codes.isValidPrefix(currentPrefix)) return null;
+    return currentPrefix.slice(0, -2) + nextYear.slice(2, 4);
+}
+
+function nextClassCode(classCode) {
+    const index = CLASS_ORDER.indexOf(String(classCode).toLowerCase());
+    if (index === -1 || index === CLASS_ORDER.length - 1) return null;
+    return CLASS_ORDER[index + 1];
+}
+
+function createAcademicYears({ current, codePrefix }) {
+    return {
+        current: current,
+        years: {
+            [current]: { codePrefix: codePrefix, status: 'active', startedAt: new Date().toISOString() }
+        }
+    };
+}
+
+function currentYear(academicYears) {
+    return { academicYear: academicYears.current, ...academicYears.years[academicYears.current] };
+}
+
+// Late fines on the record's fee lines, in paise; they are part of what is
+// unpaid but not of the annual fee
+function finesOf(record) {
+    return (record.feeLines || []).filter(isFine).reduce((sum, line) => sum + line.amountPaise, 0);
+}
+
+// Promotes every student of the current year into the next one: a new code
+// with the next year's prefix, the next class, the same roll number and a fee
+// of the annual fee plus whatever is still unpaid, late fines up to the
+// rollover included. The annual fee is feeByClass[nextClass] when given, else
+// the fee structure for the next class and year (keeping the optional heads
+// the student took), else the student's current annual fee. Class 10
+// students graduate and are only archived; their login, fee certificates and
+// fee ledger stay under the old code. Login accounts, parent links, fee
+// certificates and the fee ledger of promoted students follow them to the new
+// code, where the new year's fee is posted to the ledger, and the class-bound
+// collections move to data.archives[previousYear]. Records registered for any
+// other year are left where they are and reported as skipped.
+//
+// Mutates data; the caller decides whether to persist it.
+function rollOver(data, { nextYear, codePrefix, feeByClass = {}, feeStructures = [] }) {
+    const previousYear = data.academicYears.current;
+    const now = new Date().toISOString();
+    const codeMap = {};
+    const promoted = [];
+    const graduated = [];
+    const skipped = [];
+    let carriedForwardPaise = 0;
+    const archivedRecords = {};
+    const nextRecords = {};
+    const openingEntries = {};
+    // What is carried forward includes the late fines accrued up to today
+    ledger.accrueFines(data.feeLedger, data.studentMasterRecords, data.feeStructures || [], localDate(now));
+
+    Object.values(data.studentMasterRecords).forEach(record => {
+        if (normalizeAcademicYear(record.academicYear) !== previousYear) {
+            skipped.push({ studentCode: record.studentCode, studentName: record.studentName, academicYear: record.academicYear || null });
+            nextRecords[record.studentCode] = record;
+            return;
+        }
+        archivedRecords[record.studentCode] = record;
+        const nextClass = nextClassCode(record.studentClass);
+        if (!nextClass) {
+            graduated.push({ studentCode: record.studentCode, studentName: record.studentName, unpaidDue: record.currentDue });
+            return;
+        }
+        const newCode = codes.formatStudentCode(nextClass, record.studentRoll, codePrefix);
+        const structure = feeByClass[nextClass] === undefined ? fees.findStructure(feeStructures, nextClass, nextYear) : null;
+        const annualFeePaise = feeByClass[nextClass] !== undefined
+            ? fees.toPaise(feeByClass[nextClass])
+            : fees.toPaise(record.totalFee) - fees.toPaise(record.carriedForwardDue || 0) - finesOf(record);
+        const unpaidPaise = fees.toPaise(record.currentDue || 0);
+        const unpaidDue = fees.toRupees(unpaidPaise);
+        carriedForwardPaise += unpaidPaise;
+        codeMap[record.studentCode] = newCode;
+        nextRecords[newCode] = {
+            studentCode: newCode,
+            studentName: record.studentName,
+            fatherName: record.fatherName,
+            studentClass: nextClass,
+            studentRoll: record.studentRoll,
+            totalFee: fees.toRupees(annualFeePaise + unpaidPaise),
+            currentDue: fees.toRupees(annualFeePaise + unpaidPaise),
+            carriedForwardDue: unpaidDue,
+            previousStudentCode: record.studentCode,
+            academicYear: nextYear,
+            registeredDate: now,
+            lastUpdated: now
+        };
+        if (structure) {
+            const takenHeads = (record.feeLines || []).map(line => line.head);
+            const lines = fees.feeLinesFor(structure, takenHeads);
+            if (unpaidPaise > 0) lines.unshift(fees.carriedForwardLine(unpaidPaise, nextYear));
+            Object.assign(nextRecords[newCode], {
+                totalFee: fees.toRupees(fees.totalOf(lines)),
+                currentDue: fees.toRupees(fees.dueOf(lines)),
+                feeStructureId: structure.id,
+                feeLines: lines
+            });
+            openingEntries[newCode] = ledger.chargeEntries(lines, now);
+        } else {
+            openingEntries[newCode] = [
+                { type: 'carry-forward', amountPaise: unpaidPaise, description: 'Dues brought forward', postedAt: now },
+                { type: 'charge', amountPaise: annualFeePaise, description: 'Annual fee', postedAt: now }
+            ].filter(entry => entry.amountPaise > 0);
+        }
+        promoted.push({ from: record.studentCode, to: newCode, studentClass: nextClass, carriedForwardDue: unpaidDue });
+    });
+
+    data.archives[previousYear] = {
+        archivedAt: now,
+        codePrefix: data.academicYears.years[previousYear].codePrefix,
+        studentMasterRecords: archivedRecords,
+        studentCodeMap: codeMap,
+        graduated: graduated
+    };
+    ARCHIVED_COLLECTIONS.forEach(name => {
+        data.archives[previousYear][name] = data[name];
+        data[name] = Array.isArray(data[name]) ? [] : {};
+    });
+    data.studentMasterRecords = nextRecords;
+
+    Object.keys(codeMap).forEach(oldCode => {
+        const newCode = codeMap[oldCode];
+        const account = data.users[oldCode];
+        if (account) {
+            delete data.users[oldCode];
+            auth.destroyUserSessions(data, oldCode);
+            data.users[newCode] = {
+                ...account,
+                code: newCode,
+                classCode: nextRecords[newCode].studentClass,
+                previousCodes: [...(account.previousCodes || []), oldCode]
+            };
+        }
+        if (data.studentFeeCertificates[oldCode]) {
+            data.studentFeeCertificates[newCode] = data.studentFeeCertificates[oldCode];
+            delete data.studentFeeCertificates[oldCode];
+        }
+        if (data.feeLedger[oldCode]) {
+            data.feeLedger[newCode] = [...data.feeLedger[oldCode], ...(data.feeLedger[newCode] || [])];
+            delete data.feeLedger[oldCode];
+        }
+        openingEntries[newCode].forEach(entry => ledger.post(data.feeLedger, newCode, { academicYear: nextYear, ...entry }));
+    });
+    Object.values(data.users).forEach(account => {
+        if (account.role === 'parent' && Array.isArray(account.linkedStudents)) {
+            account.linkedStudents = account.linkedStudents.map(code => codeMap[code] || code);
+        }
+    });
+
+    data.academicYears.years[previousYear] = { ...data.academicYears.years[previousYear], status: 'archived', closedAt: now };
+    data.academicYears.years[nextYear] = { ...data.academicYears.years[nextYear], codePrefix: codePrefix, status: 'active', startedAt: now };
+    data.academicYears.current = nextYear;
+
+    return { previousYear, nextYear, codePrefix, promoted, graduated, skipped, carriedForward: fees.toRupees(carriedForwardPaise), codeMap };
+}
+
+// Every code a student has had, newest first, following previousStudentCode
+// back through the archived years
+function studentCodeHistory(data, studentCode) {
+    const history = [];
+    let code = studentCode;
+    while (code && !history.includes(code)) {
+        history.push(code);
+        const record = data.studentMasterRecords[code] || Object.values(data.archives)
+            .map(archive => archive.studentMasterRecords && archive.studentMasterRecords[code])
+            .find(Boolean);
+        code = record ? record.previousStudentCode : null;
+    }
+    const account = data.users[studentCode];
+    ((account && account.previousCodes) || []).forEach(previousCode => {
+        if (!history.includes(previousCode)) history.push(previousCode);
+    });
+    return history;
+}
+
+module.exports = {
+    CLASS_ORDER,
+    normalizeAcademicYear,
+    nextAcademicYear,
+    academicYearFor,
+    suggestCodePrefix,
+    nextClassCode,
+    createAcademicYears,
+    currentYear,
+    rollOver,
+    studentCodeHistory
+};
@@ -0,0 +1,150 @@
+const { typeOf, marksOf, OPTION_KEYS } = require('./questions');
+
+// Class-wide figures for one assignment, worked out from the result that
+// counts for each student (data.assignmentResults) and the class roster
+// (data.studentMasterRecords). Results keep their answers in assignment
+// order, whatever order a student saw, so question i of every result is
+// question i of the assignment.
+//
+// Results still waiting for short answers to be graded count as submitted
+// but are left out of the score figures, as their scores are not final.
+
+const BUCKET_SIZE = 10;
+// Wrong written answers listed per question
+const MOST_COMMON = 5;
+
+function round2(value) {
+    return Math.round(value * 100) / 100;
+}
+
+function median(values) {
+    if (values.length === 0) return null;
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 === 1 ? sorted[middle] : round2((sorted[middle - 1] + sorted[middle]) / 2);
+}
+
+// Percentages in bands of ten, the last band taking 100 as well
+function distribution(percentages) {
+    const buckets = [];
+    for (let from = 0; from < 100; from += BUCKET_SIZE) {
+        const to = from + BUCKET_SIZE - 1 + (from + BUCKET_SIZE === 100 ? 1 : 0);
+        buckets.push({ range: `${from}-${to}`, from: from, to: to, count: 0 });
+    }
+    percentages.forEach(percentage => {
+        const index = Math.min(Math.floor(Math.max(percentage, 0) / BUCKET_SIZE), buckets.length - 1);
+        buckets[index].count++;
+    });
+    return buckets;
+}
+
+function scoreSummary(results) {
+    const percentages = results.map(result => result.percentage);
+    const scores = results.map(result => result.score);
+    if (results.length === 0) {
+        return { count: 0, mean: null, median: null, highest: null, lowest: null, meanScore: null, distribution: distribution([]) };
+    }
+    return {
+        count: results.length,
+        mean: round2(percentages.reduce((sum, value) => sum + value, 0) / percentages.length),
+        median: median(percentages),
+        highest: Math.max(...percentages),
+        lowest: Math.min(...percentages),
+        meanScore: round2(scores.reduce((sum, value) => sum + value, 0) / scores.length),
+        distribution: distribution(percentages)
+    };
+}
+
+// The choices a student can get wrong on a question, or null when its
+// answers are written rather than picked
+function choicesOf(question) {
+    switch (typeOf(question)) {
+        case 'mcq':
+            return OPTION_KEYS.map(option => ({ option, text: question.options[option], correct: option === question.correctAnswer }));
+        case 'multi':
+            return OPTION_KEYS.map(option => ({ option, text: question.options[option], correct: question.correctAnswers.includes(option) }));
+        case 'truefalse':
+            return [true, false].map(option => ({ option, text: option ? 'True' : 'False', correct: option === question.correctAnswer }));
+        default:
+            return null;
+    }
+}
+
+function questionSummary(question, index, results) {
+    const type = typeOf(question);
+    const answers = results.map(result => result.results && result.results[index]).filter(Boolean);
+    const answered = answers.filter(answer => answer.studentAnswer !== null && answer.studentAnswer !== undefined);
+    const graded = answers.filter(answer => answer.isCorrect !== null);
+    const correct = graded.filter(answer => answer.isCorrect).length;
+    const summary = {
+        index: index,
+        question: question.question,
+        type: type,
+        marks: marksOf(question),
+        responses: answers.length,
+        answered: answered.length,
+        skipped: answers.length - answered.length,
+        pending: answers.length - graded.length,
+        correct: correct,
+        percentCorrect: graded.length > 0 ? round2((correct / graded.length) * 100) : null,
+        averageMarks: graded.length > 0
+            ? round2(graded.reduce((sum, answer) => sum + (answer.marksAwarded === undefined ? (answer.isCorrect ? 1 : 0) : answer.marksAwarded), 0) / graded.length)
+            : null
+    };
+    const choices = choicesOf(question);
+    if (choices) {
+        // How often each option was chosen; for several-answer questions a
+        // student who ticks two options counts towards both
+        summary.options = choices.map(choice => {
+            const chosen = answered.filter(answer => Array.isArray(answer.studentAnswer)
+                ? answer.studentAnswer.includes(choice.option)
+                : answer.studentAnswer === choice.option).length;
+            return {
+                ...choice,
+                chosen: chosen,
+                percentChosen: answered.length > 0 ? round2((chosen / answered.length) * 100) : null
+            };
+        });
+    } else if (type === 'numeric' || type === 'fillblank') {
+        const counts = {};
+        answered.filter(answer => answer.isCorrect === false).forEach(answer => {
+            const key = type === 'fillblank' ? String(answer.studentAnswer).trim().toLowerCase() : String(answer.studentAnswer);
+            counts[key] = (counts[key] || 0) + 1;
+        });
+        summary.commonWrongAnswers = Object.keys(counts)
+            .map(answer => ({ answer, count: counts[answer] }))
+            .sort((a, b) => b.count - a.count)
+            .slice(0, MOST_COMMON);
+    }
+    return summary;
+}
+
+// `roster` is [{ studentCode, studentName, studentRoll }] for the class
+function analyzeAssignment(assignment, results, roster) {
+    const submittedCodes = new Set(results.map(result => String(result.studentCode).toUpperCase()));
+    const onRoster = roster.filter(student => submittedCodes.has(String(student.studentCode).toUpperCase()));
+    const notSubmitted = roster.filter(student => !submittedCodes.has(String(student.studentCode).toUpperCase()));
+    const final = results.filter(result => result.status !== 'pending');
+
+    return {
+        assignmentId: assignment.id,
+        title: assignment.title,
+        classCode: assignment.classCode,
+        maxScore: assignment.questions.reduce((sum, question) => sum + marksOf(question), 0),
+        completion: {
+            rosterSize: roster.length,
+            submitted: onRoster.length,
+            // Submissions from students no longer on the roster, e.g. ones who left
+            submittedOffRoster: results.length - onRoster.length,
+            pendingGrading: results.length - final.length,
+            rate: roster.length > 0 ? round2((onRoster.length / roster.length) * 100) : null
+        },
+        scores: scoreSummary(final),
+        questions: assignment.questions.map((question, index) => questionSummary(question, index, results)),
+        notSubmitted: notSubmitted
+    };
+}
+
+module.exports = {
+    analyzeAssignment
+};
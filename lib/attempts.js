@@ -0,0 +1,129 @@
+// Attempts at an assignment. Every attempt a student starts is kept in
+// data.assignmentAttempts[assignmentId]; data.assignmentResults[assignmentId]
+// holds the one result per student that counts under the assignment's
+// scoring rule:
+//
+//   assignment: { opensAt, dueAt, maxAttempts, scoring: 'best' | 'last' | 'average',
+//                 lateSubmission: 'reject' | 'flag' | 'penalty', latePenalty, timeLimitMinutes }
+//   attempt:    { assignmentId, studentCode, classCode, attemptNumber,
+//                 state: 'started' | 'submitted' | 'expired', startedAt, expiresAt, layout,
+//                 ...the submission fields once submitted }
+//
+// Assignments from before attempts existed have none of these settings: they
+// are always open, take any number of attempts and count the last one. Their
+// results become attempt 1 the first time a student's attempts are touched.
+
+const SCORING = ['best', 'last', 'average'];
+const LATE_SUBMISSION = ['reject', 'flag', 'penalty'];
+// Answers sent in the last seconds of a timed attempt still count
+const SUBMIT_GRACE_MS = 30 * 1000;
+
+function scoringOf(assignment) {
+    return assignment.scoring || 'last';
+}
+
+// An assignment's expiryDate only decides how long students see it. After
+// that it stays in data.assignments, with its attempts and results, until
+// rollover archives the year.
+function isVisible(assignment, now = new Date()) {
+    return !assignment.expiryDate || new Date(assignment.expiryDate) > now;
+}
+
+// Why the assignment cannot be attempted at `now`, or null when it can
+function closedReason(assignment, now) {
+    if (!assignment.isActive) return 'Assignment is no longer active';
+    if (!isVisible(assignment, now)) return 'Assignment is no longer available';
+    if (assignment.opensAt && now < new Date(assignment.opensAt)) {
+        return `Assignment opens at ${new Date(assignment.opensAt).toLocaleString('en-IN', { timeZone: 'Asia/Kolkata' })}`;
+    }
+    if (assignment.dueAt && now > new Date(assignment.dueAt) && assignment.lateSubmission === 'reject') {
+        return 'Assignment is past its due time';
+    }
+    return null;
+}
+
+function isLate(assignment, submittedAt) {
+    return !!assignment.dueAt && submittedAt > new Date(assignment.dueAt);
+}
+
+function hasTimedOut(attempt, now) {
+    return !!attempt.expiresAt && now.getTime() > new Date(attempt.expiresAt).getTime() + SUBMIT_GRACE_MS;
+}
+
+// One student's attempts, oldest first, with a result saved before attempts
+// existed standing in as attempt 1
+function studentAttempts(data, assignmentId, studentCode) {
+    const attempts = (data.assignmentAttempts[assignmentId] || []).filter(attempt => attempt.studentCode === studentCode);
+    if (attempts.length > 0) return attempts;
+    const result = (data.assignmentResults[assignmentId] || []).find(r => r.studentCode === studentCode);
+    return result ? [{ ...result, attemptNumber: 1, state: 'submitted', startedAt: null }] : [];
+}
+
+// Every student's attempts at the assignment, including stand-ins for old results
+function allAttempts(data, assignmentId) {
+    const attempts = [...(data.assignmentAttempts[assignmentId] || [])];
+    (data.assignmentResults[assignmentId] || []).forEach(result => {
+        if (!attempts.some(attempt => attempt.studentCode === result.studentCode)) {
+            attempts.push({ ...result, attemptNumber: 1, state: 'submitted', startedAt: null });
+        }
+    });
+    return attempts;
+}
+
+// Whether a student may see the answer keys with their results: only once
+// every attempt is used, so never for an assignment with unlimited attempts
+function answersRevealed(assignment, attempts) {
+    return !!assignment.maxAttempts && attempts.filter(attempt => attempt.state !== 'started').length >= assignment.maxAttempts;
+}
+
+// Stores one student's attempts, replacing what was kept for them before
+function saveStudentAttempts(data, assignmentId, studentCode, attempts) {
+    const others = (data.assignmentAttempts[assignmentId] || []).filter(attempt => attempt.studentCode !== studentCode);
+    data.assignmentAttempts[assignmentId] = [...others, ...attempts];
+}
+
+// The result that counts for a student's attempts, or null before any is
+// submitted. 'best' takes the highest score (the earlier one on a tie),
+// 'last' the latest and 'average' averages the scores while showing the
+// latest answers. The result is pending while any counted attempt still has
+// answers to grade.
+function countedResult(assignment, attempts) {
+    const submitted = attempts.filter(attempt => attempt.state === 'submitted');
+    if (submitted.length === 0) return null;
+    const scoring = scoringOf(assignment);
+    const latest = submitted[submitted.length - 1];
+    let counted;
+    if (scoring === 'best') {
+        counted = submitted.reduce((best, attempt) => attempt.score > best.score ? attempt : best);
+    } else {
+        counted = latest;
+    }
+    const { state, startedAt, expiresAt, layout, ...result } = counted;
+    result.scoring = scoring;
+    result.attemptCount = submitted.length;
+    if (scoring === 'average') {
+        delete result.attemptNumber;
+        result.score = Math.round((submitted.reduce((sum, attempt) => sum + attempt.score, 0) / submitted.length) * 100) / 100;
+        result.percentage = Math.round((result.score / (result.maxScore || result.totalQuestions)) * 100);
+        result.late = submitted.some(attempt => attempt.late);
+    }
+    const countedAttempts = scoring === 'last' ? [latest] : submitted;
+    result.status = countedAttempts.some(attempt => attempt.status === 'pending') ? 'pending' : 'graded';
+    return result;
+}
+
+module.exports = {
+    SCORING,
+    LATE_SUBMISSION,
+    SUBMIT_GRACE_MS,
+    scoringOf,
+    isVisible,
+    closedReason,
+    isLate,
+    hasTimedOut,
+    studentAttempts,
+    allAttempts,
+    answersRevealed,
+    saveStudentAttempts,
+    countedResult
+};
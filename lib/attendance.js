@@ -0,0 +1,169 @@
+// Daily attendance register, the school calendar that decides which days count,
+// and the monthly summaries derived from both. Stored as:
+//
+//   data.schoolCalendar = {
+//     weeklyOffDays: [0],                                  // Sunday
+//     holidays: [{ date: '2025-08-15', name: 'Independence Day' }],
+//     extraWorkingDays: ['2025-09-13']                     // e.g. a working Saturday
+//   }
+//   data.attendanceRegister[classCode][date] = {
+//     classCode, date, markedBy, markedAt,
+//     entries: { [studentCode]: { status, studentName, studentRoll } }
+//   }
+//
+// monthlyAttendance records for a month that has register days are computed
+// from them (source: 'register') and keep the shape teachers used to post by hand.
+
+const STATUSES = ['present', 'absent', 'late', 'leave'];
+// Late still counts as attending; leave is an excused absence
+const ATTENDED_STATUSES = ['present', 'late'];
+const DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+function createCalendar() {
+    return { weeklyOffDays: [0], holidays: [], extraWorkingDays: [] };
+}
+
+// 'YYYY-MM-DD' for a real calendar date, else null
+function normalizeDate(value) {
+    const match = DATE_PATTERN.exec(String(value || '').trim());
+    if (!match) return null;
+    const date = new Date(Date.UTC(parseInt(match[1]), parseInt(match[2]) - 1, parseInt(match[3])));
+    if (date.getUTCMonth() !== parseInt(match[2]) - 1) return null;
+    return date.toISOString().slice(0, 10);
+}
+
+function toDateString(year, month, day) {
+    return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+// Today in the server's local time zone, the school's
+function today() {
+    const now = new Date();
+    return toDateString(now.getFullYear(), now.getMonth() + 1, now.getDate());
+}
+
+function daysInMonth(year, month) {
+    return new Date(Date.UTC(year, month, 0)).getUTCDate();
+}
+
+function isWorkingDay(calendar, date) {
+    if (calendar.holidays.some(holiday => holiday.date === date)) return false;
+    if (calendar.extraWorkingDays.includes(date)) return true;
+    const [year, month, day] = date.split('-').map(Number);
+    return !calendar.weeklyOffDays.includes(new Date(Date.UTC(year, month - 1, day)).getUTCDay());
+}
+
+// Working days of the month, up to and including `throughDay`
+function workingDaysInMonth(calendar, year, month, throughDay = daysInMonth(year, month)) {
+    const days = [];
+    for (let day = 1; day <= throughDay; day++) {
+        const date = toDateString(year, month, day);
+        if (isWorkingDay(calendar, date)) days.push(date);
+    }
+    return days;
+}
+
+function registerDaysInMonth(classRegister, year, month) {
+    const prefix = toDateString(year, month, 1).slice(0, 8);
+    return Object.keys(classRegister || {})
+        .filter(date => date.startsWith(prefix))
+        .sort()
+        .map(date => classRegister[date]);
+}
+
+// Per-student totals for one class and month. The month runs up to the last
+// day marked in the register, so it is not diluted by days still to come;
+// a working day nobody marked counts against every student.
+function summarizeMonth(calendar, classRegister, year, month) {
+    const days = registerDaysInMonth(classRegister, year, month).filter(day => isWorkingDay(calendar, day.date));
+    if (days.length === 0) return [];
+    const lastDay = parseInt(days[days.length - 1].date.slice(8, 10));
+    const totalWorkingDays = workingDaysInMonth(calendar, year, month, lastDay).length;
+    const students = {};
+    days.forEach(day => {
+        Object.keys(day.entries).forEach(studentCode => {
+            const entry = day.entries[studentCode];
+            if (!students[studentCode]) {
+                students[studentCode] = {
+                    studentCode,
+                    totalWorkingDays,
+                    attendedDays: 0,
+                    counts: { present: 0, absent: 0, late: 0, leave: 0 }
+                };
+            }
+            const summary = students[studentCode];
+            summary.studentName = entry.studentName;
+            summary.studentRoll = entry.studentRoll;
+            summary.markedBy = day.markedBy;
+            summary.counts[entry.status]++;
+            if (ATTENDED_STATUSES.includes(entry.status)) summary.attendedDays++;
+        });
+    });
+    return Object.values(students);
+}
+
+// Replaces the month's monthlyAttendance records for the class with ones
+// computed from the register, keeping the ids of records that already exist.
+function deriveMonthlyAttendance(data, classCode, year, month) {
+    const summaries = summarizeMonth(data.schoolCalendar, data.attendanceRegister[classCode], year, month);
+    const inMonth = record => record.classCode === classCode && record.year === year && record.month === month;
+    const existing = {};
+    data.monthlyAttendance.filter(inMonth).forEach(record => {
+        existing[record.studentCode] = record;
+    });
+    const now = new Date().toISOString();
+    const records = summaries.map(summary => ({
+        id: existing[summary.studentCode] ? existing[summary.studentCode].id : Date.now() + Math.random(),
+        classCode: classCode,
+        facultyCode: summary.markedBy,
+        studentCode: summary.studentCode,
+        month: month,
+        year: year,
+        studentName: summary.studentName,
+        studentRoll: summary.studentRoll,
+        totalWorkingDays: summary.totalWorkingDays,
+        attendedDays: summary.attendedDays,
+        percentage: summary.totalWorkingDays > 0 ? Math.round((summary.attendedDays / summary.totalWorkingDays) * 100) : 0,
+        counts: summary.counts,
+        source: 'register',
+        postedAt: now
+    }));
+    data.monthlyAttendance = data.monthlyAttendance.filter(record => !inMonth(record) || record.source !== 'register');
+    const derivedCodes = new Set(records.map(record => record.studentCode));
+    data.monthlyAttendance = data.monthlyAttendance.filter(record => !inMonth(record) || !derivedCodes.has(record.studentCode));
+    data.monthlyAttendance.push(...records);
+    return records;
+}
+
+// Every class and month with register days, for recomputing after the
+// calendar changes
+function registeredMonths(attendanceRegister) {
+    const months = [];
+    Object.keys(attendanceRegister).forEach(classCode => {
+        const seen = new Set();
+        Object.keys(attendanceRegister[classCode]).forEach(date => {
+            const key = date.slice(0, 7);
+            if (seen.has(key)) return;
+            seen.add(key);
+            months.push({ classCode, year: parseInt(date.slice(0, 4)), month: parseInt(date.slice(5, 7)) });
+        });
+    });
+    return months;
+}
+
+function hasRegisterDays(data, classCode, year, month) {
+    return registerDaysInMonth(data.attendanceRegister[classCode], year, month).length > 0;
+}
+
+module.exports = {
+    STATUSES,
+    createCalendar,
+    normalizeDate,
+    today,
+    isWorkingDay,
+    workingDaysInMonth,
+    summarizeMonth,
+    deriveMonthlyAttendance,
+    registeredMonths,
+    hasRegisterDays
+};
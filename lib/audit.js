@@ -0,0 +1,175 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+
+// Append-only audit trail, one JSON entry per line. Every entry carries the
+// hash of the entry before it, so editing, removing or reordering a line
+// breaks the chain from that point on and verify() reports where.
+//
+// The log lives outside the data store on purpose: restoring a snapshot must
+// never roll back the record of what happened.
+
+const GENESIS_HASH = '0'.repeat(64);
+// Collections that are either login state or the legacy free-text history
+const UNAUDITED_COLLECTIONS = ['sessions', 'history'];
+const REDACTED_FIELDS = ['passwordHash'];
+const MAX_DEPTH = 3;
+
+function hashEntry(entry) {
+    const { hash, ...content } = entry;
+    return crypto.createHash('sha256').update(JSON.stringify(content)).digest('hex');
+}
+
+function isRecord(value) {
+    return !!value && typeof value === 'object' && !Array.isArray(value) &&
+        ['id', 'hallTicketId', 'code', 'studentCode'].some(field => typeof value[field] === 'string' || typeof value[field] === 'number');
+}
+
+function redact(value) {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) return value;
+    const copy = { ...value };
+    REDACTED_FIELDS.forEach(field => {
+        if (field in copy) copy[field] = '[redacted]';
+    });
+    return copy;
+}
+
+// Walks a collection down to individual records, so one fee certificate or
+// one assignment is one entity rather than the whole class list it sits in.
+function flattenEntities(value, prefix, depth, entities) {
+    const descend = value && typeof value === 'object' && !isRecord(value) && depth < MAX_DEPTH;
+    if (!descend) {
+        if (value !== undefined) entities.set(prefix, JSON.stringify(value));
+        return entities;
+    }
+    if (Array.isArray(value)) {
+        value.forEach((item, index) => {
+            const key = isRecord(item) ? (item.id || item.hallTicketId || item.code || item.studentCode) : `#${index}`;
+            flattenEntities(item, prefix ? `${prefix}/${key}` : String(key), depth + 1, entities);
+        });
+    } else {
+        Object.keys(value).forEach(key => {
+            flattenEntities(value[key], prefix ? `${prefix}/${key}` : key, depth + 1, entities);
+        });
+    }
+    return entities;
+}
+
+// Compares the stored state of the given collections with what is about to
+// replace it and returns one change per created, updated or deleted entity.
+function collectChanges(previous, current, names) {
+    const changes = [];
+    names.forEach(name => {
+        if (UNAUDITED_COLLECTIONS.includes(name)) return;
+        const before = flattenEntities(previous[name], '', 0, new Map());
+        const after = flattenEntities(current[name], '', 0, new Map());
+        after.forEach((value, entityId) => {
+            const old = before.get(entityId);
+            if (old === value) return;
+            changes.push({
+                entityType: name,
+                entityId: entityId,
+                action: old === undefined ? 'create' : 'update',
+                before: old === undefined ? null : redact(JSON.parse(old)),
+                after: redact(JSON.parse(value))
+            });
+        });
+        before.forEach((value, entityId) => {
+            if (after.has(entityId)) return;
+            changes.push({
+                entityType: name,
+                entityId: entityId,
+                action: 'delete',
+                before: redact(JSON.parse(value)),
+                after: null
+            });
+        });
+    });
+    return changes;
+}
+
+function createAuditLog({ file }) {
+    let lastHash = null;
+    let lastSeq = 0;
+
+    async function readEntries() {
+        let raw;
+        try {
+            raw = await fs.readFile(file, 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+        return raw.split('\n').filter(Boolean).map((line, index) => {
+            try {
+                return JSON.parse(line);
+            } catch (error) {
+                return { seq: null, line: index + 1, unreadable: true };
+            }
+        });
+    }
+
+    async function verify() {
+        const entries = await readEntries();
+        let previousHash = GENESIS_HASH;
+        for (let i = 0; i < entries.length; i++) {
+            const entry = entries[i];
+            if (entry.unreadable) {
+                return { valid: false, entries: entries.length, brokenAt: i + 1, reason: 'Unreadable entry' };
+            }
+            if (entry.prevHash !== previousHash) {
+                return { valid: false, entries: entries.length, brokenAt: i + 1, seq: entry.seq, reason: 'Entry does not follow the previous one' };
+            }
+            if (hashEntry(entry) !== entry.hash) {
+                return { valid: false, entries: entries.length, brokenAt: i + 1, seq: entry.seq, reason: 'Entry content does not match its hash' };
+            }
+            previousHash = entry.hash;
+        }
+        return { valid: true, entries: entries.length };
+    }
+
+    async function loadTail() {
+        const entries = await readEntries();
+        const last = entries.filter(entry => !entry.unreadable).pop();
+        lastHash = last ? last.hash : GENESIS_HASH;
+        lastSeq = last ? last.seq : 0;
+    }
+
+    async function append(changes, { actor, route }) {
+        if (changes.length === 0) return [];
+        if (lastHash === null) await loadTail();
+        const at = new Date().toISOString();
+        let previousHash = lastHash;
+        let seq = lastSeq;
+        const entries = changes.map(change => {
+            const entry = { seq: ++seq, at, actor, route, ...change, prevHash: previousHash };
+            entry.hash = hashEntry(entry);
+            previousHash = entry.hash;
+            return entry;
+        });
+        await fs.appendFile(file, entries.map(entry => JSON.stringify(entry)).join('\n') + '\n');
+        lastHash = previousHash;
+        lastSeq = seq;
+        return entries;
+    }
+
+    async function query({ entityType, entityId, actor, from, to, limit } = {}) {
+        const fromTime = from ? new Date(from).getTime() : null;
+        // A bare date as the upper bound means "up to the end of that day"
+        const toTime = to ? new Date(/^\d{4}-\d{2}-\d{2}$/.test(to) ? `${to}T23:59:59.999Z` : to).getTime() : null;
+        const matches = (await readEntries()).filter(entry => {
+            if (entry.unreadable) return false;
+            if (entityType && entry.entityType !== entityType) return false;
+            if (entityId && entry.entityId !== entityId && !entry.entityId.split('/').includes(entityId)) return false;
+            if (actor && (!entry.actor || entry.actor.code !== actor)) return false;
+            const time = new Date(entry.at).getTime();
+            if (fromTime !== null && time < fromTime) return false;
+            if (toTime !== null && time > toTime) return false;
+            return true;
+        });
+        return limit ? matches.slice(-limit) : matches;
+    }
+
+    return { file, append, query, verify };
+}
+
+module.exports = { createAuditLog, collectChanges };
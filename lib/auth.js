@@ -0,0 +1,152 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+const SESSION_COOKIE = 'sid';
+const SESSION_TTL_MS = (parseInt(process.env.SESSION_TTL_HOURS) || 12) * 60 * 60 * 1000;
+const KEY_LENGTH = 64;
+const MAX_FAILED_LOGINS = 5;
+const LOCKOUT_MS = 15 * 60 * 1000;
+
+// code -> { count, lockedUntil }; kept in memory, a restart clears lockouts
+const failedLogins = new Map();
+
+async function hashPassword(password) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const derived = await scrypt(password, salt, KEY_LENGTH);
+    return `scrypt$${salt}$${derived.toString('hex')}`;
+}
+
+async function verifyPassword(password, storedHash) {
+    if (typeof password !== 'string' || typeof storedHash !== 'string') return false;
+    const [scheme, salt, hash] = storedHash.split('$');
+    if (scheme !== 'scrypt' || !salt || !hash) return false;
+    const expected = Buffer.from(hash, 'hex');
+    const derived = await scrypt(password, salt, expected.length);
+    return crypto.timingSafeEqual(derived, expected);
+}
+
+// Numeric PINs are what the office hands out to students and parents
+function generatePin(length = 6) {
+    let pin = '';
+    for (let i = 0; i < length; i++) {
+        pin += crypto.randomInt(0, 10).toString();
+    }
+    return pin;
+}
+
+function isLockedOut(code) {
+    const entry = failedLogins.get(code);
+    return !!(entry && entry.lockedUntil && entry.lockedUntil > Date.now());
+}
+
+function recordFailedLogin(code) {
+    const entry = failedLogins.get(code) || { count: 0, lockedUntil: 0 };
+    entry.count++;
+    if (entry.count >= MAX_FAILED_LOGINS) {
+        entry.count = 0;
+        entry.lockedUntil = Date.now() + LOCKOUT_MS;
+    }
+    failedLogins.set(code, entry);
+}
+
+function clearFailedLogins(code) {
+    failedLogins.delete(code);
+}
+
+// Only the SHA-256 of a session token is ever stored, so a leaked data file
+// cannot be replayed as a live session.
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function createSession(data, user) {
+    const token = crypto.randomBytes(32).toString('hex');
+    const now = new Date();
+    const session = {
+        code: user.code,
+        role: user.role,
+        createdAt: now.toISOString(),
+        expiresAt: new Date(now.getTime() + SESSION_TTL_MS).toISOString()
+    };
+    data.sessions[hashToken(token)] = session;
+    return { token, session };
+}
+
+function findSession(data, token) {
+    if (!token) return null;
+    const session = data.sessions[hashToken(token)];
+    if (!session || new Date(session.expiresAt) <= new Date()) return null;
+    return session;
+}
+
+function destroySession(data, token) {
+    if (!token) return false;
+    const key = hashToken(token);
+    if (!data.sessions[key]) return false;
+    delete data.sessions[key];
+    return true;
+}
+
+function destroyUserSessions(data, code) {
+    Object.keys(data.sessions).forEach(key => {
+        if (data.sessions[key].code === code) delete data.sessions[key];
+    });
+}
+
+function pruneExpiredSessions(data) {
+    const now = new Date();
+    Object.keys(data.sessions).forEach(key => {
+        if (new Date(data.sessions[key].expiresAt) <= now) {
+            delete data.sessions[key];
+        }
+    });
+}
+
+function parseCookies(header) {
+    const cookies = {};
+    if (!header) return cookies;
+    header.split(';').forEach(part => {
+        const index = part.indexOf('=');
+        if (index < 0) return;
+        const name = part.slice(0, index).trim();
+        const value = part.slice(index + 1).trim();
+        if (name) cookies[name] = decodeURIComponent(value);
+    });
+    return cookies;
+}
+
+function getRequestToken(req) {
+    const authHeader = req.headers.authorization || '';
+    if (authHeader.startsWith('Bearer ')) {
+        return authHeader.slice(7).trim();
+    }
+    return parseCookies(req.headers.cookie)[SESSION_COOKIE] || null;
+}
+
+function setSessionCookie(res, token) {
+    res.setHeader('Set-Cookie', `${SESSION_COOKIE}=${encodeURIComponent(token)}; Path=/; HttpOnly; SameSite=Strict; Max-Age=${Math.floor(SESSION_TTL_MS / 1000)}`);
+}
+
+function clearSessionCookie(res) {
+    res.setHeader('Set-Cookie', `${SESSION_COOKIE}=; Path=/; HttpOnly; SameSite=Strict; Max-Age=0`);
+}
+
+module.exports = {
+    SESSION_TTL_MS,
+    hashPassword,
+    verifyPassword,
+    generatePin,
+    isLockedOut,
+    recordFailedLogin,
+    clearFailedLogins,
+    createSession,
+    findSession,
+    destroySession,
+    destroyUserSessions,
+    pruneExpiredSessions,
+    getRequestToken,
+    setSessionCookie,
+    clearSessionCookie
+};
@@ -0,0 +1,93 @@
+const { PAYMENT_MODES, isVoided, toPaise, toRupees } = require('./fees');
+
+// The day book: what was collected at the counter, day by day, worked out
+// from the receipts in data.feeCertificates. A receipt counts on the day it
+// was issued, in the server's local time zone. Voided receipts (including
+// bounced cheques) are left out of the totals and shown apart, so a day's
+// figures drop if one of its receipts is voided later.
+//
+// Receipts from before payment modes were recorded count as 'unrecorded'.
+// Amounts are added up in whole paise and given back in rupees.
+
+const UNRECORDED = 'unrecorded';
+
+// 'YYYY-MM-DD' of an ISO timestamp in local time
+function localDate(timestamp) {
+    const date = new Date(timestamp);
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+function emptyTotals() {
+    const byMode = {};
+    PAYMENT_MODES.forEach(mode => { byMode[mode] = 0; });
+    return { receipts: 0, total: 0, byMode: byMode, byCollector: {}, voided: { receipts: 0, amount: 0 } };
+}
+
+function addReceipt(totals, certificate) {
+    const amountPaise = toPaise(certificate.amountPaid);
+    if (isVoided(certificate)) {
+        totals.voided.receipts++;
+        totals.voided.amount += amountPaise;
+        return;
+    }
+    const mode = certificate.paymentMode || UNRECORDED;
+    totals.receipts++;
+    totals.total += amountPaise;
+    totals.byMode[mode] = (totals.byMode[mode] || 0) + amountPaise;
+    totals.byCollector[certificate.generatedBy] = (totals.byCollector[certificate.generatedBy] || 0) + amountPaise;
+}
+
+// Totals added up in paise, given back in rupees
+function inRupees(totals) {
+    const rupeesOf = amounts => Object.fromEntries(Object.entries(amounts).map(([key, paise]) => [key, toRupees(paise)]));
+    return {
+        ...totals,
+        total: toRupees(totals.total),
+        byMode: rupeesOf(totals.byMode),
+        byCollector: rupeesOf(totals.byCollector),
+        voided: { receipts: totals.voided.receipts, amount: toRupees(totals.voided.amount) }
+    };
+}
+
+// Receipts issued from `from` to `to` (inclusive 'YYYY-MM-DD' dates), or by
+// `generatedBy` when given. Returns a totals entry per day with receipts,
+// newest first, the totals for the whole range and the cheques from it that
+// have not cleared yet.
+function dayBook(certificates, { from, to, generatedBy }) {
+    const inRange = certificates.filter(certificate => {
+        const date = localDate(certificate.generatedAt);
+        return date >= from && date <= to && (!generatedBy || certificate.generatedBy === generatedBy);
+    });
+    const days = {};
+    const overall = emptyTotals();
+    inRange.forEach(certificate => {
+        const date = localDate(certificate.generatedAt);
+        if (!days[date]) days[date] = { date: date, ...emptyTotals() };
+        addReceipt(days[date], certificate);
+        addReceipt(overall, certificate);
+    });
+    const pendingCheques = inRange
+        .filter(certificate => certificate.paymentMode === 'cheque' && certificate.chequeStatus === 'pending' && !isVoided(certificate))
+        .map(certificate => ({
+            id: certificate.id,
+            receiptNumber: certificate.receiptNumber || null,
+            studentCode: certificate.studentCode,
+            studentName: certificate.studentName,
+            amount: certificate.amountPaid,
+            paymentReference: certificate.paymentReference,
+            issuedOn: localDate(certificate.generatedAt)
+        }));
+    return {
+        from: from,
+        to: to,
+        generatedBy: generatedBy || null,
+        days: Object.values(days).sort((a, b) => b.date.localeCompare(a.date)).map(inRupees),
+        totals: inRupees(overall),
+        pendingCheques: pendingCheques
+    };
+}
+
+module.exports = {
+    localDate,
+    dayBook
+};
@@ -0,0 +1,194 @@
+const { netOf, toPaise, toRupees } = require('./fees');
+
+// Concessions and late fines: the two ways a student's fee lines (see
+// fees.js) change after registration.
+//
+// A concession takes a percentage or a fixed amount off one head of one
+// student's fee, e.g. a sibling discount on tuition. It is requested by the
+// office and only counts once an admin approves it. Kept in data.concessions:
+//
+//   [{ id: 'CON_...', studentCode, academicYear, head: 'tuition',
+//      type: 'percentage' | 'fixed', value: 10, category: 'sibling', reason,
+//      status: 'pending' | 'approved' | 'rejected' | 'revoked',
+//      requestedBy, requestedAt, decidedBy, decidedAt, decisionNote,
+//      amount, applied: [{ installment, head, amountPaise }] }]
+//
+// Approving spreads the amount over the head's unpaid lines, latest
+// installment first, as each line's `concessionPaise`; `applied` records
+// where it went so revoking can take it back. A concession can only waive
+// what is still unpaid. `amount` is in rupees, as the receipt shows it.
+//
+// Late fines follow the `lateFine` rule of the student's fee structure:
+//
+//   lateFine: { flat: 100, perDay: 10, graceDays: 7, maxPerInstallment: 500 }
+//
+// Once an installment is past its due date and the grace days, it is fined
+// `flat` plus `perDay` for every further day, up to the cap, until its fee is
+// paid. The rule is in rupees; the fine is a line of its own in paise, due
+// with the installment:
+//
+//   { installment: 'Term 1', dueDate: '2025-06-15', head: 'late fee', amountPaise: 17000, paidPaise: 0, kind: 'fine' }
+//
+// Fines are brought up to date whenever data is read (see ledger.js), one
+// increase per day the fine grew, dated that day, and never go down, so what
+// was charged stays charged once the fee is paid.
+
+const CONCESSION_TYPES = ['percentage', 'fixed'];
+const CONCESSION_CATEGORIES = ['sibling', 'staff-ward', 'scholarship', 'merit', 'other'];
+const CONCESSION_STATUSES = ['pending', 'approved', 'rejected', 'revoked'];
+const FINE_HEAD = 'late fee';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function isFine(line) {
+    return line.kind === 'fine';
+}
+
+// The heads of a student's fee a concession can be given on
+function concessionHeads(lines) {
+    return [...new Set(lines.filter(line => !isFine(line)).map(line => line.head))];
+}
+
+function concessionPaise(lines, concession) {
+    if (concession.type === 'fixed') return toPaise(concession.value);
+    const headTotal = lines.filter(line => !isFine(line) && line.head === concession.head).reduce((sum, line) => sum + line.amountPaise, 0);
+    return Math.round(headTotal * concession.value / 100);
+}
+
+// Returns { lines, amountPaise, applied }, or { error } when the head has
+// too little left unpaid
+function applyConcession(lines, concession) {
+    const updated = lines.map(line => ({ ...line }));
+    const amountPaise = concessionPaise(updated, concession);
+    const order = updated.map((line, index) => index)
+        .filter(index => !isFine(updated[index]) && updated[index].head === concession.head)
+        .sort((a, b) => updated[b].dueDate.localeCompare(updated[a].dueDate) || b - a);
+    const unpaid = order.reduce((sum, index) => sum + netOf(updated[index]) - updated[index].paidPaise, 0);
+    if (amountPaise > unpaid) {
+        return { error: `is ₹${toRupees(amountPaise)} but only ₹${toRupees(unpaid)} of ${concession.head} is unpaid` };
+    }
+    const applied = [];
+    let remaining = amountPaise;
+    order.forEach(index => {
+        const line = updated[index];
+        const share = Math.min(remaining, netOf(line) - line.paidPaise);
+        if (share <= 0) return;
+        line.concessionPaise = (line.concessionPaise || 0) + share;
+        remaining -= share;
+        applied.push({ installment: line.installment, head: line.head, amountPaise: share });
+    });
+    return { lines: updated, amountPaise, applied };
+}
+
+function removeConcession(lines, applied) {
+    const updated = lines.map(line => ({ ...line }));
+    applied.forEach(entry => {
+        const line = updated.find(candidate => !isFine(candidate) && candidate.installment === entry.installment && candidate.head === entry.head);
+        if (!line) return;
+        line.concessionPaise = Math.max((line.concessionPaise || 0) - entry.amountPaise, 0);
+        if (line.concessionPaise === 0) delete line.concessionPaise;
+    });
+    return updated;
+}
+
+function daysBetween(from, to) {
+    return Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / DAY_MS);
+}
+
+function addDays(date, days) {
+    return new Date(Date.parse(`${date}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+// The fine, in paise, once an installment is `daysLate` days past its grace days
+function fineAfter(rule, daysLate) {
+    if (daysLate <= 0) return 0;
+    const fine = toPaise(rule.flat || 0) + toPaise(rule.perDay || 0) * daysLate;
+    return rule.maxPerInstallment === undefined ? fine : Math.min(fine, toPaise(rule.maxPerInstallment));
+}
+
+// The fine, in paise, for an installment due on `dueDate` that is still
+// unpaid on `today`
+function fineFor(rule, dueDate, today) {
+    return fineAfter(rule, daysBetween(dueDate, today) - (rule.graceDays || 0));
+}
+
+// How an installment's fine grows from the `finedPaise` already charged to
+// what it is on `today`: one { date, amountPaise } for each day it rose
+function fineIncreases(rule, dueDate, finedPaise, today) {
+    const graceDays = rule.graceDays || 0;
+    const target = fineAfter(rule, daysBetween(dueDate, today) - graceDays);
+    const flat = toPaise(rule.flat || 0);
+    const perDay = toPaise(rule.perDay || 0);
+    // The first day the fine is above what has been charged
+    let daysLate = perDay > 0 && finedPaise >= flat + perDay ? Math.floor((finedPaise - flat) / perDay) + 1 : 1;
+    let fined = finedPaise;
+    const increases = [];
+    while (fined < target) {
+        const fine = fineAfter(rule, daysLate);
+        if (fine > fined) {
+            increases.push({ date: addDays(dueDate, graceDays + daysLate), amountPaise: fine - fined });
+            fined = fine;
+        }
+        daysLate++;
+    }
+    return increases;
+}
+
+// Brings each unpaid installment's fine up to date on `today`. Returns the
+// updated lines and the increases: [{ installment, head, date, amountPaise }]
+function accrueLateFines(lines, rule, today) {
+    if (!rule) return { lines, increases: [] };
+    const updated = lines.map(line => ({ ...line }));
+    const increases = [];
+    const installments = [...new Set(updated.filter(line => !isFine(line)).map(line => line.installment))];
+    installments.forEach(installment => {
+        const feeLines = updated.filter(line => !isFine(line) && line.installment === installment);
+        const unpaid = feeLines.reduce((sum, line) => sum + netOf(line) - line.paidPaise, 0);
+        if (unpaid <= 0) return;
+        let fineLine = updated.find(line => isFine(line) && line.installment === installment);
+        const added = fineIncreases(rule, feeLines[0].dueDate, fineLine ? fineLine.amountPaise : 0, today);
+        if (added.length === 0) return;
+        if (!fineLine) {
+            fineLine = { installment, dueDate: feeLines[0].dueDate, head: FINE_HEAD, amountPaise: 0, paidPaise: 0, kind: 'fine' };
+            updated.push(fineLine);
+        }
+        added.forEach(increase => {
+            fineLine.amountPaise += increase.amountPaise;
+            increases.push({ installment, head: FINE_HEAD, ...increase });
+        });
+    });
+    return { lines: updated, increases };
+}
+
+// The concessions and fines on a student's fee, as a receipt lists them (in
+// rupees)
+function adjustmentsOf(lines, concessions) {
+    return [
+        ...concessions.map(concession => ({
+            kind: 'concession',
+            head: concession.head,
+            description: `${concession.category} concession` + (concession.type === 'percentage' ? ` (${concession.value}%)` : ''),
+            amount: concession.amount
+        })),
+        ...lines.filter(isFine).map(line => ({
+            kind: 'fine',
+            head: line.head,
+            description: `Late fee on ${line.installment}`,
+            amount: toRupees(line.amountPaise)
+        }))
+    ];
+}
+
+module.exports = {
+    CONCESSION_TYPES,
+    CONCESSION_CATEGORIES,
+    CONCESSION_STATUSES,
+    FINE_HEAD,
+    isFine,
+    concessionHeads,
+    applyConcession,
+    removeConcession,
+    fineFor,
+    fineIncreases,
+    accrueLateFines,
+    adjustmentsOf
+};
@@ -0,0 +1,239 @@
+// Fee structures: what a class pays in an academic year, by head, and the
+// installments it is paid in. Stored in data.feeStructures:
+//
+//   [{ id: 'FS_...', classCode: '5', academicYear: '2025-26',
+//      heads: [{ head: 'tuition', amount: 12000 },
+//              { head: 'transport', amount: 6000, optional: true }],
+//      installments: [{ name: 'Term 1', dueDate: '2025-06-15', amounts: { tuition: 6000, transport: 3000 } },
+//                     { name: 'Term 2', dueDate: '2025-11-15', amounts: { tuition: 6000, transport: 3000 } }],
+//      updatedAt }]
+//
+// Optional heads are only charged to students who take them. Registration
+// turns the structure into the student's fee lines, one per installment and
+// head, kept on the student record:
+//
+//   feeLines: [{ installment: 'Term 1', dueDate: '2025-06-15', head: 'tuition', amountPaise: 600000, paidPaise: 0 }]
+//
+// Line amounts are whole paise, like the ledger's, so the lines add up to the
+// ledger exactly. A line may also carry a `concessionPaise`, the part of its
+// amount that is waived, and late fines are lines of their own with
+// kind: 'fine' (see feeAdjustments.js). What a line asks for is its amount
+// less its concession. The record's totalFee and currentDue come from the
+// student's fee ledger (see ledger.js) and the lines must add up to them.
+// Records from before structures existed have no lines.
+//
+// Every payment gets a receipt (a fee certificate) numbered in sequence
+// within its academic year: 2025-26/00001, 2025-26/00002, ... Receipts are
+// never deleted, only voided, so the sequence has no gaps. Voiding puts the
+// amount back on the student's due.
+//
+// Each receipt records how it was paid: the mode and, for anything but cash,
+// a reference (UPI transaction id, cheque number, bank UTR). A cheque stays
+// 'pending' until it is marked 'cleared' or 'bounced'; a bounced cheque
+// voids its receipt.
+
+const CARRIED_FORWARD = { installment: 'Carried forward', head: 'previous dues' };
+const RECEIPT_DIGITS = 5;
+const PAYMENT_MODES = ['cash', 'upi', 'cheque', 'bank-transfer'];
+const CHEQUE_STATUSES = ['pending', 'cleared', 'bounced'];
+
+function toPaise(rupees) {
+    return Math.round(rupees * 100);
+}
+
+function toRupees(paise) {
+    return paise / 100;
+}
+
+function headName(value) {
+    return String(value || '').trim().toLowerCase();
+}
+
+function findStructure(structures, classCode, academicYear) {
+    return structures.find(structure =>
+        String(structure.classCode).toLowerCase() === String(classCode).toLowerCase() && structure.academicYear === academicYear
+    ) || null;
+}
+
+// Rules a single field cannot express: unique heads and installments, and
+// installments that add up to each head's amount
+function checkStructure(structure) {
+    const errors = [];
+    if (!Array.isArray(structure.heads) || !Array.isArray(structure.installments)) return errors;
+    const names = structure.heads.map(head => head && head.head);
+    names.forEach((name, index) => {
+        if (names.indexOf(name) !== index) errors.push({ field: `heads[${index}].head`, message: `repeats "${name}"` });
+    });
+    const installmentNames = structure.installments.map(installment => installment && installment.name);
+    installmentNames.forEach((name, index) => {
+        if (installmentNames.indexOf(name) !== index) errors.push({ field: `installments[${index}].name`, message: `repeats "${name}"` });
+    });
+    structure.installments.forEach((installment, index) => {
+        Object.keys((installment && installment.amounts) || {}).forEach(name => {
+            if (!names.includes(name)) errors.push({ field: `installments[${index}].amounts.${name}`, message: 'is not one of the heads' });
+        });
+    });
+    structure.heads.forEach((head, index) => {
+        if (!head || typeof head.amount !== 'number') return;
+        const scheduled = structure.installments.reduce((sum, installment) =>
+            sum + toPaise(((installment && installment.amounts) || {})[head.head] || 0), 0);
+        if (scheduled !== toPaise(head.amount)) {
+            errors.push({ field: `heads[${index}].amount`, message: `is ${head.amount} but its installments add up to ${toRupees(scheduled)}` });
+        }
+    });
+    return errors;
+}
+
+// The lines a student owes under the structure, earliest installment first.
+// `optionalHeads` names the optional heads the student takes.
+function feeLinesFor(structure, optionalHeads = []) {
+    const taken = optionalHeads.map(headName);
+    const heads = structure.heads.filter(head => !head.optional || taken.includes(head.head));
+    const installments = [...structure.installments].sort((a, b) => a.dueDate.localeCompare(b.dueDate));
+    const lines = [];
+    installments.forEach(installment => {
+        heads.forEach(head => {
+            const amountPaise = toPaise(installment.amounts[head.head] || 0);
+            if (amountPaise > 0) {
+                lines.push({ installment: installment.name, dueDate: installment.dueDate, head: head.head, amountPaise: amountPaise, paidPaise: 0 });
+            }
+        });
+    });
+    return lines;
+}
+
+// What the line asks for once its concession is taken off, in paise
+function netOf(line) {
+    return line.amountPaise - (line.concessionPaise || 0);
+}
+
+function totalOf(lines) {
+    return lines.reduce((sum, line) => sum + netOf(line), 0);
+}
+
+function dueOf(lines) {
+    return lines.reduce((sum, line) => sum + netOf(line) - line.paidPaise, 0);
+}
+
+// Spreads a payment (in paise) over the lines, earliest due date first.
+// Returns the updated lines and what was paid against each.
+function allocatePayment(lines, amountPaise) {
+    const updated = lines.map(line => ({ ...line }));
+    const order = updated.map((line, index) => index)
+        .sort((a, b) => updated[a].dueDate.localeCompare(updated[b].dueDate) || a - b);
+    const allocations = [];
+    let remaining = amountPaise;
+    order.forEach(index => {
+        const line = updated[index];
+        const share = Math.min(remaining, netOf(line) - line.paidPaise);
+        if (share <= 0) return;
+        line.paidPaise += share;
+        remaining -= share;
+        allocations.push({ installment: line.installment, head: line.head, amountPaise: share });
+    });
+    return { lines: updated, allocations };
+}
+
+// Totals per head and per installment, with what is overdue on `today`
+// (a YYYY-MM-DD date) and the concessions and fines in them, in rupees
+function summarize(lines, today) {
+    const byHead = [];
+    const byInstallment = [];
+    lines.forEach(line => {
+        let head = byHead.find(entry => entry.head === line.head);
+        if (!head) {
+            head = { head: line.head, amount: 0, concession: 0, paid: 0, due: 0 };
+            byHead.push(head);
+        }
+        let installment = byInstallment.find(entry => entry.installment === line.installment);
+        if (!installment) {
+            installment = { installment: line.installment, dueDate: line.dueDate, amount: 0, concession: 0, paid: 0, due: 0, overdue: false };
+            byInstallment.push(installment);
+        }
+        [head, installment].forEach(entry => {
+            entry.amount += line.amountPaise;
+            entry.concession += line.concessionPaise || 0;
+            entry.paid += line.paidPaise;
+            entry.due = entry.amount - entry.concession - entry.paid;
+        });
+    });
+    byInstallment.forEach(installment => {
+        installment.overdue = installment.due > 0 && !!today && installment.dueDate < today;
+    });
+    const overdue = byInstallment.filter(installment => installment.overdue).reduce((sum, installment) => sum + installment.due, 0);
+    const concessions = lines.reduce((sum, line) => sum + (line.concessionPaise || 0), 0);
+    const fines = lines.filter(line => line.kind === 'fine').reduce((sum, line) => sum + line.amountPaise, 0);
+    [...byHead, ...byInstallment].forEach(entry => {
+        ['amount', 'concession', 'paid', 'due'].forEach(field => { entry[field] = toRupees(entry[field]); });
+    });
+    return {
+        byHead,
+        byInstallment,
+        overdue: toRupees(overdue),
+        concessions: toRupees(concessions),
+        fines: toRupees(fines)
+    };
+}
+
+// Undoes a payment's allocations, e.g. when its receipt is voided
+function reverseAllocations(lines, allocations) {
+    const updated = lines.map(line => ({ ...line }));
+    allocations.forEach(allocation => {
+        const line = updated.find(candidate => candidate.installment === allocation.installment && candidate.head === allocation.head);
+        if (line) line.paidPaise = Math.max(line.paidPaise - allocation.amountPaise, 0);
+    });
+    return updated;
+}
+
+function isCarriedForward(line) {
+    return line.installment === CARRIED_FORWARD.installment && line.head === CARRIED_FORWARD.head;
+}
+
+// The line for dues (in paise) brought over from the previous year, payable
+// when the new year starts
+function carriedForwardLine(amountPaise, academicYear) {
+    return { ...CARRIED_FORWARD, dueDate: `${academicYear.slice(0, 4)}-06-01`, amountPaise: amountPaise, paidPaise: 0 };
+}
+
+function nextReceiptSequence(certificates, academicYear) {
+    return certificates.reduce((highest, certificate) =>
+        certificate.academicYear === academicYear && certificate.receiptSequence ? Math.max(highest, certificate.receiptSequence) : highest, 0) + 1;
+}
+
+function formatReceiptNumber(academicYear, sequence) {
+    return `${academicYear}/${String(sequence).padStart(RECEIPT_DIGITS, '0')}`;
+}
+
+function isVoided(certificate) {
+    return certificate.status === 'voided';
+}
+
+// A student record's lines must add up to its totalFee and currentDue
+function checkFeeLines(lines, record) {
+    if (totalOf(lines) !== toPaise(record.totalFee)) return 'must add up to totalFee';
+    if (dueOf(lines) !== toPaise(record.currentDue)) return 'must leave currentDue unpaid';
+    return null;
+}
+
+module.exports = {
+    PAYMENT_MODES,
+    CHEQUE_STATUSES,
+    toPaise,
+    toRupees,
+    headName,
+    findStructure,
+    checkStructure,
+    feeLinesFor,
+    netOf,
+    totalOf,
+    dueOf,
+    allocatePayment,
+    reverseAllocations,
+    summarize,
+    carriedForwardLine,
+    isCarriedForward,
+    nextReceiptSequence,
+    formatReceiptNumber,
+    isVoided,
+    checkFeeLines
+};
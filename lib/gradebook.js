@@ -0,0 +1,171 @@
+// Grading schemes and the marks arithmetic for progress cards. A scheme
+// applies to one class and exam type, or to every class ('all') and/or every
+// exam type ('all'); the most specific one wins:
+//
+//   data.gradingSchemes = [{
+//     id, classCode: '10', examType: 'Final',
+//     passPercentage: 33,                                   // per subject, unless it sets passMarks
+//     subjects: { Mathematics: { maxMarks: 100, passMarks: 35 } },   // {} accepts any subjects
+//     bands: [{ grade: 'A1', minPercentage: 91 }, ..., { grade: 'E', minPercentage: 0 }],
+//     updatedAt
+//   }]
+//
+// Cards store what was computed from the marks: subject and overall
+// percentages, letter grades, pass/fail and the rank within the class and exam.
+
+const ALL = 'all';
+
+const DEFAULT_SCHEME = {
+    id: 'default',
+    classCode: ALL,
+    examType: ALL,
+    passPercentage: 35,
+    subjects: {},
+    bands: [
+        { grade: 'A1', minPercentage: 91 },
+        { grade: 'A2', minPercentage: 81 },
+        { grade: 'B1', minPercentage: 71 },
+        { grade: 'B2', minPercentage: 61 },
+        { grade: 'C1', minPercentage: 51 },
+        { grade: 'C2', minPercentage: 41 },
+        { grade: 'D', minPercentage: 35 },
+        { grade: 'E', minPercentage: 0 }
+    ]
+};
+
+function sameName(a, b) {
+    return String(a).trim().toLowerCase() === String(b).trim().toLowerCase();
+}
+
+function findScheme(schemes, classCode, examType) {
+    const score = scheme => (scheme.classCode === ALL ? 0 : 2) + (scheme.examType === ALL ? 0 : 1);
+    const matching = schemes.filter(scheme =>
+        (scheme.classCode === ALL || scheme.classCode === classCode) &&
+        (scheme.examType === ALL || sameName(scheme.examType, examType))
+    );
+    matching.sort((a, b) => score(b) - score(a));
+    return matching[0] || DEFAULT_SCHEME;
+}
+
+// Two decimals, cut rather than rounded, so only full marks show as 100%.
+// The ratio is rounded to six places first, so that float error in e.g.
+// 99.99 / 100 cannot cut it down to 99.98.
+function percentageOf(obtained, maximum) {
+    return maximum > 0 ? Math.floor(Math.round((obtained / maximum) * 1000000) / 100) / 100 : 0;
+}
+
+function gradeFor(scheme, percentage) {
+    const band = [...scheme.bands]
+        .sort((a, b) => b.minPercentage - a.minPercentage)
+        .find(candidate => percentage >= candidate.minPercentage);
+    return band ? band.grade : null;
+}
+
+// Errors for bands that cannot grade every percentage, e.g. no band from 0
+function checkBands(bands) {
+    const errors = [];
+    const minimums = bands.map(band => band.minPercentage);
+    if (!minimums.includes(0)) {
+        errors.push({ field: 'bands', message: 'must include a band starting at 0' });
+    }
+    if (new Set(minimums).size !== minimums.length) {
+        errors.push({ field: 'bands', message: 'must not have two bands starting at the same percentage' });
+    }
+    if (new Set(bands.map(band => band.grade)).size !== bands.length) {
+        errors.push({ field: 'bands', message: 'must not repeat a grade' });
+    }
+    return errors;
+}
+
+// Works out a card from { [subject]: { maxMarks, obtainedMarks } } under the
+// scheme. A scheme with subjects fixes which subjects the card has and their
+// maximum marks; the card's own maxMarks are ignored for those. Returns the
+// computed fields and any { field, message } errors.
+function computeMarks(scheme, marks) {
+    const errors = [];
+    const subjects = {};
+    let totalMarks = 0;
+    let obtainedMarks = 0;
+    const failedSubjects = [];
+    const fixedSubjects = Object.keys(scheme.subjects);
+
+    fixedSubjects.forEach(subject => {
+        if (!Object.keys(marks).some(name => sameName(name, subject))) {
+            errors.push({ field: `subjects.${subject}`, message: 'is required by the grading scheme' });
+        }
+    });
+    Object.keys(marks).forEach(name => {
+        const entry = marks[name];
+        // Malformed marks are kept as sent for the schema to report
+        if (!entry || typeof entry !== 'object') {
+            subjects[name] = entry;
+            return;
+        }
+        const fixedName = fixedSubjects.find(subject => sameName(subject, name));
+        if (fixedSubjects.length > 0 && !fixedName) {
+            errors.push({ field: `subjects.${name}`, message: 'is not a subject in the grading scheme' });
+            return;
+        }
+        const subjectRule = fixedName ? scheme.subjects[fixedName] : {};
+        const maxMarks = fixedName ? subjectRule.maxMarks : entry.maxMarks;
+        if (typeof maxMarks !== 'number' || typeof entry.obtainedMarks !== 'number' || maxMarks <= 0) {
+            subjects[fixedName || name] = { maxMarks: maxMarks, obtainedMarks: entry.obtainedMarks };
+            return;
+        }
+        const percentage = percentageOf(entry.obtainedMarks, maxMarks);
+        const passMarks = subjectRule.passMarks !== undefined
+            ? subjectRule.passMarks
+            : Math.ceil((maxMarks * scheme.passPercentage) / 100);
+        const passed = entry.obtainedMarks >= passMarks;
+        subjects[fixedName || name] = {
+            maxMarks: maxMarks,
+            obtainedMarks: entry.obtainedMarks,
+            percentage: percentage,
+            grade: gradeFor(scheme, percentage),
+            passed: passed
+        };
+        if (!passed) failedSubjects.push(fixedName || name);
+        totalMarks += maxMarks;
+        obtainedMarks += entry.obtainedMarks;
+    });
+
+    const percentage = percentageOf(obtainedMarks, totalMarks);
+    return {
+        errors,
+        marks: {
+            subjects,
+            totalMarks,
+            obtainedMarks,
+            percentage,
+            grade: gradeFor(scheme, percentage),
+            result: failedSubjects.length === 0 ? 'pass' : 'fail',
+            failedSubjects,
+            schemeId: scheme.id
+        }
+    };
+}
+
+// Ranks the cards of one exam by percentage, best first. Equal percentages
+// share a rank and the next rank is skipped (1, 2, 2, 4).
+function rankCards(cards, examType) {
+    const ranked = cards
+        .filter(card => sameName(card.examType, examType) && typeof card.percentage === 'number')
+        .sort((a, b) => b.percentage - a.percentage);
+    ranked.forEach((card, index) => {
+        card.rank = index > 0 && ranked[index - 1].percentage === card.percentage ? ranked[index - 1].rank : index + 1;
+        card.rankOutOf = ranked.length;
+    });
+    return ranked;
+}
+
+module.exports = {
+    ALL,
+    DEFAULT_SCHEME,
+    sameName,
+    findScheme,
+    percentageOf,
+    gradeFor,
+    checkBands,
+    computeMarks,
+    rankCards
+};
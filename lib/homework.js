@@ -0,0 +1,68 @@
+// Work students hand in against homework posts
+// (data.facultyPosts[classCode].homework), kept per post in
+// data.homeworkSubmissions:
+//
+//   { [postId]: [{ postId, studentCode, classCode, file, fileName, submittedAt,
+//                  submissionCount, status: 'submitted' | 'accepted' | 'redo',
+//                  mark, outOf, feedback, reviewedBy, reviewedAt }] }
+//
+// `file` is the name the work is stored under in homework-submissions/; it
+// is only sent out through the API, to the student, their parents and the
+// class's teachers.
+//
+// A student may hand in again until the work is accepted. The new file
+// replaces the old one and the status goes back to 'submitted', while the
+// last feedback stays visible until the teacher reviews it again.
+//
+// A homework post's expiryDate only decides how long students see it and
+// can hand in. The post stays in data.facultyPosts until rollover archives
+// the year, so what was handed in can still be reviewed.
+
+const STATUSES = ['submitted', 'accepted', 'redo'];
+const REVIEW_STATUSES = ['accepted', 'redo'];
+const DEFAULT_OUT_OF = 10;
+
+// The homework post with the id and the class it was set for, or null
+function findHomeworkPost(facultyPosts, postId) {
+    for (const classCode of Object.keys(facultyPosts || {})) {
+        const post = ((facultyPosts[classCode] || {}).homework || []).find(candidate => candidate.id == postId);
+        if (post) return { post, classCode };
+    }
+    return null;
+}
+
+function isVisible(post, now = new Date()) {
+    return !post.expiryDate || new Date(post.expiryDate) > now;
+}
+
+function canHandIn(submission) {
+    return !submission || submission.status !== 'accepted';
+}
+
+// `roster` is [{ studentCode, studentName, studentRoll }] for the class. Each
+// student comes back with their submission or null, plus the counts.
+function rosterStatus(roster, submissions) {
+    const students = roster.map(student => ({
+        ...student,
+        submission: submissions.find(submission => submission.studentCode === String(student.studentCode).toUpperCase()) || null
+    }));
+    const handedIn = students.filter(student => student.submission);
+    return {
+        students: students,
+        submitted: handedIn.length,
+        missing: students.length - handedIn.length,
+        accepted: handedIn.filter(student => student.submission.status === 'accepted').length,
+        redo: handedIn.filter(student => student.submission.status === 'redo').length,
+        toReview: handedIn.filter(student => student.submission.status === 'submitted').length
+    };
+}
+
+module.exports = {
+    STATUSES,
+    REVIEW_STATUSES,
+    DEFAULT_OUT_OF,
+    findHomeworkPost,
+    isVisible,
+    canHandIn,
+    rosterStatus
+};
@@ -0,0 +1,228 @@
+const { localDate } = require('./dayBook');
+const { isCarriedForward, toPaise, toRupees } = require('./fees');
+const { isFine, accrueLateFines } = require('./feeAdjustments');
+
+// The fee ledger: every change to what a student owes, kept per student code
+// in data.feeLedger and never edited once posted:
+//
+//   { [studentCode]: [{ id: 'LED_...', studentCode, academicYear, type: 'charge',
+//                       amountPaise: 600000, description: 'Term 1 tuition',
+//                       installment, head, reference, reverses, postedAt, postedBy }] }
+//
+// Amounts are whole paise, so sums are exact. A positive amount adds to the
+// due and a negative one takes from it:
+//
+//   charge         the fee itself, one entry per fee line         +
+//   fine           a late fine, or its increase                   +
+//   carry-forward  dues brought over from the previous year       +
+//   concession     an approved concession                         -
+//   payment        a receipt                                      -
+//   reversal       undoes the entry in `reverses`, e.g. a voided
+//                  receipt or a revoked concession             either
+//
+// A student record's currentDue is the sum of its ledger entries for the
+// record's academic year and totalFee is that plus what has been paid; both
+// are worked out afresh whenever data is read, after late fines have been
+// brought up to date. Each day a fine grows is posted as its own entry dated
+// that day (midnight, server time), so a statement's running balance rises
+// when the fine accrued rather than when it was noticed. Balances never run
+// across academic years: rolling over moves the ledger to the student's new code,
+// as it does their receipts, and starts the new year with a carry-forward
+// entry, leaving the old year's entries as they were when it closed.
+
+const ENTRY_TYPES = ['charge', 'fine', 'carry-forward', 'concession', 'payment', 'reversal'];
+
+function entriesOf(feeLedger, studentCode) {
+    if (!feeLedger[studentCode]) feeLedger[studentCode] = [];
+    return feeLedger[studentCode];
+}
+
+// Appends an entry and returns it. Ids carry the student code, so no two
+// students' entries share one.
+function post(feeLedger, studentCode, { academicYear, type, amountPaise, description, installment, head, reference, reverses, postedAt, postedBy }) {
+    const entries = entriesOf(feeLedger, studentCode);
+    const entry = {
+        id: `LED_${studentCode}_${Date.parse(postedAt)}_${entries.length + 1}`,
+        studentCode: studentCode,
+        academicYear: academicYear,
+        type: type,
+        amountPaise: amountPaise,
+        description: description,
+        postedAt: postedAt
+    };
+    if (installment) entry.installment = installment;
+    if (head) entry.head = head;
+    if (reference) entry.reference = reference;
+    if (reverses) entry.reverses = reverses;
+    if (postedBy) entry.postedBy = postedBy;
+    entries.push(entry);
+    return entry;
+}
+
+// The latest entry of the type posted for `reference` that has not been
+// reversed yet, or null
+function findOpen(entries, type, reference) {
+    const reversed = new Set(entries.filter(entry => entry.type === 'reversal').map(entry => entry.reverses));
+    return [...entries].reverse().find(entry => entry.type === type && entry.reference === reference && !reversed.has(entry.id)) || null;
+}
+
+function balancePaise(entries) {
+    return entries.reduce((sum, entry) => sum + entry.amountPaise, 0);
+}
+
+// What has been paid, net of voided receipts
+function paidPaise(entries) {
+    const payments = new Set(entries.filter(entry => entry.type === 'payment').map(entry => entry.id));
+    return entries
+        .filter(entry => entry.type === 'payment' || (entry.type === 'reversal' && payments.has(entry.reverses)))
+        .reduce((sum, entry) => sum - entry.amountPaise, 0);
+}
+
+function ofYear(entries, academicYear) {
+    return entries.filter(entry => entry.academicYear === academicYear);
+}
+
+// totalFee, currentDue and totalPaid for the academic year, in rupees
+function figures(entries, academicYear) {
+    const balance = balancePaise(ofYear(entries, academicYear));
+    const paid = paidPaise(ofYear(entries, academicYear));
+    return { totalFee: toRupees(balance + paid), currentDue: toRupees(balance), totalPaid: toRupees(paid) };
+}
+
+// The entries that charge a student's fee lines (see fees.js), to post when
+// the lines are first set
+function chargeEntries(lines, postedAt) {
+    return lines.map(line => ({
+        type: isFine(line) ? 'fine' : isCarriedForward(line) ? 'carry-forward' : 'charge',
+        amountPaise: line.amountPaise,
+        description: isCarriedForward(line) ? 'Dues brought forward' : `${line.installment}: ${line.head}`,
+        installment: line.installment,
+        head: line.head,
+        postedAt: postedAt
+    }));
+}
+
+// Entries for a student record from before the ledger, so that it opens
+// with the totals the record had
+function openingEntries(record, postedAt) {
+    const carried = toPaise(record.carriedForwardDue || 0);
+    const total = toPaise(record.totalFee || 0);
+    const paid = total - toPaise(record.currentDue || 0);
+    const base = { academicYear: record.academicYear, postedAt: postedAt };
+    const entries = [];
+    if (carried > 0) entries.push({ ...base, type: 'carry-forward', amountPaise: carried, description: 'Dues brought forward' });
+    if (total - carried !== 0) entries.push({ ...base, type: 'charge', amountPaise: total - carried, description: 'Fee on record before the ledger' });
+    if (paid !== 0) entries.push({ ...base, type: 'payment', amountPaise: -paid, description: 'Paid before the ledger' });
+    return entries;
+}
+
+// Opens the ledger of records from before it and sets each record's
+// totalFee and currentDue from its entries. Mutates both.
+function deriveBalances(feeLedger, studentMasterRecords) {
+    Object.values(studentMasterRecords).forEach(record => {
+        const entries = entriesOf(feeLedger, record.studentCode);
+        if (ofYear(entries, record.academicYear).length === 0) {
+            const postedAt = record.registeredDate || record.lastUpdated || new Date().toISOString();
+            openingEntries(record, postedAt).forEach(entry => post(feeLedger, record.studentCode, entry));
+        }
+        const { totalFee, currentDue } = figures(entries, record.academicYear);
+        record.totalFee = totalFee;
+        record.currentDue = currentDue;
+    });
+}
+
+function localMidnight(date) {
+    return new Date(`${date}T00:00:00`).toISOString();
+}
+
+// Brings the late fines of every record with fee lines up to date on `today`
+// (a 'YYYY-MM-DD' date) under the lateFine rule of the structure the record
+// was registered on, posting each day's increase, and resets the record's
+// totals. Mutates the ledger and the records.
+function accrueFines(feeLedger, studentMasterRecords, feeStructures, today) {
+    Object.values(studentMasterRecords).forEach(record => {
+        if (!record.feeLines || !record.feeStructureId) return;
+        const structure = feeStructures.find(candidate => candidate.id === record.feeStructureId);
+        if (!structure || !structure.lateFine) return;
+        const { lines, increases } = accrueLateFines(record.feeLines, structure.lateFine, today);
+        if (increases.length === 0) return;
+        record.feeLines = lines;
+        // A fine never predates the fee it is on: for a student registered
+        // after an installment fell due, what accrued before is posted as one
+        // entry when they were registered
+        const registered = record.registeredDate ? new Date(record.registeredDate).toISOString() : '';
+        const entries = [];
+        increases.forEach(increase => {
+            const accruedAt = localMidnight(increase.date);
+            const postedAt = accruedAt < registered ? registered : accruedAt;
+            const previous = entries[entries.length - 1];
+            if (previous && previous.installment === increase.installment && previous.postedAt === postedAt) {
+                previous.amountPaise += increase.amountPaise;
+                return;
+            }
+            entries.push({
+                academicYear: record.academicYear,
+                type: 'fine',
+                amountPaise: increase.amountPaise,
+                description: `Late fee on ${increase.installment}`,
+                installment: increase.installment,
+                head: increase.head,
+                postedAt: postedAt
+            });
+        });
+        entries.forEach(entry => post(feeLedger, record.studentCode, entry));
+        const { totalFee, currentDue } = figures(entriesOf(feeLedger, record.studentCode), record.academicYear);
+        record.totalFee = totalFee;
+        record.currentDue = currentDue;
+    });
+}
+
+// The academic year's entries posted from `from` to `to` (inclusive
+// 'YYYY-MM-DD' dates, in the server's local time zone, either may be left
+// out) with the balance after each, the balance brought into the range and
+// the totals per type, all in rupees
+function statement(entries, { academicYear, from, to }) {
+    const sorted = ofYear(entries, academicYear).sort((a, b) => a.postedAt.localeCompare(b.postedAt));
+    const before = sorted.filter(entry => from && localDate(entry.postedAt) < from);
+    const inRange = sorted.filter(entry => (!from || localDate(entry.postedAt) >= from) && (!to || localDate(entry.postedAt) <= to));
+    const totals = {};
+    ENTRY_TYPES.forEach(type => { totals[type] = 0; });
+    let running = balancePaise(before);
+    const openingBalance = running;
+    const lines = inRange.map(entry => {
+        running += entry.amountPaise;
+        totals[entry.type] += entry.amountPaise;
+        return {
+            ...entry,
+            amount: toRupees(entry.amountPaise),
+            debit: entry.amountPaise > 0 ? toRupees(entry.amountPaise) : 0,
+            credit: entry.amountPaise < 0 ? toRupees(-entry.amountPaise) : 0,
+            balance: toRupees(running)
+        };
+    });
+    Object.keys(totals).forEach(type => { totals[type] = toRupees(totals[type]); });
+    return {
+        academicYear: academicYear,
+        from: from || null,
+        to: to || null,
+        openingBalance: toRupees(openingBalance),
+        entries: lines,
+        closingBalance: toRupees(running),
+        totals: totals
+    };
+}
+
+module.exports = {
+    ENTRY_TYPES,
+    entriesOf,
+    post,
+    findOpen,
+    balancePaise,
+    ofYear,
+    figures,
+    chargeEntries,
+    openingEntries,
+    deriveBalances,
+    accrueFines,
+    statement
+};
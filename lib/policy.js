@@ -0,0 +1,230 @@
+// Route access policy. Every /api route must have an entry here: requests that
+// match no entry are refused, so a new route stays closed until it is given a
+// policy. `roles` lists who may call the route at all; the optional `check`
+// narrows that down to records the caller owns and is skipped for admins.
+
+const ALL_ROLES = ['admin', 'receptionist', 'faculty', 'student', 'parent'];
+
+function canTeachClass(user, classCode) {
+    if (user.role === 'admin') return true;
+    if (user.role !== 'faculty' || classCode === undefined || classCode === null) return false;
+    return String(classCode).toLowerCase() === String(user.classCode).toLowerCase();
+}
+
+function canAccessStudent(user, studentCode) {
+    if (['admin', 'receptionist'].includes(user.role)) return true;
+    if (!studentCode) return false;
+    const upperCode = String(studentCode).toUpperCase();
+    if (user.role === 'parent') return (user.linkedStudents || []).includes(upperCode);
+    return user.role === 'student' && user.code === upperCode;
+}
+
+function ownFacultyParam(name) {
+    return ({ user, params }) => user.role !== 'faculty' || user.code === String(params[name]).toUpperCase();
+}
+
+function ownStudentParam(name) {
+    return ({ user, params }) => !['student', 'parent'].includes(user.role) || canAccessStudent(user, params[name]);
+}
+
+function ownClassIn(source, name) {
+    return ({ user, params, body }) => {
+        const classCode = (source === 'params' ? params : body || {})[name];
+        if (user.role === 'faculty') return canTeachClass(user, classCode);
+        if (user.role === 'student') return String(classCode).toLowerCase() === String(user.classCode).toLowerCase();
+        if (user.role === 'parent') return (user.linkedClasses || []).includes(String(classCode).toLowerCase());
+        return true;
+    };
+}
+
+const POLICIES = [
+    { method: 'GET', path: '/api/auth/me', roles: ALL_ROLES },
+    { method: 'POST', path: '/api/auth/logout', roles: ALL_ROLES },
+    { method: 'POST', path: '/api/auth/change-password', roles: ALL_ROLES },
+
+    { method: 'POST', path: '/api/admin/notifications', roles: ['admin'] },
+    { method: 'GET', path: '/api/admin/notifications', roles: ['admin'] },
+    { method: 'DELETE', path: '/api/admin/notifications/:notificationId', roles: ['admin'] },
+    { method: 'DELETE', path: '/api/admin/delete-all-notifications', roles: ['admin'] },
+    { method: 'GET', path: '/api/faculty/:facultyCode/notifications', roles: ['admin', 'faculty'], check: ownFacultyParam('facultyCode') },
+    { method: 'GET', path: '/api/student/notifications/:studentCode', roles: ['admin', 'student', 'parent'], check: ownStudentParam('studentCode') },
+    { method: 'POST', path: '/api/notifications/:notificationId/read', roles: ALL_ROLES },
+    { method: 'POST', path: '/api/notifications/read-all', roles: ALL_ROLES },
+
+    { method: 'GET', path: '/api/data', roles: ['admin', 'faculty', 'student'] },
+    {
+        method: 'GET',
+        path: '/api/history/:userType/:userCode?',
+        roles: ['admin', 'receptionist', 'faculty'],
+        check: ({ user, params }) => {
+            if (user.role === 'receptionist') return params.userType === 'receptionist';
+            return params.userType === 'faculty' && String(params.userCode).toUpperCase() === user.code;
+        }
+    },
+
+    // Multipart body: the class is checked in the route once multer has parsed it
+    { method: 'POST', path: '/api/faculty-posts', roles: ['admin', 'faculty'] },
+    // Multipart body: the homework post is looked up in the student's class in the route
+    { method: 'POST', path: '/api/homework-submissions', roles: ['student'] },
+    // The post's class is checked in the route
+    { method: 'GET', path: '/api/homework-submissions/:postId', roles: ['admin', 'faculty'] },
+    { method: 'PUT', path: '/api/homework-submissions/:postId/:studentCode', roles: ['admin', 'faculty'] },
+    { method: 'GET', path: '/api/homework-submissions/:postId/:studentCode/file', roles: ['admin', 'faculty', 'student', 'parent'], check: ownStudentParam('studentCode') },
+    { method: 'POST', path: '/api/create-assignment', roles: ['admin', 'faculty'], check: ownClassIn('body', 'classCode') },
+    { method: 'DELETE', path: '/api/delete-assignment/:assignmentId', roles: ['admin', 'faculty'] },
+    { method: 'POST', path: '/api/submit-assignment', roles: ['student'], check: ownClassIn('body', 'classCode') },
+    { method: 'GET', path: '/api/assignments/:classCode', roles: ['admin', 'faculty', 'student', 'parent'], check: ownClassIn('params', 'classCode') },
+    { method: 'GET', path: '/api/assignment-results/:assignmentId', roles: ['admin', 'faculty', 'student', 'parent'] },
+    // The student's class is taken from their code in the route
+    { method: 'POST', path: '/api/assignments/:assignmentId/start', roles: ['student'] },
+    { method: 'GET', path: '/api/assignment-attempts/:assignmentId', roles: ['admin', 'faculty', 'student', 'parent'] },
+    // Grading and analytics check the assignment's class in the route
+    { method: 'POST', path: '/api/assignment-results/:assignmentId/grade', roles: ['admin', 'faculty'] },
+    { method: 'GET', path: '/api/assignment-results/:assignmentId/analytics', roles: ['admin', 'faculty'] },
+    { method: 'GET', path: '/api/grading-queue/:classCode', roles: ['admin', 'faculty'], check: ownClassIn('params', 'classCode') },
+    // Faculty work only with their own bank; the routes check ownership
+    { method: 'GET', path: '/api/question-bank', roles: ['admin', 'faculty'] },
+    { method: 'POST', path: '/api/question-bank', roles: ['faculty'] },
+    { method: 'PUT', path: '/api/question-bank/:questionId', roles: ['faculty'] },
+    { method: 'DELETE', path: '/api/question-bank/:questionId', roles: ['admin', 'faculty'] },
+
+    { method: 'POST', path: '/api/create-progress-card', roles: ['admin', 'faculty'], check: ownClassIn('body', 'classCode') },
+    { method: 'DELETE', path: '/api/delete-progress-card/:cardId', roles: ['admin', 'faculty'], check: ownClassIn('body', 'classCode') },
+    { method: 'GET', path: '/api/grading-schemes', roles: ['admin', 'faculty'] },
+    { method: 'PUT', path: '/api/grading-schemes', roles: ['admin'] },
+    { method: 'POST', path: '/api/grading-schemes/regrade', roles: ['admin'] },
+    { method: 'DELETE', path: '/api/grading-schemes/:schemeId', roles: ['admin'] },
+    { method: 'GET', path: '/api/gradebook/:classCode', roles: ['admin', 'faculty'], check: ownClassIn('params', 'classCode') },
+    { method: 'GET', path: '/api/progress-cards/:classCode', roles: ['admin', 'faculty', 'student', 'parent'], check: ownClassIn('params', 'classCode') },
+
+    { method: 'POST', path: '/api/post-monthly-attendance', roles: ['admin', 'faculty'], check: ownClassIn('body', 'classCode') },
+    { method: 'GET', path: '/api/monthly-attendance/:classCode', roles: ['admin', 'faculty'], check: ownClassIn('params', 'classCode') },
+    { method: 'DELETE', path: '/api/delete-monthly-attendance/:recordId', roles: ['admin', 'faculty'] },
+    { method: 'POST', path: '/api/monthly-attendance/bulk', roles: ['admin', 'faculty'], check: ownClassIn('body', 'classCode') },
+    // Multipart body: the class is checked in the route once multer has parsed it
+    { method: 'POST', path: '/api/monthly-attendance/import', roles: ['admin', 'faculty'] },
+    { method: 'GET', path: '/api/school-calendar', roles: ALL_ROLES },
+    { method: 'PUT', path: '/api/school-calendar', roles: ['admin'] },
+    { method: 'GET', path: '/api/attendance-register/:classCode', roles: ['admin', 'faculty'], check: ownClassIn('params', 'classCode') },
+    { method: 'POST', path: '/api/attendance-register', roles: ['admin', 'faculty'], check: ownClassIn('body', 'classCode') },
+
+    { method: 'GET', path: '/api/timetable/periods', roles: ALL_ROLES },
+    { method: 'PUT', path: '/api/timetable/periods', roles: ['admin'] },
+    {
+        method: 'GET',
+        path: '/api/timetable/class/:classCode',
+        roles: ALL_ROLES,
+        // Staff may look at any class; students and parents only at their own
+        check: ({ user, params }) => ['receptionist', 'faculty'].includes(user.role) || ownClassIn('params', 'classCode')({ user, params })
+    },
+    { method: 'PUT', path: '/api/timetable/class/:classCode', roles: ['admin'] },
+    { method: 'GET', path: '/api/timetable/faculty/:facultyCode', roles: ['admin', 'faculty'], check: ownFacultyParam('facultyCode') },
+    { method: 'GET', path: '/api/timetable/clashes', roles: ['admin'] },
+
+    { method: 'GET', path: '/api/fee-structures', roles: ['admin', 'receptionist'] },
+    { method: 'PUT', path: '/api/fee-structures', roles: ['admin'] },
+    { method: 'DELETE', path: '/api/fee-structures/:structureId', roles: ['admin'] },
+    { method: 'GET', path: '/api/concessions', roles: ['admin', 'receptionist'] },
+    { method: 'POST', path: '/api/concessions', roles: ['admin', 'receptionist'] },
+    { method: 'PUT', path: '/api/concessions/:concessionId', roles: ['admin'] },
+    { method: 'POST', path: '/api/register-student', roles: ['admin', 'receptionist'] },
+    { method: 'GET', path: '/api/student-balance/:studentCode', roles: ['admin', 'receptionist'] },
+    { method: 'GET', path: '/api/fee-ledger/:studentCode/statement', roles: ['admin', 'receptionist', 'student', 'parent'], check: ownStudentParam('studentCode') },
+    { method: 'GET', path: '/api/registered-students', roles: ['admin', 'receptionist'] },
+    { method: 'POST', path: '/api/fee-certificates', roles: ['admin', 'receptionist'] },
+    { method: 'GET', path: '/api/admin/fee-certificates', roles: ['admin'] },
+    { method: 'GET', path: '/api/receptionist/fee-certificates', roles: ['admin', 'receptionist'] },
+    { method: 'PUT', path: '/api/fee-certificates/:certificateId/cheque-status', roles: ['admin', 'receptionist'] },
+    { method: 'GET', path: '/api/fee-collections/day-book', roles: ['admin', 'receptionist'] },
+    { method: 'POST', path: '/api/admin/fee-certificates/void-all', roles: ['admin'] },
+    { method: 'POST', path: '/api/admin/fee-certificates/:certificateId/void', roles: ['admin'] },
+    { method: 'GET', path: '/api/student-fee-certificates/:studentCode', roles: ['admin', 'receptionist', 'student', 'parent'], check: ownStudentParam('studentCode') },
+
+    { method: 'POST', path: '/api/admin/create-hall-ticket', roles: ['admin', 'receptionist'] },
+    { method: 'GET', path: '/api/admin/hall-tickets', roles: ['admin'] },
+    { method: 'POST', path: '/api/admin/issue-hall-ticket', roles: ['admin'] },
+    { method: 'DELETE', path: '/api/admin/delete-hall-ticket/:hallTicketId', roles: ['admin'] },
+    { method: 'DELETE', path: '/api/admin/delete-all-hall-tickets', roles: ['admin'] },
+    { method: 'GET', path: '/api/student-hall-tickets/:studentCode', roles: ['admin', 'student', 'parent'], check: ownStudentParam('studentCode') },
+
+    { method: 'GET', path: '/api/student-data/:studentCode', roles: ['admin', 'student', 'parent'], check: ownStudentParam('studentCode') },
+
+    { method: 'GET', path: '/api/students/:studentCode/progress-history', roles: ['admin', 'faculty', 'student', 'parent'], check: ownStudentParam('studentCode') },
+    { method: 'POST', path: '/api/students/:studentCode/reset-pin', roles: ['admin', 'receptionist'] },
+    { method: 'GET', path: '/api/parents', roles: ['admin', 'receptionist'] },
+    { method: 'POST', path: '/api/parents', roles: ['admin', 'receptionist'] },
+    { method: 'POST', path: '/api/parents/:parentCode/students', roles: ['admin', 'receptionist'] },
+    { method: 'DELETE', path: '/api/parents/:parentCode/students/:studentCode', roles: ['admin', 'receptionist'] },
+    { method: 'POST', path: '/api/parents/:parentCode/reset-password', roles: ['admin', 'receptionist'] },
+    { method: 'GET', path: '/api/parent/children', roles: ['parent'] },
+
+    { method: 'GET', path: '/api/academic-years', roles: ALL_ROLES },
+    { method: 'PUT', path: '/api/academic-years/:academicYear', roles: ['admin'] },
+    { method: 'POST', path: '/api/academic-years/rollover', roles: ['admin'] },
+
+    { method: 'GET', path: '/api/admin/snapshots', roles: ['admin'] },
+    { method: 'POST', path: '/api/admin/snapshots', roles: ['admin'] },
+    { method: 'GET', path: '/api/admin/snapshots/:snapshotId/diff', roles: ['admin'] },
+    { method: 'POST', path: '/api/admin/snapshots/:snapshotId/restore', roles: ['admin'] },
+
+    { method: 'GET', path: '/api/admin/audit', roles: ['admin'] },
+    { method: 'GET', path: '/api/admin/audit/verify', roles: ['admin'] },
+    { method: 'GET', path: '/api/admin/schema-check', roles: ['admin'] }
+];
+
+function compilePath(routePath) {
+    const keys = [];
+    const pattern = routePath.replace(/\/:(\w+)(\?)?/g, (match, key, optional) => {
+        keys.push(key);
+        return optional ? '(?:/([^/]+))?' : '/([^/]+)';
+    });
+    return { keys, regex: new RegExp(`^${pattern}/?$`, 'i') };
+}
+
+const compiledPolicies = POLICIES.map(policy => ({ ...policy, ...compilePath(policy.path) }));
+
+function findPolicy(method, fullPath) {
+    for (const policy of compiledPolicies) {
+        if (policy.method !== method) continue;
+        const match = policy.regex.exec(fullPath);
+        if (!match) continue;
+        const params = {};
+        policy.keys.forEach((key, index) => {
+            if (match[index + 1] !== undefined) params[key] = decodeURIComponent(match[index + 1]);
+        });
+        return { policy, params };
+    }
+    return null;
+}
+
+function forbidden(res, message) {
+    return res.status(403).json({ success: false, error: message || 'You do not have permission to perform this action' });
+}
+
+function authorize(req, res, next) {
+    const found = findPolicy(req.method, req.baseUrl + req.path);
+    if (!found) {
+        return res.status(404).json({ error: 'Route not found' });
+    }
+    const { policy, params } = found;
+    if (!req.user) {
+        return res.status(401).json({ success: false, error: 'Authentication required' });
+    }
+    if (!policy.roles.includes(req.user.role)) {
+        console.log(`⛔ ${req.user.role} ${req.user.code} denied ${req.method} ${req.originalUrl}`);
+        return forbidden(res);
+    }
+    if (policy.check && req.user.role !== 'admin' && !policy.check({ user: req.user, params, body: req.body })) {
+        console.log(`⛔ ${req.user.role} ${req.user.code} denied ${req.method} ${req.originalUrl} (not owner)`);
+        return forbidden(res);
+    }
+    next();
+}
+
+module.exports = {
+    POLICIES,
+    authorize,
+    forbidden,
+    canTeachClass,
+    canAccessStudent
+};
@@ -0,0 +1,65 @@
+// Progress cards are kept for good. A card's displayDays/expiryDate only
+// decide how long it shows on the student dashboard; after that it stays in
+// data.progressCards until rollover moves the year's cards to
+// data.archives[academicYear].progressCards, where it is still part of the
+// student's history.
+
+function isVisible(card, now = new Date()) {
+    return !card.expiryDate || new Date(card.expiryDate) > now;
+}
+
+function cardDate(card) {
+    return card.postingDate || card.expiryDate || '';
+}
+
+// `years` is [{ academicYear, cards }] holding one student's cards. Returns
+// the cards per year, oldest first, and each subject's percentage traced
+// across every exam it appears in, with the change from first to latest.
+function studentHistory(years) {
+    const cards = [];
+    years.forEach(({ academicYear, cards: yearCards }) => {
+        yearCards.forEach(card => cards.push({ ...card, academicYear }));
+    });
+    cards.sort((a, b) => a.academicYear.localeCompare(b.academicYear) || cardDate(a).localeCompare(cardDate(b)));
+
+    const history = [];
+    cards.forEach(card => {
+        let year = history.find(candidate => candidate.academicYear === card.academicYear);
+        if (!year) {
+            year = { academicYear: card.academicYear, studentCode: card.studentCode, classCode: card.classCode, cards: [] };
+            history.push(year);
+        }
+        year.cards.push(card);
+    });
+
+    const trends = {};
+    cards.forEach(card => {
+        Object.keys(card.subjects || {}).forEach(subject => {
+            const marks = card.subjects[subject];
+            if (!marks || typeof marks !== 'object') return;
+            const percentage = parseFloat(marks.percentage);
+            if (!trends[subject]) trends[subject] = { points: [], change: 0 };
+            trends[subject].points.push({
+                academicYear: card.academicYear,
+                classCode: card.classCode,
+                examType: card.examType,
+                postingDate: card.postingDate || null,
+                percentage: isNaN(percentage) ? null : percentage,
+                grade: marks.grade || null
+            });
+        });
+    });
+    Object.values(trends).forEach(trend => {
+        const points = trend.points.filter(point => point.percentage !== null);
+        if (points.length > 1) {
+            trend.change = Math.round((points[points.length - 1].percentage - points[0].percentage) * 100) / 100;
+        }
+    });
+
+    return { years: history, trends };
+}
+
+module.exports = {
+    isVisible,
+    studentHistory
+};
@@ -0,0 +1,129 @@
+const { withoutAnswers, OPTION_KEYS } = require('./questions');
+
+// Each teacher's bank of reusable questions, kept in data.questionBank:
+//
+//   [{ id: 'QB_...', facultyCode, subject: 'Science', chapter: 'Light',
+//      difficulty: 'easy' | 'medium' | 'hard', ...the question (see questions.js),
+//      createdAt, updatedAt }]
+//
+// Assignments copy the questions they use, with bankQuestionId pointing back,
+// so editing or deleting a bank question never changes a set assignment.
+//
+// An assignment may also shuffle its questions and/or their options for each
+// student. The order is drawn when an attempt starts and kept on the attempt
+// as its layout: [{ question: originalIndex, options: ['c', 'a', 'd', 'b'] }]
+// where options[i] is the original option shown under letter a, b, c, d.
+// Answers arrive in the order and lettering the student saw and are mapped
+// back before marking, so stored results always follow the assignment.
+
+const DIFFICULTIES = ['easy', 'medium', 'hard'];
+const QUESTION_FIELDS = ['type', 'question', 'marks', 'options', 'correctAnswer', 'correctAnswers', 'tolerance', 'acceptedAnswers', 'modelAnswer'];
+
+function shuffled(items) {
+    const copy = [...items];
+    for (let i = copy.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [copy[i], copy[j]] = [copy[j], copy[i]];
+    }
+    return copy;
+}
+
+function sameText(a, b) {
+    return String(a).trim().toLowerCase() === String(b).trim().toLowerCase();
+}
+
+// Bank questions matching the filters that are given
+function filterBank(bank, { facultyCode, subject, chapter, difficulty }) {
+    return bank.filter(entry =>
+        (!facultyCode || entry.facultyCode === facultyCode) &&
+        (!subject || sameText(entry.subject, subject)) &&
+        (!chapter || sameText(entry.chapter || '', chapter)) &&
+        (!difficulty || entry.difficulty === difficulty)
+    );
+}
+
+// The question part of a bank entry, as an assignment stores it
+function toAssignmentQuestion(entry) {
+    const question = { bankQuestionId: entry.id };
+    QUESTION_FIELDS.forEach(field => {
+        if (entry[field] !== undefined) question[field] = entry[field];
+    });
+    return question;
+}
+
+// Picks `count` questions at random from `candidates`, never one whose id is
+// in `taken`. Returns null when there are not enough to choose from.
+function sample(candidates, count, taken) {
+    const available = candidates.filter(entry => !taken.has(entry.id));
+    if (available.length < count) return null;
+    return shuffled(available).slice(0, count);
+}
+
+function hasOptions(question) {
+    return !!question.options && ['mcq', 'multi', undefined].includes(question.type);
+}
+
+function isShuffled(assignment) {
+    return !!(assignment.shuffleQuestions || assignment.shuffleOptions);
+}
+
+// A fresh per-student order for the assignment, or null when it is not shuffled
+function createLayout(assignment) {
+    if (!isShuffled(assignment)) return null;
+    const indexes = assignment.questions.map((question, index) => index);
+    const order = assignment.shuffleQuestions ? shuffled(indexes) : indexes;
+    return order.map(index => {
+        const question = assignment.questions[index];
+        const slot = { question: index };
+        if (hasOptions(question)) {
+            slot.options = assignment.shuffleOptions ? shuffled(OPTION_KEYS) : [...OPTION_KEYS];
+        }
+        return slot;
+    });
+}
+
+// The questions as the student sees them under the layout, answer keys removed
+function layoutQuestions(assignment, layout) {
+    if (!layout) return assignment.questions.map(withoutAnswers);
+    return layout.map(slot => {
+        const question = withoutAnswers(assignment.questions[slot.question]);
+        if (slot.options) {
+            question.options = {};
+            OPTION_KEYS.forEach((letter, i) => {
+                question.options[letter] = assignment.questions[slot.question].options[slot.options[i]];
+            });
+        }
+        return question;
+    });
+}
+
+function toOriginalOption(slot, letter) {
+    const index = OPTION_KEYS.indexOf(letter);
+    return index === -1 ? letter : slot.options[index];
+}
+
+// Answers given under the layout, put back in assignment order and lettering.
+// Anything that is not an option letter is left for gradeAnswer to reject.
+function originalAnswers(layout, answers) {
+    if (!layout) return answers;
+    const original = [];
+    layout.forEach((slot, position) => {
+        let answer = answers[position];
+        if (slot.options) {
+            answer = Array.isArray(answer) ? answer.map(letter => toOriginalOption(slot, letter)) : toOriginalOption(slot, answer);
+        }
+        original[slot.question] = answer;
+    });
+    return original;
+}
+
+module.exports = {
+    DIFFICULTIES,
+    filterBank,
+    toAssignmentQuestion,
+    sample,
+    isShuffled,
+    createLayout,
+    layoutQuestions,
+    originalAnswers
+};
@@ -0,0 +1,135 @@
+// Assignment question types and how an answer to each is marked. A question
+// without a type is a four-option MCQ, as every assignment was before types
+// existed:
+//
+//   { type: 'mcq',       question, marks, options: { a, b, c, d }, correctAnswer: 'b' }
+//   { type: 'multi',     question, marks, options: { a, b, c, d }, correctAnswers: ['a', 'c'] }
+//   { type: 'truefalse', question, marks, correctAnswer: true }
+//   { type: 'numeric',   question, marks, correctAnswer: 9.81, tolerance: 0.05 }
+//   { type: 'fillblank', question, marks, acceptedAnswers: ['Delhi', 'New Delhi'] }
+//   { type: 'short',     question, marks, modelAnswer: '...' }
+//
+// Every type but 'short' is marked on submission, all or nothing. Short
+// answers wait for a teacher to award marks (see server.js, grading queue).
+
+const TYPES = ['mcq', 'multi', 'truefalse', 'numeric', 'fillblank', 'short'];
+const OPTION_KEYS = ['a', 'b', 'c', 'd'];
+const MAX_ANSWER_LENGTH = 2000;
+
+function typeOf(question) {
+    return question.type || 'mcq';
+}
+
+function marksOf(question) {
+    return question.marks === undefined ? 1 : question.marks;
+}
+
+// Fill-in answers match without regard to case or extra spaces
+function normalizeText(value) {
+    return String(value).trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+// The message for a question whose fields do not fit its type, or null
+function checkQuestion(question) {
+    switch (typeOf(question)) {
+        case 'mcq':
+            if (!question.options) return 'needs options a to d';
+            return OPTION_KEYS.includes(question.correctAnswer) ? null : 'needs a correctAnswer of a, b, c or d';
+        case 'multi': {
+            if (!question.options) return 'needs options a to d';
+            const answers = question.correctAnswers;
+            if (!Array.isArray(answers) || answers.length === 0 || !answers.every(answer => OPTION_KEYS.includes(answer))) {
+                return 'needs correctAnswers chosen from a, b, c and d';
+            }
+            return new Set(answers).size === answers.length ? null : 'must not repeat a correct answer';
+        }
+        case 'truefalse':
+            return typeof question.correctAnswer === 'boolean' ? null : 'needs a correctAnswer of true or false';
+        case 'numeric':
+            return typeof question.correctAnswer === 'number' && Number.isFinite(question.correctAnswer) ? null : 'needs a numeric correctAnswer';
+        case 'fillblank':
+            return Array.isArray(question.acceptedAnswers) && question.acceptedAnswers.length > 0 ? null : 'needs at least one accepted answer';
+        default:
+            return null;
+    }
+}
+
+// Turns a submitted answer into the form it is stored in, or throws when it
+// cannot be an answer to the question
+function readAnswer(question, answer) {
+    switch (typeOf(question)) {
+        case 'mcq':
+            if (!OPTION_KEYS.includes(answer)) throw new Error('must be one of a, b, c or d');
+            return answer;
+        case 'multi':
+            if (!Array.isArray(answer) || answer.length === 0 || !answer.every(option => OPTION_KEYS.includes(option))) {
+                throw new Error('must be a list of options from a, b, c and d');
+            }
+            return OPTION_KEYS.filter(option => answer.includes(option));
+        case 'truefalse':
+            if (answer === true || answer === 'true') return true;
+            if (answer === false || answer === 'false') return false;
+            throw new Error('must be true or false');
+        case 'numeric': {
+            const number = typeof answer === 'number' ? answer : (String(answer).trim() === '' ? NaN : Number(answer));
+            if (!Number.isFinite(number)) throw new Error('must be a number');
+            return number;
+        }
+        default:
+            if (typeof answer !== 'string') throw new Error('must be a written answer');
+            if (answer.length > MAX_ANSWER_LENGTH) throw new Error(`must be at most ${MAX_ANSWER_LENGTH} characters`);
+            return answer.trim();
+    }
+}
+
+function isBlank(answer) {
+    return answer === null || answer === undefined || (typeof answer === 'string' && answer.trim() === '') ||
+        (Array.isArray(answer) && answer.length === 0);
+}
+
+// Marks one answer. Returns { studentAnswer, isCorrect, marksAwarded,
+// pending }; a pending answer has null isCorrect and marksAwarded until it is
+// graded by hand. A question left unanswered, as when a timed attempt runs
+// out, scores nothing.
+function gradeAnswer(question, answer) {
+    if (isBlank(answer)) {
+        return { studentAnswer: null, isCorrect: false, marksAwarded: 0, pending: false };
+    }
+    const studentAnswer = readAnswer(question, answer);
+    let isCorrect;
+    switch (typeOf(question)) {
+        case 'short':
+            return { studentAnswer, isCorrect: null, marksAwarded: null, pending: true };
+        case 'multi':
+            isCorrect = studentAnswer.length === question.correctAnswers.length &&
+                question.correctAnswers.every(option => studentAnswer.includes(option));
+            break;
+        case 'numeric':
+            // The epsilon keeps 0.1 + 0.2 within a tolerance of 0.3
+            isCorrect = Math.abs(studentAnswer - question.correctAnswer) <= (question.tolerance || 0) + 1e-9;
+            break;
+        case 'fillblank':
+            isCorrect = question.acceptedAnswers.some(accepted => normalizeText(accepted) === normalizeText(studentAnswer));
+            break;
+        default:
+            isCorrect = studentAnswer === question.correctAnswer;
+    }
+    return { studentAnswer, isCorrect, marksAwarded: isCorrect ? marksOf(question) : 0, pending: false };
+}
+
+// The question as a student sees it while answering
+function withoutAnswers(question) {
+    const { correctAnswer, correctAnswers, tolerance, acceptedAnswers, modelAnswer, ...visible } = question;
+    return visible;
+}
+
+module.exports = {
+    TYPES,
+    OPTION_KEYS,
+    MAX_ANSWER_LENGTH,
+    typeOf,
+    marksOf,
+    checkQuestion,
+    gradeAnswer,
+    withoutAnswers
+};
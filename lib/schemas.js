@@ -0,0 +1,790 @@
+// Declared shapes of every stored entity. Routes validate the record they are
+// about to store and reply with the field-level errors; the startup check runs
+// the same schemas over what is already on disk.
+//
+// A field spec is { type, optional, nullable, enum, pattern, minLength,
+// maxLength, min, max, minItems, maxItems, items, fields, values, check }.
+// `type` may be a list of types. `fields` describes a nested object with fixed
+// keys, `values` an object used as a map (subject name -> marks) and `items`
+// the elements of an array. `check(value, record)` returns an error message
+// for rules that involve more than one field.
+
+const codes = require('../codes');
+const { STATUSES: ATTENDANCE_STATUSES } = require('./attendance');
+const { TIME_PATTERN } = require('./timetable');
+const questions = require('./questions');
+const attempts = require('./attempts');
+const { DIFFICULTIES } = require('./questionBank');
+const homework = require('./homework');
+const fees = require('./fees');
+const feeAdjustments = require('./feeAdjustments');
+const ledger = require('./ledger');
+
+const CLASS_CODES = codes.CLASS_CODES;
+const ANSWER_OPTIONS = questions.OPTION_KEYS;
+const GRADES = ['SUPER', 'EXCELLENT', 'GOOD', 'AVERAGE', 'BELOW AVERAGE', 'NEEDS IMPROVEMENT'];
+
+const id = { type: ['string', 'number'] };
+const date = { type: 'date' };
+// A day without a time, as the register and calendar store them
+const calendarDate = { type: 'string', pattern: /^\d{4}-\d{2}-\d{2}$/ };
+const classCode = { type: 'string', enum: CLASS_CODES };
+const studentCode = { type: 'string', check: value => {
+    const parsedCode = codes.parseStudentCode(value);
+    return parsedCode && parsedCode.fullCode === value ? null : 'is not a valid student code';
+} };
+const name = { type: 'string', minLength: 1, maxLength: 100 };
+const money = { type: 'number', min: 0 };
+const paise = { type: 'integer', min: 0 };
+const percentage = { type: 'number', min: 0, max: 100 };
+const rollNumber = { type: ['string', 'number'], check: value => codes.normalizeRollNumber(value) ? null : `must be a roll number from 1 to ${codes.MAX_ROLL}` };
+const fileUrl = { type: 'string', nullable: true, optional: true };
+const facultyCode = { type: 'string', check: value => {
+    const parsedCode = codes.parseFacultyCode(value);
+    return parsedCode && parsedCode.fullCode === value ? null : 'is not a valid faculty code';
+} };
+const periodNumber = { type: 'integer', min: 1, max: 12 };
+const clockTime = { type: 'string', pattern: TIME_PATTERN };
+const timetableSlot = {
+    day: { type: 'integer', min: 0, max: 6 },
+    period: periodNumber,
+    subject: { type: 'string', minLength: 1, maxLength: 50 },
+    facultyCode: facultyCode
+};
+
+// Which of these a question needs depends on its type; see lib/questions.js
+const question = {
+    type: { type: 'string', optional: true, enum: questions.TYPES },
+    question: { type: 'string', minLength: 1, maxLength: 500 },
+    marks: { type: 'integer', optional: true, min: 1, max: 100 },
+    options: {
+        type: 'object',
+        optional: true,
+        fields: {
+            a: { type: 'string', minLength: 1, maxLength: 200 },
+            b: { type: 'string', minLength: 1, maxLength: 200 },
+            c: { type: 'string', minLength: 1, maxLength: 200 },
+            d: { type: 'string', minLength: 1, maxLength: 200 }
+        }
+    },
+    correctAnswer: { type: ['string', 'number', 'boolean'], optional: true },
+    correctAnswers: { type: 'array', optional: true, maxItems: 4, items: { type: 'string', enum: ANSWER_OPTIONS } },
+    tolerance: { type: 'number', optional: true, min: 0 },
+    acceptedAnswers: { type: 'array', optional: true, maxItems: 10, items: { type: 'string', minLength: 1, maxLength: 200 } },
+    modelAnswer: { type: 'string', optional: true, maxLength: 1000 }
+};
+
+// A submitted attempt, and the result that counts for a student (see lib/attempts.js)
+const submission = {
+    assignmentId: id,
+    studentCode: studentCode,
+    classCode: classCode,
+    // Submissions from before marks existed have no maxScore and score one per question
+    score: { type: 'number', min: 0, check: (value, record) => value > (record.maxScore || record.totalQuestions) ? 'cannot exceed the maximum score' : null },
+    totalQuestions: { type: 'integer', min: 1 },
+    maxScore: { type: 'integer', optional: true, min: 1 },
+    percentage: percentage,
+    status: { type: 'string', optional: true, enum: ['pending', 'graded'] },
+    results: {
+        type: 'array',
+        items: {
+            type: 'object',
+            fields: {
+                type: question.type,
+                question: question.question,
+                marks: question.marks,
+                options: question.options,
+                studentAnswer: { type: ['string', 'number', 'boolean', 'array'], nullable: true },
+                correctAnswer: question.correctAnswer,
+                correctAnswers: question.correctAnswers,
+                tolerance: question.tolerance,
+                acceptedAnswers: question.acceptedAnswers,
+                modelAnswer: question.modelAnswer,
+                isCorrect: { type: 'boolean', nullable: true },
+                marksAwarded: { type: 'number', optional: true, nullable: true, min: 0, check: (value, result) => value > (result.marks || 1) ? 'cannot exceed the marks for the question' : null },
+                feedback: { type: 'string', optional: true, maxLength: 500 }
+            }
+        }
+    },
+    submittedAt: { type: 'string' },
+    gradedBy: { type: 'string', optional: true },
+    gradedAt: { type: 'date', optional: true },
+    late: { type: 'boolean', optional: true },
+    latePenalty: { type: 'number', optional: true, min: 0, max: 100 },
+    rawScore: { type: 'number', optional: true, min: 0 },
+    attemptNumber: { type: 'integer', optional: true, min: 1 },
+    attemptCount: { type: 'integer', optional: true, min: 1 },
+    scoring: { type: 'string', optional: true, enum: attempts.SCORING }
+};
+
+const SCHEMAS = {
+    notification: {
+        id: { type: 'string' },
+        source: { type: 'string', enum: ['admin'] },
+        title: { type: 'string', minLength: 1, maxLength: 200 },
+        message: { type: 'string', minLength: 1, maxLength: 1000 },
+        type: { type: 'string', enum: ['general', 'urgent', 'info', 'event', 'holiday', 'exam'] },
+        priority: { type: 'string', enum: ['low', 'normal', 'high', 'urgent'] },
+        targetAudience: { type: 'string', enum: ['all', 'faculty', 'students'] },
+        targetClass: { type: 'string', check: value => value === 'all' || CLASS_CODES.includes(value) ? null : 'must be "all" or a valid class' },
+        createdAt: date,
+        expiryDate: date,
+        displayDays: { type: 'integer', min: 1, max: 365 },
+        readBy: { type: 'array', items: { type: 'string' } },
+        file: fileUrl,
+        fileName: fileUrl
+    },
+
+    facultyPost: {
+        id: id,
+        text: { type: 'string', minLength: 1, maxLength: 1000 },
+        date: { type: 'string' },
+        faculty: { type: 'string', minLength: 1 },
+        file: fileUrl,
+        fileName: fileUrl,
+        expiryDate: { type: 'date', nullable: true }
+    },
+
+    // See lib/homework.js
+    homeworkSubmission: {
+        postId: id,
+        studentCode: studentCode,
+        classCode: classCode,
+        file: { type: 'string', minLength: 1 },
+        fileName: { type: 'string', minLength: 1 },
+        submittedAt: date,
+        submissionCount: { type: 'integer', min: 1 },
+        status: { type: 'string', enum: homework.STATUSES },
+        mark: { type: 'number', optional: true, nullable: true, min: 0, check: (value, record) => value > record.outOf ? 'cannot be more than outOf' : null },
+        outOf: { type: 'integer', optional: true, min: 1, max: 100 },
+        feedback: { type: 'string', optional: true, maxLength: 1000 },
+        reviewedBy: { type: 'string', optional: true },
+        reviewedAt: { type: 'date', optional: true }
+    },
+
+    assignment: {
+        id: id,
+        title: { type: 'string', minLength: 1, maxLength: 200 },
+        classCode: classCode,
+        facultyCode: { type: 'string', minLength: 1 },
+        assignmentDate: date,
+        questions: { type: 'array', minItems: 1, maxItems: 20, items: { type: 'object', fields: { ...question, bankQuestionId: { type: 'string', optional: true } }, check: questions.checkQuestion } },
+        date: { type: 'string' },
+        expiryDate: { type: 'date', nullable: true },
+        isActive: { type: 'boolean' },
+        opensAt: { type: 'date', optional: true, nullable: true },
+        dueAt: { type: 'date', optional: true, nullable: true, check: (value, record) => record.opensAt && new Date(value) <= new Date(record.opensAt) ? 'must be after opensAt' : null },
+        maxAttempts: { type: 'integer', optional: true, nullable: true, min: 1, max: 10 },
+        scoring: { type: 'string', optional: true, enum: attempts.SCORING },
+        lateSubmission: { type: 'string', optional: true, enum: attempts.LATE_SUBMISSION },
+        latePenalty: { type: 'number', optional: true, min: 0, max: 100, check: (value, record) => value > 0 && record.lateSubmission !== 'penalty' ? 'only applies when lateSubmission is "penalty"' : null },
+        timeLimitMinutes: { type: 'integer', optional: true, nullable: true, min: 1, max: 300 },
+        shuffleQuestions: { type: 'boolean', optional: true },
+        shuffleOptions: { type: 'boolean', optional: true }
+    },
+
+    bankQuestion: {
+        ...question,
+        // The type-specific rules of the question itself
+        question: { ...question.question, check: (value, entry) => questions.checkQuestion(entry) },
+        id: { type: 'string', pattern: /^QB_\w+$/ },
+        facultyCode: { type: 'string', minLength: 1 },
+        subject: { type: 'string', minLength: 1, maxLength: 50 },
+        chapter: { type: 'string', optional: true, maxLength: 100 },
+        difficulty: { type: 'string', enum: DIFFICULTIES },
+        createdAt: date,
+        updatedAt: date
+    },
+
+    submission: submission,
+
+    // Fields of the submission appear once the attempt is submitted
+    assignmentAttempt: {
+        ...Object.fromEntries(Object.keys(submission).map(key => [key, { ...submission[key], optional: true }])),
+        assignmentId: id,
+        studentCode: studentCode,
+        classCode: classCode,
+        attemptNumber: { type: 'integer', min: 1 },
+        state: { type: 'string', enum: ['started', 'submitted', 'expired'], check: (value, attempt) => value === 'submitted' && !attempt.results ? 'needs the submitted answers' : null },
+        startedAt: { type: 'date', nullable: true },
+        expiresAt: { type: 'date', optional: true, nullable: true },
+        layout: {
+            type: 'array',
+            optional: true,
+            nullable: true,
+            items: {
+                type: 'object',
+                fields: {
+                    question: { type: 'integer', min: 0 },
+                    options: { type: 'array', optional: true, minItems: 4, maxItems: 4, items: { type: 'string', enum: ANSWER_OPTIONS } }
+                }
+            }
+        }
+    },
+
+    progressCard: {
+        id: id,
+        classCode: classCode,
+        facultyCode: { type: 'string', minLength: 1 },
+        rollNumber: rollNumber,
+        studentCode: studentCode,
+        fullName: name,
+        fatherName: name,
+        examType: { type: 'string', minLength: 1, maxLength: 100 },
+        subjects: {
+            type: 'object',
+            minItems: 1,
+            values: {
+                type: 'object',
+                fields: {
+                    maxMarks: { type: 'number', min: 1, max: 1000 },
+                    obtainedMarks: { type: 'number', min: 0, check: (value, marks) => value > marks.maxMarks ? 'cannot exceed maxMarks' : null },
+                    percentage: { type: ['string', 'number'] },
+                    grade: { type: 'string', optional: true, nullable: true },
+                    passed: { type: 'boolean', optional: true }
+                }
+            }
+        },
+        totalMarks: { type: 'number', min: 1 },
+        obtainedMarks: { type: 'number', min: 0, check: (value, record) => value > record.totalMarks ? 'cannot exceed totalMarks' : null },
+        percentage: percentage,
+        grade: { type: 'string', optional: true, nullable: true },
+        result: { type: 'string', optional: true, enum: ['pass', 'fail'] },
+        failedSubjects: { type: 'array', optional: true, items: { type: 'string' } },
+        schemeId: { type: 'string', optional: true },
+        rank: { type: 'integer', optional: true, min: 1 },
+        rankOutOf: { type: 'integer', optional: true, min: 1 },
+        performance: {
+            type: 'object',
+            fields: {
+                grade: { type: 'string', enum: GRADES },
+                color: { type: 'string' },
+                emoji: { type: 'string' }
+            }
+        },
+        postingDate: date,
+        displayDays: { type: 'integer', min: 1, max: 90 },
+        expiryDate: date,
+        date: { type: 'string' }
+    },
+
+    gradingScheme: {
+        id: { type: 'string' },
+        classCode: { type: 'string', check: value => value === 'all' || CLASS_CODES.includes(value) ? null : 'must be "all" or a valid class' },
+        examType: { type: 'string', minLength: 1, maxLength: 100 },
+        passPercentage: percentage,
+        subjects: {
+            type: 'object',
+            values: {
+                type: 'object',
+                fields: {
+                    maxMarks: { type: 'integer', min: 1, max: 1000 },
+                    passMarks: { type: 'number', optional: true, min: 0, check: (value, rule) => value > rule.maxMarks ? 'cannot exceed maxMarks' : null }
+                }
+            }
+        },
+        bands: {
+            type: 'array',
+            minItems: 1,
+            maxItems: 20,
+            items: {
+                type: 'object',
+                fields: {
+                    grade: { type: 'string', minLength: 1, maxLength: 20 },
+                    minPercentage: percentage
+                }
+            }
+        },
+        updatedAt: date
+    },
+
+    attendance: {
+        id: { type: 'number' },
+        classCode: classCode,
+        facultyCode: { type: 'string', minLength: 1 },
+        studentCode: studentCode,
+        month: { type: 'integer', min: 1, max: 12 },
+        year: { type: 'integer', min: 2000, max: 2100 },
+        studentName: name,
+        studentRoll: rollNumber,
+        totalWorkingDays: { type: 'integer', min: 0, max: 31 },
+        attendedDays: { type: 'integer', min: 0, check: (value, record) => value > record.totalWorkingDays ? 'cannot exceed totalWorkingDays' : null },
+        percentage: percentage,
+        counts: { type: 'object', optional: true, values: { type: 'integer', min: 0 } },
+        source: { type: 'string', enum: ['manual', 'register'], optional: true },
+        postedAt: date
+    },
+
+    registerDay: {
+        classCode: classCode,
+        date: calendarDate,
+        markedBy: { type: 'string', minLength: 1 },
+        markedAt: date,
+        entries: {
+            type: 'object',
+            minItems: 1,
+            values: {
+                type: 'object',
+                fields: {
+                    status: { type: 'string', enum: ATTENDANCE_STATUSES },
+                    studentName: name,
+                    studentRoll: rollNumber
+                }
+            }
+        }
+    },
+
+    schoolCalendar: {
+        weeklyOffDays: { type: 'array', maxItems: 6, items: { type: 'integer', min: 0, max: 6 } },
+        holidays: {
+            type: 'array',
+            items: {
+                type: 'object',
+                fields: {
+                    date: calendarDate,
+                    name: { type: 'string', minLength: 1, maxLength: 100 }
+                }
+            }
+        },
+        extraWorkingDays: { type: 'array', items: calendarDate }
+    },
+
+    timetableSlot: timetableSlot,
+
+    timetable: {
+        periods: {
+            type: 'array',
+            minItems: 1,
+            maxItems: 12,
+            items: {
+                type: 'object',
+                fields: {
+                    number: periodNumber,
+                    start: clockTime,
+                    end: clockTime
+                }
+            }
+        },
+        classes: {
+            type: 'object',
+            values: {
+                type: 'array',
+                items: { type: 'object', fields: timetableSlot }
+            },
+            check: value => {
+                const unknown = Object.keys(value).find(key => !CLASS_CODES.includes(key));
+                return unknown ? `has an unknown class "${unknown}"` : null;
+            }
+        }
+    },
+
+    studentRecord: {
+        studentCode: studentCode,
+        studentName: name,
+        fatherName: name,
+        studentClass: classCode,
+        studentRoll: rollNumber,
+        totalFee: money,
+        currentDue: { type: 'number', min: 0, check: (value, record) => value > record.totalFee ? 'cannot exceed totalFee' : null },
+        academicYear: { type: 'string', pattern: /^\d{4}-\d{2}(\d{2})?$/ },
+        carriedForwardDue: { type: 'number', min: 0, optional: true },
+        // Set when the fee came from a fee structure; see lib/fees.js
+        feeStructureId: { type: 'string', optional: true },
+        feeLines: {
+            type: 'array',
+            optional: true,
+            items: {
+                type: 'object',
+                fields: {
+                    installment: { type: 'string', minLength: 1 },
+                    dueDate: calendarDate,
+                    head: { type: 'string', minLength: 1 },
+                    amountPaise: paise,
+                    concessionPaise: { ...paise, optional: true, check: (value, line) => value > line.amountPaise ? 'cannot exceed amountPaise' : null },
+                    paidPaise: { ...paise, check: (value, line) => value > fees.netOf(line) ? 'cannot exceed amountPaise less concessionPaise' : null },
+                    kind: { type: 'string', enum: ['fine'], optional: true }
+                }
+            },
+            check: (value, record) => fees.checkFeeLines(value, record)
+        },
+        previousStudentCode: { type: 'string', optional: true },
+        registeredDate: date,
+        lastUpdated: date
+    },
+
+    feeCertificate: {
+        id: { type: 'string', pattern: /^FEE_/ },
+        studentCode: studentCode,
+        studentName: name,
+        fatherName: name,
+        studentClass: classCode,
+        studentRoll: rollNumber,
+        totalFee: money,
+        amountPaid: { type: 'number', min: 0.01, check: (value, record) => value > record.previousDue ? 'cannot exceed previousDue' : null },
+        previousDue: money,
+        remainingDue: money,
+        totalPaidToDate: money,
+        academicYear: { type: 'string', minLength: 1 },
+        remarks: { type: 'string', maxLength: 500, optional: true },
+        generatedBy: { type: 'string', enum: ['admin', 'receptionist'] },
+        generatedAt: date,
+        status: {
+            type: 'string',
+            enum: ['issued', 'voided'],
+            check: (value, certificate) => value === 'voided' && !certificate.voidReason ? 'needs a voidReason once voided' : null
+        },
+        // Receipts from before numbering have neither
+        receiptSequence: { type: 'integer', min: 1, optional: true },
+        receiptNumber: { type: 'string', pattern: /^\d{4}-\d{2}\/\d{5,}$/, optional: true },
+        // Receipts from before payment modes were recorded have none
+        paymentMode: {
+            type: 'string',
+            enum: fees.PAYMENT_MODES,
+            optional: true,
+            check: (value, certificate) => value !== 'cash' && !certificate.paymentReference ? 'needs a paymentReference' : null
+        },
+        paymentReference: { type: 'string', minLength: 1, maxLength: 100, optional: true },
+        chequeStatus: {
+            type: 'string',
+            enum: fees.CHEQUE_STATUSES,
+            optional: true,
+            check: (value, certificate) => certificate.paymentMode !== 'cheque' ? 'is only for cheque payments' : null
+        },
+        chequeStatusAt: { ...date, optional: true },
+        chequeStatusBy: { type: 'string', optional: true },
+        voidReason: { type: 'string', minLength: 1, maxLength: 500, optional: true },
+        voidedBy: { type: 'string', optional: true },
+        voidedAt: { ...date, optional: true },
+        // How the payment was spread over the student's fee lines
+        allocations: {
+            type: 'array',
+            optional: true,
+            items: {
+                type: 'object',
+                fields: {
+                    installment: { type: 'string', minLength: 1 },
+                    head: { type: 'string', minLength: 1 },
+                    amountPaise: paise
+                }
+            }
+        },
+        // Concessions and late fines on the student's fee when it was issued
+        adjustments: {
+            type: 'array',
+            optional: true,
+            items: {
+                type: 'object',
+                fields: {
+                    kind: { type: 'string', enum: ['concession', 'fine'] },
+                    head: { type: 'string', minLength: 1 },
+                    description: { type: 'string', minLength: 1 },
+                    amount: money
+                }
+            }
+        }
+    },
+
+    feeStructure: {
+        id: { type: 'string', pattern: /^FS_\w+$/ },
+        classCode: classCode,
+        academicYear: { type: 'string', pattern: /^\d{4}-\d{2}$/ },
+        heads: {
+            type: 'array',
+            minItems: 1,
+            maxItems: 20,
+            items: {
+                type: 'object',
+                fields: {
+                    head: { type: 'string', minLength: 1, maxLength: 30 },
+                    amount: money,
+                    optional: { type: 'boolean', optional: true }
+                }
+            }
+        },
+        installments: {
+            type: 'array',
+            minItems: 1,
+            maxItems: 12,
+            items: {
+                type: 'object',
+                fields: {
+                    name: { type: 'string', minLength: 1, maxLength: 50 },
+                    dueDate: calendarDate,
+                    amounts: { type: 'object', values: money }
+                }
+            }
+        },
+        lateFine: {
+            type: 'object',
+            optional: true,
+            fields: {
+                flat: { ...money, optional: true },
+                perDay: { ...money, optional: true },
+                graceDays: { type: 'integer', min: 0, max: 365, optional: true },
+                maxPerInstallment: { ...money, optional: true }
+            }
+        },
+        updatedAt: date
+    },
+
+    concession: {
+        id: { type: 'string', pattern: /^CON_\w+$/ },
+        studentCode: { type: 'string', minLength: 1 },
+        academicYear: { type: 'string', pattern: /^\d{4}-\d{2}$/ },
+        head: { type: 'string', minLength: 1, maxLength: 30 },
+        type: { type: 'string', enum: feeAdjustments.CONCESSION_TYPES },
+        value: {
+            type: 'number',
+            min: 0.01,
+            check: (value, concession) => concession.type === 'percentage' && value > 100 ? 'cannot be more than 100 percent' : null
+        },
+        category: { type: 'string', enum: feeAdjustments.CONCESSION_CATEGORIES },
+        reason: { type: 'string', minLength: 1, maxLength: 500 },
+        status: { type: 'string', enum: feeAdjustments.CONCESSION_STATUSES },
+        requestedBy: { type: 'string', minLength: 1 },
+        requestedAt: date,
+        decidedBy: { type: 'string', optional: true },
+        decidedAt: { ...date, optional: true },
+        decisionNote: { type: 'string', maxLength: 500, optional: true },
+        // Set once approved
+        amount: { ...money, optional: true },
+        applied: {
+            type: 'array',
+            optional: true,
+            items: {
+                type: 'object',
+                fields: {
+                    installment: { type: 'string', minLength: 1 },
+                    head: { type: 'string', minLength: 1 },
+                    amountPaise: paise
+                }
+            }
+        }
+    },
+
+    ledgerEntry: {
+        id: { type: 'string', pattern: /^LED_[\w-]+$/ },
+        studentCode: { type: 'string', minLength: 1 },
+        academicYear: { type: 'string', pattern: /^\d{4}-\d{2}(\d{2})?$/ },
+        type: { type: 'string', enum: ledger.ENTRY_TYPES },
+        // Whole paise; positive adds to the due
+        amountPaise: {
+            type: 'integer',
+            check: (value, entry) => {
+                if (['charge', 'fine', 'carry-forward'].includes(entry.type) && value <= 0) return 'must be more than 0';
+                if (['concession', 'payment'].includes(entry.type) && value >= 0) return 'must be less than 0';
+                return null;
+            }
+        },
+        description: { type: 'string', minLength: 1, maxLength: 600 },
+        installment: { type: 'string', optional: true },
+        head: { type: 'string', optional: true },
+        reference: { type: 'string', optional: true },
+        reverses: { type: 'string', pattern: /^LED_[\w-]+$/, optional: true },
+        postedAt: date,
+        postedBy: { type: 'string', optional: true }
+    },
+
+    hallTicket: {
+        hallTicketId: { type: 'string', pattern: /^HT_[\w]+$/, maxLength: 100 },
+        examName: { type: 'string', minLength: 1, maxLength: 100 },
+        fromDate: date,
+        toDate: { type: 'date', check: (value, record) => new Date(value) < new Date(record.fromDate) ? 'cannot be before fromDate' : null },
+        studentName: name,
+        studentRoll: rollNumber,
+        studentClass: classCode,
+        studentCode: studentCode,
+        examSchedule: {
+            type: 'array',
+            minItems: 1,
+            items: {
+                type: 'object',
+                fields: {
+                    date: date,
+                    exams: {
+                        type: 'array',
+                        minItems: 1,
+                        items: {
+                            type: 'object',
+                            fields: {
+                                examName: { type: 'string', minLength: 1, maxLength: 100 },
+                                timing: { type: 'string', maxLength: 50 }
+                            }
+                        }
+                    }
+                }
+            }
+        },
+        remarks: { type: 'string', maxLength: 500, optional: true },
+        issuedBy: { type: 'string', enum: ['admin', 'receptionist'] },
+        createdAt: date,
+        status: { type: 'string', enum: ['pending', 'issued'] },
+        issuedDate: { type: 'date', optional: true }
+    }
+};
+
+// Where each entity lives in the data file and how many levels of
+// class/student grouping sit above the records.
+const STORED_ENTITIES = {
+    notifications: { entity: 'notification', depth: 1 },
+    facultyPosts: { entity: 'facultyPost', depth: 3 },
+    homeworkSubmissions: { entity: 'homeworkSubmission', depth: 2 },
+    assignments: { entity: 'assignment', depth: 2 },
+    assignmentResults: { entity: 'submission', depth: 2 },
+    assignmentAttempts: { entity: 'assignmentAttempt', depth: 2 },
+    progressCards: { entity: 'progressCard', depth: 2 },
+    gradingSchemes: { entity: 'gradingScheme', depth: 1 },
+    questionBank: { entity: 'bankQuestion', depth: 1 },
+    monthlyAttendance: { entity: 'attendance', depth: 1 },
+    attendanceRegister: { entity: 'registerDay', depth: 2 },
+    schoolCalendar: { entity: 'schoolCalendar', depth: 0 },
+    timetable: { entity: 'timetable', depth: 0 },
+    studentMasterRecords: { entity: 'studentRecord', depth: 1 },
+    feeStructures: { entity: 'feeStructure', depth: 1 },
+    concessions: { entity: 'concession', depth: 1 },
+    feeLedger: { entity: 'ledgerEntry', depth: 2 },
+    feeCertificates: { entity: 'feeCertificate', depth: 1 },
+    studentFeeCertificates: { entity: 'feeCertificate', depth: 2 },
+    hallTickets: { entity: 'hallTicket', depth: 1 },
+    studentHallTickets: { entity: 'hallTicket', depth: 2 }
+};
+
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    return typeof value;
+}
+
+function matchesType(value, type) {
+    switch (type) {
+        case 'integer': return Number.isInteger(value);
+        case 'number': return typeof value === 'number' && Number.isFinite(value);
+        case 'date': return typeof value === 'string' && value.length > 0 && !isNaN(new Date(value));
+        case 'object': return typeOf(value) === 'object';
+        default: return typeOf(value) === type;
+    }
+}
+
+function describeType(type) {
+    const types = Array.isArray(type) ? type : [type];
+    return types.map(t => {
+        if (t === 'integer') return 'a whole number';
+        if (t === 'date') return 'a valid date';
+        return /^[aeiou]/.test(t) ? `an ${t}` : `a ${t}`;
+    }).join(' or ');
+}
+
+function validateField(spec, value, field, parent, errors) {
+    if (value === undefined || value === '') {
+        if (!spec.optional) errors.push({ field, message: 'is required' });
+        return;
+    }
+    if (value === null) {
+        if (!spec.nullable) errors.push({ field, message: 'is required' });
+        return;
+    }
+    const types = Array.isArray(spec.type) ? spec.type : [spec.type];
+    if (!types.some(type => matchesType(value, type))) {
+        errors.push({ field, message: `must be ${describeType(spec.type)}` });
+        return;
+    }
+    if (spec.enum && !spec.enum.includes(value)) {
+        errors.push({ field, message: `must be one of: ${spec.enum.join(', ')}` });
+    }
+    if (spec.pattern && typeof value === 'string' && !spec.pattern.test(value)) {
+        errors.push({ field, message: 'has an invalid format' });
+    }
+    if (typeof value === 'string') {
+        if (spec.minLength !== undefined && value.length < spec.minLength) {
+            errors.push({ field, message: `must be at least ${spec.minLength} characters` });
+        }
+        if (spec.maxLength !== undefined && value.length > spec.maxLength) {
+            errors.push({ field, message: `must be at most ${spec.maxLength} characters` });
+        }
+    }
+    if (typeof value === 'number') {
+        if (spec.min !== undefined && value < spec.min) errors.push({ field, message: `must be at least ${spec.min}` });
+        if (spec.max !== undefined && value > spec.max) errors.push({ field, message: `must be at most ${spec.max}` });
+    }
+    if (Array.isArray(value)) {
+        if (spec.minItems !== undefined && value.length < spec.minItems) {
+            errors.push({ field, message: `must have at least ${spec.minItems} item${spec.minItems === 1 ? '' : 's'}` });
+        }
+        if (spec.maxItems !== undefined && value.length > spec.maxItems) {
+            errors.push({ field, message: `must have at most ${spec.maxItems} items` });
+        }
+        if (spec.items) {
+            value.forEach((item, index) => validateField(spec.items, item, `${field}[${index}]`, value, errors));
+        }
+    }
+    if (typeOf(value) === 'object') {
+        if (spec.fields) validateObject(spec.fields, value, field, errors);
+        if (spec.values) {
+            const keys = Object.keys(value);
+            if (spec.minItems !== undefined && keys.length < spec.minItems) {
+                errors.push({ field, message: `must have at least ${spec.minItems} entr${spec.minItems === 1 ? 'y' : 'ies'}` });
+            }
+            keys.forEach(key => validateField(spec.values, value[key], `${field}.${key}`, value, errors));
+        }
+    }
+    if (spec.check) {
+        const message = spec.check(value, parent);
+        if (message) errors.push({ field, message });
+    }
+}
+
+function validateObject(fields, value, prefix, errors) {
+    Object.keys(fields).forEach(key => {
+        validateField(fields[key], value[key], prefix ? `${prefix}.${key}` : key, value, errors);
+    });
+}
+
+// Returns a list of { field, message }; empty when the record is valid.
+function validate(entity, record) {
+    const fields = SCHEMAS[entity];
+    if (!fields) throw new Error(`Unknown entity schema "${entity}"`);
+    if (typeOf(record) !== 'object') return [{ field: entity, message: 'must be an object' }];
+    const errors = [];
+    validateObject(fields, record, '', errors);
+    return errors;
+}
+
+// Copies only the declared fields, so stray client-supplied properties are
+// never stored.
+function pick(entity, source) {
+    const record = {};
+    Object.keys(SCHEMAS[entity]).forEach(key => {
+        if (source[key] !== undefined) record[key] = source[key];
+    });
+    return record;
+}
+
+function collectRecords(value, depth, location, records) {
+    if (depth === 0) {
+        records.push({ location, record: value });
+        return records;
+    }
+    if (Array.isArray(value)) {
+        value.forEach((item, index) => collectRecords(item, depth - 1, `${location}[${index}]`, records));
+    } else if (typeOf(value) === 'object') {
+        Object.keys(value).forEach(key => collectRecords(value[key], depth - 1, `${location}.${key}`, records));
+    }
+    return records;
+}
+
+// Validates every stored record and returns { location, entity, errors } for
+// each one that does not match its schema.
+function checkStoredData(data) {
+    const violations = [];
+    Object.keys(STORED_ENTITIES).forEach(collection => {
+        const { entity, depth } = STORED_ENTITIES[collection];
+        if (data[collection] === undefined) return;
+        collectRecords(data[collection], depth, collection, []).forEach(({ location, record }) => {
+            const errors = validate(entity, record);
+            if (errors.length > 0) violations.push({ location, entity, errors });
+        });
+    });
+    return violations;
+}
+
+module.exports = { CLASS_CODES, validate, pick, checkStoredData };
@@ -0,0 +1,214 @@
+const zlib = require('zlib');
+
+// Reads the first sheet of an uploaded CSV or XLSX file into rows of cell
+// strings. XLSX files are zip archives of XML parts; only what a plain data
+// sheet needs is read (shared strings, inline strings, numbers, booleans),
+// so there is no dependency on a full spreadsheet library.
+
+const ZIP_END_OF_DIRECTORY = 0x06054b50;
+const ZIP_DIRECTORY_ENTRY = 0x02014b50;
+const ZIP_LOCAL_HEADER = 0x04034b50;
+// Far beyond a class list; stops a crafted file from exhausting memory
+const MAX_ROWS = 5000;
+const MAX_PART_BYTES = 20 * 1024 * 1024;
+
+// RFC 4180: quoted fields may hold commas, newlines and doubled quotes
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    const source = text.replace(/^\uFEFF/, '');
+    for (let i = 0; i < source.length; i++) {
+        const char = source[i];
+        if (quoted) {
+            if (char === '"' && source[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && source[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+    if (rows.length > MAX_ROWS) throw new Error(`The file has more than ${MAX_ROWS} rows`);
+    return rows;
+}
+
+function readZipEntries(buffer) {
+    let end = -1;
+    for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 65557); i--) {
+        if (buffer.readUInt32LE(i) === ZIP_END_OF_DIRECTORY) {
+            end = i;
+            break;
+        }
+    }
+    if (end === -1) throw new Error('The file is not a valid XLSX workbook');
+    const count = buffer.readUInt16LE(end + 10);
+    let offset = buffer.readUInt32LE(end + 16);
+    const entries = {};
+    for (let i = 0; i < count; i++) {
+        if (buffer.readUInt32LE(offset) !== ZIP_DIRECTORY_ENTRY) {
+            throw new Error('The file is not a valid XLSX workbook');
+        }
+        const method = buffer.readUInt16LE(offset + 10);
+        const compressedSize = buffer.readUInt32LE(offset + 20);
+        const nameLength = buffer.readUInt16LE(offset + 28);
+        const extraLength = buffer.readUInt16LE(offset + 30);
+        const commentLength = buffer.readUInt16LE(offset + 32);
+        const localOffset = buffer.readUInt32LE(offset + 42);
+        const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+        entries[name] = { method, compressedSize, localOffset };
+        offset += 46 + nameLength + extraLength + commentLength;
+    }
+    return {
+        has: name => !!entries[name],
+        read(name) {
+            const entry = entries[name];
+            if (!entry) return null;
+            if (buffer.readUInt32LE(entry.localOffset) !== ZIP_LOCAL_HEADER) {
+                throw new Error('The file is not a valid XLSX workbook');
+            }
+            const start = entry.localOffset + 30 + buffer.readUInt16LE(entry.localOffset + 26) + buffer.readUInt16LE(entry.localOffset + 28);
+            const data = buffer.subarray(start, start + entry.compressedSize);
+            if (entry.method === 0) return data.toString('utf8');
+            if (entry.method === 8) return zlib.inflateRawSync(data, { maxOutputLength: MAX_PART_BYTES }).toString('utf8');
+            throw new Error('The XLSX workbook uses an unsupported compression method');
+        }
+    };
+}
+
+function decodeXml(text) {
+    return text
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&apos;/g, "'")
+        .replace(/&#(\d+);/g, (match, code) => String.fromCharCode(parseInt(code)))
+        .replace(/&#x([0-9a-f]+);/gi, (match, code) => String.fromCharCode(parseInt(code, 16)))
+        .replace(/&amp;/g, '&');
+}
+
+// All <t> runs of a string item, which rich text splits into several
+function textOf(xml) {
+    let text = '';
+    const pattern = /<t(?:\s[^>]*)?>([\s\S]*?)<\/t>/g;
+    let match;
+    while ((match = pattern.exec(xml))) text += decodeXml(match[1]);
+    return text;
+}
+
+function columnIndex(reference) {
+    const letters = reference.replace(/\d+$/, '');
+    let index = 0;
+    for (const letter of letters) index = index * 26 + (letter.charCodeAt(0) - 64);
+    return index - 1;
+}
+
+function firstSheetPath(zip) {
+    const workbook = zip.read('xl/workbook.xml');
+    const relations = zip.read('xl/_rels/workbook.xml.rels');
+    const sheet = workbook && /<sheet\b[^>]*\br:id="([^"]+)"/.exec(workbook);
+    if (sheet && relations) {
+        const relation = new RegExp(`<Relationship\\b[^>]*\\bId="${sheet[1]}"[^>]*>`).exec(relations);
+        const target = relation && /\bTarget="([^"]+)"/.exec(relation[0]);
+        if (target) {
+            const sheetPath = target[1].startsWith('/') ? target[1].slice(1) : `xl/${target[1]}`;
+            if (zip.has(sheetPath)) return sheetPath;
+        }
+    }
+    return 'xl/worksheets/sheet1.xml';
+}
+
+function parseXlsx(buffer) {
+    const zip = readZipEntries(buffer);
+    const sharedStringsXml = zip.read('xl/sharedStrings.xml') || '';
+    const sharedStrings = (sharedStringsXml.match(/<si>[\s\S]*?<\/si>/g) || []).map(textOf);
+    const sheet = zip.read(firstSheetPath(zip));
+    if (!sheet) throw new Error('The XLSX workbook has no worksheet');
+
+    const rows = [];
+    const rowPattern = /<row\b([^>]*?)(?:\/>|>([\s\S]*?)<\/row>)/g;
+    let rowMatch;
+    while ((rowMatch = rowPattern.exec(sheet))) {
+        const rowNumber = /\br="(\d+)"/.exec(rowMatch[1]);
+        const row = [];
+        const cellPattern = /<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g;
+        let cellMatch;
+        while ((cellMatch = cellPattern.exec(rowMatch[2] || ''))) {
+            const attributes = cellMatch[1];
+            const content = cellMatch[2] || '';
+            const reference = /\br="([A-Z]+\d+)"/.exec(attributes);
+            const type = (/\bt="(\w+)"/.exec(attributes) || [])[1];
+            const value = /<v>([\s\S]*?)<\/v>/.exec(content);
+            let text = '';
+            if (type === 's') text = value ? sharedStrings[parseInt(value[1])] || '' : '';
+            else if (type === 'inlineStr') text = textOf(content);
+            else if (type === 'b') text = value && value[1] === '1' ? 'TRUE' : 'FALSE';
+            else text = value ? decodeXml(value[1]) : '';
+            row[reference ? columnIndex(reference[1]) : row.length] = text;
+        }
+        const index = rowNumber ? parseInt(rowNumber[1]) - 1 : rows.length;
+        if (index >= MAX_ROWS) throw new Error(`The sheet has more than ${MAX_ROWS} rows`);
+        rows[index] = Array.from(row, cell => cell || '');
+    }
+    return Array.from(rows, row => row || []);
+}
+
+// Rows as objects keyed by the header row. `columns` maps each field to the
+// header spellings it accepts, compared without case, spaces or punctuation.
+// Every row keeps its line number in the file for error reports; blank rows
+// are dropped.
+function toRecords(rows, columns) {
+    const normalize = header => String(header).toLowerCase().replace(/[^a-z0-9]/g, '');
+    const headers = (rows[0] || []).map(normalize);
+    const fieldIndexes = {};
+    const missing = [];
+    Object.keys(columns).forEach(field => {
+        const index = headers.findIndex(header => columns[field].map(normalize).includes(header));
+        if (index === -1) missing.push(field);
+        else fieldIndexes[field] = index;
+    });
+    const records = [];
+    rows.slice(1).forEach((row, index) => {
+        if (row.every(cell => String(cell).trim() === '')) return;
+        const record = { row: index + 2 };
+        Object.keys(fieldIndexes).forEach(field => {
+            record[field] = String(row[fieldIndexes[field]] === undefined ? '' : row[fieldIndexes[field]]).trim();
+        });
+        records.push(record);
+    });
+    return { records, missing };
+}
+
+function readSpreadsheet(buffer, filename) {
+    if (!/\.xlsx$/i.test(filename)) return parseCsv(buffer.toString('utf8'));
+    try {
+        return parseXlsx(buffer);
+    } catch (error) {
+        // Offsets and streams read from a damaged archive fail inside Buffer
+        // and zlib, whose messages mean nothing to whoever uploaded the file
+        if (error.code) throw new Error('The file is not a valid XLSX workbook');
+        throw error;
+    }
+}
+
+module.exports = { parseCsv, parseXlsx, readSpreadsheet, toRecords };
@@ -0,0 +1,122 @@
+const { createJsonDriver } = require('./jsonDriver');
+const { createSnapshots } = require('./snapshots');
+
+// Picks the storage driver and keeps the last persisted state in memory, so a
+// request no longer re-parses the data file and a save only hands the driver
+// the collections that actually changed. The server must be the only writer
+// while it runs.
+//
+// With a snapshotDir, the state about to be overwritten is also snapshotted
+// before a save whenever the newest snapshot is more than an hour old.
+
+function createDriver({ driver, jsonFile, sqliteFile }) {
+    const driverName = (driver || 'json').toLowerCase();
+    if (driverName === 'json') {
+        return createJsonDriver({ file: jsonFile });
+    }
+    if (driverName === 'sqlite') {
+        const { createSqliteDriver } = require('./sqliteDriver');
+        return createSqliteDriver({ file: sqliteFile });
+    }
+    throw new Error(`Unknown storage driver "${driver}". Use "json" or "sqlite".`);
+}
+
+function serializeCollections(data) {
+    const serialized = {};
+    Object.keys(data).forEach(name => {
+        if (data[name] !== undefined) serialized[name] = JSON.stringify(data[name]);
+    });
+    return serialized;
+}
+
+// FIFO mutex: lock() resolves with a release function once every earlier
+// holder has released.
+function createLock() {
+    let tail = Promise.resolve();
+    return function lock() {
+        let release;
+        const held = new Promise(resolve => { release = resolve; });
+        const acquired = tail.then(() => release);
+        tail = tail.then(() => held);
+        return acquired;
+    };
+}
+
+function createStorage(options) {
+    const driver = createDriver(options);
+    const snapshots = options.snapshotDir ? createSnapshots({
+        dir: options.snapshotDir,
+        hourly: options.snapshotHourly,
+        daily: options.snapshotDaily
+    }) : null;
+    let cache = null;
+    let persisted = {};
+
+    function remember(serialized) {
+        persisted = serialized;
+        cache = {};
+        Object.keys(serialized).forEach(name => {
+            cache[name] = JSON.parse(serialized[name]);
+        });
+    }
+
+    async function loadCache() {
+        if (!cache) {
+            const data = await driver.load();
+            if (data) remember(serializeCollections(data));
+        }
+        return cache;
+    }
+
+    // A copy of the whole state, for a request to change and save()
+    async function load() {
+        const current = await loadCache();
+        return current ? structuredClone(current) : null;
+    }
+
+    // The persisted collections named, without copying them: for lookups
+    // that only read, such as authenticating a request. The result must not
+    // be changed.
+    async function read(names) {
+        const current = await loadCache();
+        const collections = {};
+        names.forEach(name => {
+            if (current && current[name] !== undefined) collections[name] = current[name];
+        });
+        return collections;
+    }
+
+    async function save(data) {
+        const serialized = serializeCollections(data);
+        const changed = Object.keys(serialized).filter(name => serialized[name] !== persisted[name]);
+        const removed = Object.keys(persisted).filter(name => !(name in serialized));
+        if (cache && changed.length === 0 && removed.length === 0) {
+            return { changed: [], removed: [], previous: cache };
+        }
+        const previous = cache || {};
+        if (cache && snapshots) {
+            try {
+                const snapshot = await snapshots.takeIfDue(cache);
+                if (snapshot) console.log(`📸 Snapshot ${snapshot.id} taken`);
+            } catch (error) {
+                console.log('⚠️ Could not take snapshot:', error.message);
+            }
+        }
+        await driver.save(data, { changed, removed });
+        remember(serialized);
+        return { changed, removed, previous };
+    }
+
+    return {
+        driver: driver.name,
+        location: driver.location,
+        snapshots,
+        lock: createLock(),
+        load,
+        read,
+        save,
+        close: () => driver.close()
+    };
+}
+
+module.exports = { createStorage };
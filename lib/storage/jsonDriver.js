@@ -0,0 +1,56 @@
+const fs = require('fs').promises;
+
+// Writes go to a temp file next to the target, are flushed to disk and then
+// renamed over it, so a crash leaves either the old or the new file, never a
+// half-written one.
+async function writeFileAtomic(file, contents) {
+    const tempFile = `${file}.tmp-${process.pid}`;
+    const handle = await fs.open(tempFile, 'w');
+    try {
+        await handle.writeFile(contents);
+        await handle.sync();
+    } finally {
+        await handle.close();
+    }
+    try {
+        await fs.rename(tempFile, file);
+    } catch (error) {
+        await fs.unlink(tempFile).catch(() => {});
+        throw error;
+    }
+}
+
+// Stores the whole data set as one pretty-printed JSON document, the format
+// schoolData.json has always had.
+function createJsonDriver({ file }) {
+    async function load() {
+        let raw;
+        try {
+            raw = await fs.readFile(file, 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+        return JSON.parse(raw);
+    }
+
+    async function save(data) {
+        try {
+            const currentData = await fs.readFile(file, 'utf8');
+            await writeFileAtomic(file + '.backup', currentData);
+        } catch (backupError) {
+            console.log('⚠️ Could not create backup:', backupError.message);
+        }
+        await writeFileAtomic(file, JSON.stringify(data, null, 2));
+    }
+
+    return {
+        name: 'json',
+        location: file,
+        load,
+        save,
+        close: async () => {}
+    };
+}
+
+module.exports = { createJsonDriver };
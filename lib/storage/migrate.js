@@ -0,0 +1,81 @@
+#!/usr/bin/env node
+// One-shot import of an existing schoolData.json into the SQLite store.
+//
+//   node lib/storage/migrate.js [--from schoolData.json] [--to schoolData.db] [--force]
+//
+// The JSON file is left untouched. An existing, non-empty database is only
+// overwritten with --force.
+
+const path = require('path');
+const { createJsonDriver } = require('./jsonDriver');
+const { createSqliteDriver } = require('./sqliteDriver');
+
+function parseArgs(argv) {
+    const options = { from: 'schoolData.json', to: 'schoolData.db', force: false };
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--from') options.from = argv[++i];
+        else if (argv[i] === '--to') options.to = argv[++i];
+        else if (argv[i] === '--force') options.force = true;
+        else throw new Error(`Unknown argument: ${argv[i]}`);
+    }
+    return options;
+}
+
+function describe(value) {
+    if (Array.isArray(value)) return `${value.length} items`;
+    if (value && typeof value === 'object') return `${Object.keys(value).length} keys`;
+    return 'value';
+}
+
+async function migrate({ from, to, force }) {
+    const source = createJsonDriver({ file: path.resolve(from) });
+    const data = await source.load();
+    if (!data) {
+        throw new Error(`Source file ${from} does not exist`);
+    }
+
+    const target = createSqliteDriver({ file: path.resolve(to) });
+    try {
+        const existing = await target.load();
+        if (existing) {
+            if (!force) {
+                throw new Error(`Target database ${to} already contains data. Re-run with --force to replace it.`);
+            }
+            await target.save({}, { changed: [], removed: Object.keys(existing) });
+        }
+
+        await target.save(data, { changed: Object.keys(data), removed: [] });
+
+        const imported = await target.load();
+        const mismatched = Object.keys(data).filter(name =>
+            JSON.stringify(data[name]) !== JSON.stringify(imported[name])
+        );
+        if (mismatched.length > 0) {
+            throw new Error(`Verification failed for collections: ${mismatched.join(', ')}`);
+        }
+
+        console.log(`✅ Imported ${from} into ${to}`);
+        Object.keys(data).forEach(name => {
+            console.log(`   ${name}: ${describe(data[name])}`);
+        });
+        console.log('Start the server with STORAGE_DRIVER=sqlite to use it.');
+    } finally {
+        await target.close();
+    }
+}
+
+if (require.main === module) {
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        console.error('❌', error.message);
+        process.exit(1);
+    }
+    migrate(options).catch(error => {
+        console.error('❌ Migration failed:', error.message);
+        process.exit(1);
+    });
+}
+
+module.exports = { migrate };
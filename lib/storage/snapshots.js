@@ -0,0 +1,177 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+// Timestamped copies of the whole data set, written to their own directory
+// whatever the storage driver. One file per snapshot:
+//
+//   snapshot-2025-06-01T09-30-00-000Z.json  ->  { id, createdAt, reason, createdBy, data }
+//
+// Retention keeps every snapshot from the last `hourly` hours (scheduled ones
+// are at most hourly) and the newest of every day for the last `daily` days;
+// anything older is pruned after each new snapshot.
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const ID_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}-\d{3}Z$/;
+
+function toSnapshotId(date) {
+    return date.toISOString().replace(/[:.]/g, '-');
+}
+
+function fromSnapshotId(id) {
+    const [day, time] = id.split('T');
+    const [hours, minutes, seconds, millis] = time.replace('Z', '').split('-');
+    return new Date(`${day}T${hours}:${minutes}:${seconds}.${millis}Z`);
+}
+
+// Arrays are matched by their record id where the records have one, so a
+// deleted certificate shows up as removed rather than as every later index
+// having changed.
+function keyEntries(value) {
+    const entries = new Map();
+    if (Array.isArray(value)) {
+        value.forEach((item, index) => {
+            const key = item && typeof item === 'object' ? (item.id || item.hallTicketId || `#${index}`) : `#${index}`;
+            entries.set(String(key), JSON.stringify(item));
+        });
+    } else if (value && typeof value === 'object') {
+        Object.keys(value).forEach(key => entries.set(key, JSON.stringify(value[key])));
+    } else if (value !== undefined) {
+        entries.set('', JSON.stringify(value));
+    }
+    return entries;
+}
+
+// Lists, per collection, the entries added, removed and changed going from
+// fromData to toData.
+function diffData(fromData, toData, ignore = []) {
+    const collections = {};
+    const names = new Set([...Object.keys(fromData), ...Object.keys(toData)]);
+    names.forEach(name => {
+        if (ignore.includes(name)) return;
+        const before = keyEntries(fromData[name]);
+        const after = keyEntries(toData[name]);
+        const added = [];
+        const removed = [];
+        const changed = [];
+        after.forEach((value, key) => {
+            if (!before.has(key)) added.push(key);
+            else if (before.get(key) !== value) changed.push(key);
+        });
+        before.forEach((value, key) => {
+            if (!after.has(key)) removed.push(key);
+        });
+        if (added.length || removed.length || changed.length) {
+            collections[name] = {
+                fromCount: before.size,
+                toCount: after.size,
+                added,
+                removed,
+                changed
+            };
+        }
+    });
+    return collections;
+}
+
+function createSnapshots({ dir, intervalMs = HOUR_MS, hourly = 24, daily = 30 }) {
+    let lastSnapshotAt = null;
+
+    function snapshotFile(id) {
+        if (!ID_PATTERN.test(id)) return null;
+        return path.join(dir, `snapshot-${id}.json`);
+    }
+
+    async function listIds() {
+        let files;
+        try {
+            files = await fs.readdir(dir);
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+        return files
+            .filter(file => file.startsWith('snapshot-') && file.endsWith('.json'))
+            .map(file => file.slice('snapshot-'.length, -'.json'.length))
+            .filter(id => ID_PATTERN.test(id))
+            .sort()
+            .reverse();
+    }
+
+    async function list() {
+        const ids = await listIds();
+        const snapshots = [];
+        for (const id of ids) {
+            // A half-written or damaged file cannot be restored, so it is left
+            // out of the list rather than failing the whole listing
+            try {
+                const stat = await fs.stat(snapshotFile(id));
+                const { createdAt, reason, createdBy } = JSON.parse(await fs.readFile(snapshotFile(id), 'utf8'));
+                snapshots.push({ id, createdAt, reason, createdBy: createdBy || null, size: stat.size });
+            } catch (error) {
+                continue;
+            }
+        }
+        return snapshots;
+    }
+
+    async function read(id) {
+        const file = snapshotFile(id);
+        if (!file) return null;
+        try {
+            return JSON.parse(await fs.readFile(file, 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    }
+
+    async function prune(now = new Date()) {
+        const ids = await listIds();
+        const keptDays = new Set();
+        const removed = [];
+        for (const id of ids) {
+            const createdAt = fromSnapshotId(id);
+            const age = now - createdAt;
+            if (age < hourly * HOUR_MS) continue;
+            // ids are newest first, so the first snapshot seen on a day is kept
+            const day = id.slice(0, 10);
+            if (age < daily * DAY_MS && !keptDays.has(day)) {
+                keptDays.add(day);
+                continue;
+            }
+            await fs.unlink(snapshotFile(id)).catch(() => {});
+            removed.push(id);
+        }
+        return removed;
+    }
+
+    async function take(data, { reason = 'scheduled', createdBy = null } = {}) {
+        await fs.mkdir(dir, { recursive: true });
+        const now = new Date();
+        const id = toSnapshotId(now);
+        const snapshot = { id, createdAt: now.toISOString(), reason, createdBy, data };
+        const file = snapshotFile(id);
+        const tempFile = `${file}.tmp-${process.pid}`;
+        await fs.writeFile(tempFile, JSON.stringify(snapshot));
+        await fs.rename(tempFile, file);
+        lastSnapshotAt = now;
+        await prune(now);
+        return { id, createdAt: snapshot.createdAt, reason, createdBy };
+    }
+
+    // Snapshots the state that is about to be overwritten once the newest
+    // snapshot is older than the interval.
+    async function takeIfDue(data) {
+        if (lastSnapshotAt === null) {
+            const [newest] = await listIds();
+            lastSnapshotAt = newest ? fromSnapshotId(newest) : new Date(0);
+        }
+        if (Date.now() - lastSnapshotAt.getTime() < intervalMs) return null;
+        return take(data);
+    }
+
+    return { dir, list, read, take, takeIfDue, prune };
+}
+
+module.exports = { createSnapshots, diffData };
@@ -0,0 +1,157 @@
+// Stores each top-level collection as one row per entry: array items by
+// position, object members by key. A save only touches the rows whose JSON
+// actually changed, so posting one fee certificate is a single INSERT instead
+// of a rewrite of every collection.
+
+const SCHEMA_VERSION = 1;
+
+function loadDatabaseModule() {
+    try {
+        return require('better-sqlite3');
+    } catch (error) {
+        throw new Error('The sqlite storage driver needs the better-sqlite3 package. Run "npm install better-sqlite3" or set STORAGE_DRIVER=json.');
+    }
+}
+
+function toEntries(value) {
+    if (Array.isArray(value)) {
+        return { kind: 'array', entries: value.map((item, index) => [String(index), JSON.stringify(item)]) };
+    }
+    if (value && typeof value === 'object') {
+        return { kind: 'object', entries: Object.keys(value).map(key => [key, JSON.stringify(value[key])]) };
+    }
+    return { kind: 'value', entries: [['', JSON.stringify(value === undefined ? null : value)]] };
+}
+
+function fromEntries(kind, rows) {
+    if (kind === 'array') return rows.map(row => JSON.parse(row.value));
+    if (kind === 'object') {
+        const value = {};
+        rows.forEach(row => {
+            value[row.entry_key] = JSON.parse(row.value);
+        });
+        return value;
+    }
+    return rows.length > 0 ? JSON.parse(rows[0].value) : null;
+}
+
+function createSqliteDriver({ file }) {
+    const Database = loadDatabaseModule();
+    const db = new Database(file);
+    db.pragma('journal_mode = WAL');
+    db.pragma('synchronous = NORMAL');
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS meta (
+            key TEXT PRIMARY KEY,
+            value TEXT NOT NULL
+        );
+        CREATE TABLE IF NOT EXISTS collections (
+            name TEXT PRIMARY KEY,
+            kind TEXT NOT NULL
+        );
+        CREATE TABLE IF NOT EXISTS entries (
+            collection TEXT NOT NULL REFERENCES collections (name),
+            entry_key TEXT NOT NULL,
+            position INTEGER NOT NULL,
+            value TEXT NOT NULL,
+            PRIMARY KEY (collection, entry_key)
+        );
+    `);
+    db.prepare('INSERT OR IGNORE INTO meta (key, value) VALUES (?, ?)').run('schemaVersion', String(SCHEMA_VERSION));
+
+    const statements = {
+        selectCollections: db.prepare('SELECT name, kind FROM collections'),
+        selectEntries: db.prepare('SELECT collection, entry_key, value FROM entries ORDER BY collection, position'),
+        upsertCollection: db.prepare(`
+            INSERT INTO collections (name, kind) VALUES (?, ?)
+            ON CONFLICT (name) DO UPDATE SET kind = excluded.kind
+        `),
+        upsertEntry: db.prepare(`
+            INSERT INTO entries (collection, entry_key, position, value) VALUES (?, ?, ?, ?)
+            ON CONFLICT (collection, entry_key) DO UPDATE SET position = excluded.position, value = excluded.value
+        `),
+        deleteEntry: db.prepare('DELETE FROM entries WHERE collection = ? AND entry_key = ?'),
+        deleteEntries: db.prepare('DELETE FROM entries WHERE collection = ?'),
+        deleteCollection: db.prepare('DELETE FROM collections WHERE name = ?'),
+        count: db.prepare('SELECT COUNT(*) AS total FROM collections')
+    };
+
+    // collection -> { kind, entries: Map(entry_key -> { position, value }) } as stored
+    let stored = new Map();
+
+    function readStored() {
+        stored = new Map();
+        statements.selectCollections.all().forEach(row => {
+            stored.set(row.name, { kind: row.kind, rows: [] });
+        });
+        statements.selectEntries.all().forEach(row => {
+            if (stored.has(row.collection)) stored.get(row.collection).rows.push(row);
+        });
+        const data = {};
+        stored.forEach((collection, name) => {
+            data[name] = fromEntries(collection.kind, collection.rows);
+            collection.entries = new Map(collection.rows.map((row, position) => [row.entry_key, { position, value: row.value }]));
+            delete collection.rows;
+        });
+        return data;
+    }
+
+    // Returns the new stored state; it is only applied once the transaction commits
+    const writeCollections = db.transaction((data, names, removed) => {
+        const updates = new Map();
+        removed.forEach(name => {
+            statements.deleteEntries.run(name);
+            statements.deleteCollection.run(name);
+        });
+        names.forEach(name => {
+            const { kind, entries } = toEntries(data[name]);
+            const previous = stored.get(name);
+            if (previous && previous.kind !== kind) {
+                statements.deleteEntries.run(name);
+            }
+            if (!previous || previous.kind !== kind) {
+                statements.upsertCollection.run(name, kind);
+            }
+            const previousEntries = previous && previous.kind === kind ? previous.entries : new Map();
+            const nextEntries = new Map();
+            entries.forEach(([key, value], position) => {
+                const old = previousEntries.get(key);
+                if (!old || old.value !== value || old.position !== position) {
+                    statements.upsertEntry.run(name, key, position, value);
+                }
+                nextEntries.set(key, { position, value });
+            });
+            previousEntries.forEach((entry, key) => {
+                if (!nextEntries.has(key)) statements.deleteEntry.run(name, key);
+            });
+            updates.set(name, { kind, entries: nextEntries });
+        });
+        return updates;
+    });
+
+    async function load() {
+        if (statements.count.get().total === 0) return null;
+        return readStored();
+    }
+
+    async function save(data, { changed, removed } = {}) {
+        const names = changed || Object.keys(data);
+        const updates = writeCollections(data, names, removed || []);
+        (removed || []).forEach(name => stored.delete(name));
+        updates.forEach((collection, name) => stored.set(name, collection));
+    }
+
+    async function close() {
+        db.close();
+    }
+
+    return {
+        name: 'sqlite',
+        location: file,
+        load,
+        save,
+        close
+    };
+}
+
+module.exports = { createSqliteDriver };
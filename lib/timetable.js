@@ -0,0 +1,100 @@
+// Class timetables: the periods of a school day and, for every class, which
+// subject is taught in each day/period slot and by whom. Stored as:
+//
+//   data.timetable = {
+//     periods: [{ number: 1, start: '09:00', end: '09:45' }, ...],
+//     classes: {
+//       '5': [{ day: 1, period: 1, subject: 'Mathematics', facultyCode: 'CB2505' }, ...]
+//     }
+//   }
+//
+// Days are 0 (Sunday) to 6 like Date#getDay(); the weekly off days of the
+// school calendar have no slots.
+
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+function createTimetable() {
+    const periods = [];
+    // Eight 45-minute periods from 09:00, with a break after the fourth
+    let minutes = 9 * 60;
+    for (let number = 1; number <= 8; number++) {
+        if (number === 5) minutes += 45;
+        periods.push({ number, start: formatTime(minutes), end: formatTime(minutes + 45) });
+        minutes += 45;
+    }
+    return { periods, classes: {} };
+}
+
+function formatTime(minutes) {
+    return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+// Days that have lessons: every day the calendar does not mark as a weekly off
+function teachingDays(calendar) {
+    return [1, 2, 3, 4, 5, 6, 0].filter(day => !calendar.weeklyOffDays.includes(day));
+}
+
+// Errors for periods that are out of order, end before they start or overlap
+function checkPeriods(periods) {
+    const errors = [];
+    periods.forEach((period, index) => {
+        if (!TIME_PATTERN.test(period.start) || !TIME_PATTERN.test(period.end)) return;
+        if (period.end <= period.start) {
+            errors.push({ field: `periods[${index}].end`, message: 'must be after the start time' });
+        }
+        const previous = periods[index - 1];
+        if (!previous) return;
+        if (period.number <= previous.number) {
+            errors.push({ field: `periods[${index}].number`, message: 'must be greater than the period before it' });
+        }
+        if (TIME_PATTERN.test(previous.end) && period.start < previous.end) {
+            errors.push({ field: `periods[${index}].start`, message: `overlaps period ${previous.number}` });
+        }
+    });
+    return errors;
+}
+
+function sortSlots(slots) {
+    return slots.sort((a, b) => (a.day || 7) - (b.day || 7) || a.period - b.period);
+}
+
+// Every slot where one teacher is booked into more than one class. Pass a
+// copy of timetable.classes with one class replaced to see what saving it
+// would cause.
+function findClashes(classes) {
+    const bookings = {};
+    Object.keys(classes).forEach(classCode => {
+        classes[classCode].forEach(slot => {
+            const key = `${slot.facultyCode}|${slot.day}|${slot.period}`;
+            if (!bookings[key]) bookings[key] = { facultyCode: slot.facultyCode, day: slot.day, period: slot.period, classCodes: [] };
+            bookings[key].classCodes.push(classCode);
+        });
+    });
+    return sortSlots(Object.values(bookings).filter(booking => booking.classCodes.length > 1));
+}
+
+function classTimetable(timetable, classCode) {
+    return sortSlots([...(timetable.classes[classCode] || [])]);
+}
+
+function facultyTimetable(timetable, facultyCode) {
+    const slots = [];
+    Object.keys(timetable.classes).forEach(classCode => {
+        timetable.classes[classCode].forEach(slot => {
+            if (slot.facultyCode === facultyCode) slots.push({ ...slot, classCode });
+        });
+    });
+    return sortSlots(slots);
+}
+
+module.exports = {
+    DAY_NAMES,
+    TIME_PATTERN,
+    createTimetable,
+    teachingDays,
+    checkPeriods,
+    findClashes,
+    classTimetable,
+    facultyTimetable
+};
@@ -0,0 +1,47 @@
+// Shared session handling for the admin, faculty, receptionist and student
+// portals. The session itself lives in an HttpOnly cookie set by
+// /api/auth/login, so every same-origin fetch is authenticated automatically.
+(function () {
+    const expectedRoles = ((document.currentScript && document.currentScript.dataset.role) || '').split(' ').filter(Boolean);
+
+    function redirectToLogin() {
+        sessionStorage.clear();
+        window.location.href = 'schoollogin.html';
+    }
+
+    async function checkSession() {
+        try {
+            const response = await fetch('/api/auth/me', { credentials: 'same-origin', cache: 'no-store' });
+            if (response.status === 401) {
+                redirectToLogin();
+                return null;
+            }
+            const result = await response.json();
+            // New student codes use the current academic year's prefix
+            if (window.SchoolCodes && result.codePrefix) {
+                window.SchoolCodes.setCurrentPrefix(result.codePrefix);
+            }
+            if (expectedRoles.length > 0 && result.user && !expectedRoles.includes(result.user.role)) {
+                redirectToLogin();
+                return null;
+            }
+            return result.user;
+        } catch (error) {
+            console.warn('Could not verify session:', error);
+            return null;
+        }
+    }
+
+    async function portalLogout(target) {
+        try {
+            await fetch('/api/auth/logout', { method: 'POST', credentials: 'same-origin' });
+        } catch (error) {
+            console.warn('Logout request failed:', error);
+        }
+        sessionStorage.clear();
+        window.location.href = target || 'index.html';
+    }
+
+    window.portalSession = checkSession();
+    window.portalLogout = portalLogout;
+})();
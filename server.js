@@ -1,42 +1,118 @@
 const express = require('express');
+const { AsyncLocalStorage } = require('async_hooks');
 const fs = require('fs').promises;
 const path = require('path');
 const cors = require('cors');
 const multer = require('multer');
+const auth = require('./lib/auth');
+const policy = require('./lib/policy');
+const { createStorage } = require('./lib/storage');
+const { diffData } = require('./lib/storage/snapshots');
+const { createAuditLog, collectChanges } = require('./lib/audit');
+const schemas = require('./lib/schemas');
+const academicYears = require('./lib/academicYears');
+const attendance = require('./lib/attendance');
+const timetable = require('./lib/timetable');
+const gradebook = require('./lib/gradebook');
+const progressCards = require('./lib/progressCards');
+const questions = require('./lib/questions');
+const attempts = require('./lib/attempts');
+const questionBank = require('./lib/questionBank');
+const assignmentAnalytics = require('./lib/assignmentAnalytics');
+const homework = require('./lib/homework');
+const fees = require('./lib/fees');
+const dayBook = require('./lib/dayBook');
+const feeAdjustments = require('./lib/feeAdjustments');
+const ledger = require('./lib/ledger');
+const codes = require('./codes');
+const spreadsheet = require('./lib/spreadsheet');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 const DATA_FILE = 'schoolData.json';
+const SQLITE_FILE = process.env.SQLITE_FILE || 'schoolData.db';
 
-const storage = multer.diskStorage({
-    destination: function (req, file, cb) {
-        cb(null, 'uploads/');
-    },
-    filename: function (req, file, cb) {
-        const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-        cb(null, uniqueSuffix + '-' + file.originalname);
-    }
+const dataStore = createStorage({
+    driver: process.env.STORAGE_DRIVER || 'json',
+    jsonFile: DATA_FILE,
+    sqliteFile: SQLITE_FILE,
+    snapshotDir: process.env.SNAPSHOT_DIR || 'snapshots',
+    snapshotHourly: parseInt(process.env.SNAPSHOT_KEEP_HOURS) || undefined,
+    snapshotDaily: parseInt(process.env.SNAPSHOT_KEEP_DAYS) || undefined
 });
+const auditLog = createAuditLog({ file: process.env.AUDIT_FILE || 'audit.log' });
+// The request currently holding the data lock, so writeData() can tell the
+// audit log who made a change and through which route
+const requestContext = new AsyncLocalStorage();
+
+// Homework hand-ins are kept apart from uploads/, which is served to anyone,
+// and are only sent out by GET /api/homework-submissions/:postId/:studentCode/file
+const HOMEWORK_DIR = 'homework-submissions';
+
+// Images, PDFs and documents stored on disk under `directory`
+function documentUpload(directory) {
+    const storage = multer.diskStorage({
+        destination: function (req, file, cb) {
+            cb(null, `${directory}/`);
+        },
+        filename: function (req, file, cb) {
+            const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+            cb(null, uniqueSuffix + '-' + file.originalname);
+        }
+    });
+    return multer({
+        storage: storage,
+        limits: {
+            fileSize: 10 * 1024 * 1024
+        },
+        fileFilter: function (req, file, cb) {
+            const allowedTypes = /jpeg|jpg|png|gif|pdf|doc|docx/;
+            const extname = allowedTypes.test(path.extname(file.originalname).toLowerCase());
+            const mimetype = allowedTypes.test(file.mimetype);
+            if (mimetype && extname) {
+                return cb(null, true);
+            } else {
+                cb(new Error('Only images, PDFs, and documents are allowed'));
+            }
+        }
+    });
+}
+
+const upload = documentUpload('uploads');
+const homeworkUpload = documentUpload(HOMEWORK_DIR);
+
+// Removes a file multer stored for a request that was turned down
+async function discardUpload(file) {
+    if (!file) return;
+    try {
+        await fs.unlink(file.path);
+    } catch (error) {
+        console.error('❌ Error removing upload:', error);
+    }
+}
 
-const upload = multer({ 
-    storage: storage,
+// Spreadsheets are parsed straight from memory and never kept on disk
+const importUpload = multer({
+    storage: multer.memoryStorage(),
     limits: {
         fileSize: 10 * 1024 * 1024
     },
     fileFilter: function (req, file, cb) {
-        const allowedTypes = /jpeg|jpg|png|gif|pdf|doc|docx/;
-        const extname = allowedTypes.test(path.extname(file.originalname).toLowerCase());
-        const mimetype = allowedTypes.test(file.mimetype);
-        if (mimetype && extname) {
+        if (/\.(csv|xlsx)$/i.test(file.originalname)) {
             return cb(null, true);
-        } else {
-            cb(new Error('Only images, PDFs, and documents are allowed'));
         }
+        cb(new Error('Only CSV and XLSX files are allowed'));
     }
 });
 
 app.use(cors());
 app.use(express.json());
+app.use((req, res, next) => {
+    if (/^\/(schoolData\.(json|db)|server\.js|lib\/|snapshots\/|homework-submissions\/|audit\.log|package(-lock)?\.json|Dockerfile)/i.test(req.path)) {
+        return res.status(404).json({ error: 'Route not found' });
+    }
+    next();
+});
 app.use(express.static(path.join(__dirname, '.')));
 app.use('/uploads', express.static('uploads'));
 
@@ -45,6 +121,16 @@ function sanitizeInput(input) {
     return input.trim().replace(/<script\b[^<]*(?:(?!<\/script>)<[^<]*)*<\/script>/gi, '');
 }
 
+// Replies 400 with the field-level errors from schemas.validate(); `error`
+// keeps a readable summary for the portals that only show that.
+function validationFailed(res, errors) {
+    return res.status(400).json({
+        success: false,
+        error: 'Validation failed: ' + errors.map(e => `${e.row !== undefined ? `row ${e.row}: ` : ''}${e.field} ${e.message}`).join('; '),
+        errors: errors
+    });
+}
+
 function setNoCacheHeaders(res) {
     res.setHeader('Cache-Control', 'no-store, no-cache, must-revalidate, proxy-revalidate');
     res.setHeader('Pragma', 'no-cache');
@@ -65,189 +151,242 @@ function isValidAttendanceDate(month, year) {
     return true;
 }
 
-function isValidRollNumber(rollNumber) {
-    return /^\d{1,2}$/.test(rollNumber) && parseInt(rollNumber) >= 1 && parseInt(rollNumber) <= 60;
+// Sets the prefix new student codes are issued with from data.academicYears.
+// Runs at startup and whenever the academic years are written.
+function applyAcademicYears(data) {
+    if (!data.academicYears || !data.academicYears.current) return;
+    codes.setCurrentPrefix(academicYears.currentYear(data.academicYears).codePrefix);
 }
 
-function parseStudentCode(studentCode) {
-    const nurseryMatch = studentCode.match(/^CB25N(\d{3})$/i);
-    if (nurseryMatch) {
-        return {
-            classCode: 'nursery',
-            rollNumber: parseInt(nurseryMatch[1]).toString(),
-            fullCode: studentCode.toUpperCase(),
-            type: 'nursery'
-        };
-    }
-    const lkgMatch = studentCode.match(/^CB25L(\d{3})$/i);
-    if (lkgMatch) {
-        return {
-            classCode: 'lkg',
-            rollNumber: parseInt(lkgMatch[1]).toString(),
-            fullCode: studentCode.toUpperCase(),
-            type: 'lkg'
+// Codes are parsed and issued by the module the portals load too
+const { parseStudentCode, formatStudentCode: generateStudentCode } = codes;
+
+function isValidClassCode(classCode) {
+    return codes.CLASS_CODES.includes(String(classCode).toLowerCase());
+}
+
+// The registered students of a class in roll number order
+function classRoster(data, classCode) {
+    return Object.values(data.studentMasterRecords)
+        .filter(record => String(record.studentClass).toLowerCase() === String(classCode).toLowerCase())
+        .map(record => ({ studentCode: record.studentCode, studentName: record.studentName, studentRoll: record.studentRoll }))
+        .sort((a, b) => parseInt(a.studentRoll) - parseInt(b.studentRoll));
+}
+
+function getDefaultStaffAccounts() {
+    const accounts = [
+        { code: codes.formatStaffCode('admin'), role: 'admin', name: 'Administrator', password: process.env.ADMIN_PASSWORD },
+        { code: codes.formatStaffCode('receptionist'), role: 'receptionist', name: 'Receptionist', password: process.env.RECEPTIONIST_PASSWORD }
+    ];
+    codes.CLASS_CODES.forEach(classCode => {
+        accounts.push({ code: codes.formatFacultyCode(classCode), role: 'faculty', name: `Class ${classCode} Faculty`, classCode, password: process.env.FACULTY_PASSWORD });
+    });
+    return accounts;
+}
+
+// Creates the staff accounts the login page used to hard-code. Passwords come
+// from the environment; the legacy defaults are only a fallback and flag the
+// account so the user is asked to change it.
+async function seedDefaultUsers(data) {
+    const legacyPasswords = { admin: 'AP@ssw0rd', faculty: 'Viswa@F', receptionist: 'Viswa@R' };
+    const legacySeeded = [];
+    let seededCount = 0;
+    for (const account of getDefaultStaffAccounts()) {
+        if (data.users[account.code]) continue;
+        const password = account.password || legacyPasswords[account.role];
+        data.users[account.code] = {
+            code: account.code,
+            role: account.role,
+            name: account.name,
+            classCode: account.classCode || null,
+            passwordHash: await auth.hashPassword(password),
+            mustChangePassword: !account.password,
+            createdAt: new Date().toISOString()
         };
+        seededCount++;
+        if (!account.password) legacySeeded.push(account.code);
     }
-    const ukgMatch = studentCode.match(/^CB25U(\d{3})$/i);
-    if (ukgMatch) {
-        return {
-            classCode: 'ukg',
-            rollNumber: parseInt(ukgMatch[1]).toString(),
-            fullCode: studentCode.toUpperCase(),
-            type: 'ukg'
-        };
+    if (seededCount > 0) {
+        console.log(`✅ Seeded ${seededCount} staff accounts`);
     }
-    const classMatch = studentCode.match(/^CB25-(0[1-9]|10)-([1-9]|[1-5][0-9]|60)$/i);
-    if (classMatch) {
-        return {
-            classCode: parseInt(classMatch[1]).toString(),
-            rollNumber: classMatch[2],
-            fullCode: studentCode.toUpperCase(),
-            type: 'class'
-        };
+    if (legacySeeded.length > 0) {
+        console.log(`⚠️ Legacy default passwords used for: ${legacySeeded.join(', ')}. Set ADMIN_PASSWORD, FACULTY_PASSWORD and RECEPTIONIST_PASSWORD or change them after login.`);
     }
-    return null;
+    return seededCount > 0;
 }
 
-// Replace generateStudentCode() in server.js (around line 80)
+async function ensureUploadsDir() {
+    for (const directory of ['uploads', HOMEWORK_DIR]) {
+        try {
+            await fs.access(directory);
+            console.log(`✅ ${directory} directory exists`);
+        } catch (error) {
+            await fs.mkdir(directory, { recursive: true });
+            console.log(`✅ ${directory} directory created`);
+        }
+    }
+}
 
-function generateStudentCode(studentClass, studentRoll) {
-    const classStr = studentClass.toString().toLowerCase();
-    const rollNum = parseInt(studentRoll);
-    
-    // Nursery
-    if (classStr === 'nursery' && rollNum >= 1 && rollNum <= 999) {
-        return `CB25N${rollNum.toString().padStart(3, '0')}`;
+async function initializeData() {
+    if (!(await dataStore.load())) {
+        await createInitialData();
+        return;
     }
-    
-    // LKG
-    if (classStr === 'lkg' && rollNum >= 1 && rollNum <= 999) {
-        return `CB25L${rollNum.toString().padStart(3, '0')}`;
+    console.log(`✅ Data found (${dataStore.driver} storage: ${dataStore.location})`);
+    const data = await readData();
+    let updated = false;
+    if (data.notifications && typeof data.notifications === 'object' && !Array.isArray(data.notifications)) {
+        console.log('🔄 Migrating old notification structure to new array format...');
+        const oldNotifications = data.notifications;
+        data.notifications = [];
+        if (oldNotifications.admin && Array.isArray(oldNotifications.admin)) {
+            data.notifications.push(...oldNotifications.admin);
+            console.log(`✅ Migrated ${oldNotifications.admin.length} admin notifications`);
+        }
+        if (oldNotifications.faculty && Array.isArray(oldNotifications.faculty)) {
+            data.notifications.push(...oldNotifications.faculty);
+            console.log(`✅ Migrated ${oldNotifications.faculty.length} faculty notifications`);
+        }
+        updated = true;
     }
-    
-    // UKG
-    if (classStr === 'ukg' && rollNum >= 1 && rollNum <= 999) {
-        return `CB25U${rollNum.toString().padStart(3, '0')}`;
+    if (!data.studentMasterRecords) {
+        data.studentMasterRecords = {};
+        updated = true;
+        console.log('✅ Added studentMasterRecords field');
     }
-    
-    // Classes 1-10 - CHANGED FROM 60 TO 999
-    const classNum = parseInt(studentClass);
-    if (classNum >= 1 && classNum <= 10 && rollNum >= 1 && rollNum <= 999) {
-        const formattedClass = classNum.toString().padStart(2, '0');
-        return `CB25-${formattedClass}-${rollNum}`;
+    if (data.receptionistFeeCertificates && !data.feeCertificates) {
+        data.feeCertificates = data.receptionistFeeCertificates;
+        delete data.receptionistFeeCertificates;
+        updated = true;
+        console.log('✅ Renamed receptionistFeeCertificates to feeCertificates');
+    }
+    if (!data.feeCertificates) {
+        data.feeCertificates = [];
+        updated = true;
+    }
+    if (!data.studentFeeCertificates) {
+        data.studentFeeCertificates = {};
+        updated = true;
+    }
+    if (!data.hallTickets) {
+        data.hallTickets = [];
+        updated = true;
+    }
+    if (!data.studentHallTickets) {
+        data.studentHallTickets = {};
+        updated = true;
+    }
+    if (!data.notifications || !Array.isArray(data.notifications)) {
+        data.notifications = [];
+        updated = true;
+    }
+    if (!data.users) data.users = {};
+    if (!data.sessions) data.sessions = {};
+    if (await seedDefaultUsers(data)) {
+        updated = true;
+    }
+    if (!data.academicYears || !data.academicYears.current) {
+        data.academicYears = getInitialAcademicYears(data);
+        updated = true;
+        console.log(`✅ Academic year ${data.academicYears.current} set up with student code prefix ${academicYears.currentYear(data.academicYears).codePrefix}`);
+    }
+    applyAcademicYears(data);
+    if (updated) {
+        await writeData(data);
+        console.log('✅ Data structure updated successfully');
     }
-    
-    return null;
-}
-
-function isValidClassCode(classCode) {
-    const validClasses = ['nursery', 'lkg', 'ukg', '1', '2', '3', '4', '5', '6', '7', '8', '9', '10'];
-    return validClasses.includes(classCode.toLowerCase());
 }
 
-async function ensureUploadsDir() {
-    try {
-        await fs.access('uploads');
-        console.log('✅ Uploads directory exists');
-    } catch (error) {
-        await fs.mkdir('uploads', { recursive: true });
-        console.log('✅ Uploads directory created');
+// Existing installs have issued CB25 codes, so that stays the default prefix.
+// The year comes from ACADEMIC_YEAR, else the year most students are
+// registered for, else today's date.
+function getInitialAcademicYears(data) {
+    const counts = {};
+    Object.values(data.studentMasterRecords || {}).forEach(record => {
+        const year = academicYears.normalizeAcademicYear(record.academicYear);
+        if (year) counts[year] = (counts[year] || 0) + 1;
+    });
+    const mostCommonYear = Object.keys(counts).sort((a, b) => counts[b] - counts[a])[0];
+    const current = academicYears.normalizeAcademicYear(process.env.ACADEMIC_YEAR) ||
+        mostCommonYear ||
+        academicYears.academicYearFor(new Date());
+    const codePrefix = (process.env.STUDENT_CODE_PREFIX || codes.DEFAULT_PREFIX).toUpperCase();
+    if (!codes.isValidPrefix(codePrefix)) {
+        throw new Error(`STUDENT_CODE_PREFIX "${codePrefix}" must be 1-4 letters followed by two digits, e.g. CB25`);
     }
+    return academicYears.createAcademicYears({ current, codePrefix });
 }
 
-async function initializeData() {
-    try {
-        await fs.access(DATA_FILE);
-        console.log('✅ Data file exists');
-        const data = await readData();
-        let updated = false;
-        if (data.notifications && typeof data.notifications === 'object' && !Array.isArray(data.notifications)) {
-            console.log('🔄 Migrating old notification structure to new array format...');
-            const oldNotifications = data.notifications;
-            data.notifications = [];
-            if (oldNotifications.admin && Array.isArray(oldNotifications.admin)) {
-                data.notifications.push(...oldNotifications.admin);
-                console.log(`✅ Migrated ${oldNotifications.admin.length} admin notifications`);
-            }
-            if (oldNotifications.faculty && Array.isArray(oldNotifications.faculty)) {
-                data.notifications.push(...oldNotifications.faculty);
-                console.log(`✅ Migrated ${oldNotifications.faculty.length} faculty notifications`);
-            }
-            updated = true;
-        }
-        if (!data.studentMasterRecords) {
-            data.studentMasterRecords = {};
-            updated = true;
-            console.log('✅ Added studentMasterRecords field');
-        }
-        if (data.receptionistFeeCertificates && !data.feeCertificates) {
-            data.feeCertificates = data.receptionistFeeCertificates;
-            delete data.receptionistFeeCertificates;
-            updated = true;
-            console.log('✅ Renamed receptionistFeeCertificates to feeCertificates');
-        }
-        if (!data.feeCertificates) {
-            data.feeCertificates = [];
-            updated = true;
-        }
-        if (!data.studentFeeCertificates) {
-            data.studentFeeCertificates = {};
-            updated = true;
-        }
-        if (!data.hallTickets) {
-            data.hallTickets = [];
-            updated = true;
-        }
-        if (!data.studentHallTickets) {
-            data.studentHallTickets = {};
-            updated = true;
-        }
-        if (!data.notifications || !Array.isArray(data.notifications)) {
-            data.notifications = [];
-            updated = true;
-        }
-        if (updated) {
-            await writeData(data);
-            console.log('✅ Data structure updated successfully');
+async function createInitialData() {
+    const initialData = {
+        facultyPosts: {},
+        homeworkSubmissions: {},
+        assignments: {},
+        assignmentResults: {},
+        assignmentAttempts: {},
+        questionBank: [],
+        progressCards: {},
+        monthlyAttendance: [],
+        studentMasterRecords: {},
+        feeStructures: [],
+        concessions: [],
+        feeLedger: {},
+        feeCertificates: [],
+        studentFeeCertificates: {},
+        hallTickets: [],
+        studentHallTickets: {},
+        notifications: [],
+        users: {},
+        sessions: {},
+        archives: {},
+        attendanceRegister: {},
+        schoolCalendar: attendance.createCalendar(),
+        timetable: timetable.createTimetable(),
+        gradingSchemes: [],
+        history: {
+            admin: [],
+            faculty: {},
+            receptionist: []
         }
-    } catch (error) {
-        const initialData = {
-            facultyPosts: {},
-            assignments: {},
-            assignmentResults: {},
-            progressCards: {},
-            monthlyAttendance: [],
-            studentMasterRecords: {},
-            feeCertificates: [],
-            studentFeeCertificates: {},
-            hallTickets: [],
-            studentHallTickets: {},
-            notifications: [],
-            history: {
-                admin: [],
-                faculty: {},
-                receptionist: []
-            }
-        };
-        await fs.writeFile(DATA_FILE, JSON.stringify(initialData, null, 2));
-        console.log('✅ Created initial data file');
-    }
+    };
+    await seedDefaultUsers(initialData);
+    initialData.academicYears = getInitialAcademicYears(initialData);
+    applyAcademicYears(initialData);
+    await dataStore.save(initialData);
+    console.log(`✅ Created initial data (${dataStore.driver} storage: ${dataStore.location})`);
 }
 
-async function readData() {
+// The stored data with its defaults filled in, or an empty data set when
+// nothing can be loaded
+async function loadData() {
     try {
-        const data = await fs.readFile(DATA_FILE, 'utf8');
-        const parsedData = JSON.parse(data);
+        const parsedData = await dataStore.load();
+        if (!parsedData) {
+            throw new Error('No stored data');
+        }
         if (!parsedData.facultyPosts) parsedData.facultyPosts = {};
+        if (!parsedData.homeworkSubmissions) parsedData.homeworkSubmissions = {};
         if (!parsedData.assignments) parsedData.assignments = {};
         if (!parsedData.assignmentResults) parsedData.assignmentResults = {};
+        if (!parsedData.assignmentAttempts) parsedData.assignmentAttempts = {};
+        if (!parsedData.questionBank) parsedData.questionBank = [];
         if (!parsedData.progressCards) parsedData.progressCards = {};
         if (!parsedData.monthlyAttendance) parsedData.monthlyAttendance = [];
         if (!parsedData.studentMasterRecords) parsedData.studentMasterRecords = {};
+        if (!parsedData.feeStructures) parsedData.feeStructures = [];
+        if (!parsedData.concessions) parsedData.concessions = [];
+        if (!parsedData.feeLedger) parsedData.feeLedger = {};
         if (!parsedData.feeCertificates) parsedData.feeCertificates = [];
         if (!parsedData.studentFeeCertificates) parsedData.studentFeeCertificates = {};
         if (!parsedData.hallTickets) parsedData.hallTickets = [];
         if (!parsedData.studentHallTickets) parsedData.studentHallTickets = {};
+        if (!parsedData.users) parsedData.users = {};
+        if (!parsedData.sessions) parsedData.sessions = {};
+        if (!parsedData.archives) parsedData.archives = {};
+        if (!parsedData.attendanceRegister) parsedData.attendanceRegister = {};
+        if (!parsedData.schoolCalendar) parsedData.schoolCalendar = attendance.createCalendar();
+        if (!parsedData.timetable) parsedData.timetable = timetable.createTimetable();
+        if (!parsedData.gradingSchemes) parsedData.gradingSchemes = [];
         if (parsedData.receptionistFeeCertificates && !parsedData.feeCertificates) {
             parsedData.feeCertificates = parsedData.receptionistFeeCertificates;
             delete parsedData.receptionistFeeCertificates;
@@ -271,16 +410,29 @@ async function readData() {
         console.error('❌ Error reading data:', error);
         return { 
             facultyPosts: {},
+            homeworkSubmissions: {},
             assignments: {},
             assignmentResults: {},
+            assignmentAttempts: {},
+            questionBank: [],
             progressCards: {},
             monthlyAttendance: [],
             studentMasterRecords: {},
+            feeStructures: [],
+            concessions: [],
+            feeLedger: {},
             feeCertificates: [],
             studentFeeCertificates: {},
             hallTickets: [],
             studentHallTickets: {},
             notifications: [],
+            users: {},
+            sessions: {},
+            archives: {},
+            attendanceRegister: {},
+            schoolCalendar: attendance.createCalendar(),
+            timetable: timetable.createTimetable(),
+            gradingSchemes: [],
             history: {
                 admin: [],
                 faculty: {},
@@ -290,32 +442,53 @@ async function readData() {
     }
 }
 
+// What a student owes always comes from their fee ledger, late fines up to
+// today included. It is worked out after loading, outside its catch: if it
+// fails the request fails, rather than going on with an empty data set that
+// its next write would store.
+async function readData() {
+    const data = await loadData();
+    ledger.deriveBalances(data.feeLedger, data.studentMasterRecords);
+    ledger.accrueFines(data.feeLedger, data.studentMasterRecords, data.feeStructures, attendance.today());
+    return data;
+}
+
 async function writeData(data) {
     try {
-        try {
-            const backupFile = DATA_FILE + '.backup';
-            const currentData = await fs.readFile(DATA_FILE, 'utf8');
-            await fs.writeFile(backupFile, currentData);
-        } catch (backupError) {
-            console.log('⚠️ Could not create backup:', backupError.message);
-        }
         if (!data.facultyPosts) data.facultyPosts = {};
+        if (!data.homeworkSubmissions) data.homeworkSubmissions = {};
         if (!data.assignments) data.assignments = {};
         if (!data.assignmentResults) data.assignmentResults = {};
+        if (!data.assignmentAttempts) data.assignmentAttempts = {};
+        if (!data.questionBank) data.questionBank = [];
         if (!data.progressCards) data.progressCards = {};
         if (!data.monthlyAttendance) data.monthlyAttendance = [];
         if (!data.studentMasterRecords) data.studentMasterRecords = {};
+        if (!data.feeStructures) data.feeStructures = [];
+        if (!data.concessions) data.concessions = [];
+        if (!data.feeLedger) data.feeLedger = {};
         if (!data.feeCertificates) data.feeCertificates = [];
         if (!data.studentFeeCertificates) data.studentFeeCertificates = {};
         if (!data.hallTickets) data.hallTickets = [];
         if (!data.studentHallTickets) data.studentHallTickets = {};
+        if (!data.users) data.users = {};
+        if (!data.sessions) data.sessions = {};
+        if (!data.archives) data.archives = {};
+        if (!data.attendanceRegister) data.attendanceRegister = {};
+        if (!data.schoolCalendar) data.schoolCalendar = attendance.createCalendar();
+        if (!data.timetable) data.timetable = timetable.createTimetable();
+        if (!data.gradingSchemes) data.gradingSchemes = [];
         if (!Array.isArray(data.notifications)) {
             data.notifications = [];
         }
         if (!data.history) data.history = { admin: [], faculty: {}, receptionist: [] };
         if (!data.history.receptionist) data.history.receptionist = [];
-        await fs.writeFile(DATA_FILE, JSON.stringify(data, null, 2));
-        console.log('✅ Data written successfully');
+        const { changed, removed, previous } = await dataStore.save(data);
+        if (changed.length > 0 || removed.length > 0) {
+            console.log(`✅ Data written successfully (${changed.concat(removed).join(', ')})`);
+            if (changed.includes('academicYears')) applyAcademicYears(data);
+            await recordAudit(previous, data, changed.concat(removed));
+        }
         return true;
     } catch (error) {
         console.error('❌ Error writing data:', error);
@@ -323,11 +496,28 @@ async function writeData(data) {
     }
 }
 
+async function recordAudit(previous, data, collections) {
+    const req = requestContext.getStore();
+    const actor = req
+        ? (req.user ? { code: req.user.code, role: req.user.role } : null)
+        : { code: 'system', role: 'system' };
+    const route = req ? `${req.method} ${req.originalUrl.split('?')[0]}` : 'startup';
+    try {
+        await auditLog.append(collectChanges(previous, data, collections), { actor, route });
+    } catch (error) {
+        console.error('❌ Error writing audit log:', error);
+    }
+}
+
+// Homework posts and assignments are only hidden from students once they
+// expire (see homework.isVisible and attempts.isVisible): what was handed in
+// or attempted against them must stay reviewable
 function cleanExpiredPosts(data) {
     const now = new Date();
     if (data.facultyPosts) {
         Object.keys(data.facultyPosts).forEach(classCode => {
             Object.keys(data.facultyPosts[classCode]).forEach(type => {
+                if (type === 'homework') return;
                 data.facultyPosts[classCode][type] = data.facultyPosts[classCode][type].filter(post => {
                     if (!post.expiryDate) return true;
                     return new Date(post.expiryDate) > now;
@@ -335,22 +525,6 @@ function cleanExpiredPosts(data) {
             });
         });
     }
-    if (data.assignments) {
-        Object.keys(data.assignments).forEach(classCode => {
-            data.assignments[classCode] = data.assignments[classCode].filter(assignment => {
-                if (!assignment.expiryDate) return true;
-                return new Date(assignment.expiryDate) > now;
-            });
-        });
-    }
-    if (data.progressCards) {
-        Object.keys(data.progressCards).forEach(classCode => {
-            data.progressCards[classCode] = data.progressCards[classCode].filter(card => {
-                if (!card.expiryDate) return true;
-                return new Date(card.expiryDate) > now;
-            });
-        });
-    }
     if (Array.isArray(data.notifications)) {
         data.notifications = data.notifications.filter(notif => {
             if (!notif.expiryDate) return true;
@@ -384,7 +558,191 @@ function addToHistory(data, type, userCode, post) {
     }
 }
 
-app.post('/api/admin/notifications', upload.single('file'), async (req, res) => {
+// ===== AUTHENTICATION =====
+
+function toPublicUser(user) {
+    return {
+        code: user.code,
+        role: user.role,
+        name: user.name || null,
+        classCode: user.classCode || null,
+        linkedStudents: user.role === 'parent' ? [...(user.linkedStudents || [])] : undefined,
+        mustChangePassword: !!user.mustChangePassword
+    };
+}
+
+// Students sign in with their student code, so normalise it the same way the
+// rest of the server does before looking up the account.
+function getLoginCode(role, code) {
+    const upperCode = code.toUpperCase();
+    if (role !== 'student') return upperCode;
+    const parsedCode = parseStudentCode(upperCode);
+    return parsedCode ? parsedCode.fullCode : upperCode;
+}
+
+async function issueStudentCredential(data, studentRecord) {
+    const pin = auth.generatePin();
+    const existing = data.users[studentRecord.studentCode];
+    data.users[studentRecord.studentCode] = {
+        code: studentRecord.studentCode,
+        role: 'student',
+        name: studentRecord.studentName,
+        classCode: studentRecord.studentClass.toString().toLowerCase(),
+        passwordHash: await auth.hashPassword(pin),
+        mustChangePassword: true,
+        createdAt: existing ? existing.createdAt : new Date().toISOString(),
+        pinIssuedAt: new Date().toISOString()
+    };
+    auth.destroyUserSessions(data, studentRecord.studentCode);
+    return pin;
+}
+
+// Every API handler that reads and then writes data runs under one lock, so
+// two requests can never interleave their readData()/writeData() cycles and
+// overwrite each other's changes. The lock is held until the handler's
+// promise settles, not until the response ends: a client that disconnects
+// early must not let the next request in while the handler is still working.
+// Upload routes wrap only the handler, so multer stores the file first and a
+// slow upload does not hold up everyone else.
+function withDataLock(handler) {
+    return async (req, res, next) => {
+        const release = await dataStore.lock();
+        try {
+            await requestContext.run(req, () => handler(req, res, next));
+        } catch (error) {
+            next(error);
+        } finally {
+            release();
+        }
+    };
+}
+
+app.post('/api/auth/login', withDataLock(async (req, res) => {
+    try {
+        let { role, code, password } = req.body;
+        role = sanitizeInput(role);
+        code = sanitizeInput(code);
+        if (!role || !code) {
+            return res.status(400).json({ success: false, error: 'Role and code are required' });
+        }
+        if (!['admin', 'faculty', 'receptionist', 'student', 'parent'].includes(role)) {
+            return res.status(400).json({ success: false, error: 'Invalid role' });
+        }
+        const loginCode = getLoginCode(role, code);
+        if (auth.isLockedOut(loginCode)) {
+            return res.status(429).json({ success: false, error: 'Too many failed attempts. Please try again in 15 minutes.' });
+        }
+        const data = await readData();
+        const user = data.users[loginCode];
+        if (!user || user.role !== role || !(await auth.verifyPassword(password, user.passwordHash))) {
+            auth.recordFailedLogin(loginCode);
+            console.log(`❌ Failed ${role} login for ${loginCode}`);
+            return res.status(401).json({ success: false, error: 'Invalid code or password' });
+        }
+        auth.clearFailedLogins(loginCode);
+        auth.pruneExpiredSessions(data);
+        const { token, session } = auth.createSession(data, user);
+        if (await writeData(data)) {
+            auth.setSessionCookie(res, token);
+            console.log(`✅ ${role} logged in: ${user.code}`);
+            res.json({ success: true, token: token, expiresAt: session.expiresAt, user: toPublicUser(user) });
+        } else {
+            res.status(500).json({ success: false, error: 'Failed to create session' });
+        }
+    } catch (error) {
+        console.error('❌ Error during login:', error);
+        res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+}));
+
+async function authenticate(req, res, next) {
+    try {
+        const token = auth.getRequestToken(req);
+        // Only looks up the session and account, so it reads them in place
+        // instead of copying the whole data set the way readData() does
+        const { users = {}, sessions = {} } = await dataStore.read(['users', 'sessions']);
+        const session = auth.findSession({ sessions }, token);
+        if (!session) {
+            return res.status(401).json({ success: false, error: 'Authentication required' });
+        }
+        const account = users[session.code];
+        if (!account || account.role !== session.role) {
+            return res.status(401).json({ success: false, error: 'Authentication required' });
+        }
+        req.sessionToken = token;
+        req.user = toPublicUser(account);
+        if (account.role === 'parent') {
+            req.user.linkedClasses = req.user.linkedStudents
+                .map(studentCode => parseStudentCode(studentCode))
+                .filter(Boolean)
+                .map(parsedCode => parsedCode.classCode);
+        }
+        next();
+    } catch (error) {
+        console.error('❌ Error authenticating request:', error);
+        res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+}
+
+app.use('/api', authenticate, policy.authorize);
+
+app.get('/api/auth/me', withDataLock((req, res) => {
+    setNoCacheHeaders(res);
+    res.json({ success: true, user: req.user, codePrefix: codes.currentPrefix() });
+}));
+
+app.post('/api/auth/logout', withDataLock(async (req, res) => {
+    try {
+        const data = await readData();
+        auth.destroySession(data, req.sessionToken);
+        if (await writeData(data)) {
+            auth.clearSessionCookie(res);
+            res.json({ success: true, message: 'Logged out successfully' });
+        } else {
+            res.status(500).json({ success: false, error: 'Failed to end session' });
+        }
+    } catch (error) {
+        console.error('❌ Error during logout:', error);
+        res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+}));
+
+app.post('/api/auth/change-password', withDataLock(async (req, res) => {
+    try {
+        const { currentPassword, newPassword } = req.body;
+        const data = await readData();
+        const account = data.users[req.user.code];
+        if (!account) {
+            return res.status(400).json({ success: false, error: 'This account has no password to change' });
+        }
+        const minLength = ['student', 'parent'].includes(account.role) ? 6 : 8;
+        if (typeof newPassword !== 'string' || newPassword.length < minLength) {
+            return res.status(400).json({ success: false, error: `New password must be at least ${minLength} characters` });
+        }
+        if (!(await auth.verifyPassword(currentPassword, account.passwordHash))) {
+            return res.status(401).json({ success: false, error: 'Current password is incorrect' });
+        }
+        account.passwordHash = await auth.hashPassword(newPassword);
+        account.mustChangePassword = false;
+        account.passwordChangedAt = new Date().toISOString();
+        // End every other session of this account
+        auth.destroyUserSessions(data, account.code);
+        const { token, session } = auth.createSession(data, account);
+        if (await writeData(data)) {
+            auth.setSessionCookie(res, token);
+            res.json({ success: true, token: token, expiresAt: session.expiresAt, message: 'Password changed successfully' });
+        } else {
+            res.status(500).json({ success: false, error: 'Failed to change password' });
+        }
+    } catch (error) {
+        console.error('❌ Error changing password:', error);
+        res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+}));
+
+// ===== END AUTHENTICATION =====
+
+app.post('/api/admin/notifications', upload.single('file'), withDataLock(async (req, res) => {
     try {
         console.log('📩 Notification request received');
         console.log('Body:', req.body);
@@ -437,6 +795,10 @@ app.post('/api/admin/notifications', upload.single('file'), async (req, res) =>
             file: req.file ? `/uploads/${req.file.filename}` : null,
             fileName: req.file ? req.file.originalname : null
         };
+        const errors = schemas.validate('notification', notification);
+        if (errors.length > 0) {
+            return validationFailed(res, errors);
+        }
         data.notifications.push(notification);
         addToHistory(data, 'notification-sent', 'admin', {
             text: `Notification sent: ${notification.title} to ${targetAudience}`,
@@ -460,9 +822,9 @@ app.post('/api/admin/notifications', upload.single('file'), async (req, res) =>
             });
         }
     }
-});
+}));
 
-app.get('/api/admin/notifications', async (req, res) => {
+app.get('/api/admin/notifications', withDataLock(async (req, res) => {
     try {
         setNoCacheHeaders(res); 
         let data = await readData();
@@ -479,9 +841,9 @@ app.get('/api/admin/notifications', async (req, res) => {
         console.error('❌ Error fetching admin notifications:', error);
         res.status(500).json({ error: 'Internal server error' });
     }
-});
+}));
 
-app.delete('/api/admin/notifications/:notificationId', async (req, res) => {
+app.delete('/api/admin/notifications/:notificationId', withDataLock(async (req, res) => {
     try {
         const { notificationId } = req.params;
         const sanitizedNotificationId = sanitizeInput(notificationId);
@@ -512,9 +874,9 @@ app.delete('/api/admin/notifications/:notificationId', async (req, res) => {
         console.error('❌ Error deleting notification:', error);
         res.status(500).json({ error: 'Internal server error' });
     }
-});
+}));
 
-app.delete('/api/admin/delete-all-notifications', async (req, res) => {
+app.delete('/api/admin/delete-all-notifications', withDataLock(async (req, res) => {
     try {
         const data = await readData();
         if (!Array.isArray(data.notifications)) {
@@ -541,9 +903,9 @@ app.delete('/api/admin/delete-all-notifications', async (req, res) => {
         console.error('❌ Error deleting all notifications:', error);
         res.status(500).json({ error: 'Internal server error' });
     }
-});
+}));
 
-app.get('/api/faculty/:facultyCode/notifications', async (req, res) => {
+app.get('/api/faculty/:facultyCode/notifications', withDataLock(async (req, res) => {
     try {
         const { facultyCode } = req.params;
         const sanitizedFacultyCode = sanitizeInput(facultyCode);
@@ -574,9 +936,9 @@ app.get('/api/faculty/:facultyCode/notifications', async (req, res) => {
         console.error('❌ Error fetching faculty notifications:', error);
         res.status(500).json({ error: 'Internal server error' });
     }
-});
+}));
 
-app.get('/api/student/notifications/:studentCode', async (req, res) => {
+app.get('/api/student/notifications/:studentCode', withDataLock(async (req, res) => {
     try {
         const { studentCode } = req.params;
         const sanitizedStudentCode = sanitizeInput(studentCode);
@@ -614,14 +976,13 @@ app.get('/api/student/notifications/:studentCode', async (req, res) => {
         console.error('❌ Error fetching student notifications:', error);
         res.status(500).json({ error: 'Internal server error' });
     }
-});
+}));
 
-app.post('/api/notifications/:notificationId/read', async (req, res) => {
+app.post('/api/notifications/:notificationId/read', withDataLock(async (req, res) => {
     try {
         const { notificationId } = req.params;
-        const { userCode } = req.body;
         const sanitizedNotificationId = sanitizeInput(notificationId);
-        const sanitizedUserCode = sanitizeInput(userCode);
+        const sanitizedUserCode = req.user.code;
         if (!sanitizedNotificationId || !sanitizedUserCode) {
             return res.status(400).json({ error: 'Notification ID and user code are required' });
         }
@@ -648,13 +1009,12 @@ app.post('/api/notifications/:notificationId/read', async (req, res) => {
         console.error('❌ Error marking notification as read:', error);
         res.status(500).json({ error: 'Internal server error' });
     }
-});
+}));
 
-app.post('/api/notifications/read-all', async (req, res) => {
+app.post('/api/notifications/read-all', withDataLock(async (req, res) => {
     try {
-        const { userCode, userType } = req.body;
-        const sanitizedUserCode = sanitizeInput(userCode);
-        const sanitizedUserType = sanitizeInput(userType);
+        const sanitizedUserCode = req.user.code;
+        const sanitizedUserType = req.user.role;
         if (!sanitizedUserCode || !sanitizedUserType) {
             return res.status(400).json({ error: 'User code and user type are required' });
         }
@@ -681,21 +1041,50 @@ app.post('/api/notifications/read-all', async (req, res) => {
         console.error('❌ Error marking all notifications as read:', error);
         res.status(500).json({ error: 'Internal server error' });
     }
-});
+}));
+
+// Faculty and students only ever see their own class through /api/data,
+// students only their own results, progress cards and attendance in it, and
+// only faculty the homework and assignments that have expired
+function getClassScopedData(data, user) {
+    const classCode = user.classCode;
+    const isFaculty = user.role === 'faculty';
+    const ownRecords = records => user.role === 'student' ? records.filter(record => record.studentCode === user.code) : records;
+    const classAssignments = (data.assignments[classCode] || []).filter(assignment => isFaculty || attempts.isVisible(assignment));
+    const classPosts = data.facultyPosts[classCode] || { homework: [], assignment: [], subject: [] };
+    const assignmentResults = {};
+    classAssignments.forEach(assignment => {
+        if (data.assignmentResults[assignment.id]) {
+            const results = ownRecords(data.assignmentResults[assignment.id]);
+            assignmentResults[assignment.id] = isFaculty ? results : results.map(result => submissionForStudent(data, assignment, result));
+        }
+    });
+    return {
+        facultyPosts: { [classCode]: isFaculty ? classPosts : { ...classPosts, homework: (classPosts.homework || []).filter(post => homework.isVisible(post)) } },
+        assignments: { [classCode]: isFaculty ? classAssignments : classAssignments.map(assignmentForStudent) },
+        assignmentResults: assignmentResults,
+        progressCards: { [classCode]: ownRecords(data.progressCards[classCode] || []) },
+        monthlyAttendance: ownRecords(data.monthlyAttendance.filter(record => record.classCode === classCode))
+    };
+}
 
-app.get('/api/data', async (req, res) => {
+app.get('/api/data', withDataLock(async (req, res) => {
     setNoCacheHeaders(res);
     let data = await readData();
     data = cleanExpiredPosts(data);
     await writeData(data);
+    if (req.user.role !== 'admin') {
+        return res.json(getClassScopedData(data, req.user));
+    }
+    const { users, sessions, ...publicData } = data;
     const responseData = {
-        ...data,
+        ...publicData,
         feeCertificates: data.feeCertificates || []
     };
     res.json(responseData);
-});
+}));
 
-app.get('/api/history/:userType/:userCode?', async (req, res) => {
+app.get('/api/history/:userType/:userCode?', withDataLock(async (req, res) => {
     const { userType, userCode } = req.params;
     const data = await readData();
     const thirtyDaysAgo = new Date();
@@ -717,27 +1106,33 @@ app.get('/api/history/:userType/:userCode?', async (req, res) => {
         }
     });
     res.json(recentHistory);
-});
+}));
 
-app.post('/api/faculty-posts', upload.single('file'), async (req, res) => {
+app.post('/api/faculty-posts', upload.single('file'), withDataLock(async (req, res) => {
     try {
-        let { classCode, type, text, facultyCode, displayDays } = req.body;
+        let { classCode, type, text, displayDays } = req.body;
         classCode = sanitizeInput(classCode);
         type = sanitizeInput(type);
         text = sanitizeInput(text);
-        facultyCode = sanitizeInput(facultyCode);
+        const facultyCode = req.user.code;
         if (!classCode || !type || !text || !facultyCode) {
             return res.status(400).json({ error: 'All fields are required' });
         }
         if (!isValidClassCode(classCode)) {
             return res.status(400).json({ error: 'Invalid class code' });
         }
+        if (!policy.canTeachClass(req.user, classCode)) {
+            return policy.forbidden(res, 'You can only post for your own class');
+        }
         if (!['homework', 'assignment', 'subject'].includes(type)) {
             return res.status(400).json({ error: 'Invalid post type' });
         }
         if (text.length > 1000) {
             return res.status(400).json({ error: 'Text must be less than 1000 characters' });
         }
+        if (displayDays && !(parseInt(displayDays) > 0)) {
+            return validationFailed(res, [{ field: 'displayDays', message: 'must be a positive number of days' }]);
+        }
         const data = await readData();
         const now = new Date();
         const expiryDate = displayDays ? new Date(now.getTime() + (parseInt(displayDays) * 24 * 60 * 60 * 1000)) : null;
@@ -748,8 +1143,12 @@ app.post('/api/faculty-posts', upload.single('file'), async (req, res) => {
             faculty: facultyCode,
             file: req.file ? `/uploads/${req.file.filename}` : null,
             fileName: req.file ? req.file.originalname : null,
-            expiryDate: expiryDate
+            expiryDate: expiryDate ? expiryDate.toISOString() : null
         };
+        const errors = schemas.validate('facultyPost', newPost);
+        if (errors.length > 0) {
+            return validationFailed(res, errors);
+        }
         if (!data.facultyPosts[classCode]) {
             data.facultyPosts[classCode] = {
                 homework: [],
@@ -772,116 +1171,495 @@ app.post('/api/faculty-posts', upload.single('file'), async (req, res) => {
         console.error('Error posting faculty message:', error);
         res.status(500).json({ error: 'Internal server error' });
     }
-});
+}));
 
-app.post('/api/create-assignment', async (req, res) => {
+// ===== HOMEWORK SUBMISSIONS =====
+
+// A student hands in work (a photo or PDF) for a homework post of their class.
+// Multer has stored the file by the time the handler runs, so it is removed
+// again unless the submission is saved.
+app.post('/api/homework-submissions', homeworkUpload.single('file'), withDataLock(async (req, res) => {
+    let saved = false;
     try {
-        let { classCode, facultyCode, title, assignmentDate, questions, displayDays } = req.body;
-        classCode = sanitizeInput(classCode);
-        facultyCode = sanitizeInput(facultyCode);
-        title = sanitizeInput(title);
-        if (!classCode || !facultyCode || !title || !questions || questions.length === 0) {
-            return res.status(400).json({ error: 'All fields are required' });
+        const postId = sanitizeInput(req.body.postId);
+        const studentCode = req.user.code.toUpperCase();
+        if (!postId) {
+            return res.status(400).json({ error: 'Homework post is required' });
         }
-        assignmentDate = sanitizeInput(assignmentDate);
-        if (!assignmentDate) {
-            return res.status(400).json({ error: 'Assignment date is required' });
+        if (!req.file) {
+            return res.status(400).json({ error: 'Please attach your work' });
         }
-        if (!isValidClassCode(classCode)) {
-            return res.status(400).json({ error: 'Invalid class code' });
+        const parsedCode = parseStudentCode(studentCode);
+        if (!parsedCode) {
+            return res.status(400).json({ error: 'Invalid student code format' });
         }
-        if (title.length > 200) {
-            return res.status(400).json({ error: 'Title must be less than 200 characters' });
+        const data = await readData();
+        const found = homework.findHomeworkPost(data.facultyPosts, postId);
+        if (!found || found.classCode !== parsedCode.classCode) {
+            return res.status(404).json({ error: 'Homework not found' });
         }
-        if (questions.length > 20) {
-            return res.status(400).json({ error: 'Maximum 20 questions allowed' });
+        if (!homework.isVisible(found.post)) {
+            return res.status(409).json({ error: 'This homework is closed' });
         }
-        const sanitizedQuestions = questions.map((q, index) => {
-            if (!q.question || !q.options || !q.correctAnswer) {
-                throw new Error(`Question ${index + 1} is incomplete`);
-            }
-            const sanitizedQuestion = sanitizeInput(q.question);
-            if (sanitizedQuestion.length > 500) {
-                throw new Error(`Question ${index + 1} is too long`);
-            }
-            const sanitizedOptions = {};
-            ['a', 'b', 'c', 'd'].forEach(option => {
-                if (!q.options[option]) {
-                    throw new Error(`Question ${index + 1} is missing option ${option.toUpperCase()}`);
-                }
-                sanitizedOptions[option] = sanitizeInput(q.options[option]);
-                if (sanitizedOptions[option].length > 200) {
-                    throw new Error(`Question ${index + 1} option ${option.toUpperCase()} is too long`);
-                }
-            });
-            if (!['a', 'b', 'c', 'd'].includes(q.correctAnswer)) {
-                throw new Error(`Question ${index + 1} has invalid correct answer`);
-            }
-            return {
-                question: sanitizedQuestion,
-                options: sanitizedOptions,
-                correctAnswer: q.correctAnswer
-            };
-        });
-        const data = await readData();
-        const now = new Date();
-        const expiryDate = displayDays ? new Date(now.getTime() + (parseInt(displayDays) * 24 * 60 * 60 * 1000)) : null;
-        const assignmentId = Date.now();
-        const newAssignment = {
-            id: assignmentId,
-            title: title,
-            classCode: classCode,
-            facultyCode: facultyCode,
-            assignmentDate: assignmentDate,
-            questions: sanitizedQuestions,
-            date: new Date().toLocaleString('en-IN', { timeZone: 'Asia/Kolkata' }),
-            expiryDate: expiryDate,
-            isActive: true
+        const submissions = data.homeworkSubmissions[found.post.id] || [];
+        const previous = submissions.find(submission => submission.studentCode === studentCode);
+        if (!homework.canHandIn(previous)) {
+            return res.status(409).json({ error: 'This homework has already been accepted' });
+        }
+        const submission = {
+            ...previous,
+            postId: found.post.id,
+            studentCode: studentCode,
+            classCode: found.classCode,
+            file: req.file.filename,
+            fileName: req.file.originalname,
+            submittedAt: new Date().toISOString(),
+            submissionCount: previous ? previous.submissionCount + 1 : 1,
+            status: 'submitted'
         };
-        if (!data.assignments[classCode]) {
-            data.assignments[classCode] = [];
+        const errors = schemas.validate('homeworkSubmission', submission);
+        if (errors.length > 0) {
+            return validationFailed(res, errors);
         }
-        data.assignments[classCode].push(newAssignment);
-        addToHistory(data, 'assignment-created', facultyCode, {
-            title: newAssignment.title,
-            text: `Assignment created: ${newAssignment.title} for Class ${classCode}`,
-            date: newAssignment.date
-        });
+        data.homeworkSubmissions[found.post.id] = [...submissions.filter(candidate => candidate !== previous), submission];
         if (await writeData(data)) {
-            console.log('Assignment created:', newAssignment);
-            res.json({ success: true, assignment: newAssignment });
+            saved = true;
+            if (previous) await discardUpload({ path: path.join(HOMEWORK_DIR, previous.file) });
+            res.json({ success: true, submission: submission });
         } else {
-            res.status(500).json({ error: 'Failed to save assignment' });
+            res.status(500).json({ error: 'Failed to save submission' });
+        }
+    } catch (error) {
+        console.error('❌ Error handing in homework:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    } finally {
+        if (!saved) await discardUpload(req.file);
+    }
+}));
+
+// Who in the class has handed in the homework and who has not
+app.get('/api/homework-submissions/:postId', withDataLock(async (req, res) => {
+    try {
+        const data = await readData();
+        const found = homework.findHomeworkPost(data.facultyPosts, sanitizeInput(req.params.postId));
+        if (!found) {
+            return res.status(404).json({ error: 'Homework not found' });
+        }
+        if (!policy.canTeachClass(req.user, found.classCode)) {
+            return policy.forbidden(res);
+        }
+        const submissions = data.homeworkSubmissions[found.post.id] || [];
+        res.json({
+            post: found.post,
+            classCode: found.classCode,
+            ...homework.rosterStatus(classRoster(data, found.classCode), submissions)
+        });
+    } catch (error) {
+        console.error('❌ Error fetching homework submissions:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+}));
+
+// The file a student handed in, for the student, their parents and the
+// teachers of the class
+app.get('/api/homework-submissions/:postId/:studentCode/file', withDataLock(async (req, res) => {
+    try {
+        const studentCode = String(sanitizeInput(req.params.studentCode)).toUpperCase();
+        const data = await readData();
+        const found = homework.findHomeworkPost(data.facultyPosts, sanitizeInput(req.params.postId));
+        if (!found) {
+            return res.status(404).json({ error: 'Homework not found' });
+        }
+        if (req.user.role === 'faculty' && !policy.canTeachClass(req.user, found.classCode)) {
+            return policy.forbidden(res);
+        }
+        const submission = (data.homeworkSubmissions[found.post.id] || []).find(candidate => candidate.studentCode === studentCode);
+        if (!submission) {
+            return res.status(404).json({ error: 'This student has not handed in the homework' });
+        }
+        setNoCacheHeaders(res);
+        res.sendFile(path.resolve(HOMEWORK_DIR, path.basename(submission.file)), error => {
+            if (error && !res.headersSent) {
+                res.status(404).json({ error: 'File not found' });
+            }
+        });
+    } catch (error) {
+        console.error('❌ Error sending homework file:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+}));
+
+// Returns the work with feedback, a mark and whether it is accepted or must be redone
+app.put('/api/homework-submissions/:postId/:studentCode', withDataLock(async (req, res) => {
+    try {
+        const studentCode = String(sanitizeInput(req.params.studentCode)).toUpperCase();
+        const { mark, outOf, feedback, status } = req.body;
+        const data = await readData();
+        const found = homework.findHomeworkPost(data.facultyPosts, sanitizeInput(req.params.postId));
+        if (!found) {
+            return res.status(404).json({ error: 'Homework not found' });
+        }
+        if (!policy.canTeachClass(req.user, found.classCode)) {
+            return policy.forbidden(res);
+        }
+        const submissions = data.homeworkSubmissions[found.post.id] || [];
+        const previous = submissions.find(submission => submission.studentCode === studentCode);
+        if (!previous) {
+            return res.status(404).json({ error: 'This student has not handed in the homework' });
+        }
+        if (!homework.REVIEW_STATUSES.includes(status)) {
+            return validationFailed(res, [{ field: 'status', message: `must be one of: ${homework.REVIEW_STATUSES.join(', ')}` }]);
+        }
+        const submission = {
+            ...previous,
+            status: status,
+            mark: mark === undefined || mark === '' ? null : mark,
+            outOf: outOf === undefined || outOf === '' ? homework.DEFAULT_OUT_OF : outOf,
+            feedback: feedback ? sanitizeInput(feedback) : undefined,
+            reviewedBy: req.user.code,
+            reviewedAt: new Date().toISOString()
+        };
+        if (submission.feedback === undefined) delete submission.feedback;
+        const errors = schemas.validate('homeworkSubmission', submission);
+        if (errors.length > 0) {
+            return validationFailed(res, errors);
+        }
+        data.homeworkSubmissions[found.post.id] = submissions.map(candidate => candidate === previous ? submission : candidate);
+        addToHistory(data, 'homework-reviewed', req.user.role === 'admin' ? 'admin' : req.user.code, {
+            text: `Homework from ${studentCode} ${status === 'accepted' ? 'accepted' : 'returned to redo'}`,
+            date: submission.reviewedAt
+        });
+        if (await writeData(data)) {
+            res.json({ success: true, submission: submission });
+        } else {
+            res.status(500).json({ error: 'Failed to save review' });
+        }
+    } catch (error) {
+        console.error('❌ Error reviewing homework:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+}));
+
+// ===== END HOMEWORK SUBMISSIONS =====
+
+// ISO form of an optional date-time, left as sent when it does not parse so
+// the schema reports it
+function optionalDateTime(value) {
+    if (value === undefined || value === null || value === '') return null;
+    const parsed = new Date(value);
+    return isNaN(parsed) ? value : parsed.toISOString();
+}
+
+// Keeps only the fields the question's type uses; a missing type is an MCQ
+// and missing marks are 1
+function sanitizeQuestion(q) {
+    if (!q || typeof q !== 'object') return q;
+    const type = q.type === undefined || q.type === '' ? 'mcq' : sanitizeInput(q.type);
+    const sanitized = {
+        type: type,
+        question: sanitizeInput(q.question),
+        marks: q.marks === undefined || q.marks === '' ? 1 : q.marks
+    };
+    if (type === 'mcq' || type === 'multi') {
+        sanitized.options = q.options && typeof q.options === 'object' ? {} : q.options;
+        if (sanitized.options) {
+            questions.OPTION_KEYS.forEach(option => {
+                sanitized.options[option] = sanitizeInput(q.options[option]);
+            });
+        }
+    }
+    if (type === 'multi') {
+        sanitized.correctAnswers = q.correctAnswers;
+    } else if (type === 'fillblank') {
+        sanitized.acceptedAnswers = Array.isArray(q.acceptedAnswers) ? q.acceptedAnswers.map(sanitizeInput) : q.acceptedAnswers;
+    } else if (type === 'short') {
+        if (q.modelAnswer) sanitized.modelAnswer = sanitizeInput(q.modelAnswer);
+    } else {
+        sanitized.correctAnswer = q.correctAnswer;
+    }
+    if (type === 'numeric' && q.tolerance !== undefined && q.tolerance !== '') {
+        sanitized.tolerance = q.tolerance;
+    }
+    return sanitized;
+}
+
+// ===== QUESTION BANK =====
+
+// The bank fields of a question sent by a teacher, as they are stored
+function sanitizeBankQuestion(body) {
+    return {
+        ...sanitizeQuestion(body),
+        subject: sanitizeInput(body.subject),
+        chapter: body.chapter ? sanitizeInput(body.chapter) : undefined,
+        difficulty: body.difficulty || 'medium'
+    };
+}
+
+// Faculty see their own bank; admins see every teacher's, or one teacher's
+// with ?facultyCode. Filter with ?subject, ?chapter and ?difficulty.
+app.get('/api/question-bank', withDataLock(async (req, res) => {
+    try {
+        const data = await readData();
+        const filters = {
+            facultyCode: req.user.role === 'faculty' ? req.user.code : sanitizeInput(req.query.facultyCode),
+            subject: sanitizeInput(req.query.subject),
+            chapter: sanitizeInput(req.query.chapter),
+            difficulty: sanitizeInput(req.query.difficulty)
+        };
+        const entries = questionBank.filterBank(data.questionBank, filters);
+        res.json({
+            questions: entries,
+            subjects: [...new Set(entries.map(entry => entry.subject))].sort(),
+            difficulties: questionBank.DIFFICULTIES
+        });
+    } catch (error) {
+        console.error('❌ Error fetching question bank:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+}));
+
+app.post('/api/question-bank', withDataLock(async (req, res) => {
+    try {
+        if (!req.body || typeof req.body !== 'object') {
+            return res.status(400).json({ error: 'Question is required' });
+        }
+        const now = new Date().toISOString();
+        const entry = {
+            id: `QB_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+            facultyCode: req.user.code,
+            ...sanitizeBankQuestion(req.body),
+            createdAt: now,
+            updatedAt: now
+        };
+        if (entry.chapter === undefined) delete entry.chapter;
+        const errors = schemas.validate('bankQuestion', entry);
+        if (errors.length > 0) {
+            return validationFailed(res, errors);
+        }
+        const data = await readData();
+        data.questionBank.push(entry);
+        addToHistory(data, 'bank-question-added', req.user.code, {
+            text: `Question added to the ${entry.subject} bank`,
+            date: now
+        });
+        if (await writeData(data)) {
+            res.json({ success: true, question: entry });
+        } else {
+            res.status(500).json({ error: 'Failed to save question' });
+        }
+    } catch (error) {
+        console.error('❌ Error adding bank question:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+}));
+
+// Replaces a question in the teacher's own bank. Assignments already set
+// keep the copy they were given.
+app.put('/api/question-bank/:questionId', withDataLock(async (req, res) => {
+    try {
+        const data = await readData();
+        const index = data.questionBank.findIndex(entry => entry.id === req.params.questionId);
+        if (index === -1) {
+            return res.status(404).json({ error: 'Question not found' });
+        }
+        const existing = data.questionBank[index];
+        if (existing.facultyCode !== req.user.code) {
+            return policy.forbidden(res, 'You can only edit your own questions');
+        }
+        const entry = {
+            id: existing.id,
+            facultyCode: existing.facultyCode,
+            ...sanitizeBankQuestion(req.body || {}),
+            createdAt: existing.createdAt,
+            updatedAt: new Date().toISOString()
+        };
+        if (entry.chapter === undefined) delete entry.chapter;
+        const errors = schemas.validate('bankQuestion', entry);
+        if (errors.length > 0) {
+            return validationFailed(res, errors);
+        }
+        data.questionBank[index] = entry;
+        if (await writeData(data)) {
+            res.json({ success: true, question: entry });
+        } else {
+            res.status(500).json({ error: 'Failed to save question' });
+        }
+    } catch (error) {
+        console.error('❌ Error updating bank question:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+}));
+
+app.delete('/api/question-bank/:questionId', withDataLock(async (req, res) => {
+    try {
+        const data = await readData();
+        const entry = data.questionBank.find(candidate => candidate.id === req.params.questionId);
+        if (!entry) {
+            return res.status(404).json({ error: 'Question not found' });
+        }
+        if (req.user.role !== 'admin' && entry.facultyCode !== req.user.code) {
+            return policy.forbidden(res, 'You can only delete your own questions');
+        }
+        data.questionBank = data.questionBank.filter(candidate => candidate !== entry);
+        addToHistory(data, 'bank-question-deleted', req.user.role === 'admin' ? 'admin' : req.user.code, {
+            text: `Question deleted from the ${entry.subject} bank`,
+            date: new Date().toISOString()
+        });
+        if (await writeData(data)) {
+            res.json({ success: true, message: 'Question deleted successfully' });
+        } else {
+            res.status(500).json({ error: 'Failed to delete question' });
+        }
+    } catch (error) {
+        console.error('❌ Error deleting bank question:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+}));
+
+// The questions an assignment takes from the teacher's bank: those picked by
+// id, then each random rule's { subject, chapter, difficulty, count } drawn
+// from what is left. Returns { questions } or { errors }.
+function questionsFromBank(data, facultyCode, bankQuestionIds, randomQuestions) {
+    const errors = [];
+    const ownBank = questionBank.filterBank(data.questionBank, { facultyCode });
+    const chosen = [];
+    const taken = new Set();
+    if (bankQuestionIds !== undefined && !Array.isArray(bankQuestionIds)) {
+        errors.push({ field: 'bankQuestionIds', message: 'must be an array' });
+    }
+    (Array.isArray(bankQuestionIds) ? bankQuestionIds : []).forEach((questionId, index) => {
+        const entry = ownBank.find(candidate => candidate.id === questionId);
+        if (!entry) {
+            errors.push({ field: `bankQuestionIds[${index}]`, message: 'is not a question in your bank' });
+        } else if (!taken.has(entry.id)) {
+            taken.add(entry.id);
+            chosen.push(entry);
+        }
+    });
+    if (randomQuestions !== undefined && !Array.isArray(randomQuestions)) {
+        errors.push({ field: 'randomQuestions', message: 'must be an array' });
+    }
+    (Array.isArray(randomQuestions) ? randomQuestions : []).forEach((rule, index) => {
+        const count = rule && parseInt(rule.count);
+        if (!(count > 0)) {
+            errors.push({ field: `randomQuestions[${index}].count`, message: 'must be a positive number' });
+            return;
+        }
+        const filters = {
+            subject: sanitizeInput(rule.subject),
+            chapter: sanitizeInput(rule.chapter),
+            difficulty: sanitizeInput(rule.difficulty)
+        };
+        const picked = questionBank.sample(questionBank.filterBank(ownBank, filters), count, taken);
+        if (!picked) {
+            errors.push({ field: `randomQuestions[${index}]`, message: `your bank does not have ${count} more question(s) matching it` });
+            return;
+        }
+        picked.forEach(entry => {
+            taken.add(entry.id);
+            chosen.push(entry);
+        });
+    });
+    return errors.length > 0 ? { errors } : { questions: chosen.map(questionBank.toAssignmentQuestion) };
+}
+
+// ===== END QUESTION BANK =====
+
+app.post('/api/create-assignment', withDataLock(async (req, res) => {
+    try {
+        let { classCode, title, assignmentDate, questions, displayDays } = req.body;
+        const { opensAt, dueAt, maxAttempts, scoring, lateSubmission, latePenalty, timeLimitMinutes } = req.body;
+        const { bankQuestionIds, randomQuestions, shuffleQuestions, shuffleOptions } = req.body;
+        classCode = sanitizeInput(classCode);
+        const facultyCode = req.user.code;
+        title = sanitizeInput(title);
+        assignmentDate = sanitizeInput(assignmentDate);
+        if (displayDays && !(parseInt(displayDays) > 0)) {
+            return validationFailed(res, [{ field: 'displayDays', message: 'must be a positive number of days' }]);
+        }
+        let sanitizedQuestions = Array.isArray(questions) ? questions.map(sanitizeQuestion) : questions;
+        const data = await readData();
+        if (bankQuestionIds !== undefined || randomQuestions !== undefined) {
+            const fromBank = questionsFromBank(data, facultyCode, bankQuestionIds, randomQuestions);
+            if (fromBank.errors) {
+                return validationFailed(res, fromBank.errors);
+            }
+            sanitizedQuestions = [...(Array.isArray(questions) ? sanitizedQuestions : []), ...fromBank.questions];
+        }
+        const now = new Date();
+        const expiryDate = displayDays ? new Date(now.getTime() + (parseInt(displayDays) * 24 * 60 * 60 * 1000)) : null;
+        const assignmentId = Date.now();
+        const newAssignment = {
+            id: assignmentId,
+            title: title,
+            classCode: classCode,
+            facultyCode: facultyCode,
+            assignmentDate: assignmentDate,
+            questions: sanitizedQuestions,
+            date: new Date().toLocaleString('en-IN', { timeZone: 'Asia/Kolkata' }),
+            expiryDate: expiryDate ? expiryDate.toISOString() : null,
+            isActive: true,
+            opensAt: optionalDateTime(opensAt),
+            dueAt: optionalDateTime(dueAt),
+            // One attempt unless the teacher allows more; null allows any number
+            maxAttempts: maxAttempts === undefined || maxAttempts === '' ? 1 : maxAttempts,
+            scoring: scoring || 'best',
+            lateSubmission: lateSubmission || 'flag',
+            latePenalty: latePenalty === undefined || latePenalty === '' ? 0 : latePenalty,
+            timeLimitMinutes: timeLimitMinutes === undefined || timeLimitMinutes === '' ? null : timeLimitMinutes,
+            shuffleQuestions: shuffleQuestions === undefined ? false : shuffleQuestions,
+            shuffleOptions: shuffleOptions === undefined ? false : shuffleOptions
+        };
+        const errors = schemas.validate('assignment', newAssignment);
+        if (errors.length > 0) {
+            return validationFailed(res, errors);
+        }
+        if (!data.assignments[classCode]) {
+            data.assignments[classCode] = [];
+        }
+        data.assignments[classCode].push(newAssignment);
+        addToHistory(data, 'assignment-created', facultyCode, {
+            title: newAssignment.title,
+            text: `Assignment created: ${newAssignment.title} for Class ${classCode}`,
+            date: newAssignment.date
+        });
+        if (await writeData(data)) {
+            console.log('Assignment created:', newAssignment);
+            res.json({ success: true, assignment: newAssignment });
+        } else {
+            res.status(500).json({ error: 'Failed to save assignment' });
         }
     } catch (error) {
         console.error('Error creating assignment:', error);
         res.status(400).json({ error: error.message || 'Internal server error' });
     }
-});
+}));
 
-app.delete('/api/delete-assignment/:assignmentId', async (req, res) => {
+app.delete('/api/delete-assignment/:assignmentId', withDataLock(async (req, res) => {
     try {
         const { assignmentId } = req.params;
-        const { facultyCode } = req.body;
-        if (!assignmentId || !facultyCode) {
-            return res.status(400).json({ error: 'Assignment ID and faculty code are required' });
+        const facultyCode = req.user.code;
+        if (!assignmentId) {
+            return res.status(400).json({ error: 'Assignment ID is required' });
         }
         const data = await readData();
         let assignmentFound = false;
         let assignmentDeleted = false;
+        let notOwner = false;
         if (data.assignments) {
             Object.keys(data.assignments).forEach(classCode => {
                 const classAssignments = data.assignments[classCode] || [];
-                const assignmentIndex = classAssignments.findIndex(assignment => 
-                    assignment.id == assignmentId && assignment.facultyCode === facultyCode
-                );
-                if (assignmentIndex >= 0) {
+                const assignmentIndex = classAssignments.findIndex(assignment => assignment.id == assignmentId);
+                if (assignmentIndex >= 0 && req.user.role !== 'admin' && classAssignments[assignmentIndex].facultyCode !== facultyCode) {
+                    notOwner = true;
+                } else if (assignmentIndex >= 0) {
                     assignmentFound = true;
                     const deletedAssignment = classAssignments.splice(assignmentIndex, 1)[0];
                     assignmentDeleted = true;
                     if (data.assignmentResults && data.assignmentResults[assignmentId]) {
                         delete data.assignmentResults[assignmentId];
                     }
+                    delete data.assignmentAttempts[assignmentId];
                     addToHistory(data, 'assignment-deleted', facultyCode, {
                         text: `Assignment deleted: ${deletedAssignment.title} for Class ${classCode}`,
                         date: new Date().toISOString()
@@ -889,6 +1667,9 @@ app.delete('/api/delete-assignment/:assignmentId', async (req, res) => {
                 }
             });
         }
+        if (notOwner) {
+            return policy.forbidden(res, 'You can only delete your own assignments');
+        }
         if (!assignmentFound) {
             return res.status(404).json({ error: 'Assignment not found' });
         }
@@ -902,14 +1683,138 @@ app.delete('/api/delete-assignment/:assignmentId', async (req, res) => {
         console.error('Error deleting assignment:', error);
         res.status(500).json({ error: 'Internal server error' });
     }
-});
+}));
+
+// Totals the marks awarded so far, less any late penalty. Short answers
+// leave the submission pending until a teacher has marked every one of them.
+function scoreSubmission(submission) {
+    const marks = submission.results.reduce((sum, result) => sum + (result.marksAwarded || 0), 0);
+    if (submission.latePenalty) {
+        submission.rawScore = marks;
+        submission.score = Math.round(marks * (100 - submission.latePenalty)) / 100;
+    } else {
+        submission.score = marks;
+    }
+    submission.percentage = Math.round((submission.score / submission.maxScore) * 100);
+    submission.status = submission.results.some(result => result.marksAwarded === null) ? 'pending' : 'graded';
+    return submission;
+}
+
+// What a student may see of an assignment before attempting it: no answer
+// keys, and no questions at all for a timed test until an attempt starts
+// the clock, or for a shuffled one until the attempt has its own order
+function assignmentForStudent(assignment) {
+    const hidden = assignment.timeLimitMinutes || questionBank.isShuffled(assignment);
+    return {
+        ...assignment,
+        questionCount: assignment.questions.length,
+        questions: hidden ? [] : assignment.questions.map(questions.withoutAnswers)
+    };
+}
+
+// A student's copy of a submission, attempt or counted result: the answer
+// keys are left out of its results until attempts.answersRevealed
+function submissionForStudent(data, assignment, submission) {
+    if (!submission || !submission.results || attempts.answersRevealed(assignment, attempts.studentAttempts(data, assignment.id, submission.studentCode))) {
+        return submission;
+    }
+    return { ...submission, results: submission.results.map(questions.withoutAnswers) };
+}
+
+// The attempt a student is working on: the one already running, or a new one
+// if the assignment is open and attempts are left. Timed-out attempts are
+// closed first and count as used. Returns { attempt, list, created } where
+// list is a copy of all the student's attempts to save, or { status, error }.
+function beginAttempt(data, assignment, studentCode, now) {
+    const reason = attempts.closedReason(assignment, now);
+    if (reason) {
+        return { status: 409, error: reason };
+    }
+    const list = attempts.studentAttempts(data, assignment.id, studentCode).map(attempt => ({ ...attempt }));
+    list.forEach(attempt => {
+        if (attempt.state === 'started' && attempts.hasTimedOut(attempt, now)) attempt.state = 'expired';
+    });
+    const running = list.find(attempt => attempt.state === 'started');
+    if (running) {
+        return { attempt: running, list, created: false };
+    }
+    if (assignment.maxAttempts && list.length >= assignment.maxAttempts) {
+        return { status: 409, error: `No attempts left: this assignment allows ${assignment.maxAttempts}` };
+    }
+    const attempt = {
+        assignmentId: assignment.id,
+        studentCode: studentCode,
+        classCode: assignment.classCode,
+        attemptNumber: list.length + 1,
+        state: 'started',
+        startedAt: now.toISOString(),
+        expiresAt: assignment.timeLimitMinutes ? new Date(now.getTime() + assignment.timeLimitMinutes * 60 * 1000).toISOString() : null,
+        layout: questionBank.createLayout(assignment)
+    };
+    list.push(attempt);
+    return { attempt, list, created: true };
+}
+
+// Saves a student's attempts and the result that now counts for them
+function saveAttempts(data, assignment, studentCode, list) {
+    attempts.saveStudentAttempts(data, assignment.id, studentCode, list);
+    const result = attempts.countedResult(assignment, list);
+    if (!result) return null;
+    if (!data.assignmentResults[assignment.id]) {
+        data.assignmentResults[assignment.id] = [];
+    }
+    const existingIndex = data.assignmentResults[assignment.id].findIndex(r => r.studentCode === studentCode);
+    if (existingIndex >= 0) {
+        data.assignmentResults[assignment.id][existingIndex] = result;
+    } else {
+        data.assignmentResults[assignment.id].push(result);
+    }
+    return result;
+}
+
+// Starts (or resumes) an attempt and hands out the questions; for a timed
+// test the clock runs from here
+app.post('/api/assignments/:assignmentId/start', withDataLock(async (req, res) => {
+    try {
+        const assignmentId = sanitizeInput(req.params.assignmentId);
+        const studentCode = req.user.code.toUpperCase();
+        const parsedCode = parseStudentCode(studentCode);
+        if (!parsedCode) {
+            return res.status(400).json({ error: 'Invalid student code format' });
+        }
+        const data = await readData();
+        const assignment = (data.assignments[parsedCode.classCode] || []).find(a => a.id == assignmentId);
+        if (!assignment) {
+            return res.status(404).json({ error: 'Assignment not found' });
+        }
+        const now = new Date();
+        const started = beginAttempt(data, assignment, studentCode, now);
+        if (started.error) {
+            return res.status(started.status).json({ error: started.error });
+        }
+        attempts.saveStudentAttempts(data, assignment.id, studentCode, started.list);
+        if (await writeData(data)) {
+            res.json({
+                success: true,
+                attempt: started.attempt,
+                questions: questionBank.layoutQuestions(assignment, started.attempt.layout),
+                serverTime: now.toISOString()
+            });
+        } else {
+            res.status(500).json({ error: 'Failed to start attempt' });
+        }
+    } catch (error) {
+        console.error('❌ Error starting assignment attempt:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+}));
 
-app.post('/api/submit-assignment', async (req, res) => {
+app.post('/api/submit-assignment', withDataLock(async (req, res) => {
     try {
-        let { assignmentId, classCode, studentCode, answers } = req.body;
+        let { assignmentId, classCode, answers } = req.body;
         assignmentId = sanitizeInput(assignmentId);
         classCode = sanitizeInput(classCode);
-        studentCode = sanitizeInput(studentCode);
+        const studentCode = req.user.code;
         if (!assignmentId || !classCode || !studentCode || !answers) {
             return res.status(400).json({ error: 'All fields are required' });
         }
@@ -938,47 +1843,73 @@ app.post('/api/submit-assignment', async (req, res) => {
         if (answers.length !== assignment.questions.length) {
             return res.status(400).json({ error: 'Number of answers must match number of questions' });
         }
-        const validAnswers = answers.map((answer, index) => {
-            if (!['a', 'b', 'c', 'd'].includes(answer)) {
-                throw new Error(`Invalid answer for question ${index + 1}`);
-            }
-            return answer;
-        });
-        let score = 0;
+        const now = new Date();
+        const previousAttempts = attempts.studentAttempts(data, assignment.id, studentCode.toUpperCase()).map(attempt => ({ ...attempt }));
+        const running = previousAttempts.find(attempt => attempt.state === 'started');
+        if (running && attempts.hasTimedOut(running, now)) {
+            running.state = 'expired';
+            attempts.saveStudentAttempts(data, assignment.id, studentCode.toUpperCase(), previousAttempts);
+            await writeData(data);
+            return res.status(409).json({ error: 'Time is up for this attempt' });
+        }
+        const started = beginAttempt(data, assignment, studentCode.toUpperCase(), now);
+        if (started.error) {
+            return res.status(started.status).json({ error: started.error });
+        }
+        if (started.created && assignment.timeLimitMinutes) {
+            return res.status(409).json({ error: 'This is a timed assignment: start it before submitting' });
+        }
+        if (started.created && questionBank.isShuffled(assignment)) {
+            return res.status(409).json({ error: 'This assignment is shuffled for each student: start it before submitting' });
+        }
+        // Answers come in the order the student saw; errors are reported the same way
+        const layout = started.attempt.layout;
+        const originalAnswers = questionBank.originalAnswers(layout, answers);
+        const answerErrors = [];
         const results = assignment.questions.map((question, index) => {
-            const studentAnswer = validAnswers[index];
-            const isCorrect = studentAnswer === question.correctAnswer;
-            if (isCorrect) score++;
+            let graded;
+            try {
+                graded = questions.gradeAnswer(question, originalAnswers[index]);
+            } catch (error) {
+                const position = layout ? layout.findIndex(slot => slot.question === index) : index;
+                answerErrors.push({ field: `answers[${position}]`, message: error.message });
+                return null;
+            }
             return {
-                question: question.question,
-                options: question.options,
-                studentAnswer: studentAnswer,
-                correctAnswer: question.correctAnswer,
-                isCorrect: isCorrect
+                ...question,
+                type: questions.typeOf(question),
+                marks: questions.marksOf(question),
+                studentAnswer: graded.studentAnswer,
+                isCorrect: graded.isCorrect,
+                marksAwarded: graded.marksAwarded
             };
         });
-        const submission = {
-            assignmentId: assignmentId,
-            studentCode: studentCode.toUpperCase(),
-            classCode: classCode,
-            score: score,
+        if (answerErrors.length > 0) {
+            return validationFailed(res, answerErrors);
+        }
+        const late = attempts.isLate(assignment, now);
+        const submission = Object.assign(started.attempt, {
+            state: 'submitted',
             totalQuestions: assignment.questions.length,
-            percentage: Math.round((score / assignment.questions.length) * 100),
+            maxScore: results.reduce((sum, result) => sum + result.marks, 0),
             results: results,
-            submittedAt: new Date().toLocaleString('en-IN', { timeZone: 'Asia/Kolkata' })
-        };
-        if (!data.assignmentResults[assignmentId]) {
-            data.assignmentResults[assignmentId] = [];
-        }
-        const existingIndex = data.assignmentResults[assignmentId].findIndex(r => r.studentCode === studentCode.toUpperCase());
-        if (existingIndex >= 0) {
-            data.assignmentResults[assignmentId][existingIndex] = submission;
-        } else {
-            data.assignmentResults[assignmentId].push(submission);
+            submittedAt: now.toLocaleString('en-IN', { timeZone: 'Asia/Kolkata' }),
+            late: late,
+            latePenalty: late && assignment.lateSubmission === 'penalty' ? assignment.latePenalty : 0
+        });
+        scoreSubmission(submission);
+        const errors = schemas.validate('assignmentAttempt', submission);
+        if (errors.length > 0) {
+            return validationFailed(res, errors);
         }
+        const result = saveAttempts(data, assignment, studentCode.toUpperCase(), started.list);
         if (await writeData(data)) {
             console.log('Assignment submitted:', submission);
-            res.json({ success: true, submission: submission });
+            res.json({
+                success: true,
+                submission: submissionForStudent(data, assignment, submission),
+                result: submissionForStudent(data, assignment, result)
+            });
         } else {
             res.status(500).json({ error: 'Failed to save submission' });
         }
@@ -986,59 +1917,105 @@ app.post('/api/submit-assignment', async (req, res) => {
         console.error('Error submitting assignment:', error);
         res.status(400).json({ error: error.message || 'Internal server error' });
     }
-});
+}));
+
+function calculatePerformance(percentage) {
+    if (percentage >= 90) return { grade: 'SUPER', color: '#28a745', emoji: '🌟' };
+    if (percentage >= 75) return { grade: 'EXCELLENT', color: '#17a2b8', emoji: '⭐' };
+    if (percentage >= 60) return { grade: 'GOOD', color: '#007bff', emoji: '👍' };
+    if (percentage >= 50) return { grade: 'AVERAGE', color: '#ffc107', emoji: '📚' };
+    if (percentage >= 35) return { grade: 'BELOW AVERAGE', color: '#fd7e14', emoji: '📖' };
+    return { grade: 'NEEDS IMPROVEMENT', color: '#dc3545', emoji: '💪' };
+}
+
+// subjects: { [subjectName]: { maxMarks, obtainedMarks } } as sent by the
+// faculty portal, with the subject names cleaned; null if it is not a map.
+// Malformed marks are passed through untouched for the schema to report.
+function readSubjectMarks(subjects) {
+    if (!subjects || typeof subjects !== 'object' || Array.isArray(subjects)) {
+        return null;
+    }
+    const marks = {};
+    Object.keys(subjects).forEach(subjectName => {
+        const entry = subjects[subjectName];
+        marks[sanitizeInput(subjectName)] = entry && typeof entry === 'object'
+            ? { maxMarks: entry.maxMarks, obtainedMarks: entry.obtainedMarks }
+            : entry;
+    });
+    return marks;
+}
 
-app.post('/api/create-progress-card', async (req, res) => {
+// Progress card fields worked out from the marks under the grading scheme
+// for the card's class and exam
+function gradeProgressCard(data, card, subjects) {
+    const scheme = gradebook.findScheme(data.gradingSchemes, card.classCode, card.examType);
+    const { errors, marks } = gradebook.computeMarks(scheme, subjects);
+    Object.assign(card, marks, { performance: calculatePerformance(marks.percentage) });
+    return errors;
+}
+
+// Ranks are relative to the whole class, so they are redone whenever a card
+// of that exam is added, changed or removed
+function rankProgressCards(data, classCode, examType) {
+    gradebook.rankCards(data.progressCards[classCode] || [], examType);
+}
+
+app.post('/api/create-progress-card', withDataLock(async (req, res) => {
     try {
-        let { classCode, facultyCode, rollNumber, fullName, fatherName, examType, subjects, totalMarks, obtainedMarks, percentage, performance, postingDate, displayDays, expiryDate } = req.body;
+        let { classCode, rollNumber, fullName, fatherName, examType, subjects, postingDate, displayDays } = req.body;
         classCode = sanitizeInput(classCode);
-        facultyCode = sanitizeInput(facultyCode);
+        const facultyCode = req.user.code;
         rollNumber = sanitizeInput(rollNumber);
         fullName = sanitizeInput(fullName);
         fatherName = sanitizeInput(fatherName);
         examType = sanitizeInput(examType);
-        if (!classCode || !facultyCode || !rollNumber || !fullName || !fatherName || !examType || !totalMarks || obtainedMarks === undefined || !postingDate || !displayDays) {
-            return res.status(400).json({ error: 'All required fields must be provided' });
-        }
-        if (!isValidClassCode(classCode)) {
-            return res.status(400).json({ error: 'Invalid class code' });
-        }
-        const studentCode = generateStudentCode(classCode, rollNumber);
-        if (!studentCode) {
-            return res.status(400).json({ error: 'Invalid class or roll number combination' });
-        }
-        const data = await readData();
-        const progressCardId = Date.now();
+        postingDate = sanitizeInput(postingDate);
+        const studentCode = typeof classCode === 'string' && isValidClassCode(classCode) && rollNumber
+            ? generateStudentCode(classCode, rollNumber)
+            : null;
+        displayDays = parseInt(displayDays);
+        const now = new Date();
         const newProgressCard = {
-            id: progressCardId,
+            id: Date.now(),
             classCode: classCode,
             facultyCode: facultyCode,
             rollNumber: rollNumber,
-            studentCode: studentCode,
+            studentCode: studentCode || undefined,
             fullName: fullName,
             fatherName: fatherName,
             examType: examType,
-            subjects: subjects,
-            totalMarks: totalMarks,
-            obtainedMarks: obtainedMarks,
-            percentage: percentage,
-            performance: performance,
             postingDate: postingDate,
-            displayDays: displayDays,
-            expiryDate: expiryDate,
-            date: new Date().toLocaleString('en-IN', { timeZone: 'Asia/Kolkata' })
+            displayDays: isNaN(displayDays) ? undefined : displayDays,
+            expiryDate: isNaN(displayDays) ? undefined : new Date(now.getTime() + (displayDays * 24 * 60 * 60 * 1000)).toISOString(),
+            date: now.toLocaleString('en-IN', { timeZone: 'Asia/Kolkata' })
         };
+        const data = await readData();
+        // Totals, percentages, grades and the rank are always worked out here
+        // from the subject marks; whatever the client computed is ignored.
+        const subjectMarks = readSubjectMarks(subjects);
+        const gradingErrors = gradeProgressCard(data, newProgressCard, subjectMarks || {});
+        if (!subjectMarks) newProgressCard.subjects = subjects;
+        // A missing student code is reported against the class or roll number it comes from
+        const errors = schemas.validate('progressCard', newProgressCard).filter(error => studentCode || error.field !== 'studentCode');
+        if (!studentCode && !errors.some(error => ['classCode', 'rollNumber'].includes(error.field))) {
+            errors.push({ field: 'rollNumber', message: 'is not a valid roll number for this class' });
+        }
+        errors.push(...gradingErrors);
+        if (errors.length > 0) {
+            return validationFailed(res, errors);
+        }
         if (!data.progressCards[classCode]) {
             data.progressCards[classCode] = [];
         }
         const existingIndex = data.progressCards[classCode].findIndex(
-            card => (card.rollNumber === rollNumber || card.studentCode === studentCode) && card.examType === examType
+            card => (card.rollNumber === rollNumber || card.studentCode === studentCode) && gradebook.sameName(card.examType, examType)
         );
         if (existingIndex >= 0) {
             data.progressCards[classCode][existingIndex] = newProgressCard;
         } else {
             data.progressCards[classCode].push(newProgressCard);
         }
+        rankProgressCards(data, classCode, examType);
         addToHistory(data, 'progress-card', facultyCode, {
             text: `Progress card for ${newProgressCard.fullName} (${newProgressCard.studentCode}) - Class ${classCode}`,
             date: newProgressCard.date
@@ -1052,26 +2029,29 @@ app.post('/api/create-progress-card', async (req, res) => {
         console.error('Error creating progress card:', error);
         res.status(500).json({ error: 'Internal server error' });
     }
-});
+}));
 
-app.delete('/api/delete-progress-card/:cardId', async (req, res) => {
+app.delete('/api/delete-progress-card/:cardId', withDataLock(async (req, res) => {
     try {
         const { cardId } = req.params;
-        const { facultyCode, classCode } = req.body;
-        if (!cardId || !facultyCode || !classCode) {
-            return res.status(400).json({ error: 'Card ID, faculty code, and class code are required' });
+        const { classCode } = req.body;
+        const facultyCode = req.user.code;
+        if (!cardId || !classCode) {
+            return res.status(400).json({ error: 'Card ID and class code are required' });
         }
         const data = await readData();
         if (!data.progressCards || !data.progressCards[classCode]) {
             return res.status(404).json({ error: 'No progress cards found' });
         }
-        const cardIndex = data.progressCards[classCode].findIndex(card => 
-            card.id == cardId && card.facultyCode === facultyCode
-        );
+        const cardIndex = data.progressCards[classCode].findIndex(card => card.id == cardId);
         if (cardIndex === -1) {
             return res.status(404).json({ error: 'Progress card not found' });
         }
+        if (req.user.role !== 'admin' && data.progressCards[classCode][cardIndex].facultyCode !== facultyCode) {
+            return policy.forbidden(res, 'You can only delete your own progress cards');
+        }
         const deletedCard = data.progressCards[classCode].splice(cardIndex, 1)[0];
+        rankProgressCards(data, classCode, deletedCard.examType);
         addToHistory(data, 'progress-card-deleted', facultyCode, {
             text: `Progress card deleted for ${deletedCard.fullName}`,
             date: new Date().toISOString()
@@ -1085,16 +2065,237 @@ app.delete('/api/delete-progress-card/:cardId', async (req, res) => {
         console.error('Error deleting progress card:', error);
         res.status(500).json({ error: 'Internal server error' });
     }
-});
+}));
+
+// ===== GRADEBOOK =====
+
+// Recomputes the stored cards a scheme covers after it changes, keeping the
+// marks. Cards whose subjects no longer fit their scheme are left as they were
+// and listed so the faculty can correct them.
+function regradeProgressCards(data, classCode, examType) {
+    const regraded = [];
+    const skipped = [];
+    Object.keys(data.progressCards).forEach(cardClass => {
+        if (classCode !== gradebook.ALL && cardClass !== classCode) return;
+        const examTypes = new Set();
+        data.progressCards[cardClass].forEach(card => {
+            if (examType !== gradebook.ALL && !gradebook.sameName(card.examType, examType)) return;
+            const regradedCard = { ...card };
+            const errors = gradeProgressCard(data, regradedCard, readSubjectMarks(card.subjects) || {});
+            errors.push(...schemas.validate('progressCard', regradedCard));
+            if (errors.length > 0) {
+                skipped.push({ classCode: cardClass, cardId: card.id, studentCode: card.studentCode, examType: card.examType, errors });
+                return;
+            }
+            Object.assign(card, regradedCard);
+            regraded.push(card.id);
+            examTypes.add(card.examType);
+        });
+        examTypes.forEach(cardExamType => rankProgressCards(data, cardClass, cardExamType));
+    });
+    return { regraded: regraded.length, skipped };
+}
 
-app.post('/api/post-monthly-attendance', async (req, res) => {
+app.get('/api/grading-schemes', withDataLock(async (req, res) => {
     try {
-        let { classCode, facultyCode, month, year, studentName, studentRoll, totalWorkingDays, attendedDays } = req.body;
-        classCode = sanitizeInput(classCode);
-        facultyCode = sanitizeInput(facultyCode);
-        studentName = sanitizeInput(studentName);
-        studentRoll = sanitizeInput(studentRoll);
-        if (!classCode || !facultyCode || !month || !year || !studentName || !studentRoll || 
+        const data = await readData();
+        res.json({ defaultScheme: gradebook.DEFAULT_SCHEME, schemes: data.gradingSchemes });
+    } catch (error) {
+        console.error('❌ Error fetching grading schemes:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+}));
+
+// Creates or replaces the scheme for a class and exam type ('all' for
+// either) and regrades the cards it now covers.
+app.put('/api/grading-schemes', withDataLock(async (req, res) => {
+    try {
+        const { subjects, bands } = req.body;
+        const scheme = {
+            id: '',
+            classCode: String(sanitizeInput(req.body.classCode) || '').toLowerCase(),
+            examType: sanitizeInput(req.body.examType),
+            passPercentage: req.body.passPercentage === undefined ? gradebook.DEFAULT_SCHEME.passPercentage : req.body.passPercentage,
+            subjects: {},
+            bands: Array.isArray(bands)
+                ? bands.map(band => ({ grade: sanitizeInput(band && band.grade), minPercentage: band && band.minPercentage }))
+                : bands,
+            updatedAt: new Date().toISOString()
+        };
+        if (scheme.examType && scheme.examType.toLowerCase() === gradebook.ALL) scheme.examType = gradebook.ALL;
+        if (subjects && typeof subjects === 'object' && !Array.isArray(subjects)) {
+            Object.keys(subjects).forEach(subjectName => {
+                scheme.subjects[sanitizeInput(subjectName)] = subjects[subjectName];
+            });
+        } else if (subjects !== undefined) {
+            scheme.subjects = subjects;
+        }
+        const errors = schemas.validate('gradingScheme', scheme).filter(error => error.field !== 'id');
+        if (Array.isArray(scheme.bands) && errors.length === 0) errors.push(...gradebook.checkBands(scheme.bands));
+        if (errors.length > 0) {
+            return validationFailed(res, errors);
+        }
+        const data = await readData();
+        const existing = data.gradingSchemes.find(candidate =>
+            candidate.classCode === scheme.classCode && gradebook.sameName(candidate.examType, scheme.examType)
+        );
+        scheme.id = existing ? existing.id : `GS${Date.now()}`;
+        scheme.bands.sort((a, b) => b.minPercentage - a.minPercentage);
+        data.gradingSchemes = data.gradingSchemes.filter(candidate => candidate !== existing);
+        data.gradingSchemes.push(scheme);
+        const regrade = regradeProgressCards(data, scheme.classCode, scheme.examType);
+        addToHistory(data, 'grading-scheme-updated', req.user.role, {
+            text: `Grading scheme for class ${scheme.classCode}, ${scheme.examType} exams ${existing ? 'updated' : 'created'}; ` +
+                `${regrade.regraded} progress card(s) regraded`,
+            date: scheme.updatedAt
+        });
+        if (await writeData(data)) {
+            res.json({ success: true, scheme: scheme, ...regrade });
+        } else {
+            res.status(500).json({ error: 'Failed to save grading scheme' });
+        }
+    } catch (error) {
+        console.error('❌ Error saving grading scheme:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+}));
+
+// Recomputes every stored card, e.g. those saved before the server worked
+// out totals itself
+app.post('/api/grading-schemes/regrade', withDataLock(async (req, res) => {
+    try {
+        const data = await readData();
+        const regrade = regradeProgressCards(data, gradebook.ALL, gradebook.ALL);
+        addToHistory(data, 'progress-cards-regraded', req.user.role, {
+            text: `${regrade.regraded} progress card(s) regraded, ${regrade.skipped.length} left unchanged`,
+            date: new Date().toISOString()
+        });
+        if (await writeData(data)) {
+            res.json({ success: true, ...regrade });
+        } else {
+            res.status(500).json({ error: 'Failed to regrade progress cards' });
+        }
+    } catch (error) {
+        console.error('❌ Error regrading progress cards:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+}));
+
+// The cards it covered fall back to the next most specific scheme
+app.delete('/api/grading-schemes/:schemeId', withDataLock(async (req, res) => {
+    try {
+        const data = await readData();
+        const scheme = data.gradingSchemes.find(candidate => candidate.id === req.params.schemeId);
+        if (!scheme) {
+            return res.status(404).json({ error: 'Grading scheme not found' });
+        }
+        data.gradingSchemes = data.gradingSchemes.filter(candidate => candidate !== scheme);
+        const regrade = regradeProgressCards(data, scheme.classCode, scheme.examType);
+        addToHistory(data, 'grading-scheme-deleted', req.user.role, {
+            text: `Grading scheme for class ${scheme.classCode}, ${scheme.examType} exams deleted; ` +
+                `${regrade.regraded} progress card(s) regraded`,
+            date: new Date().toISOString()
+        });
+        if (await writeData(data)) {
+            res.json({ success: true, ...regrade });
+        } else {
+            res.status(500).json({ error: 'Failed to delete grading scheme' });
+        }
+    } catch (error) {
+        console.error('❌ Error deleting grading scheme:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+}));
+
+// The class's results for one exam in rank order, with pass/fail counts and
+// subject averages. Without ?examType it lists the exams that have cards.
+app.get('/api/gradebook/:classCode', withDataLock(async (req, res) => {
+    try {
+        const classCode = sanitizeInput(req.params.classCode).toLowerCase();
+        const examType = sanitizeInput(req.query.examType);
+        if (!isValidClassCode(classCode)) {
+            return res.status(400).json({ error: 'Invalid class code' });
+        }
+        const data = await readData();
+        const cards = data.progressCards[classCode] || [];
+        const examTypes = [...new Set(cards.map(card => card.examType))];
+        if (!examType) {
+            return res.json({ classCode, examTypes });
+        }
+        const ranked = gradebook.rankCards(cards.map(card => ({ ...card })), examType);
+        const subjectTotals = {};
+        ranked.forEach(card => {
+            Object.keys(card.subjects || {}).forEach(subject => {
+                const marks = card.subjects[subject];
+                if (!marks || typeof marks.obtainedMarks !== 'number' || typeof marks.maxMarks !== 'number') return;
+                if (!subjectTotals[subject]) subjectTotals[subject] = { obtained: 0, maximum: 0, students: 0 };
+                subjectTotals[subject].obtained += marks.obtainedMarks;
+                subjectTotals[subject].maximum += marks.maxMarks;
+                subjectTotals[subject].students++;
+            });
+        });
+        const percentages = ranked.map(card => card.percentage);
+        res.json({
+            classCode,
+            examType,
+            examTypes,
+            scheme: gradebook.findScheme(data.gradingSchemes, classCode, examType),
+            students: ranked.map(card => ({
+                rank: card.rank,
+                studentCode: card.studentCode,
+                rollNumber: card.rollNumber,
+                fullName: card.fullName,
+                obtainedMarks: card.obtainedMarks,
+                totalMarks: card.totalMarks,
+                percentage: card.percentage,
+                grade: card.grade || null,
+                result: card.result || null,
+                failedSubjects: card.failedSubjects || []
+            })),
+            summary: {
+                students: ranked.length,
+                passed: ranked.filter(card => card.result === 'pass').length,
+                failed: ranked.filter(card => card.result === 'fail').length,
+                average: ranked.length > 0 ? gradebook.percentageOf(percentages.reduce((sum, value) => sum + value, 0), ranked.length * 100) : 0,
+                highest: ranked.length > 0 ? Math.max(...percentages) : 0,
+                lowest: ranked.length > 0 ? Math.min(...percentages) : 0,
+                subjectAverages: Object.keys(subjectTotals).map(subject => ({
+                    subject,
+                    students: subjectTotals[subject].students,
+                    percentage: gradebook.percentageOf(subjectTotals[subject].obtained, subjectTotals[subject].maximum)
+                }))
+            }
+        });
+    } catch (error) {
+        console.error('❌ Error fetching gradebook:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+}));
+
+// ===== END GRADEBOOK =====
+
+// A student has one record per month; posting again replaces it
+function upsertMonthlyAttendance(data, attendanceRecord) {
+    const existingIndex = data.monthlyAttendance.findIndex(
+        record => record.studentCode === attendanceRecord.studentCode && 
+                  record.month === attendanceRecord.month && 
+                  record.year === attendanceRecord.year
+    );
+    if (existingIndex >= 0) {
+        data.monthlyAttendance[existingIndex] = attendanceRecord;
+    } else {
+        data.monthlyAttendance.push(attendanceRecord);
+    }
+}
+
+app.post('/api/post-monthly-attendance', withDataLock(async (req, res) => {
+    try {
+        let { classCode, month, year, studentName, studentRoll, totalWorkingDays, attendedDays } = req.body;
+        classCode = sanitizeInput(classCode);
+        const facultyCode = req.user.code;
+        studentName = sanitizeInput(studentName);
+        studentRoll = sanitizeInput(studentRoll);
+        if (!classCode || !facultyCode || !month || !year || !studentName || !studentRoll || 
             totalWorkingDays === undefined || attendedDays === undefined) {
             return res.status(400).json({ error: 'All fields are required' });
         }
@@ -1119,6 +2320,9 @@ app.post('/api/post-monthly-attendance', async (req, res) => {
         if (!data.monthlyAttendance) {
             data.monthlyAttendance = [];
         }
+        if (attendance.hasRegisterDays(data, classCode, year, month)) {
+            return res.status(409).json({ error: `Attendance for ${month}/${year} is kept in the daily register; mark it there instead` });
+        }
         const percentage = totalWorkingDays > 0 ? Math.round((attendedDays / totalWorkingDays) * 100) : 0;
         const attendanceRecord = {
             id: Date.now() + Math.random(),
@@ -1132,18 +2336,14 @@ app.post('/api/post-monthly-attendance', async (req, res) => {
             totalWorkingDays: totalWorkingDays,
             attendedDays: attendedDays,
             percentage: percentage,
+            source: 'manual',
             postedAt: new Date().toISOString()
         };
-        const existingIndex = data.monthlyAttendance.findIndex(
-            record => record.studentCode === studentCode && 
-                      record.month === month && 
-                      record.year === year
-        );
-        if (existingIndex >= 0) {
-            data.monthlyAttendance[existingIndex] = attendanceRecord;
-        } else {
-            data.monthlyAttendance.push(attendanceRecord);
+        const errors = schemas.validate('attendance', attendanceRecord);
+        if (errors.length > 0) {
+            return validationFailed(res, errors);
         }
+        upsertMonthlyAttendance(data, attendanceRecord);
         addToHistory(data, 'monthly-attendance', facultyCode, {
             text: `Monthly attendance posted for ${studentName} (${studentCode})`,
             date: attendanceRecord.postedAt
@@ -1158,9 +2358,9 @@ app.post('/api/post-monthly-attendance', async (req, res) => {
         console.error('Error posting attendance:', error);
         res.status(500).json({ error: 'Internal server error' });
     }
-});
+}));
 
-app.get('/api/monthly-attendance/:classCode', async (req, res) => {
+app.get('/api/monthly-attendance/:classCode', withDataLock(async (req, res) => {
     try {
         const { classCode } = req.params;
         const sanitizedClassCode = sanitizeInput(classCode);
@@ -1185,24 +2385,28 @@ app.get('/api/monthly-attendance/:classCode', async (req, res) => {
         console.error('Error fetching attendance:', error);
         res.status(500).json({ error: 'Internal server error' });
     }
-});
+}));
 
-app.delete('/api/delete-monthly-attendance/:recordId', async (req, res) => {
+app.delete('/api/delete-monthly-attendance/:recordId', withDataLock(async (req, res) => {
     try {
         const { recordId } = req.params;
-        const { facultyCode } = req.body;
-        if (!recordId || !facultyCode) {
-            return res.status(400).json({ error: 'Record ID and faculty code are required' });
+        const facultyCode = req.user.code;
+        if (!recordId) {
+            return res.status(400).json({ error: 'Record ID is required' });
         }
         const data = await readData();
         if (!data.monthlyAttendance) {
             return res.status(404).json({ error: 'No attendance records found' });
         }
-        const recordIndex = data.monthlyAttendance.findIndex(record => 
-            record.id == recordId && record.facultyCode === facultyCode
-        );
+        const recordIndex = data.monthlyAttendance.findIndex(record => record.id == recordId);
         if (recordIndex === -1) {
-            return res.status(404).json({ error: 'Attendance record not found or unauthorized' });
+            return res.status(404).json({ error: 'Attendance record not found' });
+        }
+        if (req.user.role !== 'admin' && data.monthlyAttendance[recordIndex].facultyCode !== facultyCode) {
+            return policy.forbidden(res, 'You can only delete attendance you posted');
+        }
+        if (data.monthlyAttendance[recordIndex].source === 'register') {
+            return res.status(409).json({ error: 'This record is computed from the daily register; correct the register instead' });
         }
         const deletedRecord = data.monthlyAttendance.splice(recordIndex, 1)[0];
         addToHistory(data, 'attendance-deleted', facultyCode, {
@@ -1219,162 +2423,1303 @@ app.delete('/api/delete-monthly-attendance/:recordId', async (req, res) => {
         console.error('Error deleting attendance record:', error);
         res.status(500).json({ error: 'Internal server error' });
     }
-});
+}));
+
+// ===== BULK MONTHLY ATTENDANCE =====
+// A whole class's month in one request, either as JSON or as a CSV/XLSX
+// sheet with one row per student. Every row is checked before anything is
+// saved: one bad row rejects the whole batch, with an error per row.
+
+const ATTENDANCE_IMPORT_COLUMNS = {
+    studentRoll: ['roll', 'roll no', 'roll number', 'student roll'],
+    studentName: ['name', 'student name'],
+    totalWorkingDays: ['working days', 'total working days'],
+    attendedDays: ['attended', 'attended days', 'days attended']
+};
+
+// Whole numbers arrive as strings from a sheet; anything else is passed on
+// unchanged so the schema reports it
+function parseWholeNumber(value) {
+    if (typeof value === 'string' && /^\d+$/.test(value.trim())) return parseInt(value);
+    return value === '' ? undefined : value;
+}
+
+// Builds the month's records for `rows` ({ row, studentRoll, studentName?,
+// totalWorkingDays?, attendedDays }). A row without working days uses
+// `totalWorkingDays`; one without a name uses the registered student's.
+function buildAttendanceBatch(data, { classCode, month, year, totalWorkingDays, rows, facultyCode }) {
+    const errors = [];
+    const records = [];
+    const seen = {};
+    const postedAt = new Date().toISOString();
+    rows.forEach(row => {
+        const studentCode = generateStudentCode(classCode, row.studentRoll);
+        if (!studentCode) {
+            errors.push({ row: row.row, field: 'studentRoll', message: `must be a roll number from 1 to ${codes.MAX_ROLL}` });
+            return;
+        }
+        if (seen[studentCode]) {
+            errors.push({ row: row.row, field: 'studentRoll', message: `is already on row ${seen[studentCode]}` });
+            return;
+        }
+        seen[studentCode] = row.row;
+        const studentRecord = data.studentMasterRecords[studentCode];
+        const workingDays = parseWholeNumber(row.totalWorkingDays === undefined || row.totalWorkingDays === '' ? totalWorkingDays : row.totalWorkingDays);
+        const attendedDays = parseWholeNumber(row.attendedDays);
+        const record = {
+            id: Date.now() + Math.random(),
+            classCode: classCode,
+            facultyCode: facultyCode,
+            studentCode: studentCode,
+            month: month,
+            year: year,
+            studentName: sanitizeInput(row.studentName) || (studentRecord ? studentRecord.studentName : undefined),
+            studentRoll: codes.normalizeRollNumber(row.studentRoll),
+            totalWorkingDays: workingDays,
+            attendedDays: attendedDays,
+            percentage: Number.isInteger(workingDays) && Number.isInteger(attendedDays) && workingDays > 0 && attendedDays <= workingDays
+                ? Math.round((attendedDays / workingDays) * 100)
+                : 0,
+            source: 'manual',
+            postedAt: postedAt
+        };
+        schemas.validate('attendance', record).forEach(error => errors.push({ row: row.row, ...error }));
+        records.push(record);
+    });
+    return { errors, records };
+}
+
+// Checks the batch and, unless it is a dry run, saves it. Replies with the
+// per-row errors, or with the records that were (or would be) saved.
+async function applyAttendanceBatch(req, res, { classCode, month, year, totalWorkingDays, rows, dryRun }) {
+    if (!isValidAttendanceDate(month, year)) {
+        return res.status(400).json({ error: 'Invalid attendance date' });
+    }
+    if (rows.length === 0) {
+        return validationFailed(res, [{ field: 'records', message: 'must list at least one student' }]);
+    }
+    const data = await readData();
+    if (attendance.hasRegisterDays(data, classCode, year, month)) {
+        return res.status(409).json({ error: `Attendance for ${month}/${year} is kept in the daily register; mark it there instead` });
+    }
+    const facultyCode = req.user.code;
+    const { errors, records } = buildAttendanceBatch(data, { classCode, month, year, totalWorkingDays, rows, facultyCode });
+    if (errors.length > 0) {
+        return validationFailed(res, errors);
+    }
+    if (dryRun) {
+        return res.json({ success: true, dryRun: true, count: records.length, records: records });
+    }
+    records.forEach(record => upsertMonthlyAttendance(data, record));
+    addToHistory(data, 'monthly-attendance', facultyCode, {
+        text: `Monthly attendance posted for ${records.length} students of class ${classCode} for ${month}/${year}`,
+        date: records[0].postedAt
+    });
+    if (await writeData(data)) {
+        console.log(`📋 Monthly attendance for class ${classCode} ${month}/${year} posted in bulk: ${records.length} students`);
+        res.json({ success: true, count: records.length, records: records });
+    } else {
+        res.status(500).json({ error: 'Failed to save attendance' });
+    }
+}
 
-app.get('/api/progress-cards/:classCode', async (req, res) => {
+// Body: { classCode, month, year, totalWorkingDays?, dryRun?, records: [{ studentRoll,
+// studentName?, totalWorkingDays?, attendedDays }] }; errors give the 1-based record number as `row`
+app.post('/api/monthly-attendance/bulk', withDataLock(async (req, res) => {
     try {
-        const { classCode } = req.params;
-        const sanitizedClassCode = sanitizeInput(classCode);
-        if (!sanitizedClassCode) {
-            return res.status(400).json({ error: 'Class code is required' });
+        const classCode = sanitizeInput(req.body.classCode);
+        const month = parseInt(req.body.month);
+        const year = parseInt(req.body.year);
+        if (!classCode || !isValidClassCode(classCode)) {
+            return res.status(400).json({ error: 'Invalid class code' });
         }
-        if (!isValidClassCode(sanitizedClassCode)) {
+        if (isNaN(month) || isNaN(year)) {
+            return res.status(400).json({ error: 'Invalid numeric values' });
+        }
+        if (!Array.isArray(req.body.records)) {
+            return validationFailed(res, [{ field: 'records', message: 'must be a list of students' }]);
+        }
+        const rows = req.body.records.map((record, index) => ({ ...(record || {}), row: index + 1 }));
+        await applyAttendanceBatch(req, res, {
+            classCode, month, year, rows,
+            totalWorkingDays: req.body.totalWorkingDays,
+            dryRun: req.body.dryRun === true
+        });
+    } catch (error) {
+        console.error('❌ Error posting bulk attendance:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+}));
+
+// Multipart: `file` (.csv or .xlsx, header row first) plus classCode, month,
+// year, optional totalWorkingDays and dryRun. Errors give the sheet's line as `row`.
+app.post('/api/monthly-attendance/import', importUpload.single('file'), withDataLock(async (req, res) => {
+    try {
+        const classCode = sanitizeInput(req.body.classCode);
+        const month = parseInt(req.body.month);
+        const year = parseInt(req.body.year);
+        if (!classCode || !isValidClassCode(classCode)) {
             return res.status(400).json({ error: 'Invalid class code' });
         }
+        if (!policy.canTeachClass(req.user, classCode)) {
+            return policy.forbidden(res, 'You can only post attendance for your own class');
+        }
+        if (isNaN(month) || isNaN(year)) {
+            return res.status(400).json({ error: 'Invalid numeric values' });
+        }
+        if (!req.file) {
+            return res.status(400).json({ error: 'Choose a CSV or XLSX file to import' });
+        }
+        let sheet;
+        try {
+            sheet = spreadsheet.readSpreadsheet(req.file.buffer, req.file.originalname);
+        } catch (error) {
+            return res.status(400).json({ error: error.message });
+        }
+        const { records: rows, missing } = spreadsheet.toRecords(sheet, ATTENDANCE_IMPORT_COLUMNS);
+        const totalWorkingDays = req.body.totalWorkingDays;
+        const required = ['studentRoll', 'attendedDays'].concat(totalWorkingDays ? [] : ['totalWorkingDays']);
+        const missingColumns = required.filter(field => missing.includes(field));
+        if (missingColumns.length > 0) {
+            return validationFailed(res, missingColumns.map(field => ({
+                field: 'file',
+                message: `needs a column headed ${ATTENDANCE_IMPORT_COLUMNS[field].map(name => `"${name}"`).join(' or ')}`
+            })));
+        }
+        await applyAttendanceBatch(req, res, {
+            classCode, month, year, rows, totalWorkingDays,
+            dryRun: req.body.dryRun === 'true'
+        });
+    } catch (error) {
+        console.error('❌ Error importing attendance:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+}));
+
+// ===== END BULK MONTHLY ATTENDANCE =====
+
+// ===== ATTENDANCE REGISTER =====
+
+function validateCalendar(body) {
+    const calendar = {
+        weeklyOffDays: Array.isArray(body.weeklyOffDays) ? body.weeklyOffDays.map(day => parseInt(day)) : body.weeklyOffDays,
+        holidays: Array.isArray(body.holidays)
+            ? body.holidays.map(holiday => ({
+                date: attendance.normalizeDate(holiday && holiday.date) || sanitizeInput(holiday && holiday.date),
+                name: sanitizeInput(holiday && holiday.name)
+            }))
+            : body.holidays,
+        extraWorkingDays: Array.isArray(body.extraWorkingDays)
+            ? body.extraWorkingDays.map(date => attendance.normalizeDate(date) || sanitizeInput(date))
+            : body.extraWorkingDays
+    };
+    const errors = schemas.validate('schoolCalendar', calendar);
+    calendar.holidays = Array.isArray(calendar.holidays) ? calendar.holidays : [];
+    calendar.extraWorkingDays = Array.isArray(calendar.extraWorkingDays) ? calendar.extraWorkingDays : [];
+    calendar.holidays.forEach((holiday, index) => {
+        if (typeof holiday.date === 'string' && !attendance.normalizeDate(holiday.date)) {
+            errors.push({ field: `holidays[${index}].date`, message: 'is not a real date' });
+        }
+    });
+    calendar.extraWorkingDays.forEach((date, index) => {
+        if (typeof date === 'string' && !attendance.normalizeDate(date)) {
+            errors.push({ field: `extraWorkingDays[${index}]`, message: 'is not a real date' });
+        }
+    });
+    return { calendar, errors };
+}
+
+app.get('/api/school-calendar', withDataLock(async (req, res) => {
+    try {
+        setNoCacheHeaders(res);
         const data = await readData();
-        if (!data.progressCards) data.progressCards = {};
-        if (!data.progressCards[sanitizedClassCode]) data.progressCards[sanitizedClassCode] = [];
-        const progressCards = data.progressCards[sanitizedClassCode];
-        progressCards.sort((a, b) => parseInt(a.rollNumber) - parseInt(b.rollNumber));
-        res.json(progressCards);
+        res.json(data.schoolCalendar);
     } catch (error) {
-        console.error('Error fetching progress cards:', error);
+        console.error('❌ Error fetching school calendar:', error);
         res.status(500).json({ error: 'Internal server error' });
     }
-});
+}));
 
-app.get('/api/assignment-results/:assignmentId', async (req, res) => {
+// Replaces the calendar and recomputes every month the register covers, since
+// a new holiday or working Saturday changes the working-day totals.
+app.put('/api/school-calendar', withDataLock(async (req, res) => {
     try {
-        const { assignmentId } = req.params;
-        const sanitizedAssignmentId = sanitizeInput(assignmentId);
-        if (!sanitizedAssignmentId) {
-            return res.status(400).json({ error: 'Assignment ID is required' });
+        const { calendar, errors } = validateCalendar(req.body);
+        if (errors.length > 0) {
+            return validationFailed(res, errors);
         }
         const data = await readData();
-        const results = data.assignmentResults[sanitizedAssignmentId] || [];
-        results.sort((a, b) => new Date(b.submittedAt) - new Date(a.submittedAt));
-        res.json(results);
+        data.schoolCalendar = {
+            weeklyOffDays: [...new Set(calendar.weeklyOffDays)].sort(),
+            holidays: calendar.holidays.sort((a, b) => a.date.localeCompare(b.date)),
+            extraWorkingDays: [...new Set(calendar.extraWorkingDays)].sort()
+        };
+        const months = attendance.registeredMonths(data.attendanceRegister);
+        months.forEach(({ classCode, year, month }) => {
+            attendance.deriveMonthlyAttendance(data, classCode, year, month);
+        });
+        addToHistory(data, 'school-calendar-updated', req.user.role, {
+            text: `School calendar updated: ${data.schoolCalendar.holidays.length} holiday(s), ` +
+                `${data.schoolCalendar.extraWorkingDays.length} extra working day(s)`,
+            date: new Date().toISOString()
+        });
+        if (await writeData(data)) {
+            res.json({ success: true, calendar: data.schoolCalendar, recomputedMonths: months.length });
+        } else {
+            res.status(500).json({ error: 'Failed to update school calendar' });
+        }
     } catch (error) {
-        console.error('Error fetching assignment results:', error);
+        console.error('❌ Error updating school calendar:', error);
         res.status(500).json({ error: 'Internal server error' });
     }
-});
+}));
 
-app.get('/api/assignments/:classCode', async (req, res) => {
+// One month of a class register: the working days, the class list from the
+// student records and whatever has been marked so far
+app.get('/api/attendance-register/:classCode', withDataLock(async (req, res) => {
     try {
-        const { classCode } = req.params;
-        const sanitizedClassCode = sanitizeInput(classCode);
-        if (!sanitizedClassCode) {
-            return res.status(400).json({ error: 'Class code is required' });
-        }
-        if (!isValidClassCode(sanitizedClassCode)) {
+        setNoCacheHeaders(res);
+        const classCode = sanitizeInput(req.params.classCode);
+        if (!isValidClassCode(classCode)) {
             return res.status(400).json({ error: 'Invalid class code' });
         }
-        let data = await readData();
-        data = cleanExpiredPosts(data);
-        if (!data.assignments) data.assignments = {};
-        if (!data.assignments[sanitizedClassCode]) data.assignments[sanitizedClassCode] = [];
-        const assignments = data.assignments[sanitizedClassCode];
-        const activeAssignments = assignments.filter(a => a.isActive);
-        activeAssignments.sort((a, b) => new Date(b.date) - new Date(a.date));
-        res.json(activeAssignments);
+        const now = new Date();
+        const month = req.query.month ? parseInt(req.query.month) : now.getMonth() + 1;
+        const year = req.query.year ? parseInt(req.query.year) : now.getFullYear();
+        if (isNaN(month) || month < 1 || month > 12 || isNaN(year)) {
+            return res.status(400).json({ error: 'Invalid month or year' });
+        }
+        const data = await readData();
+        const students = classRoster(data, classCode);
+        const monthPrefix = `${year}-${String(month).padStart(2, '0')}-`;
+        const classRegister = data.attendanceRegister[classCode] || {};
+        const days = {};
+        Object.keys(classRegister).filter(date => date.startsWith(monthPrefix)).forEach(date => {
+            days[date] = classRegister[date];
+        });
+        res.json({
+            classCode: classCode,
+            month: month,
+            year: year,
+            workingDays: attendance.workingDaysInMonth(data.schoolCalendar, year, month),
+            students: students,
+            days: days,
+            summary: attendance.summarizeMonth(data.schoolCalendar, classRegister, year, month)
+        });
     } catch (error) {
-        console.error('Error fetching assignments:', error);
+        console.error('❌ Error fetching attendance register:', error);
         res.status(500).json({ error: 'Internal server error' });
     }
-});
+}));
 
-app.post('/api/register-student', async (req, res) => {
+// Marks the whole class for one date. Marking a date again replaces that day,
+// which is how mistakes are corrected.
+app.post('/api/attendance-register', withDataLock(async (req, res) => {
     try {
-        console.log('📝 Student registration request received');
-        console.log('Body:', req.body);
-        
-        let { studentClass, studentRoll, studentName, fatherName, totalFee, academicYear, registeredBy } = req.body;
-        
-        studentClass = sanitizeInput(studentClass);
-        studentRoll = sanitizeInput(studentRoll);
-        studentName = sanitizeInput(studentName);
-        fatherName = sanitizeInput(fatherName);
-        academicYear = sanitizeInput(academicYear);
-        
-        // Validate registeredBy
-        if (!registeredBy || !['admin', 'receptionist'].includes(registeredBy)) {
-            console.error('❌ Invalid registeredBy value:', registeredBy);
-            return res.status(403).json({ error: 'Invalid user type for registration' });
-        }
-        
-        if (!studentClass || !studentRoll || !studentName || !fatherName || !academicYear || totalFee === undefined) {
-            console.error('❌ Missing required fields');
-            return res.status(400).json({ error: 'All fields are required' });
+        const classCode = sanitizeInput(req.body.classCode);
+        const date = attendance.normalizeDate(req.body.date);
+        const entries = req.body.entries;
+        if (!classCode || !isValidClassCode(classCode)) {
+            return res.status(400).json({ error: 'Invalid class code' });
         }
-        
-        if (!isValidClassCode(studentClass)) {
-            console.error('❌ Invalid class code:', studentClass);
-            return res.status(400).json({ error: 'Invalid class selected' });
+        if (!date) {
+            return validationFailed(res, [{ field: 'date', message: 'must be a date like 2025-07-01' }]);
         }
-        
-        totalFee = parseFloat(totalFee);
-        if (isNaN(totalFee) || totalFee < 0) {
-            console.error('❌ Invalid fee amount:', totalFee);
-            return res.status(400).json({ error: 'Invalid total fee amount' });
+        const year = parseInt(date.slice(0, 4));
+        const month = parseInt(date.slice(5, 7));
+        if (date > attendance.today() || !isValidAttendanceDate(month, year)) {
+            return validationFailed(res, [{ field: 'date', message: 'must not be in the future or more than a year back' }]);
         }
-        
-        const studentCode = generateStudentCode(studentClass, studentRoll);
-        if (!studentCode) {
-            console.error('❌ Could not generate student code');
-            return res.status(400).json({ error: 'Invalid class or roll number combination' });
+        if (!Array.isArray(entries) || entries.length === 0) {
+            return validationFailed(res, [{ field: 'entries', message: 'must list every student with a status' }]);
         }
-        
         const data = await readData();
-        if (!data.studentMasterRecords) {
-            data.studentMasterRecords = {};
-        }
-        
-        const existingStudent = data.studentMasterRecords[studentCode];
-        if (existingStudent && existingStudent.academicYear === academicYear) {
-            console.log('⚠️ Student already exists:', studentCode);
-            return res.status(400).json({ 
-                error: `Student ${studentCode} already registered for ${academicYear}`,
-                existingRecord: existingStudent
-            });
+        if (!attendance.isWorkingDay(data.schoolCalendar, date)) {
+            return res.status(400).json({ error: `${date} is not a working day in the school calendar` });
         }
-        
-        const studentRecord = {
-            studentCode: studentCode,
-            studentName: studentName,
-            fatherName: fatherName,
-            studentClass: studentClass,
-            studentRoll: studentRoll,
-            totalFee: totalFee,
-            currentDue: totalFee,
-            academicYear: academicYear,
-            registeredDate: new Date().toISOString(),
-            lastUpdated: new Date().toISOString()
+
+        const errors = [];
+        const marked = {};
+        entries.forEach((entry, index) => {
+            const studentCode = generateStudentCode(classCode, entry && entry.studentRoll);
+            if (!studentCode) {
+                errors.push({ field: `entries[${index}].studentRoll`, message: `must be a roll number from 1 to ${codes.MAX_ROLL}` });
+                return;
+            }
+            if (marked[studentCode]) {
+                errors.push({ field: `entries[${index}].studentRoll`, message: 'is listed more than once' });
+                return;
+            }
+            const studentRecord = data.studentMasterRecords[studentCode];
+            marked[studentCode] = {
+                status: sanitizeInput(entry.status),
+                studentName: studentRecord ? studentRecord.studentName : sanitizeInput(entry.studentName),
+                studentRoll: codes.normalizeRollNumber(entry.studentRoll)
+            };
+        });
+        const day = {
+            classCode: classCode,
+            date: date,
+            markedBy: req.user.code,
+            markedAt: new Date().toISOString(),
+            entries: marked
         };
-        
-        data.studentMasterRecords[studentCode] = studentRecord;
-        
-        addToHistory(data, 'student-registered', registeredBy, {
-            text: `Student registered: ${studentName} (${studentCode}) - Total Fee: ₹${totalFee}`,
-            date: studentRecord.registeredDate
+        errors.push(...schemas.validate('registerDay', day));
+        if (errors.length > 0) {
+            return validationFailed(res, errors);
+        }
+
+        if (!data.attendanceRegister[classCode]) data.attendanceRegister[classCode] = {};
+        const corrected = !!data.attendanceRegister[classCode][date];
+        data.attendanceRegister[classCode][date] = day;
+        const records = attendance.deriveMonthlyAttendance(data, classCode, year, month);
+        const absent = Object.values(marked).filter(entry => entry.status !== 'present').length;
+        addToHistory(data, 'attendance-register', req.user.role === 'admin' ? 'admin' : req.user.code, {
+            text: `Attendance ${corrected ? 'corrected' : 'marked'} for class ${classCode} on ${date}: ` +
+                `${Object.keys(marked).length - absent} present, ${absent} absent, late or on leave`,
+            date: day.markedAt
         });
-        
         if (await writeData(data)) {
-            console.log('✅ Student registered:', studentCode);
-            res.json({ success: true, studentRecord: studentRecord });
+            res.json({ success: true, day: day, monthlyAttendance: records });
         } else {
-            console.error('❌ Failed to write data');
-            res.status(500).json({ error: 'Failed to register student' });
+            res.status(500).json({ error: 'Failed to save attendance register' });
         }
     } catch (error) {
-        console.error('❌ Error registering student:', error);
-        res.status(500).json({ error: 'Internal server error: ' + error.message });
+        console.error('❌ Error saving attendance register:', error);
+        res.status(500).json({ error: 'Internal server error' });
     }
-});
+}));
+
+// ===== END ATTENDANCE REGISTER =====
+
+// ===== TIMETABLE =====
 
-// Replace the /api/student-balance/:studentCode endpoint in server.js
+function facultyName(data, facultyCode) {
+    const account = data.users[facultyCode];
+    return account ? account.name : facultyCode;
+}
+
+// What the dashboards need to draw the grid: the periods, the days that have
+// lessons and the slots with the teacher's name filled in
+function timetableView(data, slots) {
+    return {
+        periods: data.timetable.periods,
+        days: timetable.teachingDays(data.schoolCalendar).map(day => ({ day, name: timetable.DAY_NAMES[day] })),
+        slots: slots.map(slot => ({ ...slot, facultyName: facultyName(data, slot.facultyCode) }))
+    };
+}
+
+app.get('/api/timetable/periods', withDataLock(async (req, res) => {
+    try {
+        const data = await readData();
+        res.json(timetableView(data, []));
+    } catch (error) {
+        console.error('❌ Error fetching periods:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+}));
 
-app.get('/api/student-balance/:studentCode', async (req, res) => {
+// Replaces the school day's periods. A period that still has lessons in some
+// class cannot be removed until those slots are moved.
+app.put('/api/timetable/periods', withDataLock(async (req, res) => {
+    try {
+        const periods = Array.isArray(req.body.periods)
+            ? req.body.periods.map(period => ({
+                number: parseInt(period && period.number),
+                start: sanitizeInput(period && period.start),
+                end: sanitizeInput(period && period.end)
+            }))
+            : req.body.periods;
+        const data = await readData();
+        const errors = schemas.validate('timetable', { periods, classes: data.timetable.classes });
+        if (errors.length === 0) errors.push(...timetable.checkPeriods(periods));
+        if (errors.length > 0) {
+            return validationFailed(res, errors);
+        }
+        const numbers = periods.map(period => period.number);
+        const stranded = [];
+        Object.keys(data.timetable.classes).forEach(classCode => {
+            data.timetable.classes[classCode].forEach(slot => {
+                if (!numbers.includes(slot.period)) stranded.push({ classCode, day: slot.day, period: slot.period });
+            });
+        });
+        if (stranded.length > 0) {
+            return res.status(409).json({
+                error: `Period ${[...new Set(stranded.map(slot => slot.period))].join(', ')} still has lessons; move them first`,
+                slots: stranded
+            });
+        }
+        data.timetable.periods = periods;
+        addToHistory(data, 'timetable-periods-updated', req.user.role, {
+            text: `School day set to ${periods.length} periods, ${periods[0].start} to ${periods[periods.length - 1].end}`,
+            date: new Date().toISOString()
+        });
+        if (await writeData(data)) {
+            res.json({ success: true, periods: data.timetable.periods });
+        } else {
+            res.status(500).json({ error: 'Failed to update periods' });
+        }
+    } catch (error) {
+        console.error('❌ Error updating periods:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+}));
+
+app.get('/api/timetable/class/:classCode', withDataLock(async (req, res) => {
+    try {
+        const classCode = sanitizeInput(req.params.classCode).toLowerCase();
+        if (!isValidClassCode(classCode)) {
+            return res.status(400).json({ error: 'Invalid class code' });
+        }
+        const data = await readData();
+        res.json({ classCode, ...timetableView(data, timetable.classTimetable(data.timetable, classCode)) });
+    } catch (error) {
+        console.error('❌ Error fetching class timetable:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+}));
+
+// Replaces a class's whole week. Body: { slots: [{ day, period, subject,
+// facultyCode }] }. Refused with the clashes if it would book a teacher into
+// two classes at once.
+app.put('/api/timetable/class/:classCode', withDataLock(async (req, res) => {
+    try {
+        const classCode = sanitizeInput(req.params.classCode).toLowerCase();
+        if (!isValidClassCode(classCode)) {
+            return res.status(400).json({ error: 'Invalid class code' });
+        }
+        if (!Array.isArray(req.body.slots)) {
+            return validationFailed(res, [{ field: 'slots', message: 'must be a list of lessons' }]);
+        }
+        const data = await readData();
+        const days = timetable.teachingDays(data.schoolCalendar);
+        const periodNumbers = data.timetable.periods.map(period => period.number);
+        const errors = [];
+        const taken = {};
+        const slots = req.body.slots.map((entry, index) => {
+            const slot = {
+                day: parseInt(entry && entry.day),
+                period: parseInt(entry && entry.period),
+                subject: sanitizeInput(entry && entry.subject),
+                facultyCode: String(sanitizeInput(entry && entry.facultyCode) || '').toUpperCase()
+            };
+            const slotErrors = schemas.validate('timetableSlot', slot);
+            if (slotErrors.length === 0) {
+                const account = data.users[slot.facultyCode];
+                if (!days.includes(slot.day)) {
+                    slotErrors.push({ field: 'day', message: `is not a school day (${timetable.DAY_NAMES[slot.day]})` });
+                }
+                if (!periodNumbers.includes(slot.period)) {
+                    slotErrors.push({ field: 'period', message: `must be one of the periods: ${periodNumbers.join(', ')}` });
+                }
+                if (!account || account.role !== 'faculty') {
+                    slotErrors.push({ field: 'facultyCode', message: 'is not a faculty account' });
+                }
+                const key = `${slot.day}|${slot.period}`;
+                if (taken[key] !== undefined) {
+                    slotErrors.push({ field: 'period', message: `is already taken by slots[${taken[key]}]` });
+                }
+                taken[key] = index;
+            }
+            errors.push(...slotErrors.map(error => ({ ...error, field: `slots[${index}].${error.field}` })));
+            return slot;
+        });
+        if (errors.length > 0) {
+            return validationFailed(res, errors);
+        }
+
+        const clashes = timetable.findClashes({ ...data.timetable.classes, [classCode]: slots })
+            .filter(clash => clash.classCodes.includes(classCode));
+        if (clashes.length > 0) {
+            return res.status(409).json({
+                error: 'Timetable clash: ' + clashes.map(clash =>
+                    `${facultyName(data, clash.facultyCode)} is already teaching class ` +
+                    `${clash.classCodes.filter(code => code !== classCode).join(', ')} on ${timetable.DAY_NAMES[clash.day]} period ${clash.period}`
+                ).join('; '),
+                clashes: clashes
+            });
+        }
+
+        if (slots.length > 0) {
+            data.timetable.classes[classCode] = slots;
+        } else {
+            delete data.timetable.classes[classCode];
+        }
+        addToHistory(data, 'timetable-updated', req.user.role, {
+            text: `Timetable for class ${classCode} set: ${slots.length} lesson(s) a week`,
+            date: new Date().toISOString()
+        });
+        if (await writeData(data)) {
+            res.json({ success: true, classCode, ...timetableView(data, timetable.classTimetable(data.timetable, classCode)) });
+        } else {
+            res.status(500).json({ error: 'Failed to save timetable' });
+        }
+    } catch (error) {
+        console.error('❌ Error saving class timetable:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+}));
+
+app.get('/api/timetable/faculty/:facultyCode', withDataLock(async (req, res) => {
+    try {
+        const facultyCode = String(sanitizeInput(req.params.facultyCode)).toUpperCase();
+        const data = await readData();
+        const account = data.users[facultyCode];
+        if (!account || account.role !== 'faculty') {
+            return res.status(404).json({ error: 'Faculty not found' });
+        }
+        res.json({
+            facultyCode,
+            facultyName: account.name,
+            ...timetableView(data, timetable.facultyTimetable(data.timetable, facultyCode))
+        });
+    } catch (error) {
+        console.error('❌ Error fetching faculty timetable:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+}));
+
+// Saving a class refuses new clashes; this finds any already stored, e.g.
+// after a snapshot restore
+app.get('/api/timetable/clashes', withDataLock(async (req, res) => {
+    try {
+        const data = await readData();
+        const clashes = timetable.findClashes(data.timetable.classes).map(clash => ({
+            ...clash,
+            dayName: timetable.DAY_NAMES[clash.day],
+            facultyName: facultyName(data, clash.facultyCode)
+        }));
+        res.json({ clashes });
+    } catch (error) {
+        console.error('❌ Error checking timetable clashes:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+}));
+
+// ===== END TIMETABLE =====
+
+app.get('/api/progress-cards/:classCode', withDataLock(async (req, res) => {
+    try {
+        const { classCode } = req.params;
+        const sanitizedClassCode = sanitizeInput(classCode);
+        if (!sanitizedClassCode) {
+            return res.status(400).json({ error: 'Class code is required' });
+        }
+        if (!isValidClassCode(sanitizedClassCode)) {
+            return res.status(400).json({ error: 'Invalid class code' });
+        }
+        const data = await readData();
+        if (!data.progressCards) data.progressCards = {};
+        if (!data.progressCards[sanitizedClassCode]) data.progressCards[sanitizedClassCode] = [];
+        // Staff see every card of the year, flagged with whether it is still
+        // on the dashboard; students and parents only see the ones that are
+        const now = new Date();
+        let classCards = data.progressCards[sanitizedClassCode].map(card => ({ ...card, visible: progressCards.isVisible(card, now) }));
+        if (['student', 'parent'].includes(req.user.role)) {
+            classCards = classCards.filter(card => card.visible && policy.canAccessStudent(req.user, card.studentCode));
+        }
+        classCards.sort((a, b) => parseInt(a.rollNumber) - parseInt(b.rollNumber));
+        res.json(classCards);
+    } catch (error) {
+        console.error('Error fetching progress cards:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+}));
+
+// Every exam's card for a student across all academic years, including cards
+// no longer on the dashboard and years closed by rollover, plus subject-wise
+// trends across the terms
+app.get('/api/students/:studentCode/progress-history', withDataLock(async (req, res) => {
+    try {
+        const studentCode = String(sanitizeInput(req.params.studentCode)).toUpperCase();
+        const parsedCode = parseStudentCode(studentCode);
+        if (!parsedCode) {
+            return res.status(400).json({ error: 'Invalid student code format' });
+        }
+        if (req.user.role === 'faculty' && !policy.canTeachClass(req.user, parsedCode.classCode)) {
+            return policy.forbidden(res, 'You can only view students of your own class');
+        }
+        const data = await readData();
+        const studentCodes = academicYears.studentCodeHistory(data, studentCode);
+        // This year's cards saved before they carried a student code are
+        // matched on class and roll number
+        const ownCards = (collection, isLegacyMatch) => Object.values(collection || {})
+            .reduce((all, cards) => all.concat(cards), [])
+            .filter(card => studentCodes.includes(card.studentCode) || (!card.studentCode && isLegacyMatch(card)));
+        const years = Object.keys(data.archives).map(academicYear => ({
+            academicYear,
+            cards: ownCards(data.archives[academicYear].progressCards, () => false)
+        }));
+        years.push({
+            academicYear: data.academicYears.current,
+            cards: ownCards(data.progressCards, card => card.classCode === parsedCode.classCode && String(card.rollNumber) === parsedCode.rollNumber)
+        });
+        const record = data.studentMasterRecords[studentCode];
+        res.json({
+            studentCode,
+            studentName: record ? record.studentName : null,
+            studentCodes,
+            ...progressCards.studentHistory(years)
+        });
+    } catch (error) {
+        console.error('❌ Error fetching progress history:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+}));
+
+app.get('/api/assignment-results/:assignmentId', withDataLock(async (req, res) => {
+    try {
+        const { assignmentId } = req.params;
+        const sanitizedAssignmentId = sanitizeInput(assignmentId);
+        if (!sanitizedAssignmentId) {
+            return res.status(400).json({ error: 'Assignment ID is required' });
+        }
+        const data = await readData();
+        const assignment = Object.values(data.assignments).flat().find(a => a.id == sanitizedAssignmentId);
+        if (req.user.role === 'faculty') {
+            if (!assignment || !policy.canTeachClass(req.user, assignment.classCode)) {
+                return policy.forbidden(res);
+            }
+        }
+        let results = data.assignmentResults[sanitizedAssignmentId] || [];
+        if (['student', 'parent'].includes(req.user.role)) {
+            results = results.filter(r => policy.canAccessStudent(req.user, r.studentCode))
+                .map(result => assignment ? submissionForStudent(data, assignment, result) : result);
+        }
+        results.sort((a, b) => new Date(b.submittedAt) - new Date(a.submittedAt));
+        res.json(results);
+    } catch (error) {
+        console.error('Error fetching assignment results:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+}));
+
+// Completion against the class roster, score figures and how each question
+// was answered, from the result that counts for each student
+app.get('/api/assignment-results/:assignmentId/analytics', withDataLock(async (req, res) => {
+    try {
+        const assignmentId = sanitizeInput(req.params.assignmentId);
+        const data = await readData();
+        const assignment = Object.values(data.assignments).flat().find(a => a.id == assignmentId);
+        if (!assignment) {
+            return res.status(404).json({ error: 'Assignment not found' });
+        }
+        if (!policy.canTeachClass(req.user, assignment.classCode)) {
+            return policy.forbidden(res);
+        }
+        const results = data.assignmentResults[assignment.id] || [];
+        res.json(assignmentAnalytics.analyzeAssignment(assignment, results, classRoster(data, assignment.classCode)));
+    } catch (error) {
+        console.error('❌ Error building assignment analytics:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+}));
+
+// Short answers waiting for marks, one entry per pending submission
+app.get('/api/grading-queue/:classCode', withDataLock(async (req, res) => {
+    try {
+        const classCode = sanitizeInput(req.params.classCode);
+        if (!isValidClassCode(classCode)) {
+            return res.status(400).json({ error: 'Invalid class code' });
+        }
+        const data = await readData();
+        const queue = [];
+        (data.assignments[classCode] || []).forEach(assignment => {
+            attempts.allAttempts(data, assignment.id).forEach(submission => {
+                if (submission.state !== 'submitted' || submission.status !== 'pending') return;
+                const answers = [];
+                submission.results.forEach((result, questionIndex) => {
+                    if (result.marksAwarded !== null) return;
+                    answers.push({
+                        questionIndex: questionIndex,
+                        question: result.question,
+                        marks: result.marks,
+                        modelAnswer: result.modelAnswer || null,
+                        studentAnswer: result.studentAnswer
+                    });
+                });
+                queue.push({
+                    assignmentId: assignment.id,
+                    title: assignment.title,
+                    studentCode: submission.studentCode,
+                    attemptNumber: submission.attemptNumber,
+                    submittedAt: submission.submittedAt,
+                    answers: answers
+                });
+            });
+        });
+        res.json({ classCode: classCode, queue: queue });
+    } catch (error) {
+        console.error('❌ Error fetching grading queue:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+}));
+
+// Awards marks to short answers: { studentCode, attemptNumber, grades: [{
+// questionIndex, marksAwarded, feedback }] }. Without attemptNumber the
+// student's latest submitted attempt is graded. Marks already given can be
+// changed; an attempt's score is final once no answer is left pending.
+app.post('/api/assignment-results/:assignmentId/grade', withDataLock(async (req, res) => {
+    try {
+        const assignmentId = sanitizeInput(req.params.assignmentId);
+        const studentCode = String(sanitizeInput(req.body.studentCode) || '').toUpperCase();
+        const { grades } = req.body;
+        if (!studentCode) {
+            return validationFailed(res, [{ field: 'studentCode', message: 'is required' }]);
+        }
+        if (!Array.isArray(grades) || grades.length === 0) {
+            return validationFailed(res, [{ field: 'grades', message: 'must list at least one answer to grade' }]);
+        }
+        const data = await readData();
+        const assignment = Object.values(data.assignments).flat().find(a => a.id == assignmentId);
+        if (!assignment) {
+            return res.status(404).json({ error: 'Assignment not found' });
+        }
+        if (!policy.canTeachClass(req.user, assignment.classCode)) {
+            return policy.forbidden(res, 'You can only grade assignments of your own classes');
+        }
+        const list = attempts.studentAttempts(data, assignment.id, studentCode).map(attempt => ({ ...attempt }));
+        const submitted = list.filter(attempt => attempt.state === 'submitted');
+        const submission = req.body.attemptNumber !== undefined
+            ? submitted.find(attempt => attempt.attemptNumber === req.body.attemptNumber)
+            : submitted[submitted.length - 1];
+        if (!submission) {
+            return res.status(404).json({ error: 'Submission not found' });
+        }
+        submission.results = submission.results.map(result => ({ ...result }));
+        const errors = [];
+        grades.forEach((grade, index) => {
+            const field = `grades[${index}]`;
+            const result = grade && Number.isInteger(grade.questionIndex) ? submission.results[grade.questionIndex] : null;
+            if (!result) {
+                errors.push({ field: `${field}.questionIndex`, message: 'is not a question of this assignment' });
+                return;
+            }
+            if (result.type !== 'short') {
+                errors.push({ field: `${field}.questionIndex`, message: 'is marked automatically' });
+                return;
+            }
+            if (typeof grade.marksAwarded !== 'number' || !(grade.marksAwarded >= 0 && grade.marksAwarded <= result.marks)) {
+                errors.push({ field: `${field}.marksAwarded`, message: `must be a number from 0 to ${result.marks}` });
+                return;
+            }
+            result.marksAwarded = grade.marksAwarded;
+            // Only full marks count as correct in the per-question statistics
+            result.isCorrect = grade.marksAwarded === result.marks;
+            if (grade.feedback !== undefined) result.feedback = sanitizeInput(grade.feedback);
+        });
+        if (errors.length > 0) {
+            return validationFailed(res, errors);
+        }
+        scoreSubmission(submission);
+        if (submission.status === 'graded') {
+            submission.gradedBy = req.user.code;
+            submission.gradedAt = new Date().toISOString();
+        }
+        const schemaErrors = schemas.validate('assignmentAttempt', submission);
+        if (schemaErrors.length > 0) {
+            return validationFailed(res, schemaErrors);
+        }
+        const result = saveAttempts(data, assignment, studentCode, list);
+        if (submission.status === 'graded') {
+            addToHistory(data, 'assignment-graded', req.user.role === 'admin' ? 'admin' : req.user.code, {
+                text: `Assignment graded: ${assignment.title} for ${studentCode} - ${submission.score}/${submission.maxScore}`,
+                date: submission.gradedAt
+            });
+        }
+        if (await writeData(data)) {
+            res.json({ success: true, submission: submission, result: result });
+        } else {
+            res.status(500).json({ error: 'Failed to save grades' });
+        }
+    } catch (error) {
+        console.error('❌ Error grading assignment:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+}));
+
+// Every attempt at an assignment, in progress, expired or submitted.
+// Students and parents see only their own.
+app.get('/api/assignment-attempts/:assignmentId', withDataLock(async (req, res) => {
+    try {
+        const assignmentId = sanitizeInput(req.params.assignmentId);
+        const data = await readData();
+        const assignment = Object.values(data.assignments).flat().find(a => a.id == assignmentId);
+        if (!assignment) {
+            return res.status(404).json({ error: 'Assignment not found' });
+        }
+        if (req.user.role === 'faculty' && !policy.canTeachClass(req.user, assignment.classCode)) {
+            return policy.forbidden(res);
+        }
+        let list = attempts.allAttempts(data, assignment.id);
+        if (['student', 'parent'].includes(req.user.role)) {
+            list = list.filter(attempt => policy.canAccessStudent(req.user, attempt.studentCode))
+                .map(attempt => submissionForStudent(data, assignment, attempt));
+        }
+        list.sort((a, b) => a.studentCode.localeCompare(b.studentCode) || a.attemptNumber - b.attemptNumber);
+        res.json({
+            assignmentId: assignment.id,
+            maxAttempts: assignment.maxAttempts === undefined ? null : assignment.maxAttempts,
+            scoring: attempts.scoringOf(assignment),
+            attempts: list
+        });
+    } catch (error) {
+        console.error('❌ Error fetching assignment attempts:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+}));
+
+app.get('/api/assignments/:classCode', withDataLock(async (req, res) => {
+    try {
+        const { classCode } = req.params;
+        const sanitizedClassCode = sanitizeInput(classCode);
+        if (!sanitizedClassCode) {
+            return res.status(400).json({ error: 'Class code is required' });
+        }
+        if (!isValidClassCode(sanitizedClassCode)) {
+            return res.status(400).json({ error: 'Invalid class code' });
+        }
+        let data = await readData();
+        data = cleanExpiredPosts(data);
+        if (!data.assignments) data.assignments = {};
+        if (!data.assignments[sanitizedClassCode]) data.assignments[sanitizedClassCode] = [];
+        const assignments = data.assignments[sanitizedClassCode];
+        // Staff also see the expired ones, flagged like progress cards
+        const now = new Date();
+        let activeAssignments = assignments.filter(a => a.isActive).map(a => ({ ...a, visible: attempts.isVisible(a, now) }));
+        activeAssignments.sort((a, b) => new Date(b.date) - new Date(a.date));
+        if (['student', 'parent'].includes(req.user.role)) {
+            activeAssignments = activeAssignments.filter(a => a.visible).map(assignmentForStudent);
+        }
+        res.json(activeAssignments);
+    } catch (error) {
+        console.error('Error fetching assignments:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+}));
+
+// ===== FEE STRUCTURES =====
+
+// A structure is copied into each student's fee lines at registration, so
+// changing or deleting one later leaves registered students as they are.
+function readFeeStructure(body, currentYear) {
+    const structure = {
+        id: '',
+        classCode: String(sanitizeInput(body.classCode) || '').toLowerCase(),
+        academicYear: body.academicYear
+            ? academicYears.normalizeAcademicYear(sanitizeInput(body.academicYear)) || sanitizeInput(body.academicYear)
+            : currentYear,
+        heads: body.heads,
+        installments: body.installments,
+        updatedAt: new Date().toISOString()
+    };
+    if (Array.isArray(body.heads)) {
+        structure.heads = body.heads.map(head => ({
+            head: fees.headName(sanitizeInput(head && head.head)),
+            amount: head && head.amount,
+            optional: !!(head && head.optional)
+        }));
+    }
+    if (Array.isArray(body.installments)) {
+        structure.installments = body.installments.map(installment => {
+            const amounts = installment && installment.amounts;
+            const read = {
+                name: sanitizeInput(installment && installment.name),
+                dueDate: attendance.normalizeDate(installment && installment.dueDate) || (installment && installment.dueDate),
+                amounts: amounts
+            };
+            if (amounts && typeof amounts === 'object' && !Array.isArray(amounts)) {
+                read.amounts = {};
+                Object.keys(amounts).forEach(name => {
+                    read.amounts[fees.headName(sanitizeInput(name))] = amounts[name];
+                });
+            }
+            return read;
+        });
+    }
+    if (body.lateFine && typeof body.lateFine === 'object' && !Array.isArray(body.lateFine)) {
+        structure.lateFine = {};
+        ['flat', 'perDay', 'graceDays', 'maxPerInstallment'].forEach(field => {
+            const value = body.lateFine[field];
+            if (value === undefined || value === null || value === '') return;
+            structure.lateFine[field] = typeof value === 'string' && value.trim() !== '' && !isNaN(value) ? Number(value) : value;
+        });
+        if (Object.keys(structure.lateFine).length === 0) delete structure.lateFine;
+    }
+    return structure;
+}
+
+app.get('/api/fee-structures', withDataLock(async (req, res) => {
+    try {
+        const data = await readData();
+        const classCode = req.query.classCode ? String(sanitizeInput(req.query.classCode)).toLowerCase() : null;
+        const academicYear = req.query.academicYear ? sanitizeInput(req.query.academicYear) : null;
+        const structures = data.feeStructures.filter(structure =>
+            (!classCode || structure.classCode === classCode) &&
+            (!academicYear || structure.academicYear === academicYear)
+        );
+        res.json({ currentYear: data.academicYears.current, structures: structures });
+    } catch (error) {
+        console.error('❌ Error fetching fee structures:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+}));
+
+// Creates or replaces the structure for a class and academic year (the
+// current one when none is given)
+app.put('/api/fee-structures', withDataLock(async (req, res) => {
+    try {
+        const data = await readData();
+        const structure = readFeeStructure(req.body, data.academicYears.current);
+        const errors = schemas.validate('feeStructure', structure).filter(error => error.field !== 'id');
+        if (errors.length === 0) errors.push(...fees.checkStructure(structure));
+        if (errors.length > 0) {
+            return validationFailed(res, errors);
+        }
+        const existing = fees.findStructure(data.feeStructures, structure.classCode, structure.academicYear);
+        structure.id = existing ? existing.id : `FS_${Date.now()}`;
+        data.feeStructures = data.feeStructures.filter(candidate => candidate !== existing);
+        data.feeStructures.push(structure);
+        const annualFee = fees.toRupees(structure.heads.reduce((sum, head) => sum + fees.toPaise(head.amount), 0));
+        addToHistory(data, 'fee-structure-updated', req.user.role, {
+            text: `Fee structure for class ${structure.classCode}, ${structure.academicYear} ${existing ? 'updated' : 'created'}: ` +
+                `₹${annualFee} in ${structure.installments.length} installment(s)`,
+            date: structure.updatedAt
+        });
+        if (await writeData(data)) {
+            res.json({ success: true, structure: structure });
+        } else {
+            res.status(500).json({ error: 'Failed to save fee structure' });
+        }
+    } catch (error) {
+        console.error('❌ Error saving fee structure:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+}));
+
+app.delete('/api/fee-structures/:structureId', withDataLock(async (req, res) => {
+    try {
+        const data = await readData();
+        const structure = data.feeStructures.find(candidate => candidate.id === req.params.structureId);
+        if (!structure) {
+            return res.status(404).json({ error: 'Fee structure not found' });
+        }
+        data.feeStructures = data.feeStructures.filter(candidate => candidate !== structure);
+        addToHistory(data, 'fee-structure-deleted', req.user.role, {
+            text: `Fee structure for class ${structure.classCode}, ${structure.academicYear} deleted`,
+            date: new Date().toISOString()
+        });
+        if (await writeData(data)) {
+            res.json({ success: true });
+        } else {
+            res.status(500).json({ error: 'Failed to delete fee structure' });
+        }
+    } catch (error) {
+        console.error('❌ Error deleting fee structure:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+}));
+
+// ===== END FEE STRUCTURES =====
+
+// ===== CONCESSIONS =====
+
+// The office requests a concession on one head of a student's fee; it only
+// touches the fee lines once an admin approves it.
+app.get('/api/concessions', withDataLock(async (req, res) => {
+    try {
+        const data = await readData();
+        const studentCode = req.query.studentCode ? String(sanitizeInput(req.query.studentCode)).toUpperCase() : null;
+        const status = req.query.status ? sanitizeInput(req.query.status) : null;
+        const concessions = data.concessions.filter(concession =>
+            (!studentCode || concession.studentCode === studentCode) &&
+            (!status || concession.status === status)
+        );
+        concessions.sort((a, b) => b.requestedAt.localeCompare(a.requestedAt));
+        res.json({ concessions: concessions });
+    } catch (error) {
+        console.error('❌ Error fetching concessions:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+}));
+
+app.post('/api/concessions', withDataLock(async (req, res) => {
+    try {
+        const data = await readData();
+        const studentCode = String(sanitizeInput(req.body.studentCode) || '').toUpperCase();
+        const studentRecord = data.studentMasterRecords[studentCode];
+        if (!studentRecord) {
+            return res.status(404).json({ error: 'Student not found' });
+        }
+        if (!studentRecord.feeLines) {
+            return res.status(400).json({ error: 'Concessions can only be given on fees registered from a fee structure' });
+        }
+        const value = typeof req.body.value === 'string' && req.body.value.trim() !== '' ? Number(req.body.value) : req.body.value;
+        const concession = {
+            id: `CON_${Date.now()}`,
+            studentCode: studentCode,
+            academicYear: studentRecord.academicYear,
+            head: fees.headName(sanitizeInput(req.body.head)),
+            type: sanitizeInput(req.body.type),
+            value: value,
+            category: sanitizeInput(req.body.category),
+            reason: String(sanitizeInput(req.body.reason) || '').trim(),
+            status: 'pending',
+            requestedBy: req.user.code,
+            requestedAt: new Date().toISOString()
+        };
+        const errors = schemas.validate('concession', concession);
+        if (concession.head && !feeAdjustments.concessionHeads(studentRecord.feeLines).includes(concession.head)) {
+            errors.push({ field: 'head', message: `is not a head of ${studentCode}'s fee` });
+        }
+        if (errors.length > 0) {
+            return validationFailed(res, errors);
+        }
+        data.concessions.push(concession);
+        addToHistory(data, 'concession-requested', req.user.role, {
+            text: `Concession requested for ${studentRecord.studentName} (${studentCode}): ` +
+                `${concession.type === 'percentage' ? `${concession.value}%` : `₹${concession.value}`} off ${concession.head} (${concession.category})`,
+            date: concession.requestedAt
+        });
+        if (await writeData(data)) {
+            res.json({ success: true, concession: concession });
+        } else {
+            res.status(500).json({ error: 'Failed to save concession' });
+        }
+    } catch (error) {
+        console.error('❌ Error requesting concession:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+}));
+
+// Approves or rejects a pending concession, or revokes an approved one.
+// Approving and revoking change the student's fee lines, so both are only
+// possible while the concession's academic year is the student's current one.
+app.put('/api/concessions/:concessionId', withDataLock(async (req, res) => {
+    try {
+        const data = await readData();
+        const concession = data.concessions.find(candidate => candidate.id === req.params.concessionId);
+        if (!concession) {
+            return res.status(404).json({ error: 'Concession not found' });
+        }
+        const decision = sanitizeInput(req.body.decision);
+        const note = String(sanitizeInput(req.body.note) || '').trim();
+        const allowed = concession.status === 'pending' ? ['approved', 'rejected'] : concession.status === 'approved' ? ['revoked'] : [];
+        if (!allowed.includes(decision)) {
+            return res.status(409).json({ error: `A ${concession.status} concession cannot be ${decision || 'changed'}` });
+        }
+        const studentRecord = data.studentMasterRecords[concession.studentCode];
+        if (decision !== 'rejected' && (!studentRecord || studentRecord.academicYear !== concession.academicYear || !studentRecord.feeLines)) {
+            return res.status(409).json({ error: `The concession belongs to ${concession.academicYear}, which has been closed` });
+        }
+        const decidedAt = new Date().toISOString();
+        if (decision === 'approved') {
+            const applied = feeAdjustments.applyConcession(studentRecord.feeLines, concession);
+            if (applied.error) {
+                return res.status(409).json({ error: `The concession ${applied.error}` });
+            }
+            studentRecord.feeLines = applied.lines;
+            concession.amount = fees.toRupees(applied.amountPaise);
+            concession.applied = applied.applied;
+            postToLedger(data, studentRecord, [{
+                type: 'concession',
+                amountPaise: -applied.amountPaise,
+                description: `${concession.category} concession on ${concession.head}`,
+                head: concession.head,
+                reference: concession.id,
+                postedAt: decidedAt
+            }], req.user.code);
+        } else if (decision === 'revoked') {
+            studentRecord.feeLines = feeAdjustments.removeConcession(studentRecord.feeLines, concession.applied || []);
+            const granted = ledger.findOpen(ledger.entriesOf(data.feeLedger, studentRecord.studentCode), 'concession', concession.id);
+            postToLedger(data, studentRecord, [{
+                type: 'reversal',
+                amountPaise: fees.toPaise(concession.amount),
+                description: `${concession.category} concession on ${concession.head} revoked`,
+                head: concession.head,
+                reference: concession.id,
+                reverses: granted ? granted.id : undefined,
+                postedAt: decidedAt
+            }], req.user.code);
+        }
+        if (decision !== 'rejected') studentRecord.lastUpdated = decidedAt;
+        Object.assign(concession, { status: decision, decidedBy: req.user.code, decidedAt: decidedAt });
+        if (note) concession.decisionNote = note;
+        const errors = schemas.validate('concession', concession);
+        if (errors.length > 0) {
+            return validationFailed(res, errors);
+        }
+        addToHistory(data, `concession-${decision}`, req.user.role, {
+            text: `Concession on ${concession.head} for ${concession.studentCode} ${decision}` +
+                (concession.amount !== undefined ? `: ₹${concession.amount}` : '') + (note ? ` (${note})` : ''),
+            date: decidedAt
+        });
+        if (await writeData(data)) {
+            res.json({ success: true, concession: concession, totalFee: studentRecord ? studentRecord.totalFee : null, currentDue: studentRecord ? studentRecord.currentDue : null });
+        } else {
+            res.status(500).json({ error: 'Failed to save concession' });
+        }
+    } catch (error) {
+        console.error('❌ Error deciding concession:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+}));
+
+// ===== END CONCESSIONS =====
+
+app.post('/api/register-student', withDataLock(async (req, res) => {
+    try {
+        console.log('📝 Student registration request received');
+        console.log('Body:', req.body);
+        
+        let { studentClass, studentRoll, studentName, fatherName, totalFee, academicYear } = req.body;
+        const registeredBy = req.user.role;
+        
+        studentClass = sanitizeInput(studentClass);
+        studentRoll = sanitizeInput(studentRoll);
+        studentName = sanitizeInput(studentName);
+        fatherName = sanitizeInput(fatherName);
+        academicYear = sanitizeInput(academicYear);
+        
+        if (!['admin', 'receptionist'].includes(registeredBy)) {
+            console.error('❌ Invalid registeredBy value:', registeredBy);
+            return res.status(403).json({ error: 'Invalid user type for registration' });
+        }
+        
+        if (!studentClass || !studentRoll || !studentName || !fatherName) {
+            console.error('❌ Missing required fields');
+            return res.status(400).json({ error: 'All fields are required' });
+        }
+        
+        if (!isValidClassCode(studentClass)) {
+            console.error('❌ Invalid class code:', studentClass);
+            return res.status(400).json({ error: 'Invalid class selected' });
+        }
+        
+        const studentCode = generateStudentCode(studentClass, studentRoll);
+        if (!studentCode) {
+            console.error('❌ Could not generate student code');
+            return res.status(400).json({ error: 'Invalid class or roll number combination' });
+        }
+        
+        const data = await readData();
+        if (!data.studentMasterRecords) {
+            data.studentMasterRecords = {};
+        }
+        academicYear = academicYear || data.academicYears.current;
+        
+        const existingStudent = data.studentMasterRecords[studentCode];
+        if (existingStudent && existingStudent.academicYear === academicYear) {
+            console.log('⚠️ Student already exists:', studentCode);
+            return res.status(400).json({ 
+                error: `Student ${studentCode} already registered for ${academicYear}`,
+                existingRecord: existingStudent
+            });
+        }
+        
+        // The class's fee structure for the year sets the fee; without one
+        // the fee is whatever was entered
+        const structure = fees.findStructure(data.feeStructures, studentClass, academicYear);
+        let feeLines = null;
+        if (structure) {
+            const optionalHeads = Array.isArray(req.body.optionalHeads) ? req.body.optionalHeads.map(head => fees.headName(sanitizeInput(head))) : [];
+            const unknownHead = optionalHeads.find(head => !structure.heads.some(candidate => candidate.optional && candidate.head === head));
+            if (unknownHead !== undefined) {
+                return validationFailed(res, [{ field: 'optionalHeads', message: `"${unknownHead}" is not an optional head of the class ${studentClass} fee structure` }]);
+            }
+            feeLines = fees.feeLinesFor(structure, optionalHeads);
+            const structureFee = fees.toRupees(fees.totalOf(feeLines));
+            if (totalFee !== undefined && totalFee !== '' && fees.toPaise(parseFloat(totalFee)) !== fees.totalOf(feeLines)) {
+                return res.status(400).json({ error: `Total fee ₹${totalFee} does not match the class ${studentClass} fee structure for ${academicYear} (₹${structureFee})` });
+            }
+            totalFee = structureFee;
+        } else {
+            if (totalFee === undefined || totalFee === '') {
+                return res.status(400).json({ error: `Total fee is required: class ${studentClass} has no fee structure for ${academicYear}` });
+            }
+            totalFee = parseFloat(totalFee);
+            if (isNaN(totalFee) || totalFee < 0) {
+                console.error('❌ Invalid fee amount:', totalFee);
+                return res.status(400).json({ error: 'Invalid total fee amount' });
+            }
+        }
+        
+        const studentRecord = {
+            studentCode: studentCode,
+            studentName: studentName,
+            fatherName: fatherName,
+            studentClass: studentClass,
+            studentRoll: studentRoll,
+            totalFee: totalFee,
+            currentDue: totalFee,
+            academicYear: academicYear,
+            registeredDate: new Date().toISOString(),
+            lastUpdated: new Date().toISOString()
+        };
+        if (feeLines) {
+            studentRecord.feeStructureId = structure.id;
+            studentRecord.feeLines = feeLines;
+        }
+        
+        const errors = schemas.validate('studentRecord', studentRecord);
+        if (errors.length > 0) {
+            return validationFailed(res, errors);
+        }
+        
+        data.studentMasterRecords[studentCode] = studentRecord;
+        const charges = feeLines
+            ? ledger.chargeEntries(feeLines, studentRecord.registeredDate)
+            : [{ type: 'charge', amountPaise: fees.toPaise(totalFee), description: 'Annual fee', postedAt: studentRecord.registeredDate }];
+        postToLedger(data, studentRecord, charges.filter(entry => entry.amountPaise > 0), req.user.code);
+        
+        // Re-registering for a new year keeps the PIN the student already has
+        let initialPin = null;
+        if (!data.users[studentCode]) {
+            initialPin = await issueStudentCredential(data, studentRecord);
+        }
+        
+        addToHistory(data, 'student-registered', registeredBy, {
+            text: `Student registered: ${studentName} (${studentCode}) - Total Fee: ₹${totalFee}`,
+            date: studentRecord.registeredDate
+        });
+        
+        if (await writeData(data)) {
+            console.log('✅ Student registered:', studentCode);
+            res.json({ success: true, studentRecord: studentRecord, initialPin: initialPin });
+        } else {
+            console.error('❌ Failed to write data');
+            res.status(500).json({ error: 'Failed to register student' });
+        }
+    } catch (error) {
+        console.error('❌ Error registering student:', error);
+        res.status(500).json({ error: 'Internal server error: ' + error.message });
+    }
+}));
+
+// Posts entries (amounts in paise) to the student's fee ledger for the
+// record's academic year, then sets the record's totalFee and currentDue
+// from the ledger
+function postToLedger(data, studentRecord, entries, postedBy) {
+    entries.forEach(entry => ledger.post(data.feeLedger, studentRecord.studentCode, {
+        academicYear: studentRecord.academicYear,
+        postedBy: postedBy,
+        ...entry
+    }));
+    const { totalFee, currentDue } = ledger.figures(ledger.entriesOf(data.feeLedger, studentRecord.studentCode), studentRecord.academicYear);
+    studentRecord.totalFee = totalFee;
+    studentRecord.currentDue = currentDue;
+    return studentRecord;
+}
+
+function approvedConcessionsOf(data, studentRecord) {
+    return (data.concessions || []).filter(concession =>
+        concession.studentCode === studentRecord.studentCode &&
+        concession.academicYear === studentRecord.academicYear &&
+        concession.status === 'approved'
+    );
+}
+
+app.get('/api/student-balance/:studentCode', withDataLock(async (req, res) => {
     try {
         const { studentCode } = req.params;
         const sanitizedStudentCode = sanitizeInput(studentCode);
@@ -1417,29 +3762,79 @@ app.get('/api/student-balance/:studentCode', async (req, res) => {
             studentRoll: studentRecord.studentRoll,
             totalFee: studentRecord.totalFee,
             currentDue: studentRecord.currentDue,
+            feeLines: studentRecord.feeLines || null,
+            feeBreakdown: studentRecord.feeLines ? fees.summarize(studentRecord.feeLines, attendance.today()) : null,
+            adjustments: studentRecord.feeLines
+                ? feeAdjustments.adjustmentsOf(studentRecord.feeLines, approvedConcessionsOf(data, studentRecord))
+                : [],
+            concessions: data.concessions.filter(concession =>
+                concession.studentCode === studentRecord.studentCode && concession.academicYear === studentRecord.academicYear
+            ),
             academicYear: studentRecord.academicYear,
             lastUpdated: studentRecord.lastUpdated
         });
     } catch (error) {
-        console.error('❌ Error fetching student balance:', error);
-        res.status(500).json({ 
-            success: false,
-            error: 'Internal server error: ' + error.message 
-        });
+        console.error('❌ Error fetching student balance:', error);
+        res.status(500).json({ 
+            success: false,
+            error: 'Internal server error: ' + error.message 
+        });
+    }
+}));
+
+// A running-balance statement from the student's fee ledger for one
+// academic year, the student's current one unless ?academicYear is given,
+// optionally narrowed to ?from and ?to dates
+app.get('/api/fee-ledger/:studentCode/statement', withDataLock(async (req, res) => {
+    try {
+        setNoCacheHeaders(res);
+        const studentCode = String(sanitizeInput(req.params.studentCode) || '').toUpperCase();
+        const from = req.query.from ? attendance.normalizeDate(req.query.from) : null;
+        const to = req.query.to ? attendance.normalizeDate(req.query.to) : null;
+        const requestedYear = req.query.academicYear ? academicYears.normalizeAcademicYear(sanitizeInput(req.query.academicYear)) : null;
+        const errors = [];
+        if (req.query.from && !from) errors.push({ field: 'from', message: 'must be a date like 2025-06-01' });
+        if (req.query.to && !to) errors.push({ field: 'to', message: 'must be a date like 2025-06-01' });
+        if (from && to && to < from) errors.push({ field: 'to', message: 'must not be before from' });
+        if (req.query.academicYear && !requestedYear) errors.push({ field: 'academicYear', message: 'must be a year like 2025-26' });
+        if (errors.length > 0) {
+            return validationFailed(res, errors);
+        }
+
+        const data = await readData();
+        const studentRecord = data.studentMasterRecords[studentCode];
+        const entries = data.feeLedger[studentCode] || [];
+        if (!studentRecord && entries.length === 0) {
+            return res.status(404).json({ error: `No fee ledger for ${studentCode}` });
+        }
+        const years = [...new Set(entries.map(entry => entry.academicYear))].sort();
+        const academicYear = requestedYear || (studentRecord ? studentRecord.academicYear : years[years.length - 1]);
+        res.json({
+            studentCode: studentCode,
+            studentName: studentRecord ? studentRecord.studentName : null,
+            academicYears: years,
+            ...ledger.statement(entries, { academicYear, from, to })
+        });
+    } catch (error) {
+        console.error('❌ Error building fee statement:', error);
+        res.status(500).json({ error: 'Internal server error' });
     }
-});
+}));
 
 // ===== CONTINUATION FROM app.post('/api/fee-certificates'...) =====
 
-app.post('/api/fee-certificates', async (req, res) => {
+app.post('/api/fee-certificates', withDataLock(async (req, res) => {
     try {
         console.log('📜 Fee Certificate generation request');
         console.log('Body:', req.body);
         
-        let { studentCode, amountPaid, remarks, generatedBy } = req.body;
+        let { studentCode, amountPaid, remarks, paymentMode, paymentReference } = req.body;
+        const generatedBy = req.user.role;
         
         studentCode = sanitizeInput(studentCode);
         remarks = sanitizeInput(remarks) || '';
+        paymentMode = String(sanitizeInput(paymentMode) || '').toLowerCase();
+        paymentReference = String(sanitizeInput(paymentReference) || '').trim();
         
         if (!['admin', 'receptionist'].includes(generatedBy)) {
             return res.status(403).json({ error: 'Invalid user type for fee certificate generation' });
@@ -1449,11 +3844,15 @@ app.post('/api/fee-certificates', async (req, res) => {
             return res.status(400).json({ error: 'Student code and amount paid are required' });
         }
 
-        amountPaid = parseFloat(amountPaid);
+        amountPaid = fees.toRupees(fees.toPaise(parseFloat(amountPaid)));
         if (isNaN(amountPaid) || amountPaid <= 0) {
             return res.status(400).json({ error: 'Invalid amount paid' });
         }
 
+        if (!fees.PAYMENT_MODES.includes(paymentMode)) {
+            return validationFailed(res, [{ field: 'paymentMode', message: `must be one of ${fees.PAYMENT_MODES.join(', ')}` }]);
+        }
+
         const data = await readData();
         
         if (!data.studentMasterRecords) {
@@ -1475,8 +3874,10 @@ app.post('/api/fee-certificates', async (req, res) => {
         }
         
         // Calculate new balance
-        const newDue = studentRecord.currentDue - amountPaid;
-        const totalPaid = studentRecord.totalFee - newDue;
+        const newDue = fees.toRupees(fees.toPaise(studentRecord.currentDue) - fees.toPaise(amountPaid));
+        const totalPaid = fees.toRupees(fees.toPaise(studentRecord.totalFee) - fees.toPaise(newDue));
+        // Paid against the earliest installments first
+        const allocated = studentRecord.feeLines ? fees.allocatePayment(studentRecord.feeLines, fees.toPaise(amountPaid)) : null;
         
         // Create certificate
         if (!data.feeCertificates) {
@@ -1487,8 +3888,11 @@ app.post('/api/fee-certificates', async (req, res) => {
             data.studentFeeCertificates = {};
         }
         
+        const receiptSequence = fees.nextReceiptSequence(data.feeCertificates, studentRecord.academicYear);
         const certificate = {
             id: `FEE_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+            receiptSequence: receiptSequence,
+            receiptNumber: fees.formatReceiptNumber(studentRecord.academicYear, receiptSequence),
             studentCode: upperStudentCode,
             studentName: studentRecord.studentName,
             fatherName: studentRecord.fatherName,
@@ -1501,13 +3905,32 @@ app.post('/api/fee-certificates', async (req, res) => {
             totalPaidToDate: totalPaid,
             academicYear: studentRecord.academicYear,
             remarks: remarks,
+            paymentMode: paymentMode,
             generatedBy: generatedBy,
             generatedAt: new Date().toISOString(),
             status: 'issued' // Always issued immediately
         };
+        if (allocated) {
+            certificate.allocations = allocated.allocations;
+            certificate.adjustments = feeAdjustments.adjustmentsOf(allocated.lines, approvedConcessionsOf(data, studentRecord));
+        }
+        if (paymentReference) certificate.paymentReference = paymentReference;
+        if (paymentMode === 'cheque') certificate.chequeStatus = 'pending';
+        
+        const errors = schemas.validate('feeCertificate', certificate);
+        if (errors.length > 0) {
+            return validationFailed(res, errors);
+        }
         
         // Update student master record
-        studentRecord.currentDue = newDue;
+        postToLedger(data, studentRecord, [{
+            type: 'payment',
+            amountPaise: -fees.toPaise(amountPaid),
+            description: `Receipt ${certificate.receiptNumber} (${paymentMode})`,
+            reference: certificate.id,
+            postedAt: certificate.generatedAt
+        }], req.user.code);
+        if (allocated) studentRecord.feeLines = allocated.lines;
         studentRecord.lastUpdated = certificate.generatedAt;
         data.studentMasterRecords[upperStudentCode] = studentRecord;
         
@@ -1518,256 +3941,909 @@ app.post('/api/fee-certificates', async (req, res) => {
         if (!data.studentFeeCertificates[upperStudentCode]) {
             data.studentFeeCertificates[upperStudentCode] = [];
         }
-        data.studentFeeCertificates[upperStudentCode].push(certificate);
-        
-        // Add to history
-        addToHistory(data, 'fee-certificate-generated', generatedBy, {
-            text: `Fee certificate: ${studentRecord.studentName} (${upperStudentCode}) - Paid: ₹${amountPaid}, Due: ₹${newDue}`,
-            date: certificate.generatedAt
+        data.studentFeeCertificates[upperStudentCode].push(certificate);
+        
+        // Add to history
+        addToHistory(data, 'fee-certificate-generated', generatedBy, {
+            text: `Receipt ${certificate.receiptNumber}: ${studentRecord.studentName} (${upperStudentCode}) - Paid: ₹${amountPaid} by ${paymentMode}, Due: ₹${newDue}`,
+            date: certificate.generatedAt
+        });
+        
+        if (await writeData(data)) {
+            console.log('✅ Fee certificate generated and issued:', certificate.id);
+            res.json({ 
+                success: true, 
+                certificate: certificate,
+                newBalance: {
+                    currentDue: newDue,
+                    totalPaid: totalPaid,
+                    totalFee: studentRecord.totalFee
+                }
+            });
+        } else {
+            res.status(500).json({ error: 'Failed to save fee certificate' });
+        }
+    } catch (error) {
+        console.error('❌ Fee certificate generation error:', error);
+        res.status(500).json({ error: 'Internal server error: ' + error.message });
+    }
+}));
+
+// 4. Get all fee certificates (Admin view - ALL certificates)
+app.get('/api/admin/fee-certificates', withDataLock(async (req, res) => {
+    try {
+        setNoCacheHeaders(res);
+        console.log('📋 Admin requesting all fee certificates');
+        const data = await readData();
+        
+        if (!data.feeCertificates) data.feeCertificates = [];
+        
+        // Return ALL certificates sorted by date
+        const allCertificates = data.feeCertificates.sort((a, b) => 
+            new Date(b.generatedAt) - new Date(a.generatedAt)
+        );
+        
+        console.log(`✅ Returning ${allCertificates.length} fee certificates to admin`);
+        res.json(allCertificates);
+    } catch (error) {
+        console.error('❌ Error fetching admin fee certificates:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+}));
+
+// 5. Get all fee certificates (Receptionist view - ALL certificates)
+app.get('/api/receptionist/fee-certificates', withDataLock(async (req, res) => {
+    try {
+        setNoCacheHeaders(res);
+        console.log('📋 Receptionist requesting all fee certificates');
+        const data = await readData();
+        
+        if (!data.feeCertificates) data.feeCertificates = [];
+        
+        // Return ALL certificates sorted by date (same as admin)
+        const allCertificates = data.feeCertificates.sort((a, b) => 
+            new Date(b.generatedAt) - new Date(a.generatedAt)
+        );
+        
+        console.log(`✅ Returning ${allCertificates.length} fee certificates to receptionist`);
+        res.json(allCertificates);
+    } catch (error) {
+        console.error('❌ Error fetching receptionist fee certificates:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+}));
+
+// 6. Get all registered students (Admin & Receptionist)
+app.get('/api/registered-students', withDataLock(async (req, res) => {
+    try {
+        setNoCacheHeaders(res);
+        const data = await readData();
+        
+        if (!data.studentMasterRecords) {
+            return res.json([]);
+        }
+        
+        // Convert object to array
+        const students = Object.values(data.studentMasterRecords);
+        
+        // Sort by student code
+        students.sort((a, b) => a.studentCode.localeCompare(b.studentCode));
+        
+        res.json(students);
+    } catch (error) {
+        console.error('❌ Error fetching registered students:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+}));
+
+// Voids a receipt and puts its amount back on the student's due. Only
+// receipts of the student's current academic year can be voided: once a
+// year is rolled over its dues have been carried forward. Returns an error
+// message, or null once voided.
+function voidFeeCertificate(data, certificate, { reason, voidedBy, voidedAt }) {
+    if (fees.isVoided(certificate)) {
+        return `Receipt ${certificate.receiptNumber || certificate.id} is already voided`;
+    }
+    const studentRecord = data.studentMasterRecords[certificate.studentCode];
+    if (!studentRecord || studentRecord.academicYear !== certificate.academicYear) {
+        return `Receipt ${certificate.receiptNumber || certificate.id} belongs to ${certificate.academicYear}, which has been closed`;
+    }
+    // Receipts from before the ledger were paid into its opening entries
+    const entries = ledger.entriesOf(data.feeLedger, studentRecord.studentCode);
+    const payment = ledger.findOpen(entries, 'payment', String(certificate.id)) ||
+        entries.find(entry => entry.type === 'payment' && !entry.reference && entry.academicYear === studentRecord.academicYear);
+    postToLedger(data, studentRecord, [{
+        type: 'reversal',
+        amountPaise: fees.toPaise(certificate.amountPaid),
+        description: `Receipt ${certificate.receiptNumber || certificate.id} voided: ${reason}`,
+        reference: String(certificate.id),
+        reverses: payment ? payment.id : undefined,
+        postedAt: voidedAt
+    }], voidedBy);
+    if (studentRecord.feeLines) {
+        studentRecord.feeLines = fees.reverseAllocations(studentRecord.feeLines, certificate.allocations || []);
+    }
+    studentRecord.lastUpdated = voidedAt;
+    const voided = { status: 'voided', voidReason: reason, voidedBy: voidedBy, voidedAt: voidedAt };
+    Object.assign(certificate, voided);
+    // Students see their own copy of each receipt
+    Object.values(data.studentFeeCertificates).forEach(studentCertificates => {
+        studentCertificates.filter(copy => copy.id === certificate.id).forEach(copy => Object.assign(copy, voided));
+    });
+    return null;
+}
+
+// 7. Void a single receipt (Admin only)
+app.post('/api/admin/fee-certificates/:certificateId/void', withDataLock(async (req, res) => {
+    try {
+        const { certificateId } = req.params;
+        const reason = sanitizeInput(req.body.reason);
+        if (!reason || !String(reason).trim()) {
+            return validationFailed(res, [{ field: 'reason', message: 'is required to void a receipt' }]);
+        }
+
+        const data = await readData();
+        const certificate = data.feeCertificates.find(cert => cert.id === certificateId);
+        if (!certificate) {
+            return res.status(404).json({ error: 'Fee certificate not found' });
+        }
+        const voidedAt = new Date().toISOString();
+        const refused = voidFeeCertificate(data, certificate, { reason: String(reason).trim(), voidedBy: req.user.code, voidedAt: voidedAt });
+        if (refused) {
+            return res.status(409).json({ error: refused });
+        }
+        const errors = schemas.validate('feeCertificate', certificate);
+        if (errors.length > 0) {
+            return validationFailed(res, errors);
+        }
+
+        const studentRecord = data.studentMasterRecords[certificate.studentCode];
+        addToHistory(data, 'fee-certificate-voided', req.user.role, {
+            text: `Receipt ${certificate.receiptNumber || certificate.id} voided: ${certificate.studentName} (${certificate.studentCode}) - ` +
+                `₹${certificate.amountPaid} back on due, now ₹${studentRecord.currentDue}. Reason: ${certificate.voidReason}`,
+            date: voidedAt
+        });
+
+        if (await writeData(data)) {
+            console.log('✅ Fee certificate voided:', certificateId);
+            res.json({ success: true, certificate: certificate, currentDue: studentRecord.currentDue });
+        } else {
+            res.status(500).json({ error: 'Failed to void fee certificate' });
+        }
+    } catch (error) {
+        console.error('❌ Error voiding fee certificate:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+}));
+
+// Marks a cheque as cleared or bounced. A bounced cheque voids its receipt,
+// putting the amount back on the student's due.
+app.put('/api/fee-certificates/:certificateId/cheque-status', withDataLock(async (req, res) => {
+    try {
+        const status = sanitizeInput(req.body.status);
+        if (!['cleared', 'bounced'].includes(status)) {
+            return validationFailed(res, [{ field: 'status', message: 'must be cleared or bounced' }]);
+        }
+
+        const data = await readData();
+        const certificate = data.feeCertificates.find(cert => cert.id === req.params.certificateId);
+        if (!certificate) {
+            return res.status(404).json({ error: 'Fee certificate not found' });
+        }
+        const receipt = certificate.receiptNumber || certificate.id;
+        if (certificate.paymentMode !== 'cheque') {
+            return res.status(400).json({ error: `Receipt ${receipt} was not paid by cheque` });
+        }
+        if (certificate.chequeStatus !== 'pending') {
+            return res.status(409).json({ error: `The cheque for receipt ${receipt} is already ${certificate.chequeStatus}` });
+        }
+
+        const now = new Date().toISOString();
+        if (status === 'bounced') {
+            const remarks = String(sanitizeInput(req.body.remarks) || '').trim();
+            const refused = voidFeeCertificate(data, certificate, {
+                reason: `Cheque ${certificate.paymentReference} bounced${remarks ? `: ${remarks}` : ''}`,
+                voidedBy: req.user.code,
+                voidedAt: now
+            });
+            if (refused) {
+                return res.status(409).json({ error: refused });
+            }
+        }
+        const chequeUpdate = { chequeStatus: status, chequeStatusAt: now, chequeStatusBy: req.user.code };
+        Object.assign(certificate, chequeUpdate);
+        Object.values(data.studentFeeCertificates).forEach(studentCertificates => {
+            studentCertificates.filter(copy => copy.id === certificate.id).forEach(copy => Object.assign(copy, chequeUpdate));
+        });
+
+        const studentRecord = data.studentMasterRecords[certificate.studentCode];
+        addToHistory(data, `cheque-${status}`, req.user.role, {
+            text: `Cheque ${certificate.paymentReference} for receipt ${receipt} (${certificate.studentName}, ₹${certificate.amountPaid}) ${status}` +
+                (status === 'bounced' ? `; receipt voided, due now ₹${studentRecord.currentDue}` : ''),
+            date: now
+        });
+
+        if (await writeData(data)) {
+            res.json({ success: true, certificate: certificate });
+        } else {
+            res.status(500).json({ error: 'Failed to update cheque status' });
+        }
+    } catch (error) {
+        console.error('❌ Error updating cheque status:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+}));
+
+// Collections per day, payment mode and collector, for closing the counter.
+// Defaults to today.
+app.get('/api/fee-collections/day-book', withDataLock(async (req, res) => {
+    try {
+        setNoCacheHeaders(res);
+        const today = attendance.today();
+        const from = req.query.from ? attendance.normalizeDate(req.query.from) : today;
+        const to = req.query.to ? attendance.normalizeDate(req.query.to) : from;
+        const generatedBy = req.query.generatedBy ? sanitizeInput(req.query.generatedBy) : null;
+        const errors = [];
+        if (!from) errors.push({ field: 'from', message: 'must be a date like 2025-06-01' });
+        if (req.query.to && !to) errors.push({ field: 'to', message: 'must be a date like 2025-06-01' });
+        if (from && to && to < from) errors.push({ field: 'to', message: 'must not be before from' });
+        if (generatedBy && !['admin', 'receptionist'].includes(generatedBy)) {
+            errors.push({ field: 'generatedBy', message: 'must be admin or receptionist' });
+        }
+        if (errors.length > 0) {
+            return validationFailed(res, errors);
+        }
+
+        const data = await readData();
+        res.json(dayBook.dayBook(data.feeCertificates, { from, to, generatedBy }));
+    } catch (error) {
+        console.error('❌ Error building day book:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+}));
+
+// 8. Void every receipt of the current academic year (Admin only), e.g. to
+// start the year's collections over. The state before is kept as a snapshot.
+app.post('/api/admin/fee-certificates/void-all', withDataLock(async (req, res) => {
+    try {
+        const reason = sanitizeInput(req.body.reason);
+        if (!reason || !String(reason).trim()) {
+            return validationFailed(res, [{ field: 'reason', message: 'is required to void receipts' }]);
+        }
+
+        const data = await readData();
+        const academicYear = data.academicYears.current;
+        const voidedAt = new Date().toISOString();
+        const toVoid = data.feeCertificates.filter(cert => cert.academicYear === academicYear && !fees.isVoided(cert));
+        const skipped = [];
+        let voidedCount = 0;
+        toVoid.forEach(certificate => {
+            const refused = voidFeeCertificate(data, certificate, { reason: String(reason).trim(), voidedBy: req.user.code, voidedAt: voidedAt });
+            if (refused) {
+                skipped.push({ id: certificate.id, receiptNumber: certificate.receiptNumber || null, reason: refused });
+            } else {
+                voidedCount++;
+            }
+        });
+        if (voidedCount === 0) {
+            return res.json({ success: true, voidedCount: 0, skipped: skipped });
+        }
+
+        const snapshot = await dataStore.snapshots.take(await readData(), { reason: 'pre-void-all-receipts', createdBy: req.user.code });
+        addToHistory(data, 'all-fee-certificates-voided', req.user.role, {
+            text: `All ${academicYear} receipts voided (${voidedCount} receipts). Reason: ${String(reason).trim()}`,
+            date: voidedAt
+        });
+
+        if (await writeData(data)) {
+            console.log(`✅ ${voidedCount} fee certificates voided (previous state saved as snapshot ${snapshot.id})`);
+            res.json({ success: true, voidedCount: voidedCount, skipped: skipped, snapshotId: snapshot.id });
+        } else {
+            res.status(500).json({ error: 'Failed to void fee certificates' });
+        }
+    } catch (error) {
+        console.error('❌ Error voiding all fee certificates:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+}));
+
+// 9. Get student's fee certificates (Student view - ONLY issued ones)
+app.get('/api/student-fee-certificates/:studentCode', withDataLock(async (req, res) => {
+    try {
+        console.log('📜 Student requesting fee certificates:', req.params.studentCode);
+        
+        const { studentCode } = req.params;
+        const sanitizedStudentCode = sanitizeInput(studentCode);
+        
+        if (!sanitizedStudentCode) {
+            return res.status(400).json({ error: 'Student code is required' });
+        }
+        
+        const data = await readData();
+        
+        if (!data.studentFeeCertificates) data.studentFeeCertificates = {};
+        
+        const parsedCode = parseStudentCode(sanitizedStudentCode);
+        if (!parsedCode) {
+            return res.status(400).json({ error: 'Invalid student code format' });
+        }
+        
+        // Get issued certificates for this student
+        const studentFeeCertificates = data.studentFeeCertificates[sanitizedStudentCode.toUpperCase()] || [];
+        
+        studentFeeCertificates.sort((a, b) => 
+            new Date(b.generatedAt) - new Date(a.generatedAt)
+        );
+        
+        console.log(`✅ Returning ${studentFeeCertificates.length} certificates for student ${sanitizedStudentCode}`);
+        res.json(studentFeeCertificates);
+    } catch (error) {
+        console.error('❌ Error fetching student fee certificates:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+}));
+
+// ===== END FEE CERTIFICATE SYSTEM =====
+
+// ===== STUDENT & PARENT ACCOUNTS =====
+
+function getNextParentCode(data) {
+    const highest = Object.keys(data.users).reduce((max, code) => {
+        const parentCode = codes.parseParentCode(code);
+        return parentCode ? Math.max(max, parentCode.sequence) : max;
+    }, 0);
+    return codes.formatParentCode(highest + 1);
+}
+
+function toParentSummary(data, parent) {
+    return {
+        parentCode: parent.code,
+        parentName: parent.name,
+        phone: parent.phone || null,
+        linkedStudents: (parent.linkedStudents || []).map(studentCode => {
+            const record = data.studentMasterRecords[studentCode];
+            return {
+                studentCode: studentCode,
+                studentName: record ? record.studentName : null,
+                studentClass: record ? record.studentClass : null
+            };
+        }),
+        createdAt: parent.createdAt
+    };
+}
+
+app.post('/api/students/:studentCode/reset-pin', withDataLock(async (req, res) => {
+    try {
+        const studentCode = sanitizeInput(req.params.studentCode).toUpperCase();
+        const data = await readData();
+        const studentRecord = data.studentMasterRecords[studentCode];
+        if (!studentRecord) {
+            return res.status(404).json({ error: 'Student not found. Please register the student first.' });
+        }
+        const pin = await issueStudentCredential(data, studentRecord);
+        addToHistory(data, 'student-pin-reset', req.user.role, {
+            text: `Login PIN reset for ${studentRecord.studentName} (${studentCode})`,
+            date: new Date().toISOString()
+        });
+        if (await writeData(data)) {
+            console.log('✅ Student PIN reset:', studentCode);
+            res.json({ success: true, studentCode: studentCode, pin: pin });
+        } else {
+            res.status(500).json({ error: 'Failed to reset PIN' });
+        }
+    } catch (error) {
+        console.error('❌ Error resetting student PIN:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+}));
+
+app.get('/api/parents', withDataLock(async (req, res) => {
+    try {
+        setNoCacheHeaders(res);
+        const data = await readData();
+        const parents = Object.values(data.users)
+            .filter(user => user.role === 'parent')
+            .map(parent => toParentSummary(data, parent))
+            .sort((a, b) => a.parentCode.localeCompare(b.parentCode));
+        res.json(parents);
+    } catch (error) {
+        console.error('❌ Error fetching parents:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+}));
+
+app.post('/api/parents', withDataLock(async (req, res) => {
+    try {
+        let { parentName, phone, studentCodes } = req.body;
+        parentName = sanitizeInput(parentName);
+        phone = sanitizeInput(phone);
+        if (!parentName || !Array.isArray(studentCodes) || studentCodes.length === 0) {
+            return res.status(400).json({ error: 'Parent name and at least one student code are required' });
+        }
+        if (phone && !/^\d{10}$/.test(phone)) {
+            return res.status(400).json({ error: 'Phone number must be 10 digits' });
+        }
+        const data = await readData();
+        const linkedStudents = [...new Set(studentCodes.map(code => sanitizeInput(code).toUpperCase()))];
+        const unknown = linkedStudents.filter(code => !data.studentMasterRecords[code]);
+        if (unknown.length > 0) {
+            return res.status(400).json({ error: `Students not registered: ${unknown.join(', ')}` });
+        }
+        const parentCode = getNextParentCode(data);
+        const password = auth.generatePin();
+        const parent = {
+            code: parentCode,
+            role: 'parent',
+            name: parentName,
+            phone: phone || null,
+            linkedStudents: linkedStudents,
+            passwordHash: await auth.hashPassword(password),
+            mustChangePassword: true,
+            createdAt: new Date().toISOString()
+        };
+        data.users[parentCode] = parent;
+        addToHistory(data, 'parent-created', req.user.role, {
+            text: `Parent account ${parentCode} created for ${parentName} (${linkedStudents.join(', ')})`,
+            date: parent.createdAt
+        });
+        if (await writeData(data)) {
+            console.log('✅ Parent account created:', parentCode);
+            res.json({ success: true, parent: toParentSummary(data, parent), initialPin: password });
+        } else {
+            res.status(500).json({ error: 'Failed to create parent account' });
+        }
+    } catch (error) {
+        console.error('❌ Error creating parent account:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+}));
+
+app.post('/api/parents/:parentCode/students', withDataLock(async (req, res) => {
+    try {
+        const parentCode = sanitizeInput(req.params.parentCode).toUpperCase();
+        const studentCode = sanitizeInput(req.body.studentCode || '').toUpperCase();
+        const data = await readData();
+        const parent = data.users[parentCode];
+        if (!parent || parent.role !== 'parent') {
+            return res.status(404).json({ error: 'Parent account not found' });
+        }
+        if (!data.studentMasterRecords[studentCode]) {
+            return res.status(404).json({ error: 'Student not found. Please register the student first.' });
+        }
+        if (!parent.linkedStudents.includes(studentCode)) {
+            parent.linkedStudents.push(studentCode);
+        }
+        addToHistory(data, 'parent-linked', req.user.role, {
+            text: `Student ${studentCode} linked to parent ${parentCode}`,
+            date: new Date().toISOString()
         });
-        
         if (await writeData(data)) {
-            console.log('✅ Fee certificate generated and issued:', certificate.id);
-            res.json({ 
-                success: true, 
-                certificate: certificate,
-                newBalance: {
-                    currentDue: newDue,
-                    totalPaid: totalPaid,
-                    totalFee: studentRecord.totalFee
-                }
-            });
+            res.json({ success: true, parent: toParentSummary(data, parent) });
         } else {
-            res.status(500).json({ error: 'Failed to save fee certificate' });
+            res.status(500).json({ error: 'Failed to link student' });
         }
     } catch (error) {
-        console.error('❌ Fee certificate generation error:', error);
-        res.status(500).json({ error: 'Internal server error: ' + error.message });
+        console.error('❌ Error linking student to parent:', error);
+        res.status(500).json({ error: 'Internal server error' });
     }
-});
+}));
 
-// 4. Get all fee certificates (Admin view - ALL certificates)
-app.get('/api/admin/fee-certificates', async (req, res) => {
+app.delete('/api/parents/:parentCode/students/:studentCode', withDataLock(async (req, res) => {
     try {
-        setNoCacheHeaders(res);
-        console.log('📋 Admin requesting all fee certificates');
+        const parentCode = sanitizeInput(req.params.parentCode).toUpperCase();
+        const studentCode = sanitizeInput(req.params.studentCode).toUpperCase();
         const data = await readData();
-        
-        if (!data.feeCertificates) data.feeCertificates = [];
-        
-        // Return ALL certificates sorted by date
-        const allCertificates = data.feeCertificates.sort((a, b) => 
-            new Date(b.generatedAt) - new Date(a.generatedAt)
-        );
-        
-        console.log(`✅ Returning ${allCertificates.length} fee certificates to admin`);
-        res.json(allCertificates);
+        const parent = data.users[parentCode];
+        if (!parent || parent.role !== 'parent') {
+            return res.status(404).json({ error: 'Parent account not found' });
+        }
+        if (!parent.linkedStudents.includes(studentCode)) {
+            return res.status(404).json({ error: 'Student is not linked to this parent' });
+        }
+        parent.linkedStudents = parent.linkedStudents.filter(code => code !== studentCode);
+        addToHistory(data, 'parent-unlinked', req.user.role, {
+            text: `Student ${studentCode} unlinked from parent ${parentCode}`,
+            date: new Date().toISOString()
+        });
+        if (await writeData(data)) {
+            res.json({ success: true, parent: toParentSummary(data, parent) });
+        } else {
+            res.status(500).json({ error: 'Failed to unlink student' });
+        }
     } catch (error) {
-        console.error('❌ Error fetching admin fee certificates:', error);
+        console.error('❌ Error unlinking student from parent:', error);
         res.status(500).json({ error: 'Internal server error' });
     }
-});
+}));
 
-// 5. Get all fee certificates (Receptionist view - ALL certificates)
-app.get('/api/receptionist/fee-certificates', async (req, res) => {
+app.post('/api/parents/:parentCode/reset-password', withDataLock(async (req, res) => {
     try {
-        setNoCacheHeaders(res);
-        console.log('📋 Receptionist requesting all fee certificates');
+        const parentCode = sanitizeInput(req.params.parentCode).toUpperCase();
         const data = await readData();
-        
-        if (!data.feeCertificates) data.feeCertificates = [];
-        
-        // Return ALL certificates sorted by date (same as admin)
-        const allCertificates = data.feeCertificates.sort((a, b) => 
-            new Date(b.generatedAt) - new Date(a.generatedAt)
-        );
-        
-        console.log(`✅ Returning ${allCertificates.length} fee certificates to receptionist`);
-        res.json(allCertificates);
+        const parent = data.users[parentCode];
+        if (!parent || parent.role !== 'parent') {
+            return res.status(404).json({ error: 'Parent account not found' });
+        }
+        const password = auth.generatePin();
+        parent.passwordHash = await auth.hashPassword(password);
+        parent.mustChangePassword = true;
+        auth.destroyUserSessions(data, parentCode);
+        addToHistory(data, 'parent-password-reset', req.user.role, {
+            text: `Login PIN reset for parent ${parentCode}`,
+            date: new Date().toISOString()
+        });
+        if (await writeData(data)) {
+            res.json({ success: true, parentCode: parentCode, pin: password });
+        } else {
+            res.status(500).json({ error: 'Failed to reset parent PIN' });
+        }
     } catch (error) {
-        console.error('❌ Error fetching receptionist fee certificates:', error);
+        console.error('❌ Error resetting parent PIN:', error);
         res.status(500).json({ error: 'Internal server error' });
     }
-});
+}));
 
-// 6. Get all registered students (Admin & Receptionist)
-app.get('/api/registered-students', async (req, res) => {
+app.get('/api/parent/children', withDataLock(async (req, res) => {
     try {
         setNoCacheHeaders(res);
         const data = await readData();
-        
-        if (!data.studentMasterRecords) {
-            return res.json([]);
-        }
-        
-        // Convert object to array
-        const students = Object.values(data.studentMasterRecords);
-        
-        // Sort by student code
-        students.sort((a, b) => a.studentCode.localeCompare(b.studentCode));
-        
-        res.json(students);
+        const children = req.user.linkedStudents.map(studentCode => {
+            const record = data.studentMasterRecords[studentCode] || {};
+            const parsedCode = parseStudentCode(studentCode) || {};
+            return {
+                studentCode: studentCode,
+                studentName: record.studentName || null,
+                studentClass: record.studentClass || parsedCode.classCode || null,
+                studentRoll: record.studentRoll || parsedCode.rollNumber || null,
+                academicYear: record.academicYear || null
+            };
+        });
+        res.json(children);
     } catch (error) {
-        console.error('❌ Error fetching registered students:', error);
+        console.error('❌ Error fetching parent children:', error);
         res.status(500).json({ error: 'Internal server error' });
     }
-});
+}));
 
-// 7. Delete single fee certificate (Admin only)
-app.delete('/api/admin/delete-fee-certificate/:certificateId', async (req, res) => {
-    try {
-        console.log('🗑️ Admin deleting fee certificate:', req.params.certificateId);
-        
-        const { certificateId } = req.params;
-        
-        if (!certificateId) {
-            return res.status(400).json({ error: 'Certificate ID is required' });
+// ===== END STUDENT & PARENT ACCOUNTS =====
+
+// ===== ACADEMIC YEARS =====
+
+function findPrefixOwner(data, codePrefix, exceptYear) {
+    return Object.keys(data.academicYears.years).find(year =>
+        year !== exceptYear && data.academicYears.years[year].codePrefix === codePrefix
+    );
+}
+
+function validateFeeByClass(feeByClass) {
+    const errors = [];
+    if (feeByClass === undefined) return errors;
+    if (!feeByClass || typeof feeByClass !== 'object' || Array.isArray(feeByClass)) {
+        return [{ field: 'feeByClass', message: 'must be an object of class -> annual fee' }];
+    }
+    Object.keys(feeByClass).forEach(classCode => {
+        if (!codes.CLASS_CODES.includes(classCode)) {
+            errors.push({ field: `feeByClass.${classCode}`, message: 'is not a valid class' });
+        } else if (typeof feeByClass[classCode] !== 'number' || !(feeByClass[classCode] >= 0)) {
+            errors.push({ field: `feeByClass.${classCode}`, message: 'must be a number of at least 0' });
         }
+    });
+    return errors;
+}
 
+app.get('/api/academic-years', withDataLock(async (req, res) => {
+    try {
+        setNoCacheHeaders(res);
         const data = await readData();
-        if (!data.feeCertificates) data.feeCertificates = [];
-        
-        const certIndex = data.feeCertificates.findIndex(cert => cert.id === certificateId);
-        
-        if (certIndex === -1) {
-            return res.status(404).json({ error: 'Fee certificate not found' });
+        res.json({
+            current: academicYears.currentYear(data.academicYears),
+            years: data.academicYears.years,
+            archivedYears: Object.keys(data.archives)
+        });
+    } catch (error) {
+        console.error('❌ Error fetching academic years:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+}));
+
+// Sets the student code prefix of the current year (only while no code has
+// been issued with it) or of an upcoming year, which rollover then uses.
+app.put('/api/academic-years/:academicYear', withDataLock(async (req, res) => {
+    try {
+        const academicYear = academicYears.normalizeAcademicYear(req.params.academicYear);
+        const codePrefix = String(sanitizeInput(req.body.codePrefix) || '').toUpperCase();
+        if (!academicYear) {
+            return validationFailed(res, [{ field: 'academicYear', message: 'must look like 2025-26' }]);
         }
-        
-        const deletedCert = data.feeCertificates.splice(certIndex, 1)[0];
-        
-        // Remove from student's certificates
-        if (data.studentFeeCertificates && deletedCert.studentCode) {
-            const studentCode = deletedCert.studentCode.toUpperCase();
-            if (data.studentFeeCertificates[studentCode]) {
-                data.studentFeeCertificates[studentCode] = data.studentFeeCertificates[studentCode].filter(
-                    cert => cert.id !== certificateId
-                );
-                
-                if (data.studentFeeCertificates[studentCode].length === 0) {
-                    delete data.studentFeeCertificates[studentCode];
-                }
+        if (!codes.isValidPrefix(codePrefix)) {
+            return validationFailed(res, [{ field: 'codePrefix', message: 'must be 1-4 letters followed by two digits, e.g. CB25' }]);
+        }
+        const data = await readData();
+        const current = data.academicYears.current;
+        const existing = data.academicYears.years[academicYear];
+        if (existing && existing.status === 'archived') {
+            return res.status(400).json({ error: `${academicYear} is archived and can no longer be changed` });
+        }
+        if (academicYear < current) {
+            return res.status(400).json({ error: `${academicYear} is before the current academic year ${current}` });
+        }
+        const owner = findPrefixOwner(data, codePrefix, academicYear);
+        if (owner) {
+            return validationFailed(res, [{ field: 'codePrefix', message: `is already used by ${owner}` }]);
+        }
+        if (academicYear === current) {
+            const issued = Object.keys(data.studentMasterRecords).concat(Object.keys(data.users))
+                .some(code => {
+                    const parsedCode = parseStudentCode(code);
+                    return parsedCode && parsedCode.codePrefix === existing.codePrefix;
+                });
+            if (issued) {
+                return res.status(400).json({ error: `Student codes have already been issued with ${existing.codePrefix} for ${current}` });
             }
         }
-        
-        addToHistory(data, 'fee-certificate-deleted', 'admin', {
-            text: `Fee certificate deleted: ${deletedCert.studentName} (${deletedCert.studentCode}) - ₹${deletedCert.amountPaid}`,
+        data.academicYears.years[academicYear] = {
+            ...existing,
+            codePrefix: codePrefix,
+            status: existing ? existing.status : 'planned'
+        };
+        addToHistory(data, 'academic-year-updated', req.user.role, {
+            text: `Student code prefix for ${academicYear} set to ${codePrefix}`,
             date: new Date().toISOString()
         });
-        
         if (await writeData(data)) {
-            console.log('✅ Fee certificate deleted:', certificateId);
-            res.json({ success: true, message: 'Fee certificate deleted successfully' });
+            res.json({ success: true, academicYear: academicYear, year: data.academicYears.years[academicYear] });
         } else {
-            res.status(500).json({ error: 'Failed to delete fee certificate' });
+            res.status(500).json({ error: 'Failed to update academic year' });
         }
     } catch (error) {
-        console.error('❌ Error deleting fee certificate:', error);
+        console.error('❌ Error updating academic year:', error);
         res.status(500).json({ error: 'Internal server error' });
     }
-});
+}));
 
-// 8. Delete all fee certificates (Admin only)
-app.delete('/api/admin/delete-all-fee-certificates', async (req, res) => {
+app.post('/api/academic-years/rollover', withDataLock(async (req, res) => {
     try {
-        console.log('🗑️ Admin deleting ALL fee certificates');
-        
+        const { feeByClass, dryRun } = req.body;
         const data = await readData();
-        const deletedCount = data.feeCertificates ? data.feeCertificates.length : 0;
-        
-        // Clear both arrays
-        data.feeCertificates = [];
-        data.studentFeeCertificates = {};
-        
-        addToHistory(data, 'all-fee-certificates-deleted', 'admin', {
-            text: `All fee certificates deleted (${deletedCount} certificates)`,
+        const current = data.academicYears.current;
+        const expectedNextYear = academicYears.nextAcademicYear(current);
+        const nextYear = req.body.nextYear ? academicYears.normalizeAcademicYear(req.body.nextYear) : expectedNextYear;
+        const errors = [];
+        if (nextYear !== expectedNextYear) {
+            errors.push({ field: 'nextYear', message: `must be ${expectedNextYear}, the year after ${current}` });
+        }
+        const planned = data.academicYears.years[expectedNextYear];
+        const codePrefix = req.body.codePrefix
+            ? String(sanitizeInput(req.body.codePrefix)).toUpperCase()
+            : (planned && planned.codePrefix) || academicYears.suggestCodePrefix(codes.currentPrefix(), expectedNextYear);
+        if (!codes.isValidPrefix(codePrefix)) {
+            errors.push({ field: 'codePrefix', message: 'must be 1-4 letters followed by two digits, e.g. CB26' });
+        } else if (findPrefixOwner(data, codePrefix, expectedNextYear)) {
+            errors.push({ field: 'codePrefix', message: `is already used by ${findPrefixOwner(data, codePrefix, expectedNextYear)}` });
+        }
+        errors.push(...validateFeeByClass(feeByClass));
+        if (errors.length > 0) {
+            return validationFailed(res, errors);
+        }
+
+        const summary = academicYears.rollOver(data, {
+            nextYear: expectedNextYear,
+            codePrefix: codePrefix,
+            feeByClass: feeByClass,
+            feeStructures: data.feeStructures
+        });
+        const result = {
+            success: true,
+            dryRun: !!dryRun,
+            previousYear: summary.previousYear,
+            academicYear: summary.nextYear,
+            codePrefix: summary.codePrefix,
+            promotedCount: summary.promoted.length,
+            graduatedCount: summary.graduated.length,
+            skippedCount: summary.skipped.length,
+            carriedForwardDue: summary.carriedForward,
+            promoted: summary.promoted,
+            graduated: summary.graduated,
+            graduatedAccounts: 'Graduated students keep their login and fee receipts under their old student code',
+            skipped: summary.skipped
+        };
+        if (dryRun) {
+            return res.json(result);
+        }
+
+        const snapshot = await dataStore.snapshots.take(await readData(), { reason: 'pre-rollover', createdBy: req.user.code });
+        addToHistory(data, 'academic-year-rollover', req.user.role, {
+            text: `Rolled over from ${summary.previousYear} to ${summary.nextYear} (${codePrefix}): ` +
+                `${summary.promoted.length} promoted, ${summary.graduated.length} graduated, ${summary.skipped.length} skipped, ` +
+                `₹${summary.carriedForward} carried forward`,
             date: new Date().toISOString()
         });
-        
         if (await writeData(data)) {
-            console.log(`✅ All ${deletedCount} fee certificates deleted`);
-            res.json({ 
-                success: true, 
-                message: 'All fee certificates deleted successfully',
-                deletedCount: deletedCount
-            });
+            console.log(`🎓 Academic year rolled over to ${summary.nextYear} (previous state saved as snapshot ${snapshot.id})`);
+            res.json({ ...result, snapshotId: snapshot.id });
         } else {
-            res.status(500).json({ error: 'Failed to delete fee certificates' });
+            res.status(500).json({ error: 'Failed to roll over academic year' });
         }
     } catch (error) {
-        console.error('❌ Error deleting all fee certificates:', error);
+        console.error('❌ Error rolling over academic year:', error);
         res.status(500).json({ error: 'Internal server error' });
     }
-});
+}));
 
-// 9. Get student's fee certificates (Student view - ONLY issued ones)
-app.get('/api/student-fee-certificates/:studentCode', async (req, res) => {
+// ===== END ACADEMIC YEARS =====
+
+// ===== SNAPSHOTS =====
+
+// Login accounts and sessions are not part of a restore: rolling them back
+// would revive old passwords and PINs and log everyone out.
+const SNAPSHOT_EXCLUDED = ['users', 'sessions'];
+
+function summarizeDiff(collections) {
+    return Object.keys(collections).map(name => {
+        const { added, removed, changed } = collections[name];
+        return `${name} (+${added.length} -${removed.length} ~${changed.length})`;
+    }).join(', ');
+}
+
+app.get('/api/admin/snapshots', withDataLock(async (req, res) => {
     try {
-        console.log('📜 Student requesting fee certificates:', req.params.studentCode);
-        
-        const { studentCode } = req.params;
-        const sanitizedStudentCode = sanitizeInput(studentCode);
-        
-        if (!sanitizedStudentCode) {
-            return res.status(400).json({ error: 'Student code is required' });
+        setNoCacheHeaders(res);
+        res.json(await dataStore.snapshots.list());
+    } catch (error) {
+        console.error('❌ Error listing snapshots:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+}));
+
+app.post('/api/admin/snapshots', withDataLock(async (req, res) => {
+    try {
+        const data = await readData();
+        const snapshot = await dataStore.snapshots.take(data, { reason: 'manual', createdBy: req.user.code });
+        console.log(`📸 Manual snapshot ${snapshot.id} taken by ${req.user.code}`);
+        res.json({ success: true, snapshot: snapshot });
+    } catch (error) {
+        console.error('❌ Error taking snapshot:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+}));
+
+app.get('/api/admin/snapshots/:snapshotId/diff', withDataLock(async (req, res) => {
+    try {
+        setNoCacheHeaders(res);
+        const snapshot = await dataStore.snapshots.read(req.params.snapshotId);
+        if (!snapshot) {
+            return res.status(404).json({ error: 'Snapshot not found' });
         }
-        
         const data = await readData();
-        
-        if (!data.studentFeeCertificates) data.studentFeeCertificates = {};
-        
-        const parsedCode = parseStudentCode(sanitizedStudentCode);
-        if (!parsedCode) {
-            return res.status(400).json({ error: 'Invalid student code format' });
+        res.json({
+            snapshotId: snapshot.id,
+            createdAt: snapshot.createdAt,
+            collections: diffData(snapshot.data, data, SNAPSHOT_EXCLUDED)
+        });
+    } catch (error) {
+        console.error('❌ Error diffing snapshot:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+}));
+
+app.post('/api/admin/snapshots/:snapshotId/restore', withDataLock(async (req, res) => {
+    try {
+        const snapshot = await dataStore.snapshots.read(req.params.snapshotId);
+        if (!snapshot) {
+            return res.status(404).json({ error: 'Snapshot not found' });
+        }
+        const data = await readData();
+        // The current state is snapshotted first so a restore can itself be undone
+        const safetySnapshot = await dataStore.snapshots.take(data, { reason: 'pre-restore', createdBy: req.user.code });
+
+        const restored = { ...snapshot.data };
+        SNAPSHOT_EXCLUDED.forEach(name => {
+            restored[name] = data[name];
+        });
+        const collections = diffData(data, restored, SNAPSHOT_EXCLUDED);
+        addToHistory(restored, 'snapshot-restored', req.user.role, {
+            text: `Data restored to snapshot ${snapshot.id} by ${req.user.code}` +
+                (Object.keys(collections).length > 0 ? `: ${summarizeDiff(collections)}` : ' (no changes)'),
+            date: new Date().toISOString()
+        });
+        if (await writeData(restored)) {
+            console.log(`♻️ Restored snapshot ${snapshot.id} (previous state saved as ${safetySnapshot.id})`);
+            res.json({
+                success: true,
+                restoredFrom: snapshot.id,
+                previousStateSnapshot: safetySnapshot.id,
+                collections: collections
+            });
+        } else {
+            res.status(500).json({ error: 'Failed to restore snapshot' });
         }
-        
-        // Get issued certificates for this student
-        const studentFeeCertificates = data.studentFeeCertificates[sanitizedStudentCode.toUpperCase()] || [];
-        
-        studentFeeCertificates.sort((a, b) => 
-            new Date(b.generatedAt) - new Date(a.generatedAt)
-        );
-        
-        console.log(`✅ Returning ${studentFeeCertificates.length} certificates for student ${sanitizedStudentCode}`);
-        res.json(studentFeeCertificates);
     } catch (error) {
-        console.error('❌ Error fetching student fee certificates:', error);
+        console.error('❌ Error restoring snapshot:', error);
         res.status(500).json({ error: 'Internal server error' });
     }
-});
+}));
 
-// ===== END FEE CERTIFICATE SYSTEM =====
+// ===== END SNAPSHOTS =====
 
-// ===== HALL TICKET SYSTEM (ALL PRESERVED) =====
+// ===== AUDIT LOG =====
 
-app.post('/api/admin/create-hall-ticket', async (req, res) => {
+app.get('/api/admin/audit', withDataLock(async (req, res) => {
     try {
-        const hallTicketData = req.body;
-        
-        if (!hallTicketData.examName || !hallTicketData.studentCode || 
-            !hallTicketData.studentName || !hallTicketData.studentClass || 
-            !hallTicketData.studentRoll || !hallTicketData.fromDate || 
-            !hallTicketData.toDate || !hallTicketData.examSchedule) {
-            return res.status(400).json({ error: 'All required fields must be provided' });
-        }
+        setNoCacheHeaders(res);
+        const { entityType, entityId, actor, from, to } = req.query;
+        if ((from && isNaN(new Date(from))) || (to && isNaN(new Date(to)))) {
+            return res.status(400).json({ error: 'from and to must be valid dates' });
+        }
+        const limit = req.query.limit ? parseInt(req.query.limit) : 500;
+        if (isNaN(limit) || limit < 1) {
+            return res.status(400).json({ error: 'limit must be a positive number' });
+        }
+        const entries = await auditLog.query({
+            entityType: sanitizeInput(entityType),
+            entityId: sanitizeInput(entityId),
+            actor: actor ? sanitizeInput(actor).toUpperCase() : undefined,
+            from: from,
+            to: to,
+            limit: limit
+        });
+        res.json(entries);
+    } catch (error) {
+        console.error('❌ Error querying audit log:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+}));
 
-        const fromDate = new Date(hallTicketData.fromDate);
-        const toDate = new Date(hallTicketData.toDate);
-        if (toDate < fromDate) {
-            return res.status(400).json({ error: 'End date cannot be before start date' });
-        }
+app.get('/api/admin/audit/verify', withDataLock(async (req, res) => {
+    try {
+        setNoCacheHeaders(res);
+        res.json(await auditLog.verify());
+    } catch (error) {
+        console.error('❌ Error verifying audit log:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+}));
+
+// ===== END AUDIT LOG =====
+
+// Same check as at startup, for records written before validation existed
+app.get('/api/admin/schema-check', withDataLock(async (req, res) => {
+    try {
+        setNoCacheHeaders(res);
+        const violations = schemas.checkStoredData(await readData());
+        res.json({ valid: violations.length === 0, violations: violations });
+    } catch (error) {
+        console.error('❌ Error checking stored records:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+}));
+
+// ===== HALL TICKET SYSTEM (ALL PRESERVED) =====
+
+app.post('/api/admin/create-hall-ticket', withDataLock(async (req, res) => {
+    try {
+        // Only declared fields are kept; the stored ticket never takes
+        // arbitrary properties from the request body.
+        const hallTicket = schemas.pick('hallTicket', req.body || {});
+        ['hallTicketId', 'examName', 'fromDate', 'toDate', 'studentName', 'studentClass', 'studentCode', 'remarks'].forEach(field => {
+            hallTicket[field] = sanitizeInput(hallTicket[field]);
+        });
+        if (typeof hallTicket.studentCode === 'string') hallTicket.studentCode = hallTicket.studentCode.toUpperCase();
+        if (typeof hallTicket.studentClass === 'string') hallTicket.studentClass = hallTicket.studentClass.toLowerCase();
+        hallTicket.issuedBy = req.user.role;
+        hallTicket.createdAt = new Date().toISOString();
+        hallTicket.status = 'pending';
+        delete hallTicket.issuedDate;
 
-        if (!Array.isArray(hallTicketData.examSchedule) || hallTicketData.examSchedule.length === 0) {
-            return res.status(400).json({ error: 'Exam schedule must be provided' });
+        const errors = schemas.validate('hallTicket', hallTicket);
+        if (errors.length > 0) {
+            return validationFailed(res, errors);
         }
 
         const data = await readData();
         if (!data.hallTickets) data.hallTickets = [];
-        
-        const hallTicket = {
-            ...hallTicketData,
-            createdAt: new Date().toISOString(),
-            status: hallTicketData.status || 'pending'
-        };
+        if (data.hallTickets.some(ticket => ticket.hallTicketId === hallTicket.hallTicketId)) {
+            return validationFailed(res, [{ field: 'hallTicketId', message: 'already exists' }]);
+        }
         
         data.hallTickets.push(hallTicket);
         
@@ -1786,9 +4862,9 @@ app.post('/api/admin/create-hall-ticket', async (req, res) => {
         console.error('Error creating hall ticket:', error);
         res.status(500).json({ error: 'Internal server error' });
     }
-});
+}));
 
-app.get('/api/admin/hall-tickets', async (req, res) => {
+app.get('/api/admin/hall-tickets', withDataLock(async (req, res) => {
     try {
         setNoCacheHeaders(res);
         const data = await readData();
@@ -1806,9 +4882,9 @@ app.get('/api/admin/hall-tickets', async (req, res) => {
         console.error('Error fetching hall tickets:', error);
         res.status(500).json({ error: 'Internal server error' });
     }
-});
+}));
 
-app.post('/api/admin/issue-hall-ticket', async (req, res) => {
+app.post('/api/admin/issue-hall-ticket', withDataLock(async (req, res) => {
     try {
         const { hallTicketId, studentCode, issuedDate } = req.body;
         
@@ -1825,9 +4901,18 @@ app.post('/api/admin/issue-hall-ticket', async (req, res) => {
             return res.status(404).json({ error: 'Hall ticket not found' });
         }
         
+        if (hallTicket.studentCode !== studentCode.toUpperCase()) {
+            return validationFailed(res, [{ field: 'studentCode', message: 'does not match the hall ticket' }]);
+        }
+        
         hallTicket.status = 'issued';
         hallTicket.issuedDate = issuedDate || new Date().toISOString();
         
+        const errors = schemas.validate('hallTicket', hallTicket);
+        if (errors.length > 0) {
+            return validationFailed(res, errors);
+        }
+        
         if (!data.studentHallTickets[studentCode]) {
             data.studentHallTickets[studentCode] = [];
         }
@@ -1857,9 +4942,9 @@ app.post('/api/admin/issue-hall-ticket', async (req, res) => {
         console.error('Error issuing hall ticket:', error);
         res.status(500).json({ error: 'Internal server error' });
     }
-});
+}));
 
-app.delete('/api/admin/delete-hall-ticket/:hallTicketId', async (req, res) => {
+app.delete('/api/admin/delete-hall-ticket/:hallTicketId', withDataLock(async (req, res) => {
     try {
         const { hallTicketId } = req.params;
         
@@ -1901,9 +4986,9 @@ app.delete('/api/admin/delete-hall-ticket/:hallTicketId', async (req, res) => {
         console.error('Error deleting hall ticket:', error);
         res.status(500).json({ error: 'Internal server error' });
     }
-});
+}));
 
-app.delete('/api/admin/delete-all-hall-tickets', async (req, res) => {
+app.delete('/api/admin/delete-all-hall-tickets', withDataLock(async (req, res) => {
     try {
         const data = await readData();
         const deletedCount = data.hallTickets ? data.hallTickets.length : 0;
@@ -1930,9 +5015,9 @@ app.delete('/api/admin/delete-all-hall-tickets', async (req, res) => {
         console.error('Error deleting all hall tickets:', error);
         res.status(500).json({ error: 'Internal server error' });
     }
-});
+}));
 
-app.get('/api/student-hall-tickets/:studentCode', async (req, res) => {
+app.get('/api/student-hall-tickets/:studentCode', withDataLock(async (req, res) => {
     try {
         const { studentCode } = req.params;
         const sanitizedStudentCode = sanitizeInput(studentCode);
@@ -1956,12 +5041,12 @@ app.get('/api/student-hall-tickets/:studentCode', async (req, res) => {
         console.error('Error fetching student hall tickets:', error);
         res.status(500).json({ error: 'Internal server error' });
     }
-});
+}));
 
 // ===== END HALL TICKET SYSTEM =====
 
 // Get student-specific data (UPDATED to use new fee certificate system)
-app.get('/api/student-data/:studentCode', async (req, res) => {
+app.get('/api/student-data/:studentCode', withDataLock(async (req, res) => {
     try {
         const { studentCode } = req.params;
         const sanitizedStudentCode = sanitizeInput(studentCode);
@@ -1986,20 +5071,20 @@ app.get('/api/student-data/:studentCode', async (req, res) => {
             subject: []
         };
         
-        const classAssignments = data.assignments[classCode] || [];
+        const classAssignments = (data.assignments[classCode] || []).filter(assignment => attempts.isVisible(assignment));
         
         const studentAssignmentResults = {};
         classAssignments.forEach(assignment => {
             const results = data.assignmentResults[assignment.id] || [];
             const studentResult = results.find(r => r.studentCode === sanitizedStudentCode.toUpperCase());
             if (studentResult) {
-                studentAssignmentResults[assignment.id] = studentResult;
+                studentAssignmentResults[assignment.id] = req.user.role === 'admin' ? studentResult : submissionForStudent(data, assignment, studentResult);
             }
         });
         
         const classProgressCards = data.progressCards[classCode] || [];
         const studentProgressCards = classProgressCards.filter(
-            card => card.rollNumber === rollNumber || card.studentCode === sanitizedStudentCode.toUpperCase()
+            card => (card.rollNumber === rollNumber || card.studentCode === sanitizedStudentCode.toUpperCase()) && progressCards.isVisible(card)
         );
         
         const studentAttendance = data.monthlyAttendance.filter(
@@ -2010,6 +5095,16 @@ app.get('/api/student-data/:studentCode', async (req, res) => {
         const studentFeeCertificates = (data.studentFeeCertificates && data.studentFeeCertificates[sanitizedStudentCode.toUpperCase()]) || [];
         
         const studentHallTickets = (data.studentHallTickets && data.studentHallTickets[sanitizedStudentCode.toUpperCase()]) || [];
+
+        // The student's hand-ins and their feedback, by homework post id, for
+        // expired homework too: it may still be reviewed
+        const studentHomeworkSubmissions = {};
+        (classFacultyPosts.homework || []).forEach(post => {
+            const submission = (data.homeworkSubmissions[post.id] || []).find(s => s.studentCode === sanitizedStudentCode.toUpperCase());
+            if (submission) {
+                studentHomeworkSubmissions[post.id] = submission;
+            }
+        });
         
         const studentData = {
             studentInfo: {
@@ -2018,9 +5113,10 @@ app.get('/api/student-data/:studentCode', async (req, res) => {
                 rollNumber: rollNumber,
                 type: parsedCode.type
             },
-            facultyPosts: classFacultyPosts,
-            assignments: classAssignments,
+            facultyPosts: { ...classFacultyPosts, homework: (classFacultyPosts.homework || []).filter(post => homework.isVisible(post)) },
+            assignments: ['student', 'parent'].includes(req.user.role) ? classAssignments.map(assignmentForStudent) : classAssignments,
             assignmentResults: studentAssignmentResults,
+            homeworkSubmissions: studentHomeworkSubmissions,
             progressCards: studentProgressCards,
             monthlyAttendance: studentAttendance,
             feeCertificates: studentFeeCertificates,
@@ -2032,7 +5128,7 @@ app.get('/api/student-data/:studentCode', async (req, res) => {
         console.error('❌ Error fetching student data:', error);
         res.status(500).json({ error: 'Internal server error' });
     }
-});
+}));
 
 // Error handling middleware
 app.use((error, req, res, next) => {
@@ -2055,7 +5151,7 @@ app.use((error, req, res, next) => {
         });
     }
     
-    if (error.message === 'Only images, PDFs, and documents are allowed') {
+    if (['Only images, PDFs, and documents are allowed', 'Only CSV and XLSX files are allowed'].includes(error.message)) {
         return res.status(400).json({ 
             success: false,
             error: error.message 
@@ -2110,12 +5206,55 @@ app.use((req, res) => {
     res.status(404).json({ error: 'Route not found' });
 });
 
+function reportSchemaViolations(data) {
+    const violations = schemas.checkStoredData(data);
+    if (violations.length === 0) {
+        console.log('✅ Stored records match their schemas');
+        return;
+    }
+    console.log(`⚠️ ${violations.length} stored record(s) do not match their schema (full list: GET /api/admin/schema-check):`);
+    violations.slice(0, 20).forEach(violation => {
+        console.log(`   ${violation.location} (${violation.entity}): ${violation.errors.map(e => `${e.field} ${e.message}`).join('; ')}`);
+    });
+    if (violations.length > 20) {
+        console.log(`   ...and ${violations.length - 20} more`);
+    }
+}
+
+// Late fines accrue whenever data is read, but are only stored by a request
+// that writes. Storing them just after midnight and at startup keeps each
+// day's fines in the ledger even when no one pays.
+async function storeAccruedFines() {
+    const release = await dataStore.lock();
+    try {
+        await writeData(await readData());
+    } finally {
+        release();
+    }
+}
+
+function scheduleFineAccrual() {
+    const now = new Date();
+    const nextRun = new Date(now.getFullYear(), now.getMonth(), now.getDate() + 1, 0, 1);
+    setTimeout(async () => {
+        await storeAccruedFines();
+        scheduleFineAccrual();
+    }, nextRun - now).unref();
+}
+
 // Initialize data and start server
 async function startServer() {
     try {
         await ensureUploadsDir();
         await initializeData();
         console.log('✅ Data initialized successfully');
+        await storeAccruedFines();
+        scheduleFineAccrual();
+        reportSchemaViolations(await readData());
+        const auditStatus = await auditLog.verify();
+        if (!auditStatus.valid) {
+            console.error(`❌ Audit log chain broken at entry ${auditStatus.brokenAt}: ${auditStatus.reason}`);
+        }
         
         app.listen(PORT, () => {
             console.log(`\n🚀 Server running at http://localhost:${PORT}`);
@@ -2125,14 +5264,23 @@ async function startServer() {
             console.log('✅ Running balance tracking per student');
             console.log('✅ All certificates visible to both roles');
             console.log('\n==== FEE CERTIFICATE ENDPOINTS ====');
+            console.log('GET    /api/fee-structures - Fee structures by class and year');
+            console.log('PUT    /api/fee-structures - Create or replace a fee structure (Admin)');
+            console.log('DELETE /api/fee-structures/:id - Delete a fee structure (Admin)');
+            console.log('GET    /api/fee-ledger/:studentCode/statement - Running-balance fee statement');
+            console.log('GET    /api/concessions - Concessions by student and status');
+            console.log('POST   /api/concessions - Request a concession on a fee head');
+            console.log('PUT    /api/concessions/:id - Approve, reject or revoke a concession (Admin)');
             console.log('POST   /api/register-student - Register student (Receptionist)');
             console.log('GET    /api/student-balance/:code - Get current balance');
             console.log('POST   /api/fee-certificates - Generate & issue certificate (Both)');
             console.log('GET    /api/admin/fee-certificates - Get all certificates (Admin)');
             console.log('GET    /api/receptionist/fee-certificates - Get all certificates (Receptionist)');
             console.log('GET    /api/registered-students - Get all registered students');
-            console.log('DELETE /api/admin/delete-fee-certificate/:id - Delete single (Admin)');
-            console.log('DELETE /api/admin/delete-all-fee-certificates - Delete all (Admin)');
+            console.log('POST   /api/admin/fee-certificates/:id/void - Void a receipt (Admin)');
+            console.log('PUT    /api/fee-certificates/:id/cheque-status - Mark a cheque cleared or bounced');
+            console.log('GET    /api/fee-collections/day-book - Collections per day, mode and collector');
+            console.log('POST   /api/admin/fee-certificates/void-all - Void all receipts of the year (Admin)');
             console.log('GET    /api/student-fee-certificates/:code - Student view');
             console.log('\n✨ Server ready! New fee certificate system fully operational! ✨\n');
         });
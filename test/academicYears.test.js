@@ -0,0 +1,118 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const academicYears = require('../lib/academicYears');
+const ledger = require('../lib/ledger');
+const { startServer } = require('./helpers/server');
+
+// A class 5 student of 2025-26 with ₹4000 of the ₹12000 fee still unpaid
+function schoolData() {
+    const data = {
+        academicYears: academicYears.createAcademicYears({ current: '2025-26', codePrefix: 'CB25' }),
+        studentMasterRecords: {},
+        users: {},
+        sessions: {},
+        studentFeeCertificates: {},
+        feeLedger: {},
+        archives: {}
+    };
+    ['facultyPosts', 'assignments', 'assignmentResults', 'progressCards'].forEach(name => { data[name] = {}; });
+    data.monthlyAttendance = [];
+    data.studentMasterRecords['CB25-05-1'] = {
+        studentCode: 'CB25-05-1', studentName: 'Ravi', studentClass: '5', studentRoll: 1,
+        academicYear: '2025-26', totalFee: 12000, currentDue: 4000, registeredDate: '2025-06-01T10:00:00.000Z'
+    };
+    return data;
+}
+
+test('academic years are written one way and follow one another', () => {
+    assert.equal(academicYears.normalizeAcademicYear(' 2025-2026 '), '2025-26');
+    assert.equal(academicYears.normalizeAcademicYear('2099-00'), null);
+    assert.equal(academicYears.normalizeAcademicYear('2025-27'), null);
+    assert.equal(academicYears.nextAcademicYear('2099-00'), '2100-01');
+    assert.equal(academicYears.academicYearFor(new Date(2026, 4, 31)), '2025-26');
+    assert.equal(academicYears.academicYearFor(new Date(2026, 5, 1)), '2026-27');
+    assert.equal(academicYears.suggestCodePrefix('CB25', '2026-27'), 'CB26');
+    assert.equal(academicYears.nextClassCode('UKG'), '1');
+    assert.equal(academicYears.nextClassCode('10'), null);
+});
+
+test('rolling over promotes each student to a new code, moves their accounts and archives the year', () => {
+    const data = schoolData();
+    data.studentMasterRecords['CB25-10-7'] = {
+        studentCode: 'CB25-10-7', studentName: 'Meena', studentClass: '10', studentRoll: 7,
+        academicYear: '2025-2026', totalFee: 20000, currentDue: 0, registeredDate: '2025-06-01T10:00:00.000Z'
+    };
+    data.users['CB25-05-1'] = { code: 'CB25-05-1', role: 'student', classCode: '5', passwordHash: 'x' };
+    data.users['CB25-10-7'] = { code: 'CB25-10-7', role: 'student', classCode: '10', passwordHash: 'z' };
+    data.users.P1 = { code: 'P1', role: 'parent', linkedStudents: ['CB25-05-1', 'CB25-10-7'], passwordHash: 'y' };
+    data.sessions.key = { code: 'CB25-05-1', role: 'student', expiresAt: new Date(Date.now() + 60000).toISOString() };
+    data.progressCards = { 5: [{ studentCode: 'CB25-05-1', examType: 'Final' }] };
+    data.studentFeeCertificates['CB25-05-1'] = [{ id: 'FEE_1' }];
+    data.studentFeeCertificates['CB25-10-7'] = [{ id: 'FEE_2' }];
+    ledger.deriveBalances(data.feeLedger, data.studentMasterRecords);
+
+    const result = academicYears.rollOver(data, { nextYear: '2026-27', codePrefix: 'CB26', feeByClass: { 6: 13000 } });
+    assert.deepEqual(result.codeMap, { 'CB25-05-1': 'CB26-06-1' });
+    assert.equal(result.carriedForward, 4000);
+    assert.deepEqual(result.graduated.map(student => [student.studentCode, student.unpaidDue]), [['CB25-10-7', 0]]);
+    assert.deepEqual(result.skipped, []);
+    assert.deepEqual(Object.keys(data.studentMasterRecords), ['CB26-06-1']);
+    const next = data.studentMasterRecords['CB26-06-1'];
+    assert.equal(next.previousStudentCode, 'CB25-05-1');
+    assert.deepEqual([next.totalFee, next.currentDue, next.carriedForwardDue], [17000, 17000, 4000]);
+
+    assert.equal(data.users['CB25-05-1'], undefined);
+    assert.deepEqual(data.users['CB26-06-1'].previousCodes, ['CB25-05-1']);
+    assert.equal(data.users['CB26-06-1'].classCode, '6');
+    assert.equal(data.users['CB25-10-7'].passwordHash, 'z');
+    assert.deepEqual(data.users.P1.linkedStudents, ['CB26-06-1', 'CB25-10-7']);
+    assert.deepEqual(data.sessions, {});
+    assert.deepEqual(data.studentFeeCertificates, { 'CB26-06-1': [{ id: 'FEE_1' }], 'CB25-10-7': [{ id: 'FEE_2' }] });
+    assert.deepEqual(Object.keys(data.feeLedger).sort(), ['CB25-10-7', 'CB26-06-1']);
+    const entries = data.feeLedger['CB26-06-1'];
+    assert.deepEqual(ledger.ofYear(entries, '2026-27').map(entry => [entry.type, entry.amountPaise]), [['carry-forward', 400000], ['charge', 1300000]]);
+    assert.equal(ledger.figures(entries, '2025-26').currentDue, 4000);
+    assert.equal(new Set(entries.map(entry => entry.id)).size, entries.length);
+
+    assert.deepEqual(data.progressCards, {});
+    assert.equal(data.archives['2025-26'].progressCards[5].length, 1);
+    assert.deepEqual(Object.keys(data.archives['2025-26'].studentMasterRecords), ['CB25-05-1', 'CB25-10-7']);
+    assert.equal(data.archives['2025-26'].codePrefix, 'CB25');
+    assert.equal(data.academicYears.current, '2026-27');
+    assert.equal(data.academicYears.years['2025-26'].status, 'archived');
+});
+
+test('students registered for another year are skipped and reported', () => {
+    const data = schoolData();
+    data.studentMasterRecords['CB25-03-4'] = {
+        studentCode: 'CB25-03-4', studentName: 'Anil', studentClass: '3', studentRoll: 4,
+        academicYear: '2024-25', totalFee: 9000, currentDue: 9000, registeredDate: '2024-06-01T10:00:00.000Z'
+    };
+    data.users['CB25-03-4'] = { code: 'CB25-03-4', role: 'student', classCode: '3', passwordHash: 'x' };
+
+    const result = academicYears.rollOver(data, { nextYear: '2026-27', codePrefix: 'CB26' });
+    assert.deepEqual(result.skipped, [{ studentCode: 'CB25-03-4', studentName: 'Anil', academicYear: '2024-25' }]);
+    assert.deepEqual(result.codeMap, { 'CB25-05-1': 'CB26-06-1' });
+    assert.equal(result.carriedForward, 4000);
+    assert.deepEqual(Object.keys(data.studentMasterRecords).sort(), ['CB25-03-4', 'CB26-06-1']);
+    assert.equal(data.studentMasterRecords['CB25-03-4'].studentClass, '3');
+    assert.equal(data.users['CB25-03-4'].classCode, '3');
+    assert.deepEqual(Object.keys(data.archives['2025-26'].studentMasterRecords), ['CB25-05-1']);
+});
+
+test('the rollover response says what becomes of graduates and skipped students', async t => {
+    const server = await startServer();
+    t.after(() => server.stop());
+    const admin = await server.as('admin');
+    const { current } = (await admin.get('/api/academic-years')).body;
+    const registration = (studentClass, academicYear) => ({ studentClass, studentRoll: '1', studentName: `Student ${studentClass}`, fatherName: 'Parent', totalFee: 1000, academicYear });
+
+    assert.equal((await admin.post('/api/register-student', registration('10', current.academicYear))).status, 200);
+    assert.equal((await admin.post('/api/register-student', registration('4', '2020-21'))).status, 200);
+    const preview = await admin.post('/api/academic-years/rollover', { dryRun: true });
+    assert.equal(preview.status, 200, JSON.stringify(preview.body));
+    assert.equal(preview.body.graduatedCount, 1);
+    assert.equal(preview.body.graduatedAccounts, 'Graduated students keep their login and fee receipts under their old student code');
+    assert.equal(preview.body.skippedCount, 1);
+    assert.equal(preview.body.skipped[0].academicYear, '2020-21');
+});
@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const assignmentAnalytics = require('../lib/assignmentAnalytics');
+
+// Completion against the roster, score figures from final results only, and
+// how the class answered each question
+
+const options = { a: '1', b: '2', c: '3', d: '4' };
+const assignment = {
+    id: 1, title: 'Numbers', classCode: '5',
+    questions: [
+        { question: 'Half of 4?', options, correctAnswer: 'b' },
+        { type: 'numeric', question: '7 x 6?', marks: 2, correctAnswer: 42 },
+        { type: 'short', question: 'Explain zero', marks: 2 }
+    ]
+};
+const roster = ['1', '2', '3', '4'].map(roll => ({ studentCode: `CB25-05-${roll}`, studentName: `Student ${roll}`, studentRoll: roll }));
+
+function result(studentCode, answers, score, status = 'graded') {
+    return {
+        studentCode, score, percentage: Math.round((score / 5) * 100), status,
+        results: answers.map(([studentAnswer, isCorrect, marksAwarded]) => ({ studentAnswer, isCorrect, marksAwarded }))
+    };
+}
+
+test('an assignment is summarised from the results that count', () => {
+    const results = [
+        result('CB25-05-1', [['b', true, 1], [42, true, 2], ['Nothing', true, 2]], 5),
+        result('CB25-05-2', [['a', false, 0], [48, false, 0], ['None', false, 1]], 1),
+        result('CB25-05-3', [['a', false, 0], [null, false, 0], ['Hmm', null, null]], 0, 'pending'),
+        result('CB25-09-9', [['b', true, 1], [48, false, 0], ['Empty', true, 2]], 3)
+    ];
+    const analytics = assignmentAnalytics.analyzeAssignment(assignment, results, roster);
+
+    assert.equal(analytics.maxScore, 5);
+    assert.deepEqual(analytics.completion, { rosterSize: 4, submitted: 3, submittedOffRoster: 1, pendingGrading: 1, rate: 75 });
+    assert.deepEqual(analytics.notSubmitted.map(student => student.studentCode), ['CB25-05-4']);
+    assert.deepEqual([analytics.scores.count, analytics.scores.mean, analytics.scores.median, analytics.scores.highest, analytics.scores.lowest], [3, 60, 60, 100, 20]);
+    assert.deepEqual(analytics.scores.distribution.filter(bucket => bucket.count > 0).map(bucket => bucket.range), ['20-29', '60-69', '90-100']);
+
+    const [mcq, numeric, short] = analytics.questions;
+    assert.deepEqual([mcq.correct, mcq.percentCorrect], [2, 50]);
+    assert.deepEqual(mcq.options.map(option => [option.option, option.chosen, option.correct]), [['a', 2, false], ['b', 2, true], ['c', 0, false], ['d', 0, false]]);
+    assert.deepEqual([numeric.answered, numeric.skipped, numeric.averageMarks], [3, 1, 0.5]);
+    assert.deepEqual(numeric.commonWrongAnswers, [{ answer: '48', count: 2 }]);
+    assert.deepEqual([short.pending, short.correct, short.options, short.commonWrongAnswers], [1, 2, undefined, undefined]);
+});
+
+test('an assignment nobody has submitted has empty figures', () => {
+    const analytics = assignmentAnalytics.analyzeAssignment(assignment, [], []);
+    assert.equal(analytics.completion.rate, null);
+    assert.deepEqual([analytics.scores.count, analytics.scores.mean], [0, null]);
+    assert.equal(analytics.questions[0].percentCorrect, null);
+});
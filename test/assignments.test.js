@@ -0,0 +1,141 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const attempts = require('../lib/attempts');
+const { startServer } = require('./helpers/server');
+
+// Attempts at an assignment are counted under its scoring rule, the answer
+// keys stay hidden while attempts are left, and an expired assignment leaves
+// the students' view but stays with its results
+
+const question = { question: 'Half of 4?', options: { a: '1', b: '2', c: '3', d: '4' }, correctAnswer: 'b' };
+
+function submitted(attemptNumber, score) {
+    return { studentCode: 'CB25-05-1', attemptNumber, state: 'submitted', startedAt: null, score, maxScore: 4, totalQuestions: 4, status: 'graded' };
+}
+
+test('the counted result follows the scoring rule', () => {
+    const list = [submitted(1, 3), submitted(2, 1), { studentCode: 'CB25-05-1', attemptNumber: 3, state: 'expired' }];
+    assert.equal(attempts.countedResult({ scoring: 'best' }, list).attemptNumber, 1);
+    assert.equal(attempts.countedResult({ scoring: 'last' }, list).attemptNumber, 2);
+    const average = attempts.countedResult({ scoring: 'average' }, list);
+    assert.deepEqual([average.score, average.percentage, average.attemptCount, average.attemptNumber], [2, 50, 2, undefined]);
+    assert.equal(attempts.countedResult({}, []), null);
+});
+
+test('answer keys are revealed only once every attempt is used', () => {
+    const running = { studentCode: 'CB25-05-1', attemptNumber: 2, state: 'started' };
+    assert.equal(attempts.answersRevealed({ maxAttempts: 2 }, [submitted(1, 3)]), false);
+    assert.equal(attempts.answersRevealed({ maxAttempts: 2 }, [submitted(1, 3), running]), false);
+    assert.equal(attempts.answersRevealed({ maxAttempts: 2 }, [submitted(1, 3), { ...running, state: 'expired' }]), true);
+    assert.equal(attempts.answersRevealed({ maxAttempts: null }, [submitted(1, 3), submitted(2, 4)]), false);
+});
+
+test('a student sees the answer key only after the last attempt', async t => {
+    const server = await startServer();
+    t.after(() => server.stop());
+    const admin = await server.as('admin');
+    const faculty = await server.as('faculty');
+    const registered = await admin.post('/api/register-student', { studentClass: '5', studentRoll: '1', studentName: 'Student 1', fatherName: 'Parent', totalFee: 1000, academicYear: '2026-27' });
+    assert.equal(registered.status, 200, JSON.stringify(registered.body));
+    const create = async (title, settings) => {
+        const created = await faculty.post('/api/create-assignment', { classCode: '5', title, assignmentDate: '2026-07-01', questions: [question], ...settings });
+        assert.equal(created.status, 200, JSON.stringify(created.body));
+        return created.body.assignment.id;
+    };
+    const twice = await create('Twice', { maxAttempts: 2, scoring: 'best' });
+    const unlimited = await create('Practice', { maxAttempts: null });
+
+    const student = await server.as('student', 'CB25-05-1', registered.body.initialPin);
+    const submit = (assignmentId, answer) => student.post('/api/submit-assignment', { assignmentId, classCode: '5', answers: [answer] });
+    const hasKey = result => Object.prototype.hasOwnProperty.call(result, 'correctAnswer');
+
+    const first = await submit(twice, 'a');
+    assert.equal(first.status, 200, JSON.stringify(first.body));
+    assert.equal(first.body.submission.results[0].isCorrect, false);
+    assert.equal(hasKey(first.body.submission.results[0]), false);
+    assert.equal(hasKey(first.body.result.results[0]), false);
+    assert.equal(hasKey((await student.get('/api/data')).body.assignmentResults[twice][0].results[0]), false);
+    assert.equal(hasKey((await student.get(`/api/assignment-attempts/${twice}`)).body.attempts[0].results[0]), false);
+    assert.equal(hasKey((await student.get(`/api/assignment-results/${twice}`)).body[0].results[0]), false);
+    assert.equal(hasKey((await student.get('/api/student-data/CB25-05-1')).body.assignmentResults[twice].results[0]), false);
+
+    const second = await submit(twice, 'b');
+    assert.equal(second.status, 200, JSON.stringify(second.body));
+    assert.equal(second.body.submission.results[0].correctAnswer, 'b');
+    assert.deepEqual([second.body.result.attemptNumber, second.body.result.score], [2, 1]);
+    assert.equal((await submit(twice, 'b')).status, 409);
+
+    for (const answer of ['a', 'b']) {
+        const practice = await submit(unlimited, answer);
+        assert.equal(practice.status, 200, JSON.stringify(practice.body));
+        assert.equal(hasKey(practice.body.submission.results[0]), false);
+    }
+    const marked = (await faculty.get(`/api/assignment-attempts/${unlimited}`)).body.attempts;
+    assert.deepEqual(marked.map(attempt => attempt.results[0].correctAnswer), ['b', 'b']);
+});
+
+test('a timed assignment must be started before it is submitted', async t => {
+    const server = await startServer();
+    t.after(() => server.stop());
+    const admin = await server.as('admin');
+    const faculty = await server.as('faculty');
+    const registered = await admin.post('/api/register-student', { studentClass: '5', studentRoll: '1', studentName: 'Student 1', fatherName: 'Parent', totalFee: 1000, academicYear: '2026-27' });
+    const created = await faculty.post('/api/create-assignment', { classCode: '5', title: 'Quiz', assignmentDate: '2026-07-01', questions: [question], timeLimitMinutes: 10 });
+    assert.equal(created.status, 200, JSON.stringify(created.body));
+    const assignmentId = created.body.assignment.id;
+
+    const student = await server.as('student', 'CB25-05-1', registered.body.initialPin);
+    assert.deepEqual((await student.get('/api/assignments/5')).body.map(assignment => [assignment.questionCount, assignment.questions.length]), [[1, 0]]);
+    const early = await student.post('/api/submit-assignment', { assignmentId, classCode: '5', answers: ['b'] });
+    assert.equal(early.status, 409);
+    const started = await student.post(`/api/assignments/${assignmentId}/start`);
+    assert.equal(started.status, 200, JSON.stringify(started.body));
+    assert.deepEqual(started.body.questions, [{ question: question.question, options: question.options, type: 'mcq', marks: 1 }]);
+
+    await server.restart(data => {
+        data.assignmentAttempts[assignmentId][0].expiresAt = new Date(Date.now() - attempts.SUBMIT_GRACE_MS - 1000).toISOString();
+    });
+    const late = await student.post('/api/submit-assignment', { assignmentId, classCode: '5', answers: ['b'] });
+    assert.equal(late.status, 409);
+    assert.equal(late.body.error, 'Time is up for this attempt');
+});
+
+test('an expired assignment is hidden from students but keeps its results', async t => {
+    const server = await startServer();
+    t.after(() => server.stop());
+    const admin = await server.as('admin');
+    const faculty = await server.as('faculty');
+
+    const registered = await admin.post('/api/register-student', { studentClass: '5', studentRoll: '1', studentName: 'Student 1', fatherName: 'Parent', totalFee: 1000, academicYear: '2026-27' });
+    assert.equal(registered.status, 200, JSON.stringify(registered.body));
+    const { studentCode } = registered.body.studentRecord;
+    const created = await faculty.post('/api/create-assignment', {
+        classCode: '5', title: 'Fractions', assignmentDate: '2026-07-01', displayDays: 7, questions: [question]
+    });
+    assert.equal(created.status, 200, JSON.stringify(created.body));
+    const assignmentId = created.body.assignment.id;
+
+    const student = await server.as('student', studentCode, registered.body.initialPin);
+    const submitted = await student.post('/api/submit-assignment', { assignmentId, classCode: '5', answers: ['b'] });
+    assert.equal(submitted.status, 200, JSON.stringify(submitted.body));
+
+    await server.restart(data => {
+        data.assignments['5'][0].expiryDate = new Date(Date.now() - 60 * 1000).toISOString();
+    });
+
+    assert.deepEqual((await student.get('/api/data')).body.assignments['5'], []);
+    assert.deepEqual((await student.get('/api/assignments/5')).body, []);
+    assert.deepEqual((await student.get(`/api/student-data/${studentCode}`)).body.assignments, []);
+    const again = await student.post(`/api/assignments/${assignmentId}/start`);
+    assert.equal(again.status, 409);
+    assert.equal(again.body.error, 'Assignment is no longer available');
+
+    const listed = await faculty.get('/api/assignments/5');
+    assert.deepEqual(listed.body.map(assignment => [assignment.id, assignment.visible]), [[assignmentId, false]]);
+    assert.equal((await faculty.get('/api/data')).body.assignmentResults[assignmentId].length, 1);
+    const analytics = await faculty.get(`/api/assignment-results/${assignmentId}/analytics`);
+    assert.equal(analytics.status, 200, JSON.stringify(analytics.body));
+    assert.deepEqual([analytics.body.completion.submitted, analytics.body.completion.rosterSize], [1, 1]);
+    assert.equal((await (await server.as('faculty', 'CB2506')).get(`/api/assignment-results/${assignmentId}/analytics`)).status, 403);
+    assert.equal((await student.get(`/api/assignment-results/${assignmentId}/analytics`)).status, 403);
+});
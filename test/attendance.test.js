@@ -0,0 +1,110 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const attendance = require('../lib/attendance');
+const { startServer } = require('./helpers/server');
+
+// The daily register decides the monthly attendance: only the calendar's
+// working days count, and a working day nobody marked counts as absent
+
+const calendar = {
+    weeklyOffDays: [0],
+    holidays: [{ date: '2026-07-17', name: 'Founders Day' }],
+    extraWorkingDays: ['2026-07-12']
+};
+
+function day(date, statuses) {
+    const entries = {};
+    Object.keys(statuses).forEach((studentCode, index) => {
+        entries[studentCode] = { status: statuses[studentCode], studentName: `Student ${index + 1}`, studentRoll: String(index + 1) };
+    });
+    return { classCode: '5', date, markedBy: 'CB2505', markedAt: `${date}T09:00:00.000Z`, entries };
+}
+
+test('the calendar decides which days are working days', () => {
+    assert.equal(attendance.isWorkingDay(calendar, '2026-07-16'), true);
+    assert.equal(attendance.isWorkingDay(calendar, '2026-07-17'), false);
+    assert.equal(attendance.isWorkingDay(calendar, '2026-07-19'), false);
+    assert.equal(attendance.isWorkingDay(calendar, '2026-07-12'), true);
+    // 31 days, less four Sundays and the holiday, plus the working Sunday
+    assert.equal(attendance.workingDaysInMonth(calendar, 2026, 7).length, 27);
+    assert.equal(attendance.normalizeDate('2026-02-30'), null);
+    assert.equal(attendance.normalizeDate(' 2026-02-28 '), '2026-02-28');
+});
+
+test('a month runs to the last marked day and unmarked working days count against everyone', () => {
+    const register = {
+        '2026-07-01': day('2026-07-01', { 'CB25-05-1': 'present', 'CB25-05-2': 'absent' }),
+        '2026-07-03': day('2026-07-03', { 'CB25-05-1': 'late', 'CB25-05-2': 'leave' })
+    };
+    const summaries = attendance.summarizeMonth(calendar, register, 2026, 7);
+    assert.deepEqual(summaries.map(summary => [summary.studentCode, summary.attendedDays, summary.totalWorkingDays]), [
+        ['CB25-05-1', 2, 3],
+        ['CB25-05-2', 0, 3]
+    ]);
+    assert.deepEqual(summaries[1].counts, { present: 0, absent: 1, late: 0, leave: 1 });
+});
+
+test('deriving a month replaces hand-posted records and keeps the ids of derived ones', () => {
+    const data = {
+        schoolCalendar: calendar,
+        attendanceRegister: { 5: { '2026-07-01': day('2026-07-01', { 'CB25-05-1': 'present' }) } },
+        monthlyAttendance: [
+            { id: 1, classCode: '5', studentCode: 'CB25-05-1', month: 7, year: 2026, attendedDays: 10, totalWorkingDays: 20 },
+            { id: 2, classCode: '5', studentCode: 'CB25-05-1', month: 6, year: 2026, attendedDays: 18, totalWorkingDays: 20 }
+        ]
+    };
+    const [first] = attendance.deriveMonthlyAttendance(data, '5', 2026, 7);
+    assert.equal(first.source, 'register');
+    assert.deepEqual(data.monthlyAttendance.map(record => record.id), [2, first.id]);
+
+    data.attendanceRegister[5]['2026-07-02'] = day('2026-07-02', { 'CB25-05-1': 'absent' });
+    const [second] = attendance.deriveMonthlyAttendance(data, '5', 2026, 7);
+    assert.equal(second.id, first.id);
+    assert.deepEqual([second.attendedDays, second.totalWorkingDays, second.percentage], [1, 2, 50]);
+    assert.equal(data.monthlyAttendance.length, 2);
+});
+
+test('marking the register posts the monthly attendance and a new holiday recomputes it', async t => {
+    const server = await startServer();
+    t.after(() => server.stop());
+    const admin = await server.as('admin');
+    const faculty = await server.as('faculty');
+
+    for (const roll of ['1', '2']) {
+        const registered = await admin.post('/api/register-student', { studentClass: '5', studentRoll: roll, studentName: `Student ${roll}`, fatherName: 'Parent', totalFee: 1000, academicYear: '2026-27' });
+        assert.equal(registered.status, 200, JSON.stringify(registered.body));
+    }
+    // The most recent day before today that is not a Sunday
+    const date = new Date();
+    do {
+        date.setDate(date.getDate() - 1);
+    } while (date.getDay() === 0);
+    const marked = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+    const month = date.getMonth() + 1;
+    const year = date.getFullYear();
+
+    const saved = await faculty.post('/api/attendance-register', {
+        classCode: '5', date: marked, entries: [{ studentRoll: '1', status: 'present' }, { studentRoll: '2', status: 'absent' }]
+    });
+    assert.equal(saved.status, 200, JSON.stringify(saved.body));
+    const records = (await faculty.get('/api/monthly-attendance/5')).body.filter(record => record.month === month && record.year === year);
+    assert.deepEqual(records.map(record => [record.studentCode, record.attendedDays, record.source]).sort(), [
+        ['CB25-05-1', 1, 'register'],
+        ['CB25-05-2', 0, 'register']
+    ]);
+
+    const byHand = await faculty.post('/api/post-monthly-attendance', {
+        classCode: '5', month, year, studentName: 'Student 1', studentRoll: '1', totalWorkingDays: 20, attendedDays: 18
+    });
+    assert.equal(byHand.status, 409);
+    const invalid = await faculty.post('/api/attendance-register', { classCode: '5', date: marked, entries: [{ studentRoll: '1', status: 'asleep' }] });
+    assert.equal(invalid.status, 400);
+
+    const holiday = await admin.put('/api/school-calendar', { weeklyOffDays: [0], holidays: [{ date: marked, name: 'Rain day' }], extraWorkingDays: [] });
+    assert.equal(holiday.status, 200, JSON.stringify(holiday.body));
+    const after = (await faculty.get('/api/monthly-attendance/5')).body.filter(record => record.month === month && record.year === year);
+    assert.deepEqual(after, []);
+    const onHoliday = await faculty.post('/api/attendance-register', { classCode: '5', date: marked, entries: [{ studentRoll: '1', status: 'present' }] });
+    assert.equal(onHoliday.status, 400);
+    assert.match(onHoliday.body.error, /is not a working day/);
+});
@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs/promises');
+const os = require('node:os');
+const path = require('node:path');
+const { createAuditLog, collectChanges } = require('../lib/audit');
+const { startServer } = require('./helpers/server');
+
+// The audit log is a hash chain: any edit, deletion or reordering of its
+// lines is reported by verify(), and it never records secrets or login state
+
+// An audit log in a temporary directory holding three chained entries
+async function tempAuditLog(t) {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'school-audit-'));
+    t.after(() => fs.rm(dir, { recursive: true, force: true }));
+    const file = path.join(dir, 'audit.log');
+    const auditLog = createAuditLog({ file });
+    const actor = { code: 'CB25-A', role: 'admin' };
+    for (const code of ['A', 'B', 'C']) {
+        await auditLog.append(collectChanges({ users: {} }, { users: { [code]: { code } } }, ['users']), { actor, route: 'POST /api/test' });
+    }
+    return { file, auditLog };
+}
+
+async function rewriteLines(file, change) {
+    const lines = (await fs.readFile(file, 'utf8')).split('\n').filter(Boolean);
+    await fs.writeFile(file, change(lines).join('\n') + '\n');
+}
+
+test('verify() accepts the chain as written', async t => {
+    const { auditLog } = await tempAuditLog(t);
+    assert.deepEqual(await auditLog.verify(), { valid: true, entries: 3 });
+    assert.deepEqual((await auditLog.query({ entityId: 'B' })).map(entry => entry.seq), [2]);
+});
+
+test('verify() reports where a line was edited, deleted or moved', async t => {
+    const edited = await tempAuditLog(t);
+    await rewriteLines(edited.file, lines => lines.map((line, index) => index === 1 ? line.replace('"create"', '"delete"') : line));
+    const editedResult = await edited.auditLog.verify();
+    assert.equal(editedResult.valid, false);
+    assert.equal(editedResult.brokenAt, 2);
+
+    const deleted = await tempAuditLog(t);
+    await rewriteLines(deleted.file, lines => lines.filter((line, index) => index !== 0));
+    const deletedResult = await deleted.auditLog.verify();
+    assert.equal(deletedResult.valid, false);
+    assert.equal(deletedResult.brokenAt, 1);
+
+    const reordered = await tempAuditLog(t);
+    await rewriteLines(reordered.file, ([first, second, third]) => [first, third, second]);
+    const reorderedResult = await reordered.auditLog.verify();
+    assert.equal(reorderedResult.valid, false);
+    assert.equal(reorderedResult.brokenAt, 2);
+});
+
+test('password hashes are redacted and sessions and history are not audited', () => {
+    const previous = { users: {}, sessions: {}, history: { admin: [] } };
+    const current = {
+        users: { P1: { code: 'P1', role: 'parent', passwordHash: 'scrypt$secret' } },
+        sessions: { token: { code: 'P1' } },
+        history: { admin: [{ text: 'Parent created' }] }
+    };
+    const changes = collectChanges(previous, current, ['users', 'sessions', 'history']);
+    assert.deepEqual(changes.map(change => `${change.action} ${change.entityType}/${change.entityId}`), ['create users/P1']);
+    assert.equal(changes[0].after.passwordHash, '[redacted]');
+    assert.ok(!JSON.stringify(changes).includes('scrypt$secret'));
+});
+
+test('the server records who changed what, and restoring a snapshot does not roll the log back', async t => {
+    const server = await startServer();
+    t.after(() => server.stop());
+    const admin = await server.as('admin');
+    const registration = roll => ({ studentClass: '5', studentRoll: roll, studentName: `Student ${roll}`, fatherName: 'Parent', totalFee: 1000, academicYear: '2026-27' });
+
+    assert.equal((await admin.post('/api/register-student', registration('1'))).status, 200);
+    const taken = await admin.post('/api/admin/snapshots');
+    assert.equal((await admin.post('/api/register-student', registration('2'))).status, 200);
+    const created = await admin.get('/api/admin/audit?entityType=studentMasterRecords&entityId=CB25-05-2');
+    assert.deepEqual(created.body.map(entry => [entry.action, entry.actor.code, entry.route]), [['create', 'CB25-A', 'POST /api/register-student']]);
+    const before = (await admin.get('/api/admin/audit/verify')).body.entries;
+
+    assert.equal((await admin.post(`/api/admin/snapshots/${taken.body.snapshot.id}/restore`)).status, 200);
+    const after = await admin.get('/api/admin/audit/verify');
+    assert.equal(after.body.valid, true);
+    assert.ok(after.body.entries > before);
+    const history = await admin.get('/api/admin/audit?entityType=studentMasterRecords&entityId=CB25-05-2');
+    assert.deepEqual(history.body.map(entry => entry.action), ['create', 'delete']);
+    assert.equal(history.body[1].route, `POST /api/admin/snapshots/${taken.body.snapshot.id}/restore`);
+});
@@ -0,0 +1,93 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers/server');
+
+// Sessions: every API route wants one, logging in hands one out, logging out
+// or changing the password ends it, and repeated failures lock the code out
+
+test('API routes need a session, from the bearer token or the cookie', async t => {
+    const server = await startServer();
+    t.after(() => server.stop());
+
+    assert.equal((await server.request(null, 'GET', '/api/auth/me')).status, 401);
+    assert.equal((await server.request('not-a-token', 'GET', '/api/data')).status, 401);
+
+    const wrong = await server.request(null, 'POST', '/api/auth/login', { role: 'admin', code: 'CB25-A', password: 'wrong' });
+    assert.equal(wrong.status, 401);
+    const asFaculty = await server.request(null, 'POST', '/api/auth/login', { role: 'faculty', code: 'CB25-A', password: 'AP@ssw0rd' });
+    assert.equal(asFaculty.status, 401);
+
+    const response = await fetch(`${server.baseUrl}/api/auth/login`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ role: 'admin', code: 'CB25-A', password: 'AP@ssw0rd' })
+    });
+    assert.equal(response.status, 200);
+    const { token, user } = await response.json();
+    assert.deepEqual([user.code, user.role], ['CB25-A', 'admin']);
+    assert.match(response.headers.get('set-cookie'), /^sid=[^;]+; Path=\/; HttpOnly; SameSite=Strict/);
+
+    const me = await server.request(token, 'GET', '/api/auth/me');
+    assert.equal(me.status, 200);
+    assert.equal(me.body.user.code, 'CB25-A');
+    const cookie = response.headers.get('set-cookie').split(';')[0];
+    const byCookie = await fetch(`${server.baseUrl}/api/auth/me`, { headers: { Cookie: cookie } });
+    assert.equal(byCookie.status, 200);
+
+    assert.equal((await server.request(token, 'POST', '/api/auth/logout')).status, 200);
+    assert.equal((await server.request(token, 'GET', '/api/auth/me')).status, 401);
+});
+
+test('changing the password ends the other sessions of the account', async t => {
+    const server = await startServer();
+    t.after(() => server.stop());
+    const first = await server.as('receptionist');
+    const second = await server.as('receptionist');
+
+    const short = await second.post('/api/auth/change-password', { currentPassword: 'Viswa@R', newPassword: 'short' });
+    assert.equal(short.status, 400);
+    const badCurrent = await second.post('/api/auth/change-password', { currentPassword: 'nope', newPassword: 'Longer@Pass1' });
+    assert.equal(badCurrent.status, 401);
+    const changed = await second.post('/api/auth/change-password', { currentPassword: 'Viswa@R', newPassword: 'Longer@Pass1' });
+    assert.equal(changed.status, 200, JSON.stringify(changed.body));
+
+    assert.equal((await first.get('/api/auth/me')).status, 401);
+    assert.equal((await second.get('/api/auth/me')).status, 401);
+    assert.equal((await server.request(changed.body.token, 'GET', '/api/auth/me')).status, 200);
+    await server.login('receptionist', 'CB25-R', 'Longer@Pass1');
+    await assert.rejects(server.login('receptionist', 'CB25-R', 'Viswa@R'));
+});
+
+test('five failed logins lock the code out, even for the right password', async t => {
+    const server = await startServer();
+    t.after(() => server.stop());
+    for (let attempt = 0; attempt < 5; attempt++) {
+        const failed = await server.request(null, 'POST', '/api/auth/login', { role: 'faculty', code: 'CB2505', password: 'guess' });
+        assert.equal(failed.status, 401);
+    }
+    const locked = await server.request(null, 'POST', '/api/auth/login', { role: 'faculty', code: 'CB2505', password: 'Viswa@F' });
+    assert.equal(locked.status, 429);
+    await server.login('admin', 'CB25-A', 'AP@ssw0rd');
+});
+
+test('students sign in with the PIN from registration until it is reset', async t => {
+    const server = await startServer();
+    t.after(() => server.stop());
+    const admin = await server.as('admin');
+
+    const registered = await admin.post('/api/register-student', { studentClass: '5', studentRoll: '1', studentName: 'Student 1', fatherName: 'Parent', totalFee: 1000, academicYear: '2026-27' });
+    assert.equal(registered.status, 200, JSON.stringify(registered.body));
+    const { studentCode } = registered.body.studentRecord;
+    assert.match(registered.body.initialPin, /^\d+$/);
+
+    const login = await server.request(null, 'POST', '/api/auth/login', { role: 'student', code: studentCode.toLowerCase(), password: registered.body.initialPin });
+    assert.equal(login.status, 200, JSON.stringify(login.body));
+    assert.equal(login.body.user.mustChangePassword, true);
+
+    const reset = await admin.post(`/api/students/${studentCode}/reset-pin`);
+    assert.equal(reset.status, 200, JSON.stringify(reset.body));
+    assert.equal((await server.request(login.body.token, 'GET', '/api/auth/me')).status, 401);
+    await assert.rejects(server.login('student', studentCode, registered.body.initialPin));
+    await server.login('student', studentCode, reset.body.pin);
+    assert.equal((await admin.post('/api/students/CB25-05-9/reset-pin')).status, 404);
+});
@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers/server');
+
+// GET /api/data gives faculty their whole class and students only their own
+// records within it
+
+test('students only see their own records through /api/data', async t => {
+    const server = await startServer();
+    t.after(() => server.stop());
+    const admin = await server.as('admin');
+    const faculty = await server.as('faculty');
+
+    const pins = {};
+    for (const roll of ['1', '2']) {
+        const registered = await admin.post('/api/register-student', { studentClass: '5', studentRoll: roll, studentName: `Student ${roll}`, fatherName: 'Parent', totalFee: 1000, academicYear: '2026-27' });
+        assert.equal(registered.status, 200, JSON.stringify(registered.body));
+        pins[registered.body.studentRecord.studentCode] = registered.body.initialPin;
+        const card = await faculty.post('/api/create-progress-card', {
+            classCode: '5', rollNumber: roll, fullName: `Student ${roll}`, fatherName: 'Parent', examType: 'Unit Test 1',
+            subjects: { maths: { maxMarks: 100, obtainedMarks: 70 + Number(roll) } }, totalMarks: 100, obtainedMarks: 70 + Number(roll),
+            percentage: 70 + Number(roll), performance: 'Good', postingDate: '2026-07-01', displayDays: 30
+        });
+        assert.equal(card.status, 200, JSON.stringify(card.body));
+        const attendance = await faculty.post('/api/post-monthly-attendance', {
+            classCode: '5', month: 7, year: 2026, studentName: `Student ${roll}`, studentRoll: roll, totalWorkingDays: 20, attendedDays: 18
+        });
+        assert.equal(attendance.status, 200, JSON.stringify(attendance.body));
+    }
+    const [first, second] = Object.keys(pins);
+
+    const classView = await faculty.get('/api/data');
+    assert.equal(classView.status, 200);
+    assert.equal(classView.body.progressCards['5'].length, 2);
+    assert.equal(classView.body.monthlyAttendance.length, 2);
+
+    const student = await server.as('student', first, pins[first]);
+    const ownView = await student.get('/api/data');
+    assert.equal(ownView.status, 200);
+    assert.deepEqual(ownView.body.progressCards['5'].map(card => card.studentCode), [first]);
+    assert.deepEqual(ownView.body.monthlyAttendance.map(record => record.studentCode), [first]);
+    assert.ok(!JSON.stringify(ownView.body).includes(second));
+    assert.equal(ownView.body.users, undefined);
+});
@@ -0,0 +1,95 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const codes = require('../codes');
+
+// The table at the top of codes.js, row by row
+
+test('parseCode reads every kind of code', () => {
+    const rows = [
+        ['CB25N001', 'student', 'nursery', '1', 'CB25', 'CB25N001'],
+        ['CB25N999', 'student', 'nursery', '999', 'CB25', 'CB25N999'],
+        ['cb25l042', 'student', 'lkg', '42', 'CB25', 'CB25L042'],
+        [' CB25U100 ', 'student', 'ukg', '100', 'CB25', 'CB25U100'],
+        ['CB25-01-1', 'student', '1', '1', 'CB25', 'CB25-01-1'],
+        ['CB25-05-60', 'student', '5', '60', 'CB25', 'CB25-05-60'],
+        ['CB25-05-61', 'student', '5', '61', 'CB25', 'CB25-05-61'],
+        ['CB25-10-999', 'student', '10', '999', 'CB25', 'CB25-10-999'],
+        ['VB27-03-7', 'student', '3', '7', 'VB27', 'VB27-03-7'],
+        ['ABCD26U005', 'student', 'ukg', '5', 'ABCD26', 'ABCD26U005'],
+        ['CB25N', 'faculty', 'nursery', undefined, 'CB25', 'CB25N'],
+        ['CB25L', 'faculty', 'lkg', undefined, 'CB25', 'CB25L'],
+        ['CB25U', 'faculty', 'ukg', undefined, 'CB25', 'CB25U'],
+        ['cb25-a', 'admin', undefined, undefined, 'CB25', 'CB25-A'],
+        ['CB25-R', 'receptionist', undefined, undefined, 'CB25', 'CB25-R'],
+        ['PAR0001', 'parent', undefined, undefined, undefined, 'PAR0001'],
+        ['PAR12345', 'parent', undefined, undefined, undefined, 'PAR12345']
+    ];
+    for (let classNumber = 1; classNumber <= 10; classNumber++) {
+        const code = `CB25${String(classNumber).padStart(2, '0')}`;
+        rows.push([code, 'faculty', String(classNumber), undefined, 'CB25', code]);
+    }
+    rows.forEach(([input, role, classCode, rollNumber, codePrefix, fullCode]) => {
+        const parsed = codes.parseCode(input);
+        assert.ok(parsed, `${JSON.stringify(input)} parses`);
+        assert.deepEqual(
+            [parsed.role, parsed.classCode, parsed.rollNumber, parsed.codePrefix, parsed.fullCode],
+            [role, classCode, rollNumber, codePrefix, fullCode],
+            JSON.stringify(input)
+        );
+    });
+});
+
+test('parseCode rejects malformed codes', () => {
+    [
+        'CB25N000', 'CB25N01', 'CB25N1000',
+        'CB25-01-0', 'CB25-01-01', 'CB25-01-1000',
+        'CB25-00-1', 'CB25-11-1', 'CB25-1-1',
+        'CB25X001', 'CB25-A1', 'CB25-B',
+        'CB2500', 'CB2511', 'CB25',
+        'CB255-01-1', 'CB5-01-1', 'ABCDE25-01-1',
+        '25-01-1', 'PAR001', 'PARENT1', '', null
+    ].forEach(input => {
+        assert.equal(codes.parseCode(input), null, JSON.stringify(input));
+    });
+});
+
+test('formatStudentCode builds the one code for a class and roll', () => {
+    assert.equal(codes.currentPrefix(), 'CB25');
+    [
+        [['nursery', 1], 'CB25N001'],
+        [['LKG', '42', 'VB27'], 'VB27L042'],
+        [['ukg', 999], 'CB25U999'],
+        [['1', 1], 'CB25-01-1'],
+        [[1, '001'], 'CB25-01-1'],
+        [['10', 999], 'CB25-10-999'],
+        [['05', 61], 'CB25-05-61'],
+        [['0', 1], null],
+        [['11', 1], null],
+        [['pre', 1], null],
+        [['5', 0], null],
+        [['5', 1000], null],
+        [['5', 2.5], null],
+        [['5', ''], null],
+        [['5', '7a'], null],
+        [['5', 1, 'CB5'], null]
+    ].forEach(([args, expected]) => {
+        assert.equal(codes.formatStudentCode(...args), expected, JSON.stringify(args));
+    });
+});
+
+test('staff and parent codes format as the table says', () => {
+    assert.equal(codes.formatFacultyCode('nursery'), 'CB25N');
+    assert.equal(codes.formatFacultyCode('7'), 'CB2507');
+    assert.equal(codes.formatStaffCode('admin'), 'CB25-A');
+    assert.equal(codes.formatParentCode(12), 'PAR0012');
+});
+
+test('a formatted code parses back to its class and roll', () => {
+    codes.CLASS_CODES.forEach(classCode => {
+        [1, 42, codes.MAX_ROLL].forEach(roll => {
+            const parsed = codes.parseCode(codes.formatStudentCode(classCode, roll));
+            assert.equal(parsed.classCode, classCode);
+            assert.equal(parsed.rollNumber, String(roll));
+        });
+    });
+});
@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const dayBook = require('../lib/dayBook');
+const { startServer } = require('./helpers/server');
+
+// The day book adds up each day's receipts by payment mode and collector,
+// exactly to the paisa, and keeps voided receipts out of the totals
+
+function receipt(id, day, amountPaid, extra = {}) {
+    return { id, studentCode: 'CB25-05-1', studentName: 'Student 1', amountPaid, generatedBy: 'receptionist', generatedAt: new Date(2026, 6, day, 10).toISOString(), ...extra };
+}
+
+test('collections are totalled per day, mode and collector', () => {
+    const certificates = [
+        receipt('FEE_1', 1, 0.1, { paymentMode: 'cash' }),
+        receipt('FEE_2', 1, 0.2, { paymentMode: 'upi', generatedBy: 'admin' }),
+        receipt('FEE_3', 1, 1000, { paymentMode: 'cheque', chequeStatus: 'bounced', status: 'voided' }),
+        receipt('FEE_4', 2, 2500.5, { paymentMode: 'cheque', chequeStatus: 'pending', paymentReference: '004512' }),
+        receipt('FEE_5', 2, 300),
+        receipt('FEE_6', 3, 50, { paymentMode: 'cash' })
+    ];
+    const book = dayBook.dayBook(certificates, { from: '2026-07-01', to: '2026-07-02' });
+
+    assert.deepEqual(book.days.map(day => [day.date, day.receipts, day.total]), [['2026-07-02', 2, 2800.5], ['2026-07-01', 2, 0.3]]);
+    const first = book.days[1];
+    assert.deepEqual(first.byMode, { cash: 0.1, upi: 0.2, cheque: 0, 'bank-transfer': 0 });
+    assert.deepEqual(first.byCollector, { receptionist: 0.1, admin: 0.2 });
+    assert.deepEqual(first.voided, { receipts: 1, amount: 1000 });
+    assert.equal(book.days[0].byMode.unrecorded, 300);
+    assert.deepEqual([book.totals.receipts, book.totals.total], [4, 2800.8]);
+    assert.deepEqual(book.pendingCheques.map(cheque => [cheque.id, cheque.amount, cheque.issuedOn]), [['FEE_4', 2500.5, '2026-07-02']]);
+
+    const admin = dayBook.dayBook(certificates, { from: '2026-07-01', to: '2026-07-03', generatedBy: 'admin' });
+    assert.deepEqual([admin.totals.receipts, admin.totals.total], [1, 0.2]);
+});
+
+test('the day book shows what the counter took today, less bounced cheques', async t => {
+    const server = await startServer();
+    t.after(() => server.stop());
+    const admin = await server.as('admin');
+    const receptionist = await server.as('receptionist');
+    const registered = await admin.post('/api/register-student', { studentClass: '5', studentRoll: '1', studentName: 'Student 1', fatherName: 'Parent', totalFee: 10000, academicYear: '2026-27' });
+    assert.equal(registered.status, 200, JSON.stringify(registered.body));
+    const { studentCode } = registered.body.studentRecord;
+    const pay = body => receptionist.post('/api/fee-certificates', { studentCode, ...body });
+
+    assert.equal((await pay({ amountPaid: 100, paymentMode: 'upi' })).status, 400);
+    for (const body of [{ amountPaid: 0.1, paymentMode: 'cash' }, { amountPaid: 0.2, paymentMode: 'upi', paymentReference: 'UPI123' }]) {
+        const paid = await pay(body);
+        assert.equal(paid.status, 200, JSON.stringify(paid.body));
+    }
+    const cheque = await pay({ amountPaid: 1000, paymentMode: 'cheque', paymentReference: '004512' });
+    assert.equal(cheque.status, 200, JSON.stringify(cheque.body));
+    assert.equal((await receptionist.get('/api/fee-collections/day-book')).body.pendingCheques.length, 1);
+
+    const bounced = await admin.put(`/api/fee-certificates/${cheque.body.certificate.id}/cheque-status`, { status: 'bounced' });
+    assert.equal(bounced.status, 200, JSON.stringify(bounced.body));
+    const book = await receptionist.get('/api/fee-collections/day-book');
+    assert.equal(book.status, 200, JSON.stringify(book.body));
+    assert.deepEqual([book.body.totals.receipts, book.body.totals.total, book.body.totals.voided.amount], [2, 0.3, 1000]);
+    assert.deepEqual(book.body.pendingCheques, []);
+    assert.equal((await receptionist.get('/api/fee-collections/day-book?from=2026-07-02&to=2026-07-01')).status, 400);
+    const student = await server.as('student', studentCode, registered.body.initialPin);
+    assert.equal((await student.get('/api/fee-collections/day-book')).status, 403);
+});
@@ -0,0 +1,147 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fees = require('../lib/fees');
+const feeAdjustments = require('../lib/feeAdjustments');
+const academicYears = require('../lib/academicYears');
+const ledger = require('../lib/ledger');
+const { localDate } = require('../lib/dayBook');
+const { startServer } = require('./helpers/server');
+
+// Concessions come off the unpaid lines of one head and go back when revoked;
+// late fines grow by the day up to their cap, are posted to the ledger whenever
+// data is read and are carried into the next year with the rest of the due
+
+const structure = {
+    id: 'FS_1',
+    classCode: '5',
+    academicYear: '2025-26',
+    heads: [{ head: 'tuition', amount: 12000 }, { head: 'transport', amount: 4000, optional: true }],
+    installments: [
+        { name: 'Term 1', dueDate: '2025-06-15', amounts: { tuition: 6000, transport: 2000 } },
+        { name: 'Term 2', dueDate: '2025-12-15', amounts: { tuition: 6000, transport: 2000 } }
+    ],
+    lateFine: { flat: 100, perDay: 10, graceDays: 7, maxPerInstallment: 150 }
+};
+
+test('a concession takes from the latest unpaid lines of its head and is taken back on revoking', () => {
+    const { lines: paid } = fees.allocatePayment(fees.feeLinesFor(structure, ['transport']), 500000);
+    const applied = feeAdjustments.applyConcession(paid, { head: 'tuition', type: 'percentage', value: 55 });
+    assert.equal(applied.amountPaise, 660000);
+    assert.deepEqual(applied.applied, [
+        { installment: 'Term 2', head: 'tuition', amountPaise: 600000 },
+        { installment: 'Term 1', head: 'tuition', amountPaise: 60000 }
+    ]);
+    assert.equal(fees.totalOf(applied.lines), 1600000 - 660000);
+    assert.equal(fees.dueOf(applied.lines), 1600000 - 660000 - 500000);
+    assert.deepEqual(feeAdjustments.removeConcession(applied.lines, applied.applied), paid);
+
+    const tooMuch = feeAdjustments.applyConcession(paid, { head: 'tuition', type: 'fixed', value: 7001 });
+    assert.equal(tooMuch.error, 'is ₹7001 but only ₹7000 of tuition is unpaid');
+    assert.deepEqual(feeAdjustments.concessionHeads(paid), ['tuition', 'transport']);
+
+    const third = feeAdjustments.applyConcession(paid, { head: 'tuition', type: 'percentage', value: 33.33 });
+    assert.equal(third.amountPaise, Math.round(1200000 * 33.33 / 100));
+    assert.deepEqual(feeAdjustments.removeConcession(third.lines, third.applied), paid);
+});
+
+test('a fine grows from the end of the grace days up to its cap and stops once the installment is paid', () => {
+    const rule = structure.lateFine;
+    assert.equal(feeAdjustments.fineFor(rule, '2025-06-15', '2025-06-22'), 0);
+    assert.equal(feeAdjustments.fineFor(rule, '2025-06-15', '2025-06-24'), 12000);
+    assert.equal(feeAdjustments.fineFor(rule, '2025-06-15', '2025-12-31'), 15000);
+
+    const lines = fees.feeLinesFor(structure);
+    const fined = feeAdjustments.accrueLateFines(lines, rule, '2025-06-24');
+    assert.deepEqual(fined.lines.filter(feeAdjustments.isFine), [{ installment: 'Term 1', dueDate: '2025-06-15', head: 'late fee', amountPaise: 12000, paidPaise: 0, kind: 'fine' }]);
+    assert.deepEqual(fined.increases.map(increase => [increase.date, increase.amountPaise]), [['2025-06-23', 11000], ['2025-06-24', 1000]]);
+    const { lines: settled } = fees.allocatePayment(fined.lines, 612000);
+    const later = feeAdjustments.accrueLateFines(settled, rule, '2025-07-31');
+    assert.deepEqual(later.lines.filter(feeAdjustments.isFine).map(line => [line.amountPaise, line.paidPaise]), [[12000, 12000]]);
+    assert.deepEqual(later.increases, []);
+    assert.equal(fees.dueOf(later.lines), 600000);
+});
+
+test('fines are brought up to date on every record with a structure', () => {
+    const registeredDate = '2025-06-01T10:00:00.000Z';
+    const records = {
+        'CB25-05-1': { studentCode: 'CB25-05-1', academicYear: '2025-26', feeStructureId: 'FS_1', feeLines: fees.feeLinesFor(structure), totalFee: 12000, currentDue: 12000, registeredDate },
+        'CB25-05-2': { studentCode: 'CB25-05-2', academicYear: '2025-26', totalFee: 9000, currentDue: 9000, registeredDate }
+    };
+    const feeLedger = {};
+    ledger.deriveBalances(feeLedger, records);
+    ledger.accrueFines(feeLedger, records, [structure], '2025-07-31');
+    assert.deepEqual([records['CB25-05-1'].totalFee, records['CB25-05-1'].currentDue], [12150, 12150]);
+    assert.deepEqual([records['CB25-05-2'].totalFee, records['CB25-05-2'].currentDue], [9000, 9000]);
+    ledger.accrueFines(feeLedger, records, [{ ...structure, lateFine: undefined }], '2025-12-31');
+    assert.equal(records['CB25-05-1'].currentDue, 12150);
+});
+
+test('rolling over carries forward the late fines accrued up to the rollover', () => {
+    const { lines } = fees.allocatePayment(fees.feeLinesFor(structure), 600000);
+    const data = {
+        academicYears: academicYears.createAcademicYears({ current: '2025-26', codePrefix: 'CB25' }),
+        studentMasterRecords: {
+            'CB25-05-1': {
+                studentCode: 'CB25-05-1', studentName: 'Ravi', studentClass: '5', studentRoll: 1, academicYear: '2025-26',
+                totalFee: 12000, currentDue: 6000, registeredDate: '2025-06-01T10:00:00.000Z', feeStructureId: 'FS_1', feeLines: lines
+            }
+        },
+        feeStructures: [structure],
+        users: {},
+        sessions: {},
+        studentFeeCertificates: {},
+        feeLedger: {},
+        archives: {},
+        monthlyAttendance: []
+    };
+    ['facultyPosts', 'assignments', 'assignmentResults', 'progressCards'].forEach(name => { data[name] = {}; });
+    ledger.deriveBalances(data.feeLedger, data.studentMasterRecords);
+
+    const result = academicYears.rollOver(data, { nextYear: '2026-27', codePrefix: 'CB26' });
+    assert.equal(result.carriedForward, 6150);
+    const next = data.studentMasterRecords['CB26-06-1'];
+    assert.deepEqual([next.carriedForwardDue, next.totalFee, next.currentDue], [6150, 18150, 18150]);
+    assert.equal(data.archives['2025-26'].studentMasterRecords['CB25-05-1'].currentDue, 6150);
+    assert.equal(ledger.figures(data.feeLedger['CB26-06-1'], '2025-26').currentDue, 6150);
+});
+
+test('an approved concession lowers the due and fines are charged without anyone paying', async t => {
+    const server = await startServer();
+    t.after(() => server.stop());
+    const admin = await server.as('admin');
+    const receptionist = await server.as('receptionist');
+    const daysAgo = days => localDate(new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString());
+    const saved = await admin.put('/api/fee-structures', {
+        classCode: '5',
+        academicYear: '2026-27',
+        heads: [{ head: 'tuition', amount: 12000 }],
+        installments: [
+            { name: 'Term 1', dueDate: daysAgo(40), amounts: { tuition: 6000 } },
+            { name: 'Term 2', dueDate: daysAgo(-40), amounts: { tuition: 6000 } }
+        ],
+        lateFine: structure.lateFine
+    });
+    assert.equal(saved.status, 200, JSON.stringify(saved.body));
+    const registered = await admin.post('/api/register-student', { studentClass: '5', studentRoll: '1', studentName: 'Student 1', fatherName: 'Parent', academicYear: '2026-27' });
+    assert.equal(registered.status, 200, JSON.stringify(registered.body));
+    const { studentCode } = registered.body.studentRecord;
+    const dueOf = async () => (await receptionist.get('/api/registered-students')).body.find(record => record.studentCode === studentCode).currentDue;
+    assert.equal(await dueOf(), 12150);
+
+    const requested = await receptionist.post('/api/concessions', { studentCode, head: 'tuition', type: 'fixed', value: 1000, category: 'sibling', reason: 'Second child' });
+    assert.equal(requested.status, 200, JSON.stringify(requested.body));
+    assert.equal((await receptionist.post('/api/concessions', { studentCode, head: 'hostel', type: 'fixed', value: 10, category: 'sibling', reason: 'x' })).status, 400);
+    const { id } = requested.body.concession;
+    assert.equal((await receptionist.put(`/api/concessions/${id}`, { decision: 'approved' })).status, 403);
+    const approved = await admin.put(`/api/concessions/${id}`, { decision: 'approved' });
+    assert.equal(approved.status, 200, JSON.stringify(approved.body));
+    assert.deepEqual([approved.body.totalFee, approved.body.currentDue], [11150, 11150]);
+    assert.equal((await admin.put(`/api/concessions/${id}`, { decision: 'approved' })).status, 409);
+
+    const paid = await receptionist.post('/api/fee-certificates', { studentCode, amountPaid: 6150, paymentMode: 'cash' });
+    assert.equal(paid.status, 200, JSON.stringify(paid.body));
+    assert.deepEqual(paid.body.certificate.adjustments.map(adjustment => [adjustment.kind, adjustment.amount]), [['concession', 1000], ['fine', 150]]);
+    const revoked = await admin.put(`/api/concessions/${id}`, { decision: 'revoked' });
+    assert.equal(revoked.status, 200, JSON.stringify(revoked.body));
+    assert.equal(await dueOf(), 6000);
+});
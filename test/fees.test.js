@@ -0,0 +1,141 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fees = require('../lib/fees');
+const academicYears = require('../lib/academicYears');
+const ledger = require('../lib/ledger');
+const { startServer } = require('./helpers/server');
+
+// A class's fee structure sets the fee at registration and rollover, as one
+// line per installment and head kept in whole paise, and payments are spread
+// over the lines earliest installment first
+
+const structure = {
+    id: 'FS_1',
+    classCode: '5',
+    academicYear: '2026-27',
+    heads: [{ head: 'tuition', amount: 10000 }, { head: 'transport', amount: 4000, optional: true }],
+    installments: [
+        { name: 'Term 2', dueDate: '2026-12-15', amounts: { tuition: 5000, transport: 2000 } },
+        { name: 'Term 1', dueDate: '2026-06-15', amounts: { tuition: 5000, transport: 2000 } }
+    ]
+};
+
+test('a structure gives one line per installment and head, earliest installment first', () => {
+    assert.deepEqual(fees.checkStructure(structure), []);
+    const lines = fees.feeLinesFor(structure, ['Transport']);
+    assert.deepEqual(lines.map(line => [line.installment, line.head, line.amountPaise, line.paidPaise]), [
+        ['Term 1', 'tuition', 500000, 0],
+        ['Term 1', 'transport', 200000, 0],
+        ['Term 2', 'tuition', 500000, 0],
+        ['Term 2', 'transport', 200000, 0]
+    ]);
+    assert.equal(fees.totalOf(lines), 1400000);
+    assert.equal(fees.checkFeeLines(lines, { totalFee: 14000, currentDue: 14000 }), null);
+    assert.equal(fees.checkFeeLines(lines, { totalFee: 13000, currentDue: 13000 }), 'must add up to totalFee');
+    assert.deepEqual(fees.feeLinesFor(structure).map(line => line.head), ['tuition', 'tuition']);
+});
+
+test('a structure that repeats itself or does not add up is rejected', () => {
+    const broken = {
+        ...structure,
+        heads: [{ head: 'tuition', amount: 11000 }, { head: 'tuition', amount: 0 }],
+        installments: [{ name: 'Term 1', dueDate: '2026-06-15', amounts: { tuition: 10000, library: 500 } }]
+    };
+    assert.deepEqual(fees.checkStructure(broken), [
+        { field: 'heads[1].head', message: 'repeats "tuition"' },
+        { field: 'installments[0].amounts.library', message: 'is not one of the heads' },
+        { field: 'heads[0].amount', message: 'is 11000 but its installments add up to 10000' },
+        { field: 'heads[1].amount', message: 'is 0 but its installments add up to 10000' }
+    ]);
+    const short = { ...structure, heads: [{ head: 'tuition', amount: 10000.01 }, structure.heads[1]] };
+    assert.deepEqual(fees.checkStructure(short), [{ field: 'heads[0].amount', message: 'is 10000.01 but its installments add up to 10000' }]);
+});
+
+test('payments are spread over the earliest lines and summarised by head and installment', () => {
+    const { lines, allocations } = fees.allocatePayment(fees.feeLinesFor(structure, ['transport']), 800000);
+    assert.deepEqual(allocations, [
+        { installment: 'Term 1', head: 'tuition', amountPaise: 500000 },
+        { installment: 'Term 1', head: 'transport', amountPaise: 200000 },
+        { installment: 'Term 2', head: 'tuition', amountPaise: 100000 }
+    ]);
+    assert.equal(fees.dueOf(lines), 600000);
+
+    const summary = fees.summarize(lines, '2027-01-01');
+    assert.deepEqual(summary.byHead.map(entry => [entry.head, entry.paid, entry.due]), [['tuition', 6000, 4000], ['transport', 2000, 2000]]);
+    assert.deepEqual(summary.byInstallment.map(entry => [entry.installment, entry.due, entry.overdue]), [['Term 1', 0, false], ['Term 2', 6000, true]]);
+    assert.equal(summary.overdue, 6000);
+});
+
+test('payments of a few paise add up exactly and reverse exactly', () => {
+    let lines = fees.feeLinesFor(structure);
+    const allAllocations = [];
+    [0.1, 0.2, 5000, 0.1].forEach(rupees => {
+        const { lines: updated, allocations } = fees.allocatePayment(lines, fees.toPaise(rupees));
+        assert.equal(allocations.reduce((sum, allocation) => sum + allocation.amountPaise, 0), fees.toPaise(rupees));
+        allAllocations.push(allocations);
+        lines = updated;
+    });
+    assert.deepEqual(lines.map(line => line.paidPaise), [500000, 40]);
+    assert.equal(fees.checkFeeLines(lines, { totalFee: 10000, currentDue: 4999.6 }), null);
+    assert.equal(fees.toRupees(fees.dueOf(fees.reverseAllocations(lines, allAllocations[2]))), 9999.6);
+});
+
+test('rolling over charges the next class structure with the optional heads the student took', () => {
+    const data = {
+        academicYears: academicYears.createAcademicYears({ current: '2025-26', codePrefix: 'CB25' }),
+        studentMasterRecords: {
+            'CB25-04-1': {
+                studentCode: 'CB25-04-1', studentName: 'Ravi', studentClass: '4', studentRoll: 1, academicYear: '2025-26',
+                totalFee: 3000, currentDue: 1500, registeredDate: '2025-06-01T10:00:00.000Z',
+                feeLines: [{ installment: 'Term 1', dueDate: '2025-06-15', head: 'transport', amountPaise: 300000, paidPaise: 150000 }]
+            }
+        },
+        users: {},
+        sessions: {},
+        studentFeeCertificates: {},
+        feeLedger: {},
+        archives: {},
+        monthlyAttendance: []
+    };
+    ['facultyPosts', 'assignments', 'assignmentResults', 'progressCards'].forEach(name => { data[name] = {}; });
+
+    ledger.deriveBalances(data.feeLedger, data.studentMasterRecords);
+    academicYears.rollOver(data, { nextYear: '2026-27', codePrefix: 'CB26', feeStructures: [structure] });
+    const next = data.studentMasterRecords['CB26-05-1'];
+    assert.equal(next.feeStructureId, 'FS_1');
+    assert.deepEqual(next.feeLines.map(line => [line.installment, line.head, line.amountPaise]), [
+        ['Carried forward', 'previous dues', 150000],
+        ['Term 1', 'tuition', 500000],
+        ['Term 1', 'transport', 200000],
+        ['Term 2', 'tuition', 500000],
+        ['Term 2', 'transport', 200000]
+    ]);
+    assert.deepEqual([next.totalFee, next.currentDue, next.carriedForwardDue], [15500, 15500, 1500]);
+});
+
+test('registration takes the fee from the class structure', async t => {
+    const server = await startServer();
+    t.after(() => server.stop());
+    const admin = await server.as('admin');
+    const { id, ...body } = structure;
+
+    const invalid = await admin.put('/api/fee-structures', { ...body, heads: [{ head: 'tuition', amount: 9000 }] });
+    assert.equal(invalid.status, 400);
+    const saved = await admin.put('/api/fee-structures', body);
+    assert.equal(saved.status, 200, JSON.stringify(saved.body));
+    assert.equal((await (await server.as('faculty')).put('/api/fee-structures', body)).status, 403);
+
+    const student = { studentClass: '5', studentName: 'Student 1', fatherName: 'Parent', academicYear: '2026-27' };
+    const mismatch = await admin.post('/api/register-student', { ...student, studentRoll: '1', totalFee: 1000 });
+    assert.equal(mismatch.status, 400);
+    const unknownHead = await admin.post('/api/register-student', { ...student, studentRoll: '1', optionalHeads: ['hostel'] });
+    assert.equal(unknownHead.status, 400);
+    const registered = await admin.post('/api/register-student', { ...student, studentRoll: '1', optionalHeads: ['transport'] });
+    assert.equal(registered.status, 200, JSON.stringify(registered.body));
+    const record = registered.body.studentRecord;
+    assert.deepEqual([record.totalFee, record.currentDue, record.feeLines.length], [14000, 14000, 4]);
+
+    const other = await admin.post('/api/register-student', { ...student, studentClass: '6', studentRoll: '1', totalFee: 1000 });
+    assert.equal(other.status, 200, JSON.stringify(other.body));
+    assert.equal(other.body.studentRecord.feeLines, undefined);
+});
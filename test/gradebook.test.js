@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const gradebook = require('../lib/gradebook');
+
+const tenthFinal = {
+    id: 'GS_1',
+    classCode: '10',
+    examType: 'Final',
+    passPercentage: 33,
+    subjects: { Mathematics: { maxMarks: 100, passMarks: 35 }, Science: { maxMarks: 50 } },
+    bands: [{ grade: 'A', minPercentage: 80 }, { grade: 'B', minPercentage: 50 }, { grade: 'C', minPercentage: 0 }]
+};
+const allFinals = { ...tenthFinal, id: 'GS_2', classCode: gradebook.ALL, subjects: {} };
+
+test('the most specific scheme applies, else the default', () => {
+    const schemes = [allFinals, tenthFinal];
+    assert.equal(gradebook.findScheme(schemes, '10', ' final ').id, 'GS_1');
+    assert.equal(gradebook.findScheme(schemes, '9', 'Final').id, 'GS_2');
+    assert.equal(gradebook.findScheme(schemes, '10', 'Unit Test 1').id, 'default');
+});
+
+test('marks are graded per subject and overall under the scheme', () => {
+    const { errors, marks } = gradebook.computeMarks(tenthFinal, {
+        mathematics: { maxMarks: 80, obtainedMarks: 34 },
+        Science: { obtainedMarks: 41 }
+    });
+    assert.deepEqual(errors, []);
+    assert.deepEqual(marks.subjects.Mathematics, { maxMarks: 100, obtainedMarks: 34, percentage: 34, grade: 'C', passed: false });
+    assert.deepEqual(marks.subjects.Science, { maxMarks: 50, obtainedMarks: 41, percentage: 82, grade: 'A', passed: true });
+    assert.equal(marks.totalMarks, 150);
+    assert.equal(marks.percentage, 50);
+    assert.equal(marks.grade, 'B');
+    assert.equal(marks.result, 'fail');
+    assert.deepEqual(marks.failedSubjects, ['Mathematics']);
+
+    assert.equal(gradebook.percentageOf(2, 3), 66.66);
+    assert.equal(gradebook.percentageOf(99.99, 100), 99.99);
+    assert.equal(gradebook.percentageOf(299.99, 300), 99.99);
+    assert.equal(gradebook.percentageOf(300, 300), 100);
+    const missing = gradebook.computeMarks(tenthFinal, { Mathematics: { obtainedMarks: 50 }, Art: { maxMarks: 10, obtainedMarks: 9 } });
+    assert.deepEqual(missing.errors.map(error => error.field), ['subjects.Science', 'subjects.Art']);
+});
+
+test('bands must grade every percentage once', () => {
+    assert.deepEqual(gradebook.checkBands(tenthFinal.bands), []);
+    assert.deepEqual(gradebook.checkBands([{ grade: 'A', minPercentage: 50 }, { grade: 'A', minPercentage: 50 }]).map(error => error.message), [
+        'must include a band starting at 0',
+        'must not have two bands starting at the same percentage',
+        'must not repeat a grade'
+    ]);
+});
+
+test('equal percentages share a rank and the next rank is skipped', () => {
+    const cards = [
+        { studentCode: 'A', examType: 'Final', percentage: 72.5 },
+        { studentCode: 'B', examType: 'Final', percentage: 91 },
+        { studentCode: 'C', examType: 'final', percentage: 72.5 },
+        { studentCode: 'D', examType: 'Final', percentage: 40 },
+        { studentCode: 'E', examType: 'Unit Test 1', percentage: 99 },
+        { studentCode: 'F', examType: 'Final' }
+    ];
+    const ranked = gradebook.rankCards(cards, 'Final');
+    assert.deepEqual(ranked.map(card => [card.studentCode, card.rank, card.rankOutOf]), [
+        ['B', 1, 4],
+        ['A', 2, 4],
+        ['C', 2, 4],
+        ['D', 4, 4]
+    ]);
+    assert.equal(cards[4].rank, undefined);
+    assert.equal(cards[5].rank, undefined);
+});
@@ -0,0 +1,121 @@
+const { spawn } = require('node:child_process');
+const fs = require('node:fs/promises');
+const net = require('node:net');
+const os = require('node:os');
+const path = require('node:path');
+
+const SERVER = path.join(__dirname, '..', '..', 'server.js');
+const STAFF = {
+    admin: { code: 'CB25-A', password: 'AP@ssw0rd' },
+    receptionist: { code: 'CB25-R', password: 'Viswa@R' },
+    faculty: { code: 'CB2505', password: 'Viswa@F' }
+};
+
+function freePort() {
+    return new Promise((resolve, reject) => {
+        const probe = net.createServer();
+        probe.unref();
+        probe.on('error', reject);
+        probe.listen(0, () => {
+            const { port } = probe.address();
+            probe.close(() => resolve(port));
+        });
+    });
+}
+
+// Starts the server on a fresh port in an empty working directory, so it
+// creates its own data file, seeds the staff accounts and leaves the
+// repository's data alone. Call stop() when done.
+async function startServer() {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'school-portal-'));
+    let child = null;
+    let output = '';
+    let baseUrl = '';
+
+    async function launch() {
+        const port = await freePort();
+        child = spawn(process.execPath, [SERVER], { cwd: dir, env: { ...process.env, PORT: String(port) }, stdio: ['ignore', 'pipe', 'pipe'] });
+        output = '';
+        await new Promise((resolve, reject) => {
+            const timer = setTimeout(() => reject(new Error(`Server did not start:\n${output}`)), 20000);
+            const onData = chunk => {
+                output += chunk;
+                if (output.includes('Server running')) {
+                    clearTimeout(timer);
+                    resolve();
+                }
+            };
+            child.stdout.on('data', onData);
+            child.stderr.on('data', onData);
+            child.on('exit', code => {
+                clearTimeout(timer);
+                reject(new Error(`Server exited with ${code}:\n${output}`));
+            });
+        });
+        baseUrl = `http://localhost:${port}`;
+    }
+
+    async function halt() {
+        if (child.exitCode === null) {
+            child.removeAllListeners('exit');
+            await new Promise(resolve => {
+                child.once('exit', resolve);
+                child.kill();
+            });
+        }
+    }
+    await launch();
+
+    async function request(token, method, url, body) {
+        const headers = {};
+        if (token) headers.Authorization = `Bearer ${token}`;
+        if (body !== undefined) headers['Content-Type'] = 'application/json';
+        const response = await fetch(baseUrl + url, { method, headers, body: body === undefined ? undefined : JSON.stringify(body) });
+        const text = await response.text();
+        let json = null;
+        try { json = JSON.parse(text); } catch (error) { json = text; }
+        return { status: response.status, body: json };
+    }
+
+    async function login(role, code, password) {
+        const response = await request(null, 'POST', '/api/auth/login', { role, code, password });
+        if (response.status !== 200) throw new Error(`${role} ${code} could not log in: ${JSON.stringify(response.body)}`);
+        return response.body.token;
+    }
+
+    // A client for one account: client.get(url), client.post(url, body), ...
+    async function as(role, code, password) {
+        const account = STAFF[role] || {};
+        const token = await login(role, code || account.code, password || account.password);
+        const client = { token };
+        ['get', 'post', 'put', 'delete'].forEach(method => {
+            client[method] = (url, body) => request(token, method.toUpperCase(), url, body);
+        });
+        return client;
+    }
+
+    // Stops the server, lets `change` edit the stored data as the server
+    // would never do itself (e.g. put an expiry date in the past) and starts
+    // it again on the same data. Tokens from before stay valid.
+    async function restart(change) {
+        await halt();
+        const file = path.join(dir, 'schoolData.json');
+        const data = JSON.parse(await fs.readFile(file, 'utf8'));
+        change(data);
+        await fs.writeFile(file, JSON.stringify(data, null, 2));
+        await launch();
+    }
+
+    async function stop() {
+        await halt();
+        await fs.rm(dir, { recursive: true, force: true });
+    }
+
+    return {
+        get baseUrl() { return baseUrl; },
+        dir, request, login, as, restart, stop,
+        output: () => output
+    };
+}
+
+module.exports = { startServer };
@@ -0,0 +1,123 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs/promises');
+const path = require('node:path');
+const homework = require('../lib/homework');
+const { startServer } = require('./helpers/server');
+
+// Hand-ins are only sent to the student, their parents and the class's
+// teachers, expired homework leaves the students' view but can still be
+// reviewed, and a hand-in that is turned down or replaced leaves no file behind
+
+async function handIn(server, student, postId, content = '%PDF-1.4 homework') {
+    const form = new FormData();
+    form.append('postId', String(postId));
+    form.append('file', new Blob([content], { type: 'application/pdf' }), 'work.pdf');
+    const response = await fetch(`${server.baseUrl}/api/homework-submissions`, { method: 'POST', headers: { Authorization: `Bearer ${student.token}` }, body: form });
+    return { status: response.status, body: await response.json() };
+}
+
+async function download(server, client, url) {
+    const response = await fetch(`${server.baseUrl}${url}`, { headers: client ? { Authorization: `Bearer ${client.token}` } : {} });
+    return { status: response.status, text: await response.text() };
+}
+
+test('the roster counts who handed in and how their work was reviewed', () => {
+    const roster = ['1', '2', '3'].map(roll => ({ studentCode: `CB25-05-${roll}`, studentName: `Student ${roll}`, studentRoll: roll }));
+    const status = homework.rosterStatus(roster, [
+        { studentCode: 'CB25-05-1', status: 'accepted' },
+        { studentCode: 'CB25-05-3', status: 'submitted' }
+    ]);
+    assert.deepEqual([status.submitted, status.missing, status.accepted, status.redo, status.toReview], [2, 1, 1, 0, 1]);
+    assert.equal(status.students[1].submission, null);
+    assert.equal(homework.canHandIn({ status: 'redo' }), true);
+    assert.equal(homework.canHandIn({ status: 'accepted' }), false);
+});
+
+test('a hand-in file is only sent to the student, their parents and the class teachers', async t => {
+    const server = await startServer();
+    t.after(() => server.stop());
+    const admin = await server.as('admin');
+    const faculty = await server.as('faculty');
+    const stored = () => fs.readdir(path.join(server.dir, 'homework-submissions'));
+
+    const students = [];
+    for (const roll of ['1', '2']) {
+        const registered = await admin.post('/api/register-student', { studentClass: '5', studentRoll: roll, studentName: `Student ${roll}`, fatherName: 'Parent', totalFee: 1000, academicYear: '2026-27' });
+        assert.equal(registered.status, 200, JSON.stringify(registered.body));
+        students.push(await server.as('student', `CB25-05-${roll}`, registered.body.initialPin));
+    }
+    const parent = await admin.post('/api/parents', { parentName: 'Parent', studentCodes: ['CB25-05-1'] });
+    assert.equal(parent.status, 200, JSON.stringify(parent.body));
+    const parentClient = await server.as('parent', parent.body.parent.parentCode, parent.body.initialPin);
+    const posted = await faculty.post('/api/faculty-posts', { classCode: '5', type: 'homework', text: 'Exercise 3.1', displayDays: 3 });
+    assert.equal(posted.status, 200, JSON.stringify(posted.body));
+    const postId = posted.body.post.id;
+
+    const first = await handIn(server, students[0], postId, 'first try');
+    assert.equal(first.status, 200, JSON.stringify(first.body));
+    const handedIn = await handIn(server, students[0], postId, 'second try');
+    assert.equal(handedIn.status, 200, JSON.stringify(handedIn.body));
+    assert.equal(handedIn.body.submission.submissionCount, 2);
+    await students[0].get('/api/data');
+    assert.deepEqual(await stored(), [handedIn.body.submission.file]);
+
+    const url = `/api/homework-submissions/${postId}/CB25-05-1/file`;
+    assert.deepEqual(await download(server, students[0], url), { status: 200, text: 'second try' });
+    assert.equal((await download(server, parentClient, url)).status, 200);
+    assert.equal((await download(server, faculty, url)).status, 200);
+    assert.equal((await download(server, admin, url)).status, 200);
+    assert.equal((await download(server, students[1], url)).status, 403);
+    assert.equal((await download(server, await server.as('faculty', 'CB2506'), url)).status, 403);
+    assert.equal((await download(server, null, url)).status, 401);
+    assert.equal((await download(server, null, `/homework-submissions/${handedIn.body.submission.file}`)).status, 404);
+    assert.equal((await download(server, null, `/uploads/${handedIn.body.submission.file}`)).status, 404);
+    assert.equal((await download(server, students[1], `/api/homework-submissions/${postId}/CB25-05-2/file`)).status, 404);
+});
+
+test('expired homework is hidden from students but its hand-ins can still be reviewed', async t => {
+    const server = await startServer();
+    t.after(() => server.stop());
+    const admin = await server.as('admin');
+    const faculty = await server.as('faculty');
+    const stored = () => fs.readdir(path.join(server.dir, 'homework-submissions'));
+
+    const registered = await admin.post('/api/register-student', { studentClass: '5', studentRoll: '1', studentName: 'Student 1', fatherName: 'Parent', totalFee: 1000, academicYear: '2026-27' });
+    assert.equal(registered.status, 200, JSON.stringify(registered.body));
+    const { studentCode } = registered.body.studentRecord;
+    const posted = await faculty.post('/api/faculty-posts', { classCode: '5', type: 'homework', text: 'Exercise 3.1', displayDays: 3 });
+    assert.equal(posted.status, 200, JSON.stringify(posted.body));
+    const postId = posted.body.post.id;
+    const student = await server.as('student', studentCode, registered.body.initialPin);
+
+    // A turned-down file is removed once the handler settles, which is before
+    // the data lock lets the next request in
+    assert.equal((await handIn(server, student, 12345)).status, 404);
+    await student.get('/api/data');
+    assert.deepEqual(await stored(), []);
+    const handedIn = await handIn(server, student, postId);
+    assert.equal(handedIn.status, 200, JSON.stringify(handedIn.body));
+    await student.get('/api/data');
+    assert.equal((await stored()).length, 1);
+
+    await server.restart(data => {
+        data.facultyPosts['5'].homework[0].expiryDate = new Date(Date.now() - 60 * 1000).toISOString();
+    });
+
+    const late = await handIn(server, student, postId);
+    assert.equal(late.status, 409);
+    assert.equal(late.body.error, 'This homework is closed');
+    assert.deepEqual((await student.get('/api/data')).body.facultyPosts['5'].homework, []);
+    assert.equal((await stored()).length, 1);
+    const studentData = (await student.get(`/api/student-data/${studentCode}`)).body;
+    assert.deepEqual(studentData.facultyPosts.homework, []);
+    assert.ok(studentData.homeworkSubmissions[postId]);
+
+    assert.equal((await faculty.get('/api/data')).body.facultyPosts['5'].homework.length, 1);
+    const roster = await faculty.get(`/api/homework-submissions/${postId}`);
+    assert.equal(roster.status, 200, JSON.stringify(roster.body));
+    assert.equal(roster.body.submitted, 1);
+    const reviewed = await faculty.put(`/api/homework-submissions/${postId}/${studentCode}`, { status: 'accepted', mark: 9, feedback: 'Good' });
+    assert.equal(reviewed.status, 200, JSON.stringify(reviewed.body));
+    assert.equal((await handIn(server, student, postId)).status, 409);
+});
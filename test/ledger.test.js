@@ -0,0 +1,170 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fees = require('../lib/fees');
+const feeAdjustments = require('../lib/feeAdjustments');
+const ledger = require('../lib/ledger');
+const { localDate } = require('../lib/dayBook');
+
+// Every change to what a student owes is a dated ledger entry: fines are posted
+// on the day they accrued, and a student's figures and statement are read off
+// their entries
+
+const structure = {
+    id: 'FS_1',
+    classCode: '5',
+    academicYear: '2026-27',
+    heads: [{ head: 'tuition', amount: 12000 }],
+    installments: [
+        { name: 'Term 1', dueDate: '2026-06-15', amounts: { tuition: 6000 } },
+        { name: 'Term 2', dueDate: '2026-12-15', amounts: { tuition: 6000 } }
+    ],
+    lateFine: { flat: 100, perDay: 10, graceDays: 7, maxPerInstallment: 150 }
+};
+
+// A student registered on 1 June 2026 on the structure above
+function registeredStudent() {
+    const feeLedger = {};
+    const record = {
+        studentCode: 'CB25-05-1',
+        academicYear: '2026-27',
+        registeredDate: new Date('2026-06-01T10:00:00').toISOString(),
+        feeStructureId: structure.id,
+        feeLines: fees.feeLinesFor(structure)
+    };
+    ledger.chargeEntries(record.feeLines, record.registeredDate)
+        .forEach(entry => ledger.post(feeLedger, record.studentCode, { academicYear: record.academicYear, ...entry }));
+    const records = { [record.studentCode]: record };
+    ledger.deriveBalances(feeLedger, records);
+    return { feeLedger, records, record };
+}
+
+function pay(state, rupees, postedAt) {
+    const { lines } = fees.allocatePayment(state.record.feeLines, fees.toPaise(rupees));
+    state.record.feeLines = lines;
+    ledger.post(state.feeLedger, state.record.studentCode, { academicYear: '2026-27', type: 'payment', amountPaise: -fees.toPaise(rupees), description: 'Receipt', reference: 'FEE_1', postedAt });
+    ledger.deriveBalances(state.feeLedger, state.records);
+}
+
+test('a fine grows by the day from the end of the grace days up to its cap', () => {
+    const rule = structure.lateFine;
+    assert.deepEqual(feeAdjustments.fineIncreases(rule, '2026-06-15', 0, '2026-06-22'), []);
+    assert.deepEqual(feeAdjustments.fineIncreases(rule, '2026-06-15', 0, '2026-06-25'), [
+        { date: '2026-06-23', amountPaise: 11000 },
+        { date: '2026-06-24', amountPaise: 1000 },
+        { date: '2026-06-25', amountPaise: 1000 }
+    ]);
+    assert.deepEqual(feeAdjustments.fineIncreases(rule, '2026-06-15', 13000, '2026-12-31'), [
+        { date: '2026-06-26', amountPaise: 1000 },
+        { date: '2026-06-27', amountPaise: 1000 }
+    ]);
+    assert.deepEqual(feeAdjustments.fineIncreases(rule, '2026-06-15', 15000, '2026-12-31'), []);
+    assert.deepEqual(feeAdjustments.fineIncreases({ flat: 50 }, '2026-06-15', 0, '2026-12-31'), [{ date: '2026-06-16', amountPaise: 5000 }]);
+});
+
+test('fines accrue for a student who never pays, each posted the day it accrued', () => {
+    const state = registeredStudent();
+    ledger.accrueFines(state.feeLedger, state.records, [structure], '2026-06-24');
+    assert.equal(state.record.currentDue, 12120);
+    ledger.accrueFines(state.feeLedger, state.records, [structure], '2026-06-24');
+    ledger.accrueFines(state.feeLedger, state.records, [structure], '2026-07-31');
+    assert.equal(state.record.currentDue, 12150);
+    assert.equal(state.record.totalFee, 12150);
+
+    const fines = state.feeLedger['CB25-05-1'].filter(entry => entry.type === 'fine');
+    assert.deepEqual(fines.map(entry => [localDate(entry.postedAt), entry.amountPaise, entry.installment]), [
+        ['2026-06-23', 11000, 'Term 1'],
+        ['2026-06-24', 1000, 'Term 1'],
+        ['2026-06-25', 1000, 'Term 1'],
+        ['2026-06-26', 1000, 'Term 1'],
+        ['2026-06-27', 1000, 'Term 1']
+    ]);
+    const fineLine = state.record.feeLines.find(feeAdjustments.isFine);
+    assert.equal(fineLine.amountPaise, 15000);
+    assert.equal(fees.checkFeeLines(state.record.feeLines, state.record), null);
+});
+
+test('a fine stops growing once its installment is paid', () => {
+    const state = registeredStudent();
+    ledger.accrueFines(state.feeLedger, state.records, [structure], '2026-06-23');
+    pay(state, 6110, new Date('2026-06-23T11:00:00').toISOString());
+    ledger.accrueFines(state.feeLedger, state.records, [structure], '2026-12-20');
+    assert.equal(state.record.currentDue, 6000);
+    assert.equal(state.feeLedger['CB25-05-1'].filter(entry => entry.type === 'fine').length, 1);
+});
+
+test('fines from before registration are posted when the student was registered', () => {
+    const state = registeredStudent();
+    state.record.registeredDate = new Date('2026-06-24T09:30:00').toISOString();
+    ledger.accrueFines(state.feeLedger, state.records, [structure], '2026-06-26');
+    const fines = state.feeLedger['CB25-05-1'].filter(entry => entry.type === 'fine');
+    assert.deepEqual(fines.map(entry => [entry.postedAt, entry.amountPaise]), [
+        [state.record.registeredDate, 12000],
+        [new Date('2026-06-25T00:00:00').toISOString(), 1000],
+        [new Date('2026-06-26T00:00:00').toISOString(), 1000]
+    ]);
+});
+
+test('a statement carries fines in the balance from the day they accrued', () => {
+    const state = registeredStudent();
+    ledger.accrueFines(state.feeLedger, state.records, [structure], '2026-06-24');
+    pay(state, 1000, new Date('2026-07-10T12:00:00').toISOString());
+    ledger.accrueFines(state.feeLedger, state.records, [structure], '2026-07-10');
+    const entries = state.feeLedger['CB25-05-1'];
+
+    const full = ledger.statement(entries, { academicYear: '2026-27' });
+    assert.deepEqual(full.entries.map(entry => [entry.type, entry.amount, entry.balance]), [
+        ['charge', 6000, 6000],
+        ['charge', 6000, 12000],
+        ['fine', 110, 12110],
+        ['fine', 10, 12120],
+        ['fine', 10, 12130],
+        ['fine', 10, 12140],
+        ['fine', 10, 12150],
+        ['payment', -1000, 11150]
+    ]);
+    assert.equal(full.closingBalance, 11150);
+    assert.equal(full.totals.fine, 150);
+
+    const july = ledger.statement(entries, { academicYear: '2026-27', from: '2026-07-01' });
+    assert.equal(july.openingBalance, 12150);
+    assert.deepEqual(july.entries.map(entry => entry.type), ['payment']);
+    assert.equal(july.closingBalance, 11150);
+
+    const lateJune = ledger.statement(entries, { academicYear: '2026-27', from: '2026-06-25', to: '2026-06-30' });
+    assert.equal(lateJune.openingBalance, 12120);
+    assert.equal(lateJune.closingBalance, 12150);
+});
+
+test('figures separate what was paid from what is due, voids included', () => {
+    const state = registeredStudent();
+    pay(state, 2500.55, new Date('2026-06-02T10:00:00').toISOString());
+    const entries = state.feeLedger['CB25-05-1'];
+    assert.deepEqual(ledger.figures(entries, '2026-27'), { totalFee: 12000, currentDue: 9499.45, totalPaid: 2500.55 });
+    const payment = ledger.findOpen(entries, 'payment', 'FEE_1');
+    ledger.post(state.feeLedger, 'CB25-05-1', { academicYear: '2026-27', type: 'reversal', amountPaise: 250055, description: 'Voided', reference: 'FEE_1', reverses: payment.id, postedAt: new Date().toISOString() });
+    assert.deepEqual(ledger.figures(entries, '2026-27'), { totalFee: 12000, currentDue: 12000, totalPaid: 0 });
+    assert.equal(ledger.findOpen(entries, 'payment', 'FEE_1'), null);
+});
+
+test('entries posted at the same moment for different students keep their own ids', () => {
+    const feeLedger = {};
+    const postedAt = new Date('2026-06-01T10:00:00').toISOString();
+    const posted = ['CB25-05-1', 'CB25-05-2'].map(studentCode =>
+        ledger.post(feeLedger, studentCode, { academicYear: '2026-27', type: 'charge', amountPaise: 100000, description: 'Term 1 tuition', postedAt }));
+    assert.notEqual(posted[0].id, posted[1].id);
+    assert.ok(posted.every(entry => /^LED_[\w-]+$/.test(entry.id)));
+});
+
+test('records from before the ledger open with the totals they had', () => {
+    const feeLedger = {};
+    const records = { 'CB25-04-2': { studentCode: 'CB25-04-2', academicYear: '2026-27', totalFee: 15000, currentDue: 4000.25, carriedForwardDue: 3000, registeredDate: '2026-04-01T00:00:00.000Z' } };
+    ledger.deriveBalances(feeLedger, records);
+    assert.deepEqual(feeLedger['CB25-04-2'].map(entry => [entry.type, entry.amountPaise]), [
+        ['carry-forward', 300000],
+        ['charge', 1200000],
+        ['payment', -1099975]
+    ]);
+    ledger.deriveBalances(feeLedger, records);
+    assert.equal(feeLedger['CB25-04-2'].length, 3);
+    assert.equal(records['CB25-04-2'].currentDue, 4000.25);
+});
@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers/server');
+
+// Requests that read and write data are serialized by the data lock, which
+// is held until the handler is done, whatever happens to the connection
+
+function registration(roll) {
+    return { studentClass: '6', studentRoll: String(roll), studentName: `Student ${roll}`, fatherName: 'Parent', totalFee: 1000, academicYear: '2026-27' };
+}
+
+async function registeredRolls(admin) {
+    const response = await admin.get('/api/registered-students');
+    assert.equal(response.status, 200);
+    return response.body.map(student => Number(student.studentRoll)).sort((a, b) => a - b);
+}
+
+test('concurrent writes do not overwrite each other', async t => {
+    const server = await startServer();
+    t.after(() => server.stop());
+    const admin = await server.as('admin');
+
+    const rolls = Array.from({ length: 12 }, (value, index) => index + 1);
+    const responses = await Promise.all(rolls.map(roll => admin.post('/api/register-student', registration(roll))));
+    responses.forEach(response => assert.equal(response.status, 200, JSON.stringify(response.body)));
+    assert.deepEqual(await registeredRolls(admin), rolls);
+});
+
+test('a client that disconnects does not release the lock early', async t => {
+    const server = await startServer();
+    t.after(() => server.stop());
+    const admin = await server.as('admin');
+
+    const controller = new AbortController();
+    const aborted = fetch(`${server.baseUrl}/api/register-student`, {
+        method: 'POST',
+        headers: { Authorization: `Bearer ${admin.token}`, 'Content-Type': 'application/json' },
+        body: JSON.stringify(registration(1)),
+        signal: controller.signal
+    }).catch(error => error);
+    // Abort as soon as the handler has started, then queue more writes behind it
+    while (!server.output().includes('Student registration request received')) {
+        await new Promise(resolve => setTimeout(resolve, 1));
+    }
+    controller.abort();
+    const rolls = [2, 3, 4, 5, 6];
+    const responses = await Promise.all(rolls.map(roll => admin.post('/api/register-student', registration(roll))));
+    responses.forEach(response => assert.equal(response.status, 200, JSON.stringify(response.body)));
+    assert.equal((await aborted).name, 'AbortError');
+    assert.deepEqual(await registeredRolls(admin), [1, ...rolls]);
+});
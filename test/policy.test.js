@@ -0,0 +1,118 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const policy = require('../lib/policy');
+const { startServer } = require('./helpers/server');
+
+// Runs authorize() for a request and returns the status it was refused with,
+// or null when it was let through
+function authorizeStatus(method, url, user, body = {}) {
+    let status = null;
+    const res = { status(code) { status = code; return this; }, json() { return this; } };
+    const req = { method, baseUrl: '/api', path: url.replace(/^\/api/, ''), originalUrl: url, user, body };
+    let passed = false;
+    policy.authorize(req, res, () => { passed = true; });
+    return passed ? null : status;
+}
+
+const faculty = { code: 'CB2505', role: 'faculty', classCode: '5' };
+const student = { code: 'CB25-05-1', role: 'student', classCode: '5' };
+const parent = { code: 'P1', role: 'parent', linkedStudents: ['CB25-05-1'], linkedClasses: ['5'] };
+
+test('every /api route of the server has a policy', () => {
+    const source = fs.readFileSync(path.join(__dirname, '..', 'server.js'), 'utf8');
+    const routes = [...source.matchAll(/app\.(get|post|put|delete)\('(\/api\/[^']+)'/g)]
+        .map(([, method, route]) => [method.toUpperCase(), route])
+        .filter(([, route]) => route !== '/api/auth/login');
+    assert.ok(routes.length > 30);
+    const declared = new Set(policy.POLICIES.map(entry => `${entry.method} ${entry.path}`));
+    assert.deepEqual(routes.filter(([method, route]) => !declared.has(`${method} ${route}`)), []);
+});
+
+test('a route is refused unless the role may call it and owns the record', () => {
+    const admin = { code: 'CB25-A', role: 'admin' };
+    assert.equal(authorizeStatus('GET', '/api/no-such-route', admin), 404);
+    assert.equal(authorizeStatus('POST', '/api/register-student', faculty), 403);
+    assert.equal(authorizeStatus('POST', '/api/register-student', admin), null);
+
+    assert.equal(authorizeStatus('GET', '/api/student-data/CB25-05-1', student), null);
+    assert.equal(authorizeStatus('GET', '/api/student-data/cb25-05-1', parent), null);
+    assert.equal(authorizeStatus('GET', '/api/student-data/CB25-05-2', student), 403);
+    assert.equal(authorizeStatus('GET', '/api/student-data/CB25-05-2', parent), 403);
+    assert.equal(authorizeStatus('GET', '/api/student-data/CB25-05-2', admin), null);
+});
+
+test('faculty only teach their own class and parents only reach linked students', () => {
+    assert.ok(policy.canTeachClass(faculty, '5'));
+    assert.ok(!policy.canTeachClass(faculty, '6'));
+    assert.ok(!policy.canTeachClass(student, '5'));
+    assert.ok(policy.canTeachClass({ role: 'admin' }, '6'));
+    assert.ok(policy.canAccessStudent(parent, 'cb25-05-1'));
+    assert.ok(!policy.canAccessStudent(parent, 'CB25-05-2'));
+    assert.ok(policy.canAccessStudent({ role: 'receptionist' }, 'CB25-05-2'));
+});
+
+test('the server refuses other classes and other students', async t => {
+    const server = await startServer();
+    t.after(() => server.stop());
+    const admin = await server.as('admin');
+    const teacher = await server.as('faculty');
+
+    const pins = {};
+    for (const roll of ['1', '2']) {
+        const registered = await admin.post('/api/register-student', { studentClass: '5', studentRoll: roll, studentName: `Student ${roll}`, fatherName: 'Parent', totalFee: 1000, academicYear: '2026-27' });
+        assert.equal(registered.status, 200, JSON.stringify(registered.body));
+        pins[registered.body.studentRecord.studentCode] = registered.body.initialPin;
+    }
+    const [first, second] = Object.keys(pins);
+    const pupil = await server.as('student', first, pins[first]);
+
+    assert.equal((await teacher.post('/api/faculty-posts', { classCode: '6', type: 'homework', text: 'Read chapter 2' })).status, 403);
+    assert.equal((await teacher.post('/api/faculty-posts', { classCode: '5', type: 'homework', text: 'Read chapter 2' })).status, 200);
+    assert.equal((await teacher.post('/api/register-student', { studentClass: '5', studentRoll: '3', studentName: 'Student 3', fatherName: 'Parent', totalFee: 1000, academicYear: '2026-27' })).status, 403);
+    assert.equal((await pupil.get(`/api/student-data/${first}`)).status, 200);
+    assert.equal((await pupil.get(`/api/student-data/${second}`)).status, 403);
+});
+
+test('parents only see the students linked to their account', async t => {
+    const server = await startServer();
+    t.after(() => server.stop());
+    const admin = await server.as('admin');
+    const receptionist = await server.as('receptionist');
+
+    const codes = [];
+    for (const roll of ['1', '2']) {
+        const registered = await admin.post('/api/register-student', { studentClass: '5', studentRoll: roll, studentName: `Student ${roll}`, fatherName: 'Parent', totalFee: 1000, academicYear: '2026-27' });
+        assert.equal(registered.status, 200, JSON.stringify(registered.body));
+        codes.push(registered.body.studentRecord.studentCode);
+    }
+    const [first, second] = codes;
+
+    assert.equal((await receptionist.post('/api/parents', { parentName: 'Parent', studentCodes: ['CB25-05-9'] })).status, 400);
+    const created = await receptionist.post('/api/parents', { parentName: 'Parent', phone: '9876543210', studentCodes: [first] });
+    assert.equal(created.status, 200, JSON.stringify(created.body));
+    const { parentCode } = created.body.parent;
+    let guardian = await server.as('parent', parentCode, created.body.initialPin);
+
+    const children = await guardian.get('/api/parent/children');
+    assert.deepEqual(children.body.map(child => child.studentCode), [first]);
+    assert.equal((await guardian.get(`/api/student-data/${first}`)).status, 200);
+    assert.equal((await guardian.get(`/api/student-data/${second}`)).status, 403);
+    assert.equal((await guardian.get('/api/parents')).status, 403);
+
+    const linked = await receptionist.post(`/api/parents/${parentCode}/students`, { studentCode: second });
+    assert.deepEqual(linked.body.parent.linkedStudents.map(child => child.studentCode), [first, second]);
+    assert.equal((await guardian.get(`/api/student-data/${second}`)).status, 200);
+
+    const unlinked = await receptionist.delete(`/api/parents/${parentCode}/students/${first}`);
+    assert.deepEqual(unlinked.body.parent.linkedStudents.map(child => child.studentCode), [second]);
+    assert.equal((await guardian.get(`/api/student-data/${first}`)).status, 403);
+    assert.equal((await receptionist.delete(`/api/parents/${parentCode}/students/${first}`)).status, 404);
+
+    const reset = await receptionist.post(`/api/parents/${parentCode}/reset-password`);
+    assert.equal(reset.status, 200, JSON.stringify(reset.body));
+    assert.equal((await guardian.get('/api/parent/children')).status, 401);
+    guardian = await server.as('parent', parentCode, reset.body.pin);
+    assert.deepEqual((await guardian.get('/api/parent/children')).body.map(child => child.studentCode), [second]);
+});
@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const progressCards = require('../lib/progressCards');
+const { startServer } = require('./helpers/server');
+
+// Cards leave the dashboard when their display days run out but stay part of
+// the student's history, traced subject by subject across the terms
+
+function card(examType, postingDate, maths, science) {
+    return {
+        studentCode: 'CB25-05-1', classCode: '5', examType, postingDate,
+        subjects: { Maths: { percentage: maths, grade: 'B' }, Science: { percentage: science } }
+    };
+}
+
+test('a card is on the dashboard until its expiry date', () => {
+    const now = new Date('2026-07-15T12:00:00.000Z');
+    assert.equal(progressCards.isVisible({}, now), true);
+    assert.equal(progressCards.isVisible({ expiryDate: '2026-07-16T00:00:00.000Z' }, now), true);
+    assert.equal(progressCards.isVisible({ expiryDate: '2026-07-15T12:00:00.000Z' }, now), false);
+});
+
+test('the history orders cards by year and date and traces each subject', () => {
+    const { years, trends } = progressCards.studentHistory([
+        { academicYear: '2026-27', cards: [card('Unit Test 1', '2026-07-20', 70, 'n/a')] },
+        { academicYear: '2025-26', cards: [card('Final', '2026-03-20', 62.5, 80), card('Half Yearly', '2025-10-01', 50, 75)] }
+    ]);
+    assert.deepEqual(years.map(year => [year.academicYear, year.cards.map(entry => entry.examType)]), [
+        ['2025-26', ['Half Yearly', 'Final']],
+        ['2026-27', ['Unit Test 1']]
+    ]);
+    assert.deepEqual(trends.Maths.points.map(point => point.percentage), [50, 62.5, 70]);
+    assert.equal(trends.Maths.change, 20);
+    assert.deepEqual(trends.Science.points.map(point => point.percentage), [75, 80, null]);
+    assert.equal(trends.Science.change, 5);
+    assert.equal(trends.Science.points[0].grade, null);
+});
+
+test('an expired card stays in the class list and the student history', async t => {
+    const server = await startServer();
+    t.after(() => server.stop());
+    const admin = await server.as('admin');
+    const faculty = await server.as('faculty');
+    const registered = await admin.post('/api/register-student', { studentClass: '5', studentRoll: '1', studentName: 'Student 1', fatherName: 'Parent', totalFee: 1000, academicYear: '2026-27' });
+    assert.equal(registered.status, 200, JSON.stringify(registered.body));
+
+    const posted = await faculty.post('/api/create-progress-card', {
+        classCode: '5', rollNumber: '1', fullName: 'Student 1', fatherName: 'Parent', examType: 'Unit Test 1',
+        postingDate: '2026-07-20', displayDays: 7,
+        subjects: { Maths: { maxMarks: 50, obtainedMarks: 40 } }
+    });
+    assert.equal(posted.status, 200, JSON.stringify(posted.body));
+    await server.restart(data => {
+        data.progressCards[5][0].expiryDate = new Date(Date.now() - 60000).toISOString();
+    });
+
+    const student = await server.as('student', 'CB25-05-1', registered.body.initialPin);
+    assert.deepEqual((await student.get('/api/progress-cards/5')).body, []);
+    const classCards = (await faculty.get('/api/progress-cards/5')).body;
+    assert.deepEqual(classCards.map(entry => [entry.studentCode, entry.visible]), [['CB25-05-1', false]]);
+
+    const history = await student.get('/api/students/CB25-05-1/progress-history');
+    assert.equal(history.status, 200, JSON.stringify(history.body));
+    assert.deepEqual(history.body.studentCodes, ['CB25-05-1']);
+    assert.deepEqual(history.body.years.map(year => year.cards.length), [1]);
+    assert.deepEqual(history.body.trends.Maths.points.map(point => point.percentage), [80]);
+    assert.equal((await student.get('/api/students/CB25-05-2/progress-history')).status, 403);
+    assert.equal((await (await server.as('faculty', 'CB2506')).get('/api/students/CB25-05-1/progress-history')).status, 403);
+});
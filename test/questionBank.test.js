@@ -0,0 +1,98 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const questionBank = require('../lib/questionBank');
+const { startServer } = require('./helpers/server');
+
+// Assignments copy questions from the teacher's own bank, picked or drawn at
+// random, and a shuffled assignment is marked in the order each student saw
+
+const options = { a: 'Red', b: 'Green', c: 'Blue', d: 'White' };
+
+test('bank questions are filtered, copied and drawn without repeats', () => {
+    const bank = [
+        { id: 'QB_1', facultyCode: 'CB2505', subject: 'Science', chapter: 'Light', difficulty: 'easy', question: 'Sky colour?', options, correctAnswer: 'c', createdAt: 'x' },
+        { id: 'QB_2', facultyCode: 'CB2505', subject: 'science', difficulty: 'hard', type: 'truefalse', question: 'Light bends?', correctAnswer: true },
+        { id: 'QB_3', facultyCode: 'CB2506', subject: 'Science', difficulty: 'easy', type: 'truefalse', question: 'Sun is a star?', correctAnswer: true }
+    ];
+    assert.deepEqual(questionBank.filterBank(bank, { facultyCode: 'CB2505', subject: ' SCIENCE ' }).map(entry => entry.id), ['QB_1', 'QB_2']);
+    assert.deepEqual(questionBank.filterBank(bank, { chapter: 'light' }).map(entry => entry.id), ['QB_1']);
+    assert.deepEqual(questionBank.toAssignmentQuestion(bank[0]), { bankQuestionId: 'QB_1', question: 'Sky colour?', options, correctAnswer: 'c' });
+    assert.deepEqual(questionBank.sample(bank, 2, new Set(['QB_1'])).map(entry => entry.id).sort(), ['QB_2', 'QB_3']);
+    assert.equal(questionBank.sample(bank, 3, new Set(['QB_1'])), null);
+});
+
+test('answers given under a layout are mapped back to the assignment', () => {
+    const assignment = {
+        shuffleQuestions: true,
+        shuffleOptions: true,
+        questions: [{ question: 'Sky colour?', options, correctAnswer: 'c' }, { type: 'truefalse', question: 'Light bends?', correctAnswer: true }]
+    };
+    const layout = [{ question: 1 }, { question: 0, options: ['c', 'd', 'a', 'b'] }];
+    const shown = questionBank.layoutQuestions(assignment, layout);
+    assert.deepEqual(shown.map(question => question.question), ['Light bends?', 'Sky colour?']);
+    assert.deepEqual(shown[1].options, { a: 'Blue', b: 'White', c: 'Red', d: 'Green' });
+    assert.equal(shown[1].correctAnswer, undefined);
+    assert.deepEqual(questionBank.originalAnswers(layout, [true, 'a']), ['c', true]);
+    assert.deepEqual(questionBank.originalAnswers(layout, [true, 'z']), ['z', true]);
+
+    const drawn = questionBank.createLayout(assignment);
+    assert.deepEqual(drawn.map(slot => slot.question).sort(), [0, 1]);
+    assert.deepEqual([...drawn.find(slot => slot.question === 0).options].sort(), ['a', 'b', 'c', 'd']);
+    assert.equal(questionBank.createLayout({ questions: assignment.questions }), null);
+});
+
+test('a teacher sets an assignment from their bank and each student answers their own order', async t => {
+    const server = await startServer();
+    t.after(() => server.stop());
+    const admin = await server.as('admin');
+    const faculty = await server.as('faculty');
+    const otherFaculty = await server.as('faculty', 'CB2506');
+    const registered = await admin.post('/api/register-student', { studentClass: '5', studentRoll: '1', studentName: 'Student 1', fatherName: 'Parent', totalFee: 1000, academicYear: '2026-27' });
+    assert.equal(registered.status, 200, JSON.stringify(registered.body));
+
+    const ids = [];
+    for (const entry of [
+        { subject: 'Science', chapter: 'Light', difficulty: 'easy', question: 'Sky colour?', options, correctAnswer: 'c' },
+        { subject: 'Science', chapter: 'Light', difficulty: 'hard', type: 'truefalse', question: 'Light bends?', correctAnswer: true },
+        { subject: 'Science', chapter: 'Sound', type: 'numeric', question: 'Speed of sound in m/s?', correctAnswer: 343, tolerance: 5 }
+    ]) {
+        const added = await faculty.post('/api/question-bank', entry);
+        assert.equal(added.status, 200, JSON.stringify(added.body));
+        ids.push(added.body.question.id);
+    }
+    assert.equal((await faculty.post('/api/question-bank', { subject: 'Science', difficulty: 'tricky', question: 'Q?', options, correctAnswer: 'a' })).status, 400);
+    assert.equal((await otherFaculty.put(`/api/question-bank/${ids[0]}`, { subject: 'Science', question: 'Mine now?', options, correctAnswer: 'a' })).status, 403);
+    assert.deepEqual((await otherFaculty.get('/api/question-bank')).body.questions, []);
+    const bank = (await faculty.get('/api/question-bank?chapter=light')).body;
+    assert.deepEqual(bank.questions.map(entry => entry.id), ids.slice(0, 2));
+    assert.deepEqual(bank.subjects, ['Science']);
+
+    const tooFew = await faculty.post('/api/create-assignment', {
+        classCode: '5', title: 'Light', assignmentDate: '2026-07-01', randomQuestions: [{ chapter: 'Light', count: 3 }]
+    });
+    assert.equal(tooFew.status, 400);
+    assert.deepEqual(tooFew.body.errors.map(error => error.field), ['randomQuestions[0]']);
+    const created = await faculty.post('/api/create-assignment', {
+        classCode: '5', title: 'Light and sound', assignmentDate: '2026-07-01',
+        bankQuestionIds: [ids[2]], randomQuestions: [{ chapter: 'Light', count: 2 }], shuffleQuestions: true, shuffleOptions: true
+    });
+    assert.equal(created.status, 200, JSON.stringify(created.body));
+    const { assignment } = created.body;
+    assert.deepEqual(assignment.questions.map(question => question.bankQuestionId).sort(), [...ids].sort());
+    assert.equal((await faculty.delete(`/api/question-bank/${ids[0]}`)).status, 200);
+
+    const student = await server.as('student', 'CB25-05-1', registered.body.initialPin);
+    const early = await student.post('/api/submit-assignment', { assignmentId: assignment.id, classCode: '5', answers: ['a', 'b', 'c'] });
+    assert.equal(early.status, 409);
+    const started = await student.post(`/api/assignments/${assignment.id}/start`);
+    assert.equal(started.status, 200, JSON.stringify(started.body));
+    const answers = started.body.questions.map(question => {
+        if (question.type === 'truefalse') return true;
+        if (question.type === 'numeric') return 340;
+        return Object.keys(question.options).find(letter => question.options[letter] === 'Blue');
+    });
+    const submitted = await student.post('/api/submit-assignment', { assignmentId: assignment.id, classCode: '5', answers });
+    assert.equal(submitted.status, 200, JSON.stringify(submitted.body));
+    assert.deepEqual([submitted.body.submission.score, submitted.body.submission.maxScore], [3, 3]);
+    assert.deepEqual(submitted.body.submission.results.map(result => result.question), assignment.questions.map(question => question.question));
+});
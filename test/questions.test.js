@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const questions = require('../lib/questions');
+const { startServer } = require('./helpers/server');
+
+// Each question type is marked on submission, all or nothing, except short
+// answers, which wait in the faculty grading queue
+
+const options = { a: '1', b: '2', c: '3', d: '4' };
+const paper = [
+    { question: 'Half of 4?', options, correctAnswer: 'b' },
+    { type: 'multi', question: 'Even numbers?', marks: 2, options, correctAnswers: ['b', 'd'] },
+    { type: 'truefalse', question: 'Is 7 prime?', correctAnswer: true },
+    { type: 'numeric', question: 'g in m/s²?', correctAnswer: 9.81, tolerance: 0.05 },
+    { type: 'fillblank', question: 'Capital of India?', acceptedAnswers: ['New Delhi', 'Delhi'] },
+    { type: 'short', question: 'Why is the sky blue?', marks: 3, modelAnswer: 'Scattering' }
+];
+
+test('questions whose fields do not fit their type are reported', () => {
+    assert.deepEqual(paper.map(questions.checkQuestion), [null, null, null, null, null, null]);
+    assert.equal(questions.checkQuestion({ options, correctAnswer: 'e' }), 'needs a correctAnswer of a, b, c or d');
+    assert.equal(questions.checkQuestion({ type: 'multi', options, correctAnswers: ['a', 'a'] }), 'must not repeat a correct answer');
+    assert.equal(questions.checkQuestion({ type: 'truefalse', correctAnswer: 'true' }), 'needs a correctAnswer of true or false');
+    assert.equal(questions.checkQuestion({ type: 'numeric', correctAnswer: Infinity }), 'needs a numeric correctAnswer');
+    assert.equal(questions.checkQuestion({ type: 'fillblank', acceptedAnswers: [] }), 'needs at least one accepted answer');
+});
+
+test('answers are marked by type', () => {
+    const marked = (question, answer) => questions.gradeAnswer(question, answer).marksAwarded;
+    assert.equal(marked(paper[0], 'b'), 1);
+    assert.equal(marked(paper[1], ['d', 'b']), 2);
+    assert.equal(marked(paper[1], ['b']), 0);
+    assert.equal(marked(paper[2], 'true'), 1);
+    assert.equal(marked(paper[3], '9.86'), 1);
+    assert.equal(marked(paper[3], 9.87), 0);
+    assert.equal(marked({ type: 'numeric', correctAnswer: 0.3 }, 0.1 + 0.2), 1);
+    assert.equal(marked(paper[4], '  new   delhi '), 1);
+    assert.deepEqual(questions.gradeAnswer(paper[5], ' Light scatters '), { studentAnswer: 'Light scatters', isCorrect: null, marksAwarded: null, pending: true });
+    assert.deepEqual(questions.gradeAnswer(paper[3], ''), { studentAnswer: null, isCorrect: false, marksAwarded: 0, pending: false });
+    assert.throws(() => questions.gradeAnswer(paper[3], 'ten'), { message: 'must be a number' });
+    assert.throws(() => questions.gradeAnswer(paper[5], 'x'.repeat(questions.MAX_ANSWER_LENGTH + 1)), /at most/);
+});
+
+test('a short answer keeps the submission pending until a teacher grades it', async t => {
+    const server = await startServer();
+    t.after(() => server.stop());
+    const admin = await server.as('admin');
+    const faculty = await server.as('faculty');
+    const registered = await admin.post('/api/register-student', { studentClass: '5', studentRoll: '1', studentName: 'Student 1', fatherName: 'Parent', totalFee: 1000, academicYear: '2026-27' });
+    assert.equal(registered.status, 200, JSON.stringify(registered.body));
+
+    const invalid = await faculty.post('/api/create-assignment', {
+        classCode: '5', title: 'Mixed', assignmentDate: '2026-07-01', questions: [{ type: 'truefalse', question: 'Is 7 prime?', correctAnswer: 'yes' }]
+    });
+    assert.equal(invalid.status, 400);
+    const created = await faculty.post('/api/create-assignment', { classCode: '5', title: 'Mixed', assignmentDate: '2026-07-01', questions: paper });
+    assert.equal(created.status, 200, JSON.stringify(created.body));
+    const assignmentId = created.body.assignment.id;
+
+    const student = await server.as('student', 'CB25-05-1', registered.body.initialPin);
+    const wrongType = await student.post('/api/submit-assignment', { assignmentId, classCode: '5', answers: ['b', 'b', 'true', 'ten', 'Delhi', 'Scattering'] });
+    assert.equal(wrongType.status, 400);
+    assert.deepEqual(wrongType.body.errors, [{ field: 'answers[1]', message: 'must be a list of options from a, b, c and d' }, { field: 'answers[3]', message: 'must be a number' }]);
+    const submitted = await student.post('/api/submit-assignment', { assignmentId, classCode: '5', answers: ['b', ['b', 'd'], false, 9.8, 'delhi', 'Light scatters'] });
+    assert.equal(submitted.status, 200, JSON.stringify(submitted.body));
+    assert.deepEqual([submitted.body.submission.score, submitted.body.submission.maxScore, submitted.body.submission.status], [5, 9, 'pending']);
+
+    const { queue } = (await faculty.get('/api/grading-queue/5')).body;
+    assert.deepEqual(queue.map(entry => [entry.studentCode, entry.answers.map(answer => [answer.questionIndex, answer.studentAnswer])]), [['CB25-05-1', [[5, 'Light scatters']]]]);
+
+    const automatic = await faculty.post(`/api/assignment-results/${assignmentId}/grade`, { studentCode: 'CB25-05-1', grades: [{ questionIndex: 0, marksAwarded: 1 }] });
+    assert.deepEqual(automatic.body.errors, [{ field: 'grades[0].questionIndex', message: 'is marked automatically' }]);
+    const tooMany = await faculty.post(`/api/assignment-results/${assignmentId}/grade`, { studentCode: 'CB25-05-1', grades: [{ questionIndex: 5, marksAwarded: 4 }] });
+    assert.equal(tooMany.status, 400);
+    const graded = await faculty.post(`/api/assignment-results/${assignmentId}/grade`, { studentCode: 'cb25-05-1', grades: [{ questionIndex: 5, marksAwarded: 2, feedback: 'Name the effect' }] });
+    assert.equal(graded.status, 200, JSON.stringify(graded.body));
+    assert.deepEqual([graded.body.submission.score, graded.body.submission.status, graded.body.submission.gradedBy], [7, 'graded', 'CB2505']);
+    assert.deepEqual((await faculty.get('/api/grading-queue/5')).body.queue, []);
+    const otherClass = await (await server.as('faculty', 'CB2506')).post(`/api/assignment-results/${assignmentId}/grade`, { studentCode: 'CB25-05-1', grades: [{ questionIndex: 5, marksAwarded: 3 }] });
+    assert.equal(otherClass.status, 403);
+});
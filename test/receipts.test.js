@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fees = require('../lib/fees');
+const { startServer } = require('./helpers/server');
+
+// Receipts are numbered in one sequence per academic year, and a voided
+// receipt keeps its number and puts the amount back on the due
+
+test('receipt numbers follow on within each academic year', () => {
+    const certificates = [
+        { academicYear: '2025-26', receiptSequence: 7 },
+        { academicYear: '2026-27', receiptSequence: 2, status: 'voided' },
+        { academicYear: '2026-27' }
+    ];
+    assert.equal(fees.nextReceiptSequence(certificates, '2026-27'), 3);
+    assert.equal(fees.nextReceiptSequence(certificates, '2027-28'), 1);
+    assert.equal(fees.formatReceiptNumber('2026-27', 3), '2026-27/00003');
+    assert.equal(fees.isVoided(certificates[1]), true);
+
+    const lines = [{ installment: 'Term 1', dueDate: '2026-06-15', head: 'tuition', amountPaise: 500000, paidPaise: 300000 }];
+    assert.deepEqual(fees.reverseAllocations(lines, [{ installment: 'Term 1', head: 'tuition', amountPaise: 100000 }])[0].paidPaise, 200000);
+});
+
+test('receipts are numbered in sequence and voiding one never frees its number', async t => {
+    const server = await startServer();
+    t.after(() => server.stop());
+    const admin = await server.as('admin');
+    const receptionist = await server.as('receptionist');
+
+    const codes = [];
+    for (const roll of ['1', '2']) {
+        const registered = await admin.post('/api/register-student', { studentClass: '5', studentRoll: roll, studentName: `Student ${roll}`, fatherName: 'Parent', totalFee: 10000, academicYear: '2026-27' });
+        assert.equal(registered.status, 200, JSON.stringify(registered.body));
+        codes.push(registered.body.studentRecord.studentCode);
+    }
+    const pay = (studentCode, amountPaid) => receptionist.post('/api/fee-certificates', { studentCode, amountPaid, paymentMode: 'cash' });
+
+    const receipts = [];
+    for (const [studentCode, amount] of [[codes[0], 2500.5], [codes[1], 4000], [codes[0], 1000]]) {
+        const paid = await pay(studentCode, amount);
+        assert.equal(paid.status, 200, JSON.stringify(paid.body));
+        receipts.push(paid.body.certificate);
+    }
+    const year = receipts[0].academicYear;
+    assert.deepEqual(receipts.map(receipt => receipt.receiptNumber), [`${year}/00001`, `${year}/00002`, `${year}/00003`]);
+
+    const first = receipts[0];
+    const noReason = await admin.post(`/api/admin/fee-certificates/${first.id}/void`, {});
+    assert.equal(noReason.status, 400);
+    assert.equal((await receptionist.post(`/api/admin/fee-certificates/${first.id}/void`, { reason: 'Wrong student' })).status, 403);
+    const voided = await admin.post(`/api/admin/fee-certificates/${first.id}/void`, { reason: 'Wrong student' });
+    assert.equal(voided.status, 200, JSON.stringify(voided.body));
+    assert.equal(voided.body.certificate.status, 'voided');
+    assert.equal(voided.body.currentDue, 9000);
+    assert.equal((await admin.post(`/api/admin/fee-certificates/${first.id}/void`, { reason: 'Again' })).status, 409);
+    const studentCopies = (await admin.get(`/api/student-fee-certificates/${codes[0]}`)).body;
+    assert.equal(studentCopies.find(receipt => receipt.id === first.id).status, 'voided');
+
+    const next = await pay(codes[1], 500);
+    assert.equal(next.body.certificate.receiptNumber, `${year}/00004`);
+    const listed = await admin.get('/api/admin/fee-certificates');
+    const kept = listed.body.find(receipt => receipt.id === first.id);
+    assert.equal(kept.status, 'voided');
+    assert.equal(kept.voidReason, 'Wrong student');
+
+    const all = await admin.post('/api/admin/fee-certificates/void-all', { reason: 'Start over' });
+    assert.equal(all.status, 200, JSON.stringify(all.body));
+    assert.deepEqual([all.body.voidedCount, all.body.skipped], [3, []]);
+    assert.ok(all.body.snapshotId);
+    const records = (await admin.get('/api/registered-students')).body;
+    assert.deepEqual(codes.map(code => records.find(record => record.studentCode === code).currentDue), [10000, 10000]);
+});
@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const schemas = require('../lib/schemas');
+const { startServer } = require('./helpers/server');
+
+// Records are checked against their declared schema before they are stored,
+// with one error per offending field, and the same check runs over what is
+// already on disk
+
+const attendance = {
+    id: 1, classCode: '5', facultyCode: 'CB2505', studentCode: 'CB25-05-1', month: 7, year: 2026,
+    studentName: 'Student 1', studentRoll: '1', totalWorkingDays: 20, attendedDays: 18, percentage: 90,
+    postedAt: '2026-07-31T10:00:00.000Z'
+};
+
+test('validate() names every offending field, nested ones by their path', () => {
+    assert.deepEqual(schemas.validate('attendance', attendance), []);
+    assert.deepEqual(schemas.validate('attendance', { ...attendance, classCode: '13', attendedDays: 21, studentRoll: 'abc' }), [
+        { field: 'classCode', message: `must be one of: ${schemas.CLASS_CODES.join(', ')}` },
+        { field: 'studentRoll', message: 'must be a roll number from 1 to 999' },
+        { field: 'attendedDays', message: 'cannot exceed totalWorkingDays' }
+    ]);
+    const { postedAt, ...missing } = attendance;
+    assert.deepEqual(schemas.validate('attendance', missing), [{ field: 'postedAt', message: 'is required' }]);
+
+    const errors = schemas.validate('progressCard', { subjects: { maths: { maxMarks: 50, obtainedMarks: 60 } } });
+    assert.ok(errors.some(error => error.field === 'subjects.maths.obtainedMarks' && error.message === 'cannot exceed maxMarks'));
+    assert.throws(() => schemas.validate('unknown', {}), /Unknown entity schema/);
+});
+
+test('pick() drops fields the schema does not declare', () => {
+    assert.deepEqual(schemas.pick('hallTicket', { examName: 'Term 1', isAdmin: true, studentCode: 'CB25-05-1' }), { examName: 'Term 1', studentCode: 'CB25-05-1' });
+});
+
+test('checkStoredData() reports where each invalid record is stored', () => {
+    const data = { monthlyAttendance: [attendance, { ...attendance, id: 2, month: 13 }], progressCards: { 5: [] } };
+    assert.deepEqual(schemas.checkStoredData(data), [
+        { location: 'monthlyAttendance[1]', entity: 'attendance', errors: [{ field: 'month', message: 'must be at most 12' }] }
+    ]);
+});
+
+test('the server refuses invalid records and reports invalid stored ones', async t => {
+    const server = await startServer();
+    t.after(() => server.stop());
+    const admin = await server.as('admin');
+
+    const refused = await admin.post('/api/register-student', { studentClass: '5', studentRoll: '1', studentName: 'S'.repeat(101), fatherName: 'Parent', totalFee: 1000, academicYear: '26-27' });
+    assert.equal(refused.status, 400);
+    assert.deepEqual(refused.body.errors.map(error => error.field), ['studentName', 'academicYear']);
+    assert.equal(refused.body.error, 'Validation failed: studentName must be at most 100 characters; academicYear has an invalid format');
+
+    assert.equal((await admin.post('/api/register-student', { studentClass: '5', studentRoll: '1', studentName: 'Student 1', fatherName: 'Parent', totalFee: 1000, academicYear: '2026-27' })).status, 200);
+    assert.deepEqual((await admin.get('/api/admin/schema-check')).body, { valid: true, violations: [] });
+
+    await server.restart(data => {
+        data.studentMasterRecords['CB25-05-1'].studentName = 'S'.repeat(101);
+    });
+    const checked = await admin.get('/api/admin/schema-check');
+    assert.equal(checked.body.valid, false);
+    assert.deepEqual(checked.body.violations, [{
+        location: 'studentMasterRecords.CB25-05-1',
+        entity: 'studentRecord',
+        errors: [{ field: 'studentName', message: 'must be at most 100 characters' }]
+    }]);
+});
@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs/promises');
+const os = require('node:os');
+const path = require('node:path');
+const { createSnapshots } = require('../lib/storage/snapshots');
+const { startServer } = require('./helpers/server');
+
+// Snapshots are pruned down to the hourly and daily ones, and restoring one
+// rolls the data back but keeps the login accounts
+
+const NOW = new Date('2026-07-15T12:00:00.000Z');
+
+async function snapshotDir(t, createdAts) {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'school-snapshots-'));
+    t.after(() => fs.rm(dir, { recursive: true, force: true }));
+    for (const createdAt of createdAts) {
+        const id = createdAt.replace(/[:.]/g, '-');
+        await fs.writeFile(path.join(dir, `snapshot-${id}.json`), JSON.stringify({ id, createdAt, reason: 'scheduled', data: {} }));
+    }
+    return dir;
+}
+
+test('prune() keeps the last hours and the newest snapshot of each recent day', async t => {
+    const dir = await snapshotDir(t, [
+        '2026-07-15T11:00:00.000Z',
+        '2026-07-14T13:00:00.000Z',
+        '2026-07-14T11:00:00.000Z',
+        '2026-07-14T09:00:00.000Z',
+        '2026-07-13T20:00:00.000Z',
+        '2026-07-13T08:00:00.000Z',
+        '2026-06-16T10:00:00.000Z',
+        '2026-06-10T10:00:00.000Z'
+    ]);
+    const snapshots = createSnapshots({ dir, hourly: 24, daily: 30 });
+
+    const removed = await snapshots.prune(NOW);
+    assert.deepEqual(removed, ['2026-07-14T09-00-00-000Z', '2026-07-13T08-00-00-000Z', '2026-06-10T10-00-00-000Z']);
+    assert.deepEqual((await snapshots.list()).map(snapshot => snapshot.id), [
+        '2026-07-15T11-00-00-000Z',
+        '2026-07-14T13-00-00-000Z',
+        '2026-07-14T11-00-00-000Z',
+        '2026-07-13T20-00-00-000Z',
+        '2026-06-16T10-00-00-000Z'
+    ]);
+    assert.deepEqual(await snapshots.prune(NOW), []);
+});
+
+test('list() leaves out unreadable snapshots without logging', async t => {
+    const dir = await snapshotDir(t, ['2026-07-15T11:00:00.000Z']);
+    await fs.writeFile(path.join(dir, 'snapshot-2026-07-15T10-00-00-000Z.json'), '{"id":');
+    const snapshots = createSnapshots({ dir });
+    const log = t.mock.method(console, 'log', () => {});
+
+    assert.deepEqual((await snapshots.list()).map(snapshot => snapshot.id), ['2026-07-15T11-00-00-000Z']);
+    assert.equal(log.mock.callCount(), 0);
+});
+
+test('restoring a snapshot rolls the data back but keeps the login accounts', async t => {
+    const server = await startServer();
+    t.after(() => server.stop());
+    const admin = await server.as('admin');
+    const registration = roll => ({ studentClass: '5', studentRoll: roll, studentName: `Student ${roll}`, fatherName: 'Parent', totalFee: 1000, academicYear: '2026-27' });
+
+    assert.equal((await admin.post('/api/register-student', registration('1'))).status, 200);
+    const taken = await admin.post('/api/admin/snapshots');
+    assert.equal(taken.status, 200, JSON.stringify(taken.body));
+    const second = await admin.post('/api/register-student', registration('2'));
+    assert.equal(second.status, 200);
+
+    const restored = await admin.post(`/api/admin/snapshots/${taken.body.snapshot.id}/restore`);
+    assert.equal(restored.status, 200, JSON.stringify(restored.body));
+    assert.deepEqual(restored.body.collections.studentMasterRecords.removed, ['CB25-05-2']);
+    assert.deepEqual((await admin.get('/api/registered-students')).body.map(student => student.studentRoll), ['1']);
+    await server.login('student', 'CB25-05-2', second.body.initialPin);
+
+    const listed = await admin.get('/api/admin/snapshots');
+    assert.deepEqual(listed.body.slice(0, 2).map(snapshot => snapshot.reason), ['pre-restore', 'manual']);
+    assert.equal(listed.body[0].id, restored.body.previousStateSnapshot);
+    assert.equal((await admin.post('/api/admin/snapshots/not-an-id/restore')).status, 404);
+});
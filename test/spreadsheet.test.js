@@ -0,0 +1,95 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const spreadsheet = require('../lib/spreadsheet');
+const { startServer } = require('./helpers/server');
+
+// Attendance sheets as teachers export them: an XLSX workbook with shared
+// strings, rich text and a skipped row, a CSV with quoted commas and line
+// breaks, and files that are not spreadsheets at all
+
+const FIXTURES = path.join(__dirname, 'fixtures');
+const COLUMNS = {
+    studentRoll: ['roll', 'roll no'],
+    studentName: ['student name'],
+    totalWorkingDays: ['working days'],
+    attendedDays: ['attended']
+};
+
+function fixture(name) {
+    return fs.readFileSync(path.join(FIXTURES, name));
+}
+
+test('an XLSX workbook is read through its shared strings', () => {
+    const rows = spreadsheet.readSpreadsheet(fixture('attendance.xlsx'), 'attendance.xlsx');
+    assert.deepEqual(rows, [
+        ['Roll No', 'Student Name', 'Working Days', 'Attended'],
+        ['1', 'Asha & Anu', '22', '20'],
+        ['2', 'Ravi Kumar', '22', '21'],
+        [],
+        ['3', 'Meena', '', '19']
+    ]);
+    const { records, missing } = spreadsheet.toRecords(rows, COLUMNS);
+    assert.deepEqual(missing, []);
+    assert.deepEqual(records.map(record => [record.row, record.studentRoll, record.studentName]), [[2, '1', 'Asha & Anu'], [3, '2', 'Ravi Kumar'], [5, '3', 'Meena']]);
+});
+
+test('a CSV keeps commas, line breaks and quotes inside quoted fields', () => {
+    const rows = spreadsheet.readSpreadsheet(fixture('attendance.csv'), 'attendance.csv');
+    assert.deepEqual(rows.map(row => row[1]), ['Student Name', 'Sharma, Asha', 'Ravi\r\nKumar', undefined, 'Meena "Mini" Rao']);
+    const { records, missing } = spreadsheet.toRecords(rows, COLUMNS);
+    assert.deepEqual(missing, []);
+    assert.deepEqual(records.map(record => record.attendedDays), ['20', '21', '19']);
+    assert.deepEqual(spreadsheet.parseCsv('a,b\n"x\n'), [['a', 'b'], ['x\n']]);
+});
+
+test('an empty or damaged workbook is reported, not thrown from deep inside', () => {
+    for (const buffer of [Buffer.alloc(0), fixture('corrupt.xlsx'), Buffer.from('Roll,Attended\n1,20\n')]) {
+        assert.throws(() => spreadsheet.readSpreadsheet(buffer, 'attendance.xlsx'), { message: 'The file is not a valid XLSX workbook' });
+    }
+    assert.deepEqual(spreadsheet.toRecords(spreadsheet.readSpreadsheet(Buffer.alloc(0), 'attendance.csv'), COLUMNS).missing, Object.keys(COLUMNS));
+});
+
+test('importing a sheet saves the whole month, and a bad file is a 400', async t => {
+    const server = await startServer();
+    t.after(() => server.stop());
+    const admin = await server.as('admin');
+    const faculty = await server.as('faculty');
+    for (const roll of ['1', '2', '3']) {
+        const registered = await admin.post('/api/register-student', { studentClass: '5', studentRoll: roll, studentName: `Student ${roll}`, fatherName: 'Parent', totalFee: 1000, academicYear: '2026-27' });
+        assert.equal(registered.status, 200, JSON.stringify(registered.body));
+    }
+    const now = new Date();
+    const upload = async (name, content, fields = {}) => {
+        const form = new FormData();
+        Object.entries({ classCode: '5', month: now.getMonth() + 1, year: now.getFullYear(), ...fields })
+            .forEach(([key, value]) => form.append(key, String(value)));
+        form.append('file', new Blob([content]), name);
+        const response = await fetch(`${server.baseUrl}/api/monthly-attendance/import`, {
+            method: 'POST', headers: { Authorization: `Bearer ${faculty.token}` }, body: form
+        });
+        return { status: response.status, body: await response.json() };
+    };
+
+    const preview = await upload('attendance.csv', fixture('attendance.csv'), { totalWorkingDays: 22, dryRun: true });
+    assert.equal(preview.status, 200, JSON.stringify(preview.body));
+    assert.equal(preview.body.count, 3);
+    assert.deepEqual((await faculty.get('/api/monthly-attendance/5')).body, []);
+
+    const imported = await upload('attendance.xlsx', fixture('attendance.xlsx'), { totalWorkingDays: 22 });
+    assert.equal(imported.status, 200, JSON.stringify(imported.body));
+    const saved = (await faculty.get('/api/monthly-attendance/5')).body;
+    assert.deepEqual(saved.map(record => [record.studentCode, record.studentName, record.attendedDays, record.totalWorkingDays]).sort(), [
+        ['CB25-05-1', 'Asha & Anu', 20, 22],
+        ['CB25-05-2', 'Ravi Kumar', 21, 22],
+        ['CB25-05-3', 'Meena', 19, 22]
+    ]);
+
+    for (const [name, content] of [['empty.xlsx', Buffer.alloc(0)], ['corrupt.xlsx', fixture('corrupt.xlsx')], ['empty.csv', Buffer.alloc(0)]]) {
+        const refused = await upload(name, content, { totalWorkingDays: 22 });
+        assert.equal(refused.status, 400, `${name}: ${JSON.stringify(refused.body)}`);
+    }
+    assert.equal((await upload('attendance.txt', 'Roll,Attended\n1,20\n')).status, 400);
+    assert.equal((await faculty.get('/api/monthly-attendance/5')).body.length, 3);
+});
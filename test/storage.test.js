@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs/promises');
+const os = require('node:os');
+const path = require('node:path');
+const { createStorage } = require('../lib/storage');
+
+// A JSON store in a temporary directory, holding `data`
+async function tempStorage(t, data) {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'school-storage-'));
+    t.after(() => fs.rm(dir, { recursive: true, force: true }));
+    await fs.writeFile(path.join(dir, 'schoolData.json'), JSON.stringify(data));
+    return createStorage({ driver: 'json', jsonFile: path.join(dir, 'schoolData.json') });
+}
+
+test('load() hands out a copy to change and save() writes only what changed', async t => {
+    const storage = await tempStorage(t, { users: { A: { code: 'A' } }, sessions: {} });
+
+    const data = await storage.load();
+    data.users.B = { code: 'B' };
+    assert.deepEqual(Object.keys((await storage.load()).users), ['A']);
+    const saved = await storage.save(data);
+    assert.deepEqual(saved.changed, ['users']);
+    assert.deepEqual(Object.keys((await storage.load()).users), ['A', 'B']);
+});
+
+test('read() gives the named collections as persisted, without copying them', async t => {
+    const storage = await tempStorage(t, { users: { A: { code: 'A' } }, sessions: { key: { code: 'A' } }, history: { admin: [] } });
+
+    const first = await storage.read(['users', 'sessions', 'missing']);
+    assert.deepEqual(Object.keys(first), ['users', 'sessions']);
+    assert.equal((await storage.read(['users'])).users, first.users);
+
+    const data = await storage.load();
+    delete data.sessions.key;
+    await storage.save(data);
+    assert.deepEqual((await storage.read(['sessions'])).sessions, {});
+    assert.deepEqual(first.sessions, { key: { code: 'A' } });
+});
@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const timetable = require('../lib/timetable');
+const { startServer } = require('./helpers/server');
+
+// Periods must follow one another, and a teacher can only be in one class
+// per day and period
+
+test('the default school day has eight periods around a break', () => {
+    const { periods } = timetable.createTimetable();
+    assert.equal(periods.length, 8);
+    assert.deepEqual(periods[0], { number: 1, start: '09:00', end: '09:45' });
+    assert.deepEqual(periods[4], { number: 5, start: '12:45', end: '13:30' });
+    assert.deepEqual(timetable.checkPeriods(periods), []);
+    assert.deepEqual(timetable.teachingDays({ weeklyOffDays: [0, 6] }), [1, 2, 3, 4, 5]);
+});
+
+test('periods out of order, ending early or overlapping are reported', () => {
+    const errors = timetable.checkPeriods([
+        { number: 1, start: '09:00', end: '09:45' },
+        { number: 1, start: '09:30', end: '09:20' }
+    ]);
+    assert.deepEqual(errors.map(error => error.field), ['periods[1].end', 'periods[1].number', 'periods[1].start']);
+});
+
+test('clashes list every class a teacher is booked into at once', () => {
+    const classes = {
+        5: [{ day: 1, period: 1, subject: 'Maths', facultyCode: 'CB2505' }, { day: 1, period: 2, subject: 'Science', facultyCode: 'CB2506' }],
+        6: [{ day: 1, period: 2, subject: 'Science', facultyCode: 'CB2506' }]
+    };
+    assert.deepEqual(timetable.findClashes(classes), [{ facultyCode: 'CB2506', day: 1, period: 2, classCodes: ['5', '6'] }]);
+    assert.deepEqual(timetable.facultyTimetable({ classes }, 'CB2506').map(slot => slot.classCode), ['5', '6']);
+});
+
+test('the server refuses a timetable that double-books a teacher', async t => {
+    const server = await startServer();
+    t.after(() => server.stop());
+    const admin = await server.as('admin');
+    const faculty = await server.as('faculty');
+
+    const saved = await admin.put('/api/timetable/class/5', { slots: [
+        { day: 1, period: 1, subject: 'Maths', facultyCode: 'CB2505' },
+        { day: 2, period: 1, subject: 'Science', facultyCode: 'cb2506' }
+    ] });
+    assert.equal(saved.status, 200, JSON.stringify(saved.body));
+
+    const clash = await admin.put('/api/timetable/class/6', { slots: [{ day: 1, period: 1, subject: 'English', facultyCode: 'CB2505' }] });
+    assert.equal(clash.status, 409);
+    assert.deepEqual(clash.body.clashes, [{ facultyCode: 'CB2505', day: 1, period: 1, classCodes: ['5', '6'] }]);
+
+    const invalid = await admin.put('/api/timetable/class/6', { slots: [
+        { day: 0, period: 1, subject: 'English', facultyCode: 'CB2506' },
+        { day: 3, period: 9, subject: 'English', facultyCode: 'CB2506' },
+        { day: 4, period: 1, subject: 'English', facultyCode: 'CB25-A' }
+    ] });
+    assert.equal(invalid.status, 400);
+    assert.deepEqual(invalid.body.errors.map(error => error.field), ['slots[0].day', 'slots[1].period', 'slots[2].facultyCode']);
+
+    const own = await faculty.get('/api/timetable/faculty/CB2505');
+    assert.equal(own.status, 200);
+    assert.deepEqual(own.body.slots.map(slot => [slot.classCode, slot.day, slot.period]), [['5', 1, 1]]);
+    assert.equal((await faculty.get('/api/timetable/faculty/CB2506')).status, 403);
+
+    const removing = await admin.put('/api/timetable/periods', { periods: [{ number: 2, start: '09:00', end: '09:45' }] });
+    assert.equal(removing.status, 409);
+    assert.deepEqual((await admin.get('/api/timetable/clashes')).body, { clashes: [] });
+});